@@ -20,7 +20,8 @@ const AI_ACTION_TYPE = {
     DECLARE_WAR: 'declare_war',
     PROPOSE_PEACE: 'propose_peace',
     ACCEPT_PEACE: 'accept_peace',
-    SET_PRODUCTION: 'set_production'
+    SET_PRODUCTION: 'set_production',
+    SET_RESEARCH: 'set_research'
 };
 
 const AI_GOAL_TYPE = {
@@ -31,7 +32,11 @@ const AI_GOAL_TYPE = {
     WAR_DEMILITARIZE: 'war_demilitarize',
     WAR_CONQUER: 'war_conquer',
     EXPANSION: 'expansion',
-    ATTACK_BUILDUP: 'attack_buildup'
+    ATTACK_BUILDUP: 'attack_buildup',
+    SCIENCE_VICTORY: 'science_victory',
+    TERRITORIAL_VICTORY: 'territorial_victory',
+    SCORE_VICTORY: 'score_victory',
+    DEFEND_CAPITAL: 'defend_capital'
 };
 
 // ============================================
@@ -41,17 +46,61 @@ class AIManager {
     constructor(engine) {
         this.engine = engine;
         this.aiPlayers = new Map(); // playerId -> CivChessAI
+
+        // Let the engine include AI memory in its saved state
+        engine.aiManager = this;
     }
 
-    registerAIPlayer(playerId, difficulty) {
-        // Randomly assign personality
-        const personality = Math.random() < 0.5 ?
-            AI_PERSONALITY.EXPANSIONIST : AI_PERSONALITY.MILITARISTIC;
+    /**
+     * Register every engine player flagged as AI, keeping personalities and
+     * memory from a restored save when available.
+     */
+    registerEnginePlayers() {
+        this.engine.players.forEach((player, index) => {
+            if (player.isAI) {
+                const difficulty = player.aiDifficulty || AI_DIFFICULTY.MEDIUM;
+                this.registerAIPlayer(index, difficulty, player.aiPersonality);
+            }
+        });
+
+        this.engine.restoredAIState = null;
+        this.engine.history.updateState(this.engine);
+    }
 
-        const ai = new CivChessAI(this.engine, playerId, personality, difficulty);
+    registerAIPlayer(playerId, difficulty, personality = null) {
+        // Randomly assign personality unless one was already chosen (e.g. restored game)
+        if (!personality) {
+            personality = this.engine.rng.next() < 0.5 ?
+                AI_PERSONALITY.EXPANSIONIST : AI_PERSONALITY.MILITARISTIC;
+        }
+
+        const ai = new CivChessAI(this.engine, playerId, personality, difficulty, this.engine.rng);
         this.aiPlayers.set(playerId, ai);
 
-        console.log(`[AI] Registered Player ${playerId + 1} as ${personality} AI (${difficulty})`);
+        const player = this.engine.players[playerId];
+        if (player) {
+            player.aiPersonality = personality;
+        }
+
+        const savedState = this.engine.restoredAIState?.[playerId];
+        if (savedState) {
+            ai.loadState(savedState);
+        }
+
+        if (this.engine.options.logToConsole !== false) {
+            console.log(`[AI] Registered Player ${playerId + 1} as ${personality} AI (${difficulty})`);
+        }
+    }
+
+    /**
+     * Serialize the memory of every registered AI, keyed by player id
+     */
+    serializeState() {
+        const state = {};
+        for (const [playerId, ai] of this.aiPlayers) {
+            state[playerId] = ai.serializeState();
+        }
+        return state;
     }
 
     isAIPlayer(playerId) {
@@ -77,11 +126,19 @@ class AIManager {
 // CivChess AI - Individual AI Brain
 // ============================================
 class CivChessAI {
-    constructor(engine, playerId, personality, difficulty) {
+    /**
+     * @param {GameEngine} engine
+     * @param {number} playerId
+     * @param {string} personality - AI_PERSONALITY value
+     * @param {string} difficulty - AI_DIFFICULTY value
+     * @param {SeededRandom} [rng] - Random source (defaults to the engine's, keeping games reproducible)
+     */
+    constructor(engine, playerId, personality, difficulty, rng = engine.rng) {
         this.engine = engine;
         this.playerId = playerId;
         this.personality = personality;
         this.difficulty = difficulty;
+        this.rng = rng;
 
         // Warrior objective tracking
         this.warriorObjectives = new Map(); // pieceId -> { target, turnsTracking, initialTargetHp, initialDistance }
@@ -98,10 +155,43 @@ class CivChessAI {
         // Track our target for militaristic posturing
         this.postureTarget = null;
 
+        // Player chosen for invasion by a militaristic AI
+        this.invasionTarget = null;
+
+        // Rival closest to a non-domination victory, recomputed every turn
+        this.victoryThreat = null;
+
         // Per-turn cache for expensive computations
         this._turnCache = {};
     }
 
+    /**
+     * Serialize the memory that carries over between turns
+     * (goals and heatmaps are recomputed at the start of every turn)
+     */
+    serializeState() {
+        return {
+            personality: this.personality,
+            difficulty: this.difficulty,
+            warriorObjectives: [...this.warriorObjectives].map(([id, objective]) =>
+                [id, JSON.parse(JSON.stringify(objective))]),
+            playerProfiles: [...this.playerProfiles].map(([id, profile]) => [id, { ...profile }]),
+            previousAggressors: [...this.previousAggressors],
+            postureTarget: this.postureTarget,
+            invasionTarget: this.invasionTarget ?? null
+        };
+    }
+
+    loadState(state) {
+        this.personality = state.personality || this.personality;
+        this.difficulty = state.difficulty || this.difficulty;
+        this.warriorObjectives = new Map(state.warriorObjectives || []);
+        this.playerProfiles = new Map((state.playerProfiles || []).map(([id, profile]) => [Number(id), profile]));
+        this.previousAggressors = new Set(state.previousAggressors || []);
+        this.postureTarget = state.postureTarget ?? null;
+        this.invasionTarget = state.invasionTarget ?? null;
+    }
+
     /**
      * Clear per-turn caches at the start of each turn
      */
@@ -136,7 +226,8 @@ class CivChessAI {
         // Handle peace proposals from others
         actions.push(...this.handlePeaceProposals());
 
-        // Set city production
+        // Choose research, then city production
+        actions.push(...this.handleResearch());
         actions.push(...this.handleProduction());
 
         // Update warrior objectives
@@ -165,9 +256,16 @@ class CivChessAI {
     }
 
     profilePlayers() {
+        // Forget eliminated players so they no longer count as threats
+        for (const id of this.playerProfiles.keys()) {
+            if (!this.gameState.enemyPieces[id]) {
+                this.playerProfiles.delete(id);
+            }
+        }
+
         for (const [targetId, pieces] of Object.entries(this.gameState.enemyPieces)) {
             const targetIdNum = parseInt(targetId);
-            const targetStrength = this.engine.getPlayerStrength(targetIdNum);
+            const targetStrength = this.engine.getPlayerStrength(targetIdNum, this.playerId);
 
             let profile = this.playerProfiles.get(targetIdNum) || {
                 personality: null,
@@ -237,6 +335,7 @@ class CivChessAI {
 
         const atWar = this.isAtWar();
         const enemies = this.getEnemies();
+        this.victoryThreat = this.findVictoryThreat();
 
         if (atWar) {
             // War takes priority
@@ -279,10 +378,53 @@ class CivChessAI {
             }
         }
 
+        this.addVictoryGoals();
+
         // Sort by priority
         this.activeGoals.sort((a, b) => b.priority - a.priority);
     }
 
+    /**
+     * Goals for the game's victory modes besides domination, once a win is in sight
+     */
+    addVictoryGoals() {
+        const victory = this.engine.victory;
+        const progress = this.engine.getVictoryProgress(this.playerId);
+
+        if (victory.modes.includes(VICTORY_TYPES.SCIENCE) && progress.science.tech >= victory.scienceTech / 2) {
+            this.activeGoals.push({ type: AI_GOAL_TYPE.SCIENCE_VICTORY, priority: 9 });
+        }
+        if (victory.modes.includes(VICTORY_TYPES.TERRITORIAL) &&
+            progress.territorial.share >= victory.territorialShare * 0.6) {
+            this.activeGoals.push({ type: AI_GOAL_TYPE.TERRITORIAL_VICTORY, priority: 9 });
+        }
+        if (victory.modes.includes(VICTORY_TYPES.SCORE) && progress.score.roundsLeft <= 10) {
+            this.activeGoals.push({ type: AI_GOAL_TYPE.SCORE_VICTORY, priority: 9 });
+        }
+        if (victory.modes.includes(VICTORY_TYPES.CAPITAL) && progress.capital.holds) {
+            this.activeGoals.push({ type: AI_GOAL_TYPE.DEFEND_CAPITAL, priority: 8 });
+        }
+    }
+
+    /**
+     * Rival who is close to winning by science or territory and should be stopped
+     */
+    findVictoryThreat() {
+        const victory = this.engine.victory;
+        for (const player of this.engine.players) {
+            if (player.id === this.playerId || this.engine.isEliminated(player.id)) continue;
+
+            const progress = this.engine.getVictoryProgress(player.id);
+            if (victory.modes.includes(VICTORY_TYPES.SCIENCE) && progress.science.tech >= victory.scienceTech - 2) {
+                return player.id;
+            }
+            if (victory.modes.includes(VICTORY_TYPES.TERRITORIAL) && progress.territorial.turnsHeld > 0) {
+                return player.id;
+            }
+        }
+        return null;
+    }
+
     isAtWar() {
         for (const [id, rel] of Object.entries(this.gameState.relations)) {
             if (rel.status === 'war') return true;
@@ -306,16 +448,35 @@ class CivChessAI {
         return enemies;
     }
 
+    /**
+     * A threatening rival knows a tech that makes their army stronger and we
+     * do not have it
+     */
     needsTechParity() {
-        for (const [id, profile] of this.playerProfiles) {
-            if (profile.threatLevel > 2) {
-                const theirStrength = this.engine.getPlayerStrength(id);
-                if (theirStrength && theirStrength.breakdown.techLevel > this.gameState.techLevel) {
-                    return true;
-                }
-            }
-        }
-        return false;
+        const threats = [...this.playerProfiles].filter(([id, profile]) => profile.threatLevel > 2).map(([id]) => id);
+        return this.getTechGaps(threats).some(techId => this.isMilitaryTech(techId));
+    }
+
+    /**
+     * Techs the given rivals know that we do not
+     */
+    getTechGaps(playerIds) {
+        const gaps = new Set();
+        playerIds.forEach(id => {
+            (this.engine.players[id]?.techs || []).forEach(techId => {
+                if (!this.engine.hasTech(this.playerId, techId)) gaps.add(techId);
+            });
+        });
+        return [...gaps];
+    }
+
+    /**
+     * Whether a tech strengthens units or unlocks one that fights
+     */
+    isMilitaryTech(techId) {
+        const effects = TECHS[techId].effects;
+        return !!(effects.damage || effects.hp) ||
+            Object.values(UNIT_TYPES).some(unit => unit.tech === techId && unit.military);
     }
 
     detectEnemyBuildup() {
@@ -349,10 +510,16 @@ class CivChessAI {
                 this.postureTarget = targetIdNum;
             }
 
+            // Stop a rival who is about to win another way
+            if (targetIdNum === this.victoryThreat) {
+                score += 4;
+            }
+
             // Prefer closer targets
             const closestCity = this.findClosestEnemyCity(targetIdNum);
             if (closestCity) {
-                score += (10 - closestCity.distance) * 0.5;
+                const boardSpan = Math.max(this.engine.rows, this.engine.cols);
+                score += (boardSpan - closestCity.distance) * 0.5;
             }
 
             if (score > bestScore) {
@@ -419,7 +586,7 @@ class CivChessAI {
                     // For now, just continue war
                 } else {
                     // Propose peace
-                    if (this.engine.proposePeace(this.playerId, enemyId)) {
+                    if (this.dispatch({ type: ACTION_TYPES.PROPOSE_PEACE, targetId: enemyId }).success) {
                         actions.push({
                             type: AI_ACTION_TYPE.PROPOSE_PEACE,
                             target: enemyId
@@ -442,15 +609,19 @@ class CivChessAI {
         if (!relStrength) return actions;
 
         // Calculate required force ratio
-        const targetStrength = this.engine.getPlayerStrength(this.invasionTarget);
+        const targetStrength = this.engine.getPlayerStrength(this.invasionTarget, this.playerId);
         const techDiff = targetStrength ? targetStrength.breakdown.techLevel - this.gameState.techLevel : 0;
 
-        // Need 1.3x warriors, adjusted for tech difference
-        const requiredRatio = 1.3 + techDiff;
+        // Need 1.3x warriors, adjusted for tech difference. Every other
+        // threatening rival raises the bar, since they could strike while we are busy.
+        const otherThreats = [...this.playerProfiles.entries()]
+            .filter(([id, profile]) => id !== this.invasionTarget && profile.threatLevel > 2)
+            .length;
+        const requiredRatio = 1.3 + techDiff + otherThreats * 0.2;
 
         if (relStrength.militaryRatio >= requiredRatio) {
             // We're ready to attack
-            if (this.engine.declareWar(this.playerId, this.invasionTarget)) {
+            if (this.dispatch({ type: ACTION_TYPES.DECLARE_WAR, targetId: this.invasionTarget }).success) {
                 actions.push({
                     type: AI_ACTION_TYPE.DECLARE_WAR,
                     target: this.invasionTarget
@@ -473,7 +644,7 @@ class CivChessAI {
                 if (this.personality === AI_PERSONALITY.EXPANSIONIST) {
                     // Accept peace immediately unless dominating
                     if (!relStrength || relStrength.ratio <= 2) {
-                        if (this.engine.acceptPeace(this.playerId, targetId)) {
+                        if (this.dispatch({ type: ACTION_TYPES.ACCEPT_PEACE, targetId: targetId }).success) {
                             actions.push({
                                 type: AI_ACTION_TYPE.ACCEPT_PEACE,
                                 target: targetId
@@ -483,7 +654,7 @@ class CivChessAI {
                 } else {
                     // Militaristic - only accept if we're losing badly
                     if (relStrength && relStrength.ratio < 0.5) {
-                        if (this.engine.acceptPeace(this.playerId, targetId)) {
+                        if (this.dispatch({ type: ACTION_TYPES.ACCEPT_PEACE, targetId: targetId }).success) {
                             actions.push({
                                 type: AI_ACTION_TYPE.ACCEPT_PEACE,
                                 target: targetId
@@ -515,13 +686,18 @@ class CivChessAI {
                 continue; // Already producing something
             }
 
-            const production = this.decideProduction(city, atWar);
+            let production = this.decideProduction(city, atWar);
+            // Science stops once everything is researched
+            if (production && !this.engine.canProduce(this.playerId, production)) {
+                production = this.chooseMilitaryProduction(atWar);
+            }
 
             if (production && this.maybeError()) {
                 // On error, pick random production
-                const options = ['WARRIOR', 'DIPLOMACY', 'SCIENCE', 'SETTLER'];
-                const randomProd = options[Math.floor(Math.random() * options.length)];
-                if (this.engine.setProduction(engineCity, randomProd)) {
+                const options = ['WARRIOR', 'DIPLOMACY', 'SCIENCE', 'SETTLER', 'ARCHER', 'CAVALRY', 'CATAPULT']
+                    .filter(option => this.engine.canProduce(this.playerId, option));
+                const randomProd = this.rng.pick(options);
+                if (this.setProduction(engineCity, randomProd).success) {
                     actions.push({
                         type: AI_ACTION_TYPE.SET_PRODUCTION,
                         city: city.id,
@@ -529,7 +705,7 @@ class CivChessAI {
                     });
                 }
             } else if (production) {
-                if (this.engine.setProduction(engineCity, production)) {
+                if (this.setProduction(engineCity, production).success) {
                     actions.push({
                         type: AI_ACTION_TYPE.SET_PRODUCTION,
                         city: city.id,
@@ -552,6 +728,20 @@ class CivChessAI {
             return 'REPAIR';
         }
 
+        // Close to a victory: keep research going in wartime, and put
+        // peacetime cities to work on it once home is guarded
+        if (this.hasGoal(AI_GOAL_TYPE.SCIENCE_VICTORY) &&
+            (!atWar ? warriors >= cities * 2 : this.getCitiesProducing('SCIENCE').length === 0)) {
+            return 'SCIENCE';
+        }
+        if (!atWar && this.hasGoal(AI_GOAL_TYPE.TERRITORIAL_VICTORY) && warriors >= cities * 2) {
+            return 'DIPLOMACY';
+        }
+        if (this.hasGoal(AI_GOAL_TYPE.SCORE_VICTORY)) {
+            // Warriors add the most strength per turn
+            return 'WARRIOR';
+        }
+
         if (atWar) {
             // War production
             if (this.personality === AI_PERSONALITY.EXPANSIONIST) {
@@ -559,10 +749,10 @@ class CivChessAI {
                 if (cities >= 3 && this.getCitiesProducing('SCIENCE').length === 0) {
                     return 'SCIENCE';
                 }
-                return 'WARRIOR';
+                return this.chooseMilitaryProduction(atWar);
             } else {
-                // Militaristic - all warriors during war
-                return 'WARRIOR';
+                // Militaristic - all military units during war
+                return this.chooseMilitaryProduction(atWar);
             }
         }
 
@@ -578,7 +768,7 @@ class CivChessAI {
 
             // Defense Industry: 4 warriors per city
             if (warriors < cities * 4) {
-                return 'WARRIOR';
+                return this.chooseMilitaryProduction(atWar);
             }
 
             // DARPA goal
@@ -592,25 +782,119 @@ class CivChessAI {
             // Militaristic peacetime
             // Build up forces for invasion
             if (!this.invasionTarget) {
-                return 'WARRIOR';
+                return this.chooseMilitaryProduction(atWar);
             }
 
-            const targetStrength = this.engine.getPlayerStrength(this.invasionTarget);
+            const targetStrength = this.engine.getPlayerStrength(this.invasionTarget, this.playerId);
             const requiredWarriors = targetStrength ?
                 targetStrength.breakdown.warriors * 2 * (1 + (targetStrength.breakdown.techLevel - this.gameState.techLevel)) :
                 warriors + 2;
 
             if (warriors < requiredWarriors) {
-                return 'WARRIOR';
+                return this.chooseMilitaryProduction(atWar);
             }
 
-            // If we have enough warriors, build tech to match
-            if (targetStrength && targetStrength.breakdown.techLevel > this.gameState.techLevel) {
+            // If we have enough warriors, research what the target has over us
+            if (this.getTechGaps([this.invasionTarget]).some(techId => this.isMilitaryTech(techId))) {
                 return 'SCIENCE';
             }
 
-            return 'WARRIOR';
+            return this.chooseMilitaryProduction(atWar);
+        }
+    }
+
+    /**
+     * Which military unit to build next. Warriors are the backbone; each
+     * city wants an archer to guard it, catapults join once there are enemy
+     * cities to break (one city researches toward them until then), and
+     * cavalry makes up a share of the field army.
+     */
+    chooseMilitaryProduction(atWar) {
+        const army = this.gameState.ownPieces.warriors;
+        const count = type => army.filter(w => w.type === type).length;
+        const canBuild = production => this.engine.canProduce(this.playerId, production);
+        const cities = this.gameState.ownPieces.cities.length;
+
+        const targetCities = atWar || this.invasionTarget !== null;
+        if (targetCities && count(PIECE_TYPES.CATAPULT) < Math.floor(army.length / 4)) {
+            if (canBuild('CATAPULT')) return 'CATAPULT';
+            if (cities >= 2 && this.getCitiesProducing('SCIENCE').length === 0) return 'SCIENCE';
+        }
+        if (canBuild('ARCHER') && count(PIECE_TYPES.ARCHER) < cities) {
+            return 'ARCHER';
+        }
+        if (canBuild('CAVALRY') && count(PIECE_TYPES.CAVALRY) < Math.floor(army.length / 4)) {
+            return 'CAVALRY';
+        }
+        return 'WARRIOR';
+    }
+
+    // ========================================
+    // RESEARCH
+    // ========================================
+
+    /**
+     * Point research at the next step toward the tech we want most
+     */
+    handleResearch() {
+        const techId = this.chooseResearch();
+        if (!techId || techId === this.engine.players[this.playerId].research) return [];
+        if (!this.dispatch({ type: ACTION_TYPES.SET_RESEARCH, techId: techId }).success) return [];
+        return [{ type: AI_ACTION_TYPE.SET_RESEARCH, tech: techId }];
+    }
+
+    /**
+     * Weigh every tech we lack by what it and the prerequisites on the way
+     * are worth per research point, and return the first tech on the best path
+     */
+    chooseResearch() {
+        let best = null;
+        for (const techId of Object.keys(TECHS)) {
+            if (this.engine.hasTech(this.playerId, techId)) continue;
+
+            const path = this.engine.getResearchPath(this.playerId, techId);
+            const cost = path.reduce((sum, id) => sum + TECHS[id].cost, 0);
+            const value = path.reduce((sum, id) => sum + this.scoreTech(id), 0) / cost;
+            if (!best || value > best.value) {
+                best = { value: value, step: path[0] };
+            }
         }
+        return best ? best.step : null;
+    }
+
+    /**
+     * What a tech is worth to us now. DARPA (catching up with a threatening
+     * rival) favours the exact techs they have over us.
+     */
+    scoreTech(techId) {
+        const effects = TECHS[techId].effects;
+        const atWar = this.isAtWar();
+        const militaristic = this.personality === AI_PERSONALITY.MILITARISTIC;
+        let score = 1;
+
+        score += ((effects.damage || 0) + (effects.hp || 0)) * (atWar || militaristic ? 3 : 1.5);
+        score += (effects.cityHp || 0) *
+            (this.previousAggressors.size > 0 || this.hasGoal(AI_GOAL_TYPE.DEFEND_CAPITAL) ? 2.5 : 1);
+        if (effects.settlerMoves && this.hasGoal(AI_GOAL_TYPE.EXPANSION)) {
+            score += 3 * effects.settlerMoves;
+        }
+
+        Object.keys(PRODUCTION_TYPES).forEach(production => {
+            if (GameEngine.getRequiredTech(production) !== techId) return;
+            const unit = UNIT_TYPES[PRODUCTION_TYPES[production].unit];
+            if (!unit) return;
+            if (unit.cityBonus > 0) {
+                score += atWar || this.invasionTarget !== null ? 4 : 1;
+            } else {
+                score += militaristic ? 3 : 2;
+            }
+        });
+
+        if (this.hasGoal(AI_GOAL_TYPE.DARPA)) {
+            const threats = [...this.playerProfiles].filter(([id, profile]) => profile.threatLevel > 2).map(([id]) => id);
+            if (this.getTechGaps(threats).includes(techId)) score += 4;
+        }
+        return score;
     }
 
     getCitiesProducing(productionType) {
@@ -627,8 +911,8 @@ class CivChessAI {
         }
 
         const spots = [];
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.engine.rows; r++) {
+            for (let c = 0; c < this.engine.cols; c++) {
                 if (this.expansionHeatmap[r][c] > 0 &&
                     this.engine.tileOwnership[r][c] === this.playerId) {
                     spots.push({ row: r, col: c, value: this.expansionHeatmap[r][c] });
@@ -653,6 +937,12 @@ class CivChessAI {
         for (const warrior of warriors) {
             let objective = this.warriorObjectives.get(warrior.id);
 
+            // A neutral city someone has captured, or a camp someone has burned, is no longer up for grabs
+            if (objective && objective.type === 'capture' &&
+                !this.getCaptureTargets().some(c => c.id === objective.target.id)) {
+                objective = null;
+            }
+
             if (objective) {
                 objective.turnsTracking++;
 
@@ -714,6 +1004,34 @@ class CivChessAI {
         const atWar = this.isAtWar();
         const enemies = this.getEnemies();
 
+        // Losing the capital can lose the game, so nearby warriors guard it first
+        if (this.hasGoal(AI_GOAL_TYPE.DEFEND_CAPITAL)) {
+            const guardPos = this.findCapitalGuardPosition(warrior);
+            if (guardPos) {
+                return {
+                    target: guardPos,
+                    type: 'defense',
+                    turnsTracking: 0,
+                    initialDistance: this.getDistance(warrior, guardPos)
+                };
+            }
+        }
+
+        // Siege units head for the closest enemy city whatever the personality
+        if (atWar && UNIT_TYPES[warrior.type].cityBonus > 0) {
+            const enemyCities = enemies.flatMap(id => this.gameState.enemyPieces[id]?.cities || []);
+            const target = this.findClosestTarget(warrior, enemyCities);
+            if (target) {
+                return {
+                    target: target,
+                    type: 'conquer',
+                    turnsTracking: 0,
+                    initialDistance: this.getDistance(warrior, target),
+                    initialTargetHp: target.hp
+                };
+            }
+        }
+
         if (atWar) {
             if (this.personality === AI_PERSONALITY.EXPANSIONIST) {
                 // Demilitarize first - target enemy warriors
@@ -743,11 +1061,11 @@ class CivChessAI {
                     };
                 }
             } else {
-                // Militaristic - target cities directly
+                // Militaristic - target cities directly, capitals first when taking them wins
                 for (const enemyId of enemies) {
                     const enemyPieces = this.gameState.enemyPieces[enemyId];
                     if (enemyPieces && enemyPieces.cities.length > 0) {
-                        const target = this.findClosestTarget(warrior, enemyPieces.cities);
+                        const target = this.findClosestTarget(warrior, this.preferCapitals(enemyPieces.cities));
                         if (target) {
                             return {
                                 target: target,
@@ -762,6 +1080,17 @@ class CivChessAI {
             }
         } else {
             // Peacetime objectives
+            const captureTarget = this.findCaptureTarget(warrior);
+            if (captureTarget) {
+                return {
+                    target: captureTarget,
+                    type: 'capture',
+                    turnsTracking: 0,
+                    initialDistance: this.getDistance(warrior, captureTarget),
+                    initialTargetHp: captureTarget.hp
+                };
+            }
+
             if (this.hasGoal(AI_GOAL_TYPE.BORDER_ESTABLISHMENT)) {
                 const borderPos = this.findBorderPosition(warrior);
                 if (borderPos) {
@@ -813,6 +1142,23 @@ class CivChessAI {
         return warriors;
     }
 
+    /**
+     * Neutral cities and barbarian camps: targets that cost no war
+     */
+    getCaptureTargets() {
+        return [...this.gameState.neutralCities, ...this.gameState.barbarians.camps];
+    }
+
+    /**
+     * Closest neutral city or barbarian camp within reach of home
+     */
+    findCaptureTarget(warrior) {
+        const nearby = this.getCaptureTargets().filter(target =>
+            this.gameState.ownPieces.cities.some(own => this.getDistance(own, target) <= 5)
+        );
+        return this.findClosestTarget(warrior, nearby);
+    }
+
     findClosestTarget(warrior, targets) {
         let closest = null;
         let minDist = Infinity;
@@ -841,6 +1187,29 @@ class CivChessAI {
         return this.engine.pieces.find(p => p.id === pieceId);
     }
 
+    // ========================================
+    // ENGINE ACTIONS
+    // ========================================
+
+    /**
+     * Send an action through the engine's validated dispatch as this player
+     */
+    dispatch(action) {
+        return this.engine.dispatch({ ...action, playerId: this.playerId });
+    }
+
+    movePiece(piece, target) {
+        return this.dispatch({
+            type: ACTION_TYPES.MOVE,
+            pieceId: piece.id,
+            to: { row: target.row, col: target.col }
+        });
+    }
+
+    setProduction(city, production) {
+        return this.dispatch({ type: ACTION_TYPES.SET_PRODUCTION, pieceId: city.id, production: production });
+    }
+
     // ========================================
     // A* PATHFINDING FOR SETTLERS
     // ========================================
@@ -948,22 +1317,31 @@ class CivChessAI {
 
     /**
      * Get all possible settler moves from a given position (for BFS exploration).
-     * Simulates settler movement rules: up to 3 tiles orthogonally.
+     * Simulates settler movement rules: orthogonal lines costing up to the
+     * settler's movement points of terrain.
      */
     getSettlerMovesFrom(row, col) {
         const moves = [];
         const directions = [[0, 1], [0, -1], [1, 0], [-1, 0]]; // Orthogonal only
+        const settlerMoves = this.engine.getMovement(PIECE_TYPES.SETTLER, this.playerId).orthogonal;
 
         for (const [dr, dc] of directions) {
-            for (let dist = 1; dist <= 3; dist++) {
+            let cost = 0;
+            for (let dist = 1; dist <= settlerMoves; dist++) {
                 const newRow = row + dr * dist;
                 const newCol = col + dc * dist;
 
                 // Check bounds
-                if (newRow < 0 || newRow >= BOARD_SIZE || newCol < 0 || newCol >= BOARD_SIZE) {
+                if (!this.engine.isValidTile(newRow, newCol)) {
                     break; // Can't go further in this direction
                 }
 
+                // Impassable terrain blocks the line, rough terrain uses up movement
+                const moveCost = TERRAIN_RULES[this.engine.terrain[newRow][newCol]].moveCost;
+                if (moveCost === null) break;
+                cost += moveCost;
+                if (cost > settlerMoves) break;
+
                 // Check if tile is occupied (blocking further movement)
                 const piece = this.engine.board[newRow][newCol];
                 if (piece) {
@@ -1020,7 +1398,7 @@ class CivChessAI {
         }
 
         // A* search with iteration limit to prevent long searches
-        const maxIterations = 100;
+        const maxIterations = this.engine.rows * this.engine.cols;
         let iterations = 0;
 
         while (openSet.length > 0 && iterations < maxIterations) {
@@ -1029,7 +1407,7 @@ class CivChessAI {
             const currentKey = `${current.row},${current.col}`;
 
             // Generate possible warrior moves from current position (8 directions, 1 tile)
-            const possibleMoves = this.getWarriorMovesFrom(current.row, current.col);
+            const possibleMoves = this.getWarriorMovesFrom(current.row, current.col, warrior.type);
 
             for (const nextPos of possibleMoves) {
                 const nextKey = `${nextPos.row},${nextPos.col}`;
@@ -1062,22 +1440,24 @@ class CivChessAI {
     }
 
     /**
-     * Get all possible warrior moves from a given position (8 directions, 1 tile each).
+     * Get all possible single-tile steps from a given position for a unit type
+     * (8 directions for warriors; only the directions the unit moves in otherwise).
      */
-    getWarriorMovesFrom(row, col) {
+    getWarriorMovesFrom(row, col, type = PIECE_TYPES.WARRIOR) {
         const moves = [];
+        const movement = this.engine.getMovement(type, this.playerId);
         const directions = [
             [-1, -1], [-1, 0], [-1, 1],
             [0, -1],          [0, 1],
             [1, -1],  [1, 0],  [1, 1]
-        ];
+        ].filter(([dr, dc]) => (dr !== 0 && dc !== 0 ? movement.diagonal : movement.orthogonal) > 0);
 
         for (const [dr, dc] of directions) {
             const newRow = row + dr;
             const newCol = col + dc;
 
-            // Check bounds
-            if (newRow < 0 || newRow >= BOARD_SIZE || newCol < 0 || newCol >= BOARD_SIZE) {
+            // Check bounds and terrain
+            if (!this.engine.isValidTile(newRow, newCol) || !this.engine.isPassable(newRow, newCol)) {
                 continue;
             }
 
@@ -1184,13 +1564,13 @@ class CivChessAI {
         // Ideal: diagonal walls >= 25% of board, or surrounding enemy heat maps
         const positions = [];
 
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.engine.rows; r++) {
+            for (let c = 0; c < this.engine.cols; c++) {
                 // Skip occupied tiles
-                if (this.engine.board[r][c]) continue;
+                if (this.engine.getKnownPieceAt(this.playerId, r, c)) continue;
 
                 // Check if this is a good border position
-                const isEdge = r === 0 || r === BOARD_SIZE - 1 || c === 0 || c === BOARD_SIZE - 1;
+                const isEdge = r === 0 || r === this.engine.rows - 1 || c === 0 || c === this.engine.cols - 1;
                 const controlValue = this.territoryHeatmap[r][c];
 
                 // Good border: on our side but close to contested
@@ -1223,11 +1603,11 @@ class CivChessAI {
         for (const [dr, dc] of directions) {
             const nr = row + dr;
             const nc = col + dc;
-            if (nr < 0 || nr >= BOARD_SIZE || nc < 0 || nc >= BOARD_SIZE) continue;
+            if (!this.engine.isValidTile(nr, nc)) continue;
 
             const piece = this.engine.board[nr][nc];
-            if (piece && piece.type === PIECE_TYPES.WARRIOR && piece.ownerId === this.playerId) {
-                // Adjacent friendly warrior - good for wall
+            if (piece && GameEngine.isMilitary(piece.type) && piece.ownerId === this.playerId) {
+                // Adjacent friendly unit - good for wall
                 if (Math.abs(dr) === 1 && Math.abs(dc) === 1) {
                     score += 3; // Diagonal - forms blockade
                 } else {
@@ -1245,6 +1625,46 @@ class CivChessAI {
         return score;
     }
 
+    /**
+     * Empty tile next to our capital while it has fewer than two guards,
+     * for warriors already within 3 tiles of it
+     */
+    findCapitalGuardPosition(warrior) {
+        const capital = this.findPiece(this.engine.capitals[this.playerId]);
+        if (!capital || this.getDistance(warrior, capital) > 3) return null;
+
+        const neighbours = [];
+        let guards = 0;
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                const r = capital.row + dr;
+                const c = capital.col + dc;
+                if ((dr === 0 && dc === 0) || !this.engine.isValidTile(r, c) || !this.engine.isPassable(r, c)) continue;
+
+                const piece = this.engine.board[r][c];
+                if (piece && piece.ownerId === this.playerId && GameEngine.isMilitary(piece.type)) {
+                    if (piece.id === warrior.id) return null; // already guarding
+                    guards++;
+                } else if (!piece) {
+                    neighbours.push({ row: r, col: c });
+                }
+            }
+        }
+
+        if (guards >= 2) return null;
+        return this.findClosestTarget(warrior, neighbours);
+    }
+
+    /**
+     * Enemy capitals, when the game can be won by holding the last one
+     */
+    preferCapitals(cities) {
+        if (!this.engine.victory.modes.includes(VICTORY_TYPES.CAPITAL)) return cities;
+        const capitalIds = Object.values(this.engine.capitals);
+        const capitals = cities.filter(city => capitalIds.includes(city.id));
+        return capitals.length > 0 ? capitals : cities;
+    }
+
     findDefensePosition(warrior) {
         // Find positions that defend our cities
         // Ideal: 4 warriors per city in orthogonal positions
@@ -1303,8 +1723,8 @@ class CivChessAI {
                     for (let dc = -2; dc <= 2; dc++) {
                         const r = midRow + dr;
                         const c = midCol + dc;
-                        if (r < 0 || r >= BOARD_SIZE || c < 0 || c >= BOARD_SIZE) continue;
-                        if (this.engine.board[r][c]) continue;
+                        if (!this.engine.isValidTile(r, c)) continue;
+                        if (this.engine.getKnownPieceAt(this.playerId, r, c)) continue;
 
                         positions.push({ row: r, col: c });
                     }
@@ -1340,8 +1760,8 @@ class CivChessAI {
     moveWarrior(warrior) {
         // Check for adjacent enemies (1/3 chance to attack regardless of objective)
         const adjacentEnemies = this.getAdjacentEnemies(warrior);
-        if (adjacentEnemies.length > 0 && Math.random() < 1/3) {
-            const target = adjacentEnemies[Math.floor(Math.random() * adjacentEnemies.length)];
+        if (adjacentEnemies.length > 0 && this.rng.next() < 1/3) {
+            const target = this.rng.pick(adjacentEnemies);
             return this.attackTarget(warrior, target);
         }
 
@@ -1355,7 +1775,7 @@ class CivChessAI {
         // Check if warrior should move out of the way for settlers
         const settlerClearMove = this.shouldClearForSettler(warrior);
         if (settlerClearMove) {
-            const result = this.engine.movePiece(warrior, settlerClearMove.row, settlerClearMove.col);
+            const result = this.movePiece(warrior, settlerClearMove);
             if (result.success) {
                 return {
                     type: result.combat ? AI_ACTION_TYPE.ATTACK : AI_ACTION_TYPE.MOVE_UNIT,
@@ -1473,10 +1893,11 @@ class CivChessAI {
 
                 const r = warrior.row + dr;
                 const c = warrior.col + dc;
-                if (r < 0 || r >= BOARD_SIZE || c < 0 || c >= BOARD_SIZE) continue;
+                if (!this.engine.isValidTile(r, c)) continue;
 
                 const piece = this.engine.board[r][c];
-                if (piece && piece.ownerId !== this.playerId && atWarWith.includes(piece.ownerId)) {
+                if (piece && piece.ownerId !== this.playerId &&
+                    (atWarWith.includes(piece.ownerId) || piece.ownerId === BARBARIAN_ID)) {
                     enemies.push(piece);
                 }
             }
@@ -1500,10 +1921,10 @@ class CivChessAI {
             const pos2 = this.engine.board[warrior.row + rowDir][warrior.col];
 
             const blockers = [];
-            if (pos1 && pos1.type === PIECE_TYPES.WARRIOR && pos1.ownerId !== this.playerId) {
+            if (pos1 && GameEngine.isMilitary(pos1.type) && pos1.ownerId !== this.playerId) {
                 blockers.push(pos1);
             }
-            if (pos2 && pos2.type === PIECE_TYPES.WARRIOR && pos2.ownerId !== this.playerId) {
+            if (pos2 && GameEngine.isMilitary(pos2.type) && pos2.ownerId !== this.playerId) {
                 blockers.push(pos2);
             }
 
@@ -1517,7 +1938,7 @@ class CivChessAI {
     }
 
     attackTarget(warrior, target) {
-        const result = this.engine.movePiece(warrior, target.row, target.col);
+        const result = this.movePiece(warrior, target);
         if (result.success) {
             return {
                 type: result.combat ? AI_ACTION_TYPE.ATTACK : AI_ACTION_TYPE.MOVE_UNIT,
@@ -1538,9 +1959,9 @@ class CivChessAI {
         for (const move of validMoves) {
             const movePiece = this.engine.board[move.row][move.col];
             if (movePiece && movePiece.ownerId !== this.playerId) {
-                const isEnemy = this.getEnemies().includes(movePiece.ownerId);
+                const isEnemy = this.getEnemies().includes(movePiece.ownerId) || movePiece.ownerId === BARBARIAN_ID;
                 if (isEnemy) {
-                    const result = this.engine.movePiece(warrior, move.row, move.col);
+                    const result = this.movePiece(warrior, move);
                     if (result.success) {
                         return {
                             type: result.combat ? AI_ACTION_TYPE.ATTACK : AI_ACTION_TYPE.MOVE_UNIT,
@@ -1571,7 +1992,7 @@ class CivChessAI {
 
         if (!bestMove) return null;
 
-        const result = this.engine.movePiece(warrior, bestMove.row, bestMove.col);
+        const result = this.movePiece(warrior, bestMove);
         if (result.success) {
             return {
                 type: result.combat ? AI_ACTION_TYPE.ATTACK : AI_ACTION_TYPE.MOVE_UNIT,
@@ -1589,8 +2010,8 @@ class CivChessAI {
         const validMoves = this.engine.getValidMoves(warrior);
         if (validMoves.length === 0) return null;
 
-        const randomMove = validMoves[Math.floor(Math.random() * validMoves.length)];
-        const result = this.engine.movePiece(warrior, randomMove.row, randomMove.col);
+        const randomMove = this.rng.pick(validMoves);
+        const result = this.movePiece(warrior, randomMove);
 
         if (result.success) {
             return {
@@ -1619,7 +2040,7 @@ class CivChessAI {
             // Check if we can build a city here
             const canBuild = this.engine.canSettlerBuildCity(engineSettler);
             if (canBuild.valid) {
-                const buildResult = this.engine.settlerBuildCity(engineSettler);
+                const buildResult = this.dispatch({ type: ACTION_TYPES.BUILD_CITY, pieceId: engineSettler.id });
                 if (buildResult.success) {
                     actions.push({
                         type: AI_ACTION_TYPE.BUILD_CITY,
@@ -1662,7 +2083,7 @@ class CivChessAI {
         for (const spot of spotsToTry) {
             const bestMove = this.findSettlerPathAStar(settler, spot);
             if (bestMove) {
-                const result = this.engine.movePiece(settler, bestMove.row, bestMove.col);
+                const result = this.movePiece(settler, bestMove);
                 if (result.success) {
                     return {
                         type: AI_ACTION_TYPE.MOVE_UNIT,
@@ -1696,7 +2117,7 @@ class CivChessAI {
         }
 
         if (bestMove && bestProgress > 0) {
-            const result = this.engine.movePiece(settler, bestMove.row, bestMove.col);
+            const result = this.movePiece(settler, bestMove);
             if (result.success) {
                 return {
                     type: AI_ACTION_TYPE.MOVE_UNIT,
@@ -1714,10 +2135,10 @@ class CivChessAI {
         // Move toward territory we could build a city on once we expand
         const potentialSpots = [];
 
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.engine.rows; r++) {
+            for (let c = 0; c < this.engine.cols; c++) {
                 if (this.expansionHeatmap[r][c] > 0 &&
-                    this.engine.tileOwnership[r][c] === null) {
+                    this.engine.getKnownOwner(this.playerId, r, c) === null) {
                     potentialSpots.push({ row: r, col: c, value: this.expansionHeatmap[r][c] });
                 }
             }
@@ -1737,7 +2158,7 @@ class CivChessAI {
         for (const spot of spotsToTry) {
             const bestMove = this.findSettlerPathAStar(settler, spot);
             if (bestMove) {
-                const result = this.engine.movePiece(settler, bestMove.row, bestMove.col);
+                const result = this.movePiece(settler, bestMove);
                 if (result.success) {
                     return {
                         type: AI_ACTION_TYPE.MOVE_UNIT,
@@ -1770,7 +2191,7 @@ class CivChessAI {
         }
 
         if (bestMove && bestProgress > 0) {
-            const result = this.engine.movePiece(settler, bestMove.row, bestMove.col);
+            const result = this.movePiece(settler, bestMove);
             if (result.success) {
                 return {
                     type: AI_ACTION_TYPE.MOVE_UNIT,
@@ -1791,10 +2212,10 @@ class CivChessAI {
         switch (this.difficulty) {
             case AI_DIFFICULTY.EASY:
                 // Frequent errors - 30% chance
-                return Math.random() < 0.30;
+                return this.rng.next() < 0.30;
             case AI_DIFFICULTY.MEDIUM:
                 // Occasional errors - 10% chance
-                return Math.random() < 0.10;
+                return this.rng.next() < 0.10;
             case AI_DIFFICULTY.HARD:
                 // No errors
                 return false;
@@ -1803,3 +2224,104 @@ class CivChessAI {
         }
     }
 }
+
+// ============================================
+// BARBARIAN AI
+// ============================================
+/**
+ * BarbarianAI - Moves the barbarian warriors once per round for the engine
+ * (see GameEngine.runBarbarianTurn). Raiders attack whatever stands next to
+ * them, chase player pieces within BARBARIAN_RULES.raidRange and otherwise
+ * wander near their camps. Moves go straight to the engine, since
+ * barbarians never hold the turn that dispatch() checks.
+ */
+class BarbarianAI extends CivChessAI {
+    constructor(engine) {
+        super(engine, BARBARIAN_ID, null, AI_DIFFICULTY.EASY);
+    }
+
+    executeTurn() {
+        const actions = [];
+        const raiders = this.engine.pieces.filter(p =>
+            p.ownerId === BARBARIAN_ID && p.type === PIECE_TYPES.WARRIOR
+        );
+
+        for (const raider of raiders) {
+            // Earlier fights may have ended the game or this raider
+            if (this.engine.gameOver) break;
+            if (raider.hasMoved || !this.engine.pieces.includes(raider)) continue;
+
+            const action = this.moveRaider(raider);
+            if (action) {
+                actions.push(action);
+            }
+        }
+
+        return actions;
+    }
+
+    moveRaider(raider) {
+        // Hit the weakest neighbour first
+        const victims = this.getAdjacentEnemies(raider).sort((a, b) => a.hp - b.hp);
+        if (victims.length > 0) {
+            return this.attackTarget(raider, victims[0]);
+        }
+
+        const prey = this.engine.pieces.filter(p =>
+            this.getEnemies().includes(p.ownerId) &&
+            this.getDistance(raider, p) <= BARBARIAN_RULES.raidRange
+        );
+        if (prey.length > 0) {
+            return this.moveTowardTarget(raider, this.findClosestTarget(raider, prey));
+        }
+
+        return this.wander(raider);
+    }
+
+    /**
+     * Step to a random empty tile, staying within the leash of a camp while any camp stands
+     */
+    wander(raider) {
+        const camps = this.engine.pieces.filter(p => p.ownerId === BARBARIAN_ID && p.type === PIECE_TYPES.CAMP);
+        const moves = this.engine.getValidMoves(raider).filter(move =>
+            !this.engine.board[move.row][move.col] &&
+            (camps.length === 0 || camps.some(camp => this.getDistance(camp, move) <= BARBARIAN_RULES.leash))
+        );
+        if (moves.length === 0) return null;
+
+        const move = this.rng.pick(moves);
+        const result = this.movePiece(raider, move);
+        if (!result.success) return null;
+        return {
+            type: AI_ACTION_TYPE.MOVE_UNIT,
+            pieceId: raider.id,
+            from: { row: raider.row, col: raider.col },
+            to: move
+        };
+    }
+
+    /**
+     * Every player still in the game
+     */
+    getEnemies() {
+        return this.engine.players
+            .filter(p => !this.engine.isEliminated(p.id))
+            .map(p => p.id);
+    }
+
+    movePiece(piece, target) {
+        return this.engine.movePiece(piece, target.row, target.col);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AI_DIFFICULTY,
+        AI_PERSONALITY,
+        AI_ACTION_TYPE,
+        AI_GOAL_TYPE,
+        AIManager,
+        CivChessAI,
+        BarbarianAI
+    };
+}
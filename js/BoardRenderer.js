@@ -0,0 +1,242 @@
+// ============================================
+// BOARD RENDERER (browser only)
+// ============================================
+/**
+ * BoardRenderer - Drawing shared by every scene that shows a board (the game,
+ * replays and the map editor): terrain tiles, territory, coordinates and
+ * piece sprites. Scenes keep their own state and layers and pass them in.
+ */
+class BoardRenderer {
+    // Symbols for pieces that are not units (units carry their own glyph)
+    static PIECE_SYMBOLS = {
+        [PIECE_TYPES.CITY]: '\u265C',    // Rook
+        [PIECE_TYPES.CAMP]: '\u2691'     // Barbarian camp
+    };
+
+    // Colour for owners a save no longer describes
+    static UNKNOWN_COLOR = { hex: 0x888888, css: '#888888' };
+
+    // ========================================
+    // TILES
+    // ========================================
+
+    /**
+     * Checkerboard tiles shaded by terrain, with a marker on all but plains
+     * @param {Phaser.GameObjects.Graphics} graphics - Cleared first
+     * @param {Array<Array<string>>} terrain - TERRAIN_TYPES grid, sized like the board
+     */
+    static drawTerrain(graphics, terrain) {
+        graphics.clear();
+
+        terrain.forEach((rowTerrain, row) => {
+            rowTerrain.forEach((type, col) => {
+                const colors = TERRAIN_COLORS[type];
+                const isLight = (row + col) % 2 === 0;
+                const x = BOARD_OFFSET + col * TILE_SIZE;
+                const y = BOARD_OFFSET + row * TILE_SIZE;
+
+                graphics.fillStyle(isLight ? colors.light : colors.dark);
+                graphics.fillRect(x, y, TILE_SIZE, TILE_SIZE);
+
+                if (colors.marker !== null) {
+                    BoardRenderer.drawTerrainMarker(graphics, x, y, type, colors.marker);
+                }
+            });
+        });
+    }
+
+    /**
+     * Small symbol in the corner of a terrain tile, kept clear of the piece in the middle
+     */
+    static drawTerrainMarker(g, x, y, type, color) {
+        const left = x + 6;
+        const bottom = y + TILE_SIZE - 6;
+
+        switch (type) {
+            case TERRAIN_TYPES.FOREST:
+                g.fillStyle(color, 0.8);
+                g.fillTriangle(left, bottom, left + 8, bottom, left + 4, bottom - 10);
+                g.fillTriangle(left + 7, bottom, left + 15, bottom, left + 11, bottom - 13);
+                break;
+            case TERRAIN_TYPES.HILLS:
+                g.lineStyle(2, color, 0.8);
+                g.beginPath();
+                g.arc(left + 6, bottom, 6, Math.PI, 0);
+                g.strokePath();
+                g.beginPath();
+                g.arc(left + 15, bottom, 5, Math.PI, 0);
+                g.strokePath();
+                break;
+            case TERRAIN_TYPES.MOUNTAINS:
+                g.fillStyle(color, 0.8);
+                g.fillTriangle(left, bottom, left + 18, bottom, left + 9, bottom - 16);
+                g.fillStyle(0xffffff, 0.7);
+                g.fillTriangle(left + 6, bottom - 10, left + 12, bottom - 10, left + 9, bottom - 16);
+                break;
+            case TERRAIN_TYPES.WATER:
+                g.lineStyle(2, color, 0.8);
+                [bottom - 8, bottom - 2].forEach(waveY => {
+                    g.strokePoints([
+                        { x: left, y: waveY },
+                        { x: left + 4, y: waveY - 3 },
+                        { x: left + 8, y: waveY },
+                        { x: left + 12, y: waveY - 3 },
+                        { x: left + 16, y: waveY }
+                    ]);
+                });
+                break;
+        }
+    }
+
+    /**
+     * Tint every owned tile in its owner's colour
+     * @param {Phaser.GameObjects.Graphics} graphics - Cleared first
+     * @param {Array<Array<number|null>>} tileOwnership - Owner of each tile, null if unowned
+     * @param {Function} getColor - Owner id to { hex, css }
+     */
+    static drawOwnership(graphics, tileOwnership, getColor) {
+        graphics.clear();
+
+        tileOwnership.forEach((rowOwners, row) => {
+            rowOwners.forEach((owner, col) => {
+                if (owner === null) return;
+                const color = getColor(owner);
+                const x = BOARD_OFFSET + col * TILE_SIZE;
+                const y = BOARD_OFFSET + row * TILE_SIZE;
+
+                graphics.fillStyle(color.hex, 0.25);
+                graphics.fillRoundedRect(x + 4, y + 4, TILE_SIZE - 8, TILE_SIZE - 8, 8);
+
+                graphics.lineStyle(2, color.hex, 0.5);
+                graphics.strokeRoundedRect(x + 4, y + 4, TILE_SIZE - 8, TILE_SIZE - 8, 8);
+            });
+        });
+    }
+
+    /**
+     * Column numbers under the board and row numbers to its left
+     */
+    static addCoordinates(scene, rows, cols) {
+        for (let i = 0; i < cols; i++) {
+            scene.add.text(
+                BOARD_OFFSET + i * TILE_SIZE + TILE_SIZE / 2,
+                BOARD_OFFSET + rows * TILE_SIZE + 10,
+                String(i + 1),
+                { fontSize: '14px', color: COLORS.textSecondary }
+            ).setOrigin(0.5);
+        }
+
+        for (let i = 0; i < rows; i++) {
+            scene.add.text(
+                BOARD_OFFSET - 15,
+                BOARD_OFFSET + i * TILE_SIZE + TILE_SIZE / 2,
+                String(i + 1),
+                { fontSize: '14px', color: COLORS.textSecondary }
+            ).setOrigin(0.5);
+        }
+    }
+
+    // ========================================
+    // PIECES
+    // ========================================
+
+    /**
+     * Colour of a piece or tile owner: grey for neutral cities, red for barbarians
+     * @param {number|string|null} ownerId
+     * @param {Array<Object>} playerColors - { hex, css } per player index
+     */
+    static getOwnerColor(ownerId, playerColors) {
+        if (ownerId === null) return NEUTRAL_COLOR;
+        if (ownerId === BARBARIAN_ID) return BARBARIAN_COLOR;
+        return playerColors[ownerId] || BoardRenderer.UNKNOWN_COLOR;
+    }
+
+    static getPieceSymbol(type) {
+        return UNIT_TYPES[type] ? UNIT_TYPES[type].glyph : BoardRenderer.PIECE_SYMBOLS[type];
+    }
+
+    /**
+     * Piece container centred on its tile: a ringed disc with the piece's
+     * symbol and a health bar shown while it is damaged. The parts are kept
+     * on the container as bgCircle, pieceText, healthBarBg and healthBarFill.
+     * @returns {Phaser.GameObjects.Container}
+     */
+    static createPieceSprite(scene, piece, color) {
+        const x = BOARD_OFFSET + piece.col * TILE_SIZE + TILE_SIZE / 2;
+        const y = BOARD_OFFSET + piece.row * TILE_SIZE + TILE_SIZE / 2;
+        const container = scene.add.container(x, y);
+
+        const bg = scene.add.circle(0, 0, TILE_SIZE / 2 - 6, 0x1a1a3a, 0.9);
+        bg.setStrokeStyle(3, color.hex);
+
+        const text = scene.add.text(0, 0, BoardRenderer.getPieceSymbol(piece.type), {
+            fontSize: '32px',
+            color: color.css
+        }).setOrigin(0.5);
+
+        const healthBarBg = scene.add.rectangle(0, -TILE_SIZE / 2 + 8, TILE_SIZE - 16, 8, 0x333333, 0.7);
+        healthBarBg.setStrokeStyle(1, 0x666666);
+        const healthBarFill = scene.add.rectangle(0, -TILE_SIZE / 2 + 8, TILE_SIZE - 16, 6, 0x00ff00);
+
+        container.add([bg, text, healthBarBg, healthBarFill]);
+        container.bgCircle = bg;
+        container.pieceText = text;
+        container.healthBarBg = healthBarBg;
+        container.healthBarFill = healthBarFill;
+
+        BoardRenderer.updateHealthBar(container, piece);
+        return container;
+    }
+
+    /**
+     * Show a damaged piece's health as a green, yellow or red bar; hide it at full health
+     */
+    static updateHealthBar(container, piece) {
+        const damaged = piece.hp < piece.maxHp;
+        container.healthBarBg.setVisible(damaged);
+        container.healthBarFill.setVisible(damaged);
+        if (!damaged) return;
+
+        const healthPercent = Math.max(0, piece.hp / piece.maxHp);
+        const barWidth = TILE_SIZE - 16;
+        container.healthBarFill.setSize(barWidth * healthPercent, 6);
+        container.healthBarFill.x = -barWidth / 2 + (barWidth * healthPercent) / 2;
+
+        let color = 0x00ff00;
+        if (healthPercent < 0.3) color = 0xff0000;
+        else if (healthPercent < 0.6) color = 0xffff00;
+        container.healthBarFill.setFillStyle(color);
+    }
+
+    /**
+     * Small label under a piece (production progress, custom hp)
+     * @returns {Phaser.GameObjects.Text}
+     */
+    static addPieceLabel(scene, container, text, backgroundColor = '#333333aa') {
+        const label = scene.add.text(0, TILE_SIZE / 2 - 12, text, {
+            fontSize: '10px',
+            color: '#ffffff',
+            backgroundColor: backgroundColor
+        }).setOrigin(0.5);
+        container.add(label);
+        return label;
+    }
+
+    /**
+     * City population in the bottom-left corner of a piece
+     * @returns {Phaser.GameObjects.Text}
+     */
+    static addPopulationLabel(scene, container, text) {
+        const label = scene.add.text(-TILE_SIZE / 2 + 8, TILE_SIZE / 2 - 12, text, {
+            fontSize: '10px',
+            color: '#ffffff',
+            backgroundColor: '#226622aa'
+        }).setOrigin(0.5);
+        container.add(label);
+        return label;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BoardRenderer };
+}
@@ -0,0 +1,79 @@
+// ============================================
+// FILE I/O (browser only)
+// ============================================
+/**
+ * FileIO - Downloads and file picking for the formats that can be moved in
+ * and out of the game as files: saves (SaveFile), notation (Notation) and
+ * scenarios (Scenario).
+ */
+class FileIO {
+    // How long after the page regains focus a file choice may still arrive
+    // before the dialog counts as cancelled, for browsers without a cancel event
+    static CANCEL_GRACE = 500;
+
+    /**
+     * Offer text as a file download
+     * @param {string} text - File contents
+     * @param {string} fileName - Suggested name, see safeName
+     * @param {string} type - MIME type
+     */
+    static download(text, fileName, type) {
+        const blob = new Blob([text], { type: type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * A name with everything but letters, digits, _ and - replaced, for file names
+     */
+    static safeName(name) {
+        return name.replace(/[^\w-]+/g, '_');
+    }
+
+    /**
+     * Let the player choose a text file
+     * @param {string} accept - File types the dialog offers
+     * @returns {Promise<string|null>} The file's text, or null if the dialog is cancelled
+     */
+    static pickFile(accept) {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = accept;
+
+            let settled = false;
+            const settle = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                window.removeEventListener('focus', onFocus);
+                callback(value);
+            };
+            // Browsers without the input's cancel event still give the page its focus back
+            const onFocus = () => setTimeout(() => {
+                if (input.files.length === 0) settle(resolve, null);
+            }, FileIO.CANCEL_GRACE);
+
+            input.addEventListener('cancel', () => settle(resolve, null));
+            input.addEventListener('change', () => {
+                const file = input.files[0];
+                if (!file) {
+                    settle(resolve, null);
+                    return;
+                }
+                const reader = new FileReader();
+                reader.onload = () => settle(resolve, reader.result);
+                reader.onerror = () => settle(reject, new Error(`Could not read ${file.name}`));
+                reader.readAsText(file);
+            });
+            window.addEventListener('focus', onFocus);
+            input.click();
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FileIO };
+}
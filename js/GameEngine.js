@@ -2,25 +2,83 @@
 // GAME ENGINE
 // ============================================
 class GameEngine {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.storage] - Storage backend passed to GameHistory (defaults to localStorage)
+     * @param {boolean} [options.autoSave=true] - Persist history to storage shortly after each change
+     * @param {boolean} [options.logToConsole=true] - Echo action log entries to the console
+     * @param {number|string} [options.seed] - Default seed for games set up by this engine
+     * @param {number} [options.rows] - Default board rows for games set up by this engine
+     * @param {number} [options.cols] - Default board columns for games set up by this engine
+     * @param {string} [options.mapPreset] - Default MAP_PRESETS key for games set up by this engine
+     * @param {boolean} [options.neutralCities] - Default for placing neutral cities
+     * @param {boolean} [options.barbarians] - Default for adding the barbarian faction
+     * @param {Object} [options.victory] - Default victory settings (see VICTORY_DEFAULTS)
+     * @param {boolean} [options.fogOfWar] - Default for hiding what players' pieces cannot see
+     * @param {string|Object} [options.ruleset] - Default RULESET_PRESETS key or custom ruleset
+     */
+    constructor(options = {}) {
+        this.options = options;
         this.reset();
     }
 
     reset() {
         this.players = [];
         this.currentPlayerIndex = 0;
+        this.rows = BOARD_SIZE;
+        this.cols = BOARD_SIZE;
         this.board = this.createEmptyBoard();
         this.pieces = [];
         this.tileOwnership = this.createEmptyBoard();
+        this.terrain = this.createTerrainGrid();
+        this.mapPreset = DEFAULT_MAP_PRESET;
+        this.scenarioName = null; // set for games started from a scenario
+        this.barbarians = { enabled: false, round: 0 }; // round counts completed rounds for spawning
+        this.barbarianTurn = false; // true while the engine moves the barbarians
+        this.barbarianAI = null;
+        this.fogOfWar = false; // players only see the tiles near their own pieces
+        this.fogMemory = {}; // playerId -> what they have seen (see updateFog)
+        this.fogVisible = {}; // playerId -> tiles in sight right now, rebuilt by updateFog
         this.actionLog = [];
         this.gameOver = false;
         this.winner = null;
+        this.victory = GameEngine.normalizeVictory(); // victory modes and thresholds for this game
+        this.victoryType = null; // VICTORY_TYPES value the game was won by
+        this.ruleset = GameEngine.normalizeRuleset(); // house rules for this game (see RULESET_PRESETS)
+        this.capitals = {}; // playerId -> id of their starting city
+        this.mapBalance = null; // MapGenerator balance of a newly generated map, { areas, ratio, fair }
+        this.territorialHeld = {}; // playerId -> own turns in a row ended above the territorial share
         this.turnNumber = 0;
-        this.history = new GameHistory();
+        this.round = 0; // completed rounds (every player has had a turn)
+        this.nextPieceId = 1;
+        this.rng = new SeededRandom(SeededRandom.generateSeed());
+        this.seeded = false; // true when the seed was chosen rather than generated
+        this.undoStack = [];
+        this.redoStack = [];
+        this.aiManager = null; // Set by AIManager so saves can include AI memory
+        this.restoredAIState = null; // AI memory from a loaded save, consumed by AIManager
+        this.history = new GameHistory(this.options.storage, { autoSave: this.options.autoSave });
+    }
+
+    /**
+     * Resize the board and clear it. Sizes outside MIN_BOARD_SIZE..MAX_BOARD_SIZE are clamped.
+     */
+    setBoardSize(rows, cols) {
+        this.rows = GameEngine.clampBoardSize(rows);
+        this.cols = GameEngine.clampBoardSize(cols);
+        this.board = this.createEmptyBoard();
+        this.tileOwnership = this.createEmptyBoard();
+        this.terrain = this.createTerrainGrid();
+    }
+
+    static clampBoardSize(size) {
+        const value = Math.round(Number(size));
+        if (!Number.isFinite(value)) return BOARD_SIZE;
+        return Math.min(MAX_BOARD_SIZE, Math.max(MIN_BOARD_SIZE, value));
     }
 
     createEmptyBoard() {
-        return Array(BOARD_SIZE).fill(null).map(() => Array(BOARD_SIZE).fill(null));
+        return Array(this.rows).fill(null).map(() => Array(this.cols).fill(null));
     }
 
     log(action, details) {
@@ -32,12 +90,38 @@ class GameEngine {
             timestamp: Date.now()
         };
         this.actionLog.push(entry);
-        console.log(`[${entry.player}] ${action}:`, details);
+        if (this.options.logToConsole !== false) {
+            console.log(`[${entry.player}] ${action}:`, details);
+        }
         return entry;
     }
 
-    setupGame(playerConfigs) {
+    /**
+     * Start a new game
+     * @param {Array<Object>} playerConfigs - { color, isAI, aiDifficulty } per seat
+     * @param {Object} [options]
+     * @param {number|string} [options.seed] - RNG seed; the same seed and inputs replay identically
+     * @param {number} [options.rows] - Board rows (MIN_BOARD_SIZE to MAX_BOARD_SIZE)
+     * @param {number} [options.cols] - Board columns (MIN_BOARD_SIZE to MAX_BOARD_SIZE)
+     * @param {string} [options.mapPreset] - MAP_PRESETS key (defaults to DEFAULT_MAP_PRESET)
+     * @param {boolean} [options.neutralCities=false] - Place unowned cities between the capitals
+     * @param {boolean} [options.barbarians=false] - Add barbarian camps that raid every player
+     * @param {Object} [options.victory] - Victory modes and thresholds (see VICTORY_DEFAULTS)
+     * @param {boolean} [options.fogOfWar=false] - Hide tiles beyond the sight of each player's pieces
+     * @param {string|Object} [options.ruleset] - RULESET_PRESETS key or custom ruleset (defaults to DEFAULT_RULESET)
+     */
+    setupGame(playerConfigs, options = {}) {
         this.reset();
+        this.setBoardSize(
+            options.rows ?? this.options.rows ?? BOARD_SIZE,
+            options.cols ?? this.options.cols ?? BOARD_SIZE
+        );
+
+        const chosenSeed = options.seed ?? this.options.seed ?? null;
+        this.seeded = chosenSeed !== null;
+        this.rng = new SeededRandom(chosenSeed ?? SeededRandom.generateSeed());
+        this.victory = GameEngine.normalizeVictory(options.victory ?? this.options.victory);
+        this.ruleset = GameEngine.normalizeRuleset(options.ruleset ?? this.options.ruleset);
 
         // Create players
         playerConfigs.forEach((config, index) => {
@@ -45,10 +129,13 @@ class GameEngine {
                 id: index,
                 name: `Player ${index + 1}`,
                 color: config.color,
-                techScore: 0,
+                techs: [], // TECHS ids learned, in order
+                research: null, // TECHS id being researched
+                sciencePoints: 0, // research points not yet spent on a tech
                 isHuman: !config.isAI,
                 isAI: config.isAI || false,
                 aiDifficulty: config.aiDifficulty || AI_DIFFICULTY.MEDIUM,
+                aiPersonality: config.aiPersonality || null, // assigned by AIManager if not chosen
                 relations: {} // will be filled with peace/war status
             });
         });
@@ -62,26 +149,57 @@ class GameEngine {
             });
         });
 
-        // Place starting cities randomly on one end for each player
-        this.placeStartingPieces();
-
-        this.log('GAME_START', { players: this.players.length });
+        // Lay out capitals, terrain, neutral cities and barbarian camps from the map preset
+        this.barbarians.enabled = !!(options.barbarians ?? this.options.barbarians);
+        const map = new MapGenerator(this.rows, this.cols, this.rng).generate(this.players.length, {
+            preset: options.mapPreset ?? this.options.mapPreset,
+            neutralCities: options.neutralCities ?? this.options.neutralCities,
+            barbarians: this.barbarians.enabled
+        });
+        this.mapPreset = map.preset;
+        this.mapBalance = map.balance;
+        this.terrain = map.terrain;
+        this.placeStartingPieces(map.capitals);
+        this.placeNeutralCities(map.neutralCities);
+        this.placeBarbarianCamps(map.barbarianCamps);
+
+        this.fogOfWar = !!(options.fogOfWar ?? this.options.fogOfWar);
+        this.updateFog();
+
+        this.log('GAME_START', {
+            players: this.players.length,
+            seed: this.rng.seed,
+            rows: this.rows,
+            cols: this.cols,
+            mapPreset: this.mapPreset,
+            barbarians: this.barbarians.enabled,
+            victory: this.victory.modes,
+            ruleset: this.ruleset.name
+        });
+        this.log('MAP_BALANCE', map.balance);
 
         // Initialize history tracking
-        this.history.initGame(this.players);
+        this.history.initGame(this.players, this.rng.seed, {
+            rows: this.rows,
+            cols: this.cols,
+            terrain: this.terrain,
+            mapPreset: this.mapPreset,
+            victory: this.victory,
+            fogOfWar: this.fogOfWar,
+            ruleset: this.ruleset
+        });
         this.history.captureSnapshot(this, 'GAME_START', { players: this.players.length });
 
         return true;
     }
 
-    placeStartingPieces() {
-        const startingPositions = this.getStartingPositions(this.players.length);
-
+    placeStartingPieces(startingPositions) {
         startingPositions.forEach((pos, playerIndex) => {
             // Create starting city
             const city = this.createPiece(PIECE_TYPES.CITY, playerIndex, pos.row, pos.col);
             this.pieces.push(city);
             this.board[pos.row][pos.col] = city;
+            this.capitals[playerIndex] = city.id;
 
             // Own the tile
             this.tileOwnership[pos.row][pos.col] = playerIndex;
@@ -96,26 +214,132 @@ class GameEngine {
         });
     }
 
-    getStartingPositions(numPlayers) {
-        const positions = [];
-        const corners = [
-            { row: 0, col: 0 },
-            { row: 0, col: BOARD_SIZE - 1 },
-            { row: BOARD_SIZE - 1, col: 0 },
-            { row: BOARD_SIZE - 1, col: BOARD_SIZE - 1 }
-        ];
+    /**
+     * Unowned cities that any player may attack and capture
+     */
+    placeNeutralCities(positions) {
+        positions.forEach(pos => {
+            const city = this.createPiece(PIECE_TYPES.CITY, null, pos.row, pos.col);
+            this.pieces.push(city);
+            this.board[pos.row][pos.col] = city;
+        });
+    }
 
-        // Shuffle corners
-        for (let i = corners.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [corners[i], corners[j]] = [corners[j], corners[i]];
+    /**
+     * Start a new game from a hand-made scenario (see Scenario and MapEditorScene)
+     * @param {Object} scenario - Scenario JSON
+     * @param {Object} [options]
+     * @param {number|string} [options.seed] - RNG seed (defaults to the scenario's seed, if any)
+     * @param {Object} [options.victory] - Victory settings (defaults to the scenario's, if any)
+     * @param {string|Object} [options.ruleset] - Ruleset (defaults to the scenario's, if any)
+     * @throws {Error} if the scenario is not playable
+     */
+    loadScenario(scenario, options = {}) {
+        const problem = Scenario.validate(scenario);
+        if (problem) {
+            throw new Error(problem);
         }
 
-        for (let i = 0; i < numPlayers; i++) {
-            positions.push(corners[i]);
+        this.reset();
+        this.setBoardSize(scenario.rows, scenario.cols);
+
+        const chosenSeed = options.seed ?? scenario.seed ?? this.options.seed ?? null;
+        this.seeded = chosenSeed !== null;
+        this.rng = new SeededRandom(chosenSeed ?? SeededRandom.generateSeed());
+        this.victory = GameEngine.normalizeVictory(options.victory ?? scenario.victory ?? this.options.victory);
+        this.ruleset = GameEngine.normalizeRuleset(options.ruleset ?? scenario.ruleset ?? this.options.ruleset);
+
+        scenario.players.forEach((config, index) => {
+            this.players.push({
+                id: index,
+                name: `Player ${index + 1}`,
+                color: PLAYER_COLORS[config.colorIndex],
+                techs: GameEngine.techsForLevel(config.techScore),
+                research: null,
+                sciencePoints: 0,
+                isHuman: !config.isAI,
+                isAI: config.isAI || false,
+                aiDifficulty: config.aiDifficulty || AI_DIFFICULTY.MEDIUM,
+                aiPersonality: null,
+                relations: {}
+            });
+        });
+
+        this.players.forEach((player, i) => {
+            this.players.forEach((other, j) => {
+                if (i !== j) {
+                    player.relations[j] = 'peace';
+                }
+            });
+        });
+        scenario.wars.forEach(([a, b]) => {
+            this.players[a].relations[b] = 'war';
+            this.players[b].relations[a] = 'war';
+        });
+
+        this.mapPreset = null;
+        this.scenarioName = scenario.name || null;
+        if (scenario.terrain) {
+            this.terrain = scenario.terrain.map(row => row.slice());
         }
+        this.tileOwnership = scenario.tileOwnership.map(row => row.slice());
 
-        return positions;
+        scenario.pieces.forEach(p => {
+            const piece = this.createPiece(p.type, p.ownerId, p.row, p.col);
+            if (p.hp !== undefined && p.hp !== null) {
+                piece.hp = p.hp;
+                piece.maxHp = Math.max(piece.maxHp, p.hp);
+            }
+            this.pieces.push(piece);
+            this.board[p.row][p.col] = piece;
+
+            // Each player's first listed city is their capital
+            if (p.type === PIECE_TYPES.CITY && p.ownerId !== null && this.capitals[p.ownerId] === undefined) {
+                this.capitals[p.ownerId] = piece.id;
+            }
+
+            // Cities always stand on their owner's tile; camps stand on unclaimed land
+            if (p.type === PIECE_TYPES.CAMP) {
+                this.tileOwnership[p.row][p.col] = null;
+            } else if (p.type === PIECE_TYPES.CITY) {
+                this.tileOwnership[p.row][p.col] = p.ownerId;
+            }
+        });
+
+        this.currentPlayerIndex = scenario.currentPlayer;
+        this.barbarians.enabled = !!scenario.barbarians ||
+            scenario.pieces.some(p => p.ownerId === BARBARIAN_ID);
+
+        this.log('GAME_START', {
+            players: this.players.length,
+            seed: this.rng.seed,
+            rows: this.rows,
+            cols: this.cols,
+            scenario: this.scenarioName,
+            barbarians: this.barbarians.enabled,
+            victory: this.victory.modes,
+            ruleset: this.ruleset.name
+        });
+
+        this.history.initGame(this.players, this.rng.seed, {
+            rows: this.rows,
+            cols: this.cols,
+            terrain: this.terrain,
+            mapPreset: null,
+            scenario: this.scenarioName,
+            victory: this.victory,
+            ruleset: this.ruleset
+        });
+        this.history.captureSnapshot(this, 'GAME_START', { players: this.players.length });
+
+        return true;
+    }
+
+    /**
+     * Most players a board can seat
+     */
+    static getMaxPlayers(rows = BOARD_SIZE, cols = BOARD_SIZE) {
+        return rows * cols >= LARGE_BOARD_MIN_TILES ? MAX_PLAYERS_LARGE_BOARD : MAX_PLAYERS;
     }
 
     findAdjacentEmptyTile(row, col) {
@@ -127,7 +351,7 @@ class GameEngine {
         for (const [dr, dc] of directions) {
             const newRow = row + dr;
             const newCol = col + dc;
-            if (this.isValidTile(newRow, newCol) && !this.board[newRow][newCol]) {
+            if (this.isValidTile(newRow, newCol) && this.isPassable(newRow, newCol) && !this.board[newRow][newCol]) {
                 return { row: newRow, col: newCol };
             }
         }
@@ -136,27 +360,33 @@ class GameEngine {
 
     createPiece(type, ownerId, row, col) {
         const baseStats = {
-            [PIECE_TYPES.CITY]: { hp: 4, maxHp: 4, damage: 0 },
-            [PIECE_TYPES.WARRIOR]: { hp: 1, maxHp: 1, damage: 1 },
-            [PIECE_TYPES.SETTLER]: { hp: 1, maxHp: 1, damage: 0 }
+            [PIECE_TYPES.CITY]: { hp: this.ruleset.cityHp, maxHp: this.ruleset.cityHp, damage: 0 },
+            [PIECE_TYPES.CAMP]: { hp: 3, maxHp: 3, damage: 0 }
         };
 
-        const stats = baseStats[type];
-        const player = this.players[ownerId];
+        const unit = UNIT_TYPES[type];
+        const stats = unit ? { hp: unit.hp, maxHp: unit.hp, damage: unit.damage } : baseStats[type];
+
+        // Cities on defensible terrain are sturdier
+        if (type === PIECE_TYPES.CITY) {
+            const hpBonus = TERRAIN_RULES[this.terrain[row][col]].cityHpBonus;
+            stats.hp += hpBonus;
+            stats.maxHp += hpBonus;
+        }
 
         // Apply tech bonuses
-        if (player && player.techScore > 0) {
-            if (type === PIECE_TYPES.CITY || type === PIECE_TYPES.WARRIOR) {
-                stats.hp += player.techScore;
-                stats.maxHp += player.techScore;
-            }
-            if (type === PIECE_TYPES.WARRIOR) {
-                stats.damage += player.techScore;
-            }
+        const bonus = this.getTechBonus(ownerId);
+        if (type === PIECE_TYPES.CITY) {
+            stats.hp += bonus.cityHp;
+            stats.maxHp += bonus.cityHp;
+        } else if (GameEngine.isMilitary(type)) {
+            stats.hp += bonus.hp;
+            stats.maxHp += bonus.hp;
+            stats.damage += bonus.damage;
         }
 
         return {
-            id: `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `${type}_${this.nextPieceId++}`,
             type: type,
             ownerId: ownerId,
             row: row,
@@ -168,12 +398,16 @@ class GameEngine {
             production: null,
             productionProgress: 0,
             productionPaused: false,
-            repeatProduction: true
+            repeatProduction: true,
+            population: type === PIECE_TYPES.CITY ? CITY_ECONOMY.startPopulation : 0,
+            food: 0
         };
     }
 
+    // Whole-number coordinates only: strings or fractions from a network action would end up in piece.row
     isValidTile(row, col) {
-        return row >= 0 && row < BOARD_SIZE && col >= 0 && col < BOARD_SIZE;
+        return Number.isInteger(row) && Number.isInteger(col) &&
+            row >= 0 && row < this.rows && col >= 0 && col < this.cols;
     }
 
     getCurrentPlayer() {
@@ -185,67 +419,93 @@ class GameEngine {
             return { valid: false, reason: 'Out of bounds' };
         }
 
+        // Only the player whose turn it is may move, and only their own pieces
+        const actingId = this.barbarianTurn ? BARBARIAN_ID : this.currentPlayerIndex;
+        if (piece.ownerId !== actingId) {
+            return { valid: false, reason: 'Not your piece' };
+        }
+
         if (piece.hasMoved) {
             return { valid: false, reason: 'Piece has already moved this turn' };
         }
 
-        if (piece.type === PIECE_TYPES.CITY) {
-            return { valid: false, reason: 'Cities cannot move' };
+        const unit = UNIT_TYPES[piece.type];
+        if (!unit) {
+            return { valid: false, reason: `${piece.type === PIECE_TYPES.CITY ? 'Cities' : 'Camps'} cannot move` };
+        }
+
+        const rowDiff = Math.abs(targetRow - piece.row);
+        const colDiff = Math.abs(targetCol - piece.col);
+        const distance = Math.max(rowDiff, colDiff);
+        if (distance === 0) {
+            return { valid: false, reason: 'Must move to a different tile' };
+        }
+
+        // Ranged units hit targets in reach without moving
+        const targetPiece = this.board[targetRow][targetCol];
+        if (unit.attack === 'ranged' && targetPiece && distance <= unit.range) {
+            if (targetPiece.ownerId === piece.ownerId) {
+                return { valid: false, reason: 'Cannot attack own piece' };
+            }
+            if (this.getRelation(piece.ownerId, targetPiece.ownerId) === 'peace') {
+                return { valid: false, reason: 'Cannot attack player at peace' };
+            }
+            return { valid: true, ranged: true };
+        }
+
+        if (!this.isPassable(targetRow, targetCol)) {
+            return { valid: false, reason: `Cannot enter ${TERRAIN_RULES[this.terrain[targetRow][targetCol]].name.toLowerCase()}` };
         }
 
-        const currentPlayer = this.players[piece.ownerId];
         const tileOwner = this.tileOwnership[targetRow][targetCol];
 
         // Check tile ownership restrictions
         if (tileOwner !== null && tileOwner !== piece.ownerId) {
-            const relation = currentPlayer.relations[tileOwner];
+            const relation = this.getRelation(piece.ownerId, tileOwner);
             if (relation === 'peace') {
                 return { valid: false, reason: 'Cannot move onto tile owned by player at peace' };
             }
         }
 
-        // Check movement range
-        const rowDiff = Math.abs(targetRow - piece.row);
-        const colDiff = Math.abs(targetCol - piece.col);
-
-        if (piece.type === PIECE_TYPES.WARRIOR) {
-            // Warriors move 1 tile including diagonals
-            if (rowDiff > 1 || colDiff > 1) {
-                return { valid: false, reason: 'Warriors can only move 1 tile' };
-            }
-            if (rowDiff === 0 && colDiff === 0) {
-                return { valid: false, reason: 'Must move to a different tile' };
-            }
-        } else if (piece.type === PIECE_TYPES.SETTLER) {
-            // Settlers move up to 3 tiles orthogonally (no diagonal)
-            if (rowDiff > 0 && colDiff > 0) {
-                return { valid: false, reason: 'Settlers cannot move diagonally' };
-            }
-            if (rowDiff > 3 || colDiff > 3) {
-                return { valid: false, reason: 'Settlers can only move up to 3 tiles' };
-            }
-            if (rowDiff === 0 && colDiff === 0) {
-                return { valid: false, reason: 'Must move to a different tile' };
-            }
-            // Check path is clear for settler
-            if (!this.isPathClear(piece.row, piece.col, targetRow, targetCol)) {
-                return { valid: false, reason: 'Path is blocked' };
-            }
+        // Check movement range: straight lines, as far as the unit moves that way
+        const diagonal = rowDiff > 0 && colDiff > 0;
+        if (diagonal && rowDiff !== colDiff) {
+            return { valid: false, reason: `${unit.plural} move in straight lines` };
+        }
+        const movement = this.getMovement(piece.type, piece.ownerId);
+        const reach = diagonal ? movement.diagonal : movement.orthogonal;
+        if (reach === 0) {
+            return { valid: false, reason: `${unit.plural} cannot move ${diagonal ? 'diagonally' : 'orthogonally'}` };
+        }
+        if (distance > reach) {
+            const way = movement.orthogonal === movement.diagonal ? '' : (diagonal ? ' diagonally' : ' orthogonally');
+            return { valid: false, reason: `${unit.plural} can only move ${reach} tile${reach === 1 ? '' : 's'}${way}` };
+        }
+        if (distance > 1 && !this.isPathClear(piece.row, piece.col, targetRow, targetCol)) {
+            return { valid: false, reason: 'Path is blocked' };
+        }
+        if (unit.terrainCost && this.getSettlerPathCost(piece.row, piece.col, targetRow, targetCol) > reach) {
+            return { valid: false, reason: 'Not enough movement to cross that terrain' };
         }
 
-        // Check for blockade (two warriors on opposite diagonal of a 2x2 square)
-        if (this.isBlockedByBlockade(piece.row, piece.col, targetRow, targetCol, piece.ownerId)) {
-            return { valid: false, reason: 'Blocked by enemy blockade' };
+        // Check for blockade (two warriors on opposite diagonal of a 2x2 square) at every step
+        const rowDir = Math.sign(targetRow - piece.row);
+        const colDir = Math.sign(targetCol - piece.col);
+        for (let step = 0; step < distance; step++) {
+            const fromRow = piece.row + rowDir * step;
+            const fromCol = piece.col + colDir * step;
+            if (this.isBlockedByBlockade(fromRow, fromCol, fromRow + rowDir, fromCol + colDir, piece.ownerId)) {
+                return { valid: false, reason: 'Blocked by enemy blockade' };
+            }
         }
 
         // Check for piece collision
-        const targetPiece = this.board[targetRow][targetCol];
         if (targetPiece) {
-            if (piece.type === PIECE_TYPES.SETTLER) {
-                return { valid: false, reason: 'Settlers cannot attack' };
+            if (!unit.attack) {
+                return { valid: false, reason: `${unit.plural} cannot attack` };
             }
-            if (piece.type === PIECE_TYPES.WARRIOR) {
-                const relation = currentPlayer.relations[targetPiece.ownerId];
+            if (unit.attack === 'melee') {
+                const relation = this.getRelation(piece.ownerId, targetPiece.ownerId);
                 if (relation === 'peace') {
                     return { valid: false, reason: 'Cannot attack player at peace' };
                 }
@@ -266,7 +526,7 @@ class GameEngine {
         let c = fromCol + colDir;
 
         while (r !== toRow || c !== toCol) {
-            if (this.board[r][c]) {
+            if (this.board[r][c] || !this.isPassable(r, c)) {
                 return false;
             }
             r += rowDir;
@@ -278,8 +538,8 @@ class GameEngine {
 
     /**
      * Check if movement is blocked by a blockade.
-     * A blockade forms when two warriors from the same player occupy diagonal
-     * corners of a 2x2 square. Pieces cannot cross between them diagonally.
+     * A blockade forms when two military units from the same player occupy
+     * diagonal corners of a 2x2 square. Pieces cannot cross between them diagonally.
      *
      * Example: Warriors at positions marked W form a blockade:
      *   W .    or    . W
@@ -308,9 +568,9 @@ class GameEngine {
         const piece1 = this.board[pos1Row]?.[pos1Col];
         const piece2 = this.board[pos2Row]?.[pos2Col];
 
-        // Both positions must have warriors from the same player
+        // Both positions must have military units from the same player
         if (!piece1 || !piece2) return false;
-        if (piece1.type !== PIECE_TYPES.WARRIOR || piece2.type !== PIECE_TYPES.WARRIOR) return false;
+        if (!GameEngine.isMilitary(piece1.type) || !GameEngine.isMilitary(piece2.type)) return false;
         if (piece1.ownerId !== piece2.ownerId) return false;
 
         // A player's own blockade does not block their own pieces
@@ -321,34 +581,40 @@ class GameEngine {
 
     getValidMoves(piece) {
         const moves = [];
+        const unit = UNIT_TYPES[piece.type];
 
-        if (piece.type === PIECE_TYPES.CITY || piece.hasMoved) {
+        if (!unit || piece.hasMoved) {
             return moves;
         }
 
-        if (piece.type === PIECE_TYPES.WARRIOR) {
-            // Check all 8 adjacent tiles
-            for (let dr = -1; dr <= 1; dr++) {
-                for (let dc = -1; dc <= 1; dc++) {
-                    if (dr === 0 && dc === 0) continue;
-                    const newRow = piece.row + dr;
-                    const newCol = piece.col + dc;
+        // Walk out along each line the unit moves on
+        const movement = this.getMovement(piece.type, piece.ownerId);
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                if (dr === 0 && dc === 0) continue;
+                const reach = dr !== 0 && dc !== 0 ? movement.diagonal : movement.orthogonal;
+                for (let dist = 1; dist <= reach; dist++) {
+                    const newRow = piece.row + dr * dist;
+                    const newCol = piece.col + dc * dist;
                     if (this.canMoveTo(piece, newRow, newCol).valid) {
                         moves.push({ row: newRow, col: newCol });
+                    } else {
+                        break; // Can't go further in this direction
                     }
                 }
             }
-        } else if (piece.type === PIECE_TYPES.SETTLER) {
-            // Check orthogonal moves up to 3 tiles
-            const directions = [[-1, 0], [1, 0], [0, -1], [0, 1]];
-            for (const [dr, dc] of directions) {
-                for (let dist = 1; dist <= 3; dist++) {
-                    const newRow = piece.row + dr * dist;
-                    const newCol = piece.col + dc * dist;
+        }
+
+        // Ranged units can also shoot at targets beyond their move
+        if (unit.attack === 'ranged') {
+            for (let dr = -unit.range; dr <= unit.range; dr++) {
+                for (let dc = -unit.range; dc <= unit.range; dc++) {
+                    const newRow = piece.row + dr;
+                    const newCol = piece.col + dc;
+                    if (!this.isValidTile(newRow, newCol) || !this.board[newRow][newCol]) continue;
+                    if (moves.some(m => m.row === newRow && m.col === newCol)) continue;
                     if (this.canMoveTo(piece, newRow, newCol).valid) {
                         moves.push({ row: newRow, col: newCol });
-                    } else {
-                        break; // Can't go further in this direction
                     }
                 }
             }
@@ -368,14 +634,22 @@ class GameEngine {
         let combatResult = null;
 
         // Handle combat
-        if (targetPiece && piece.type === PIECE_TYPES.WARRIOR) {
+        if (targetPiece) {
             combatResult = this.resolveCombat(piece, targetPiece);
             if (!combatResult.attackerSurvived) {
                 return { success: true, combat: combatResult };
             }
-            // If defender survived OR city was captured, attacker stays at original position
-            if (!combatResult.defenderDestroyed || combatResult.cityFlipped) {
+            // If defender survived, city was captured or the attack was ranged, attacker stays at original position
+            if (canMove.ranged || !combatResult.defenderDestroyed || combatResult.cityFlipped || combatResult.cityRazed) {
                 piece.hasMoved = true;
+
+                // Recorded so the history holds every action, including attacks that moved nothing
+                this.history.captureSnapshot(this, 'ATTACK', {
+                    piece: piece.id,
+                    target: { row: targetRow, col: targetCol },
+                    combat: combatResult
+                });
+
                 return {
                     success: true,
                     combat: combatResult,
@@ -393,13 +667,14 @@ class GameEngine {
         this.board[targetRow][targetCol] = piece;
         piece.hasMoved = true;
 
-        // Warriors flip tile ownership only if owned by enemy at war
-        if (piece.type === PIECE_TYPES.WARRIOR) {
+        // Military units flip tile ownership only if owned by enemy at war.
+        // Barbarians claim nothing; they pillage the tile back to unowned.
+        if (GameEngine.isMilitary(piece.type)) {
             const tileOwner = this.tileOwnership[targetRow][targetCol];
             if (tileOwner !== null && tileOwner !== piece.ownerId) {
-                const relation = this.players[piece.ownerId].relations[tileOwner];
+                const relation = this.getRelation(piece.ownerId, tileOwner);
                 if (relation === 'war') {
-                    this.tileOwnership[targetRow][targetCol] = piece.ownerId;
+                    this.tileOwnership[targetRow][targetCol] = piece.ownerId === BARBARIAN_ID ? null : piece.ownerId;
                 }
             }
         }
@@ -425,24 +700,34 @@ class GameEngine {
         const result = {
             attacker: attacker.id,
             defender: defender.id,
-            damageDealt: attacker.damage,
+            damageDealt: this.getAttackDamage(attacker, defender),
             defenderDestroyed: false,
             cityFlipped: false,
+            cityRazed: false,
             attackerSurvived: true,
             elimination: null
         };
 
-        defender.hp -= attacker.damage;
+        defender.hp -= result.damageDealt;
 
         if (defender.hp <= 0) {
             result.defenderDestroyed = true;
 
-            if (defender.type === PIECE_TYPES.CITY) {
+            if (defender.type === PIECE_TYPES.CITY && attacker.ownerId === BARBARIAN_ID) {
+                // Barbarians burn the city and raise a camp in its place
+                result.defenderDestroyed = false;
+                result.cityRazed = true;
+                this.razeCity(defender);
+                if (originalOwnerId !== null) {
+                    result.elimination = this.checkPlayerElimination(originalOwnerId, BARBARIAN_ID);
+                }
+            } else if (defender.type === PIECE_TYPES.CITY) {
                 // City is captured
-                defender.hp = Math.ceil(defender.maxHp / 3);
+                defender.hp = Math.ceil(defender.maxHp / this.ruleset.captureHpDivisor);
                 defender.ownerId = attacker.ownerId;
                 defender.production = null;
                 defender.productionProgress = 0;
+                defender.food = 0;
                 result.cityFlipped = true;
                 result.defenderDestroyed = false;
                 this.tileOwnership[defender.row][defender.col] = attacker.ownerId;
@@ -455,11 +740,16 @@ class GameEngine {
                     previousOwner: originalOwnerId
                 });
 
-                // Check for player elimination
-                result.elimination = this.checkPlayerElimination(originalOwnerId);
+                // Check for player elimination (neutral cities have nobody to eliminate)
+                if (originalOwnerId !== null) {
+                    result.elimination = this.checkPlayerElimination(originalOwnerId);
+                }
             } else {
                 // Remove the piece
                 this.removePiece(defender);
+                if (defender.type === PIECE_TYPES.CAMP) {
+                    this.rewardCampDestroyed(attacker.ownerId, defender);
+                }
             }
         }
 
@@ -477,30 +767,35 @@ class GameEngine {
         this.log('PIECE_REMOVED', { piece: piece.id });
     }
 
-    checkPlayerElimination(playerId) {
+    /**
+     * @param {number} playerId - Player who just lost a city
+     * @param {number|string} [conquerer] - Who took it (BARBARIAN_ID for barbarians)
+     */
+    checkPlayerElimination(playerId, conquerer = this.currentPlayerIndex) {
         const playerCities = this.pieces.filter(p =>
             p.type === PIECE_TYPES.CITY && p.ownerId === playerId
         );
 
         if (playerCities.length === 0) {
             // Player is eliminated
-            const conquerer = this.currentPlayerIndex;
 
-            // Get warriors and settlers separately
+            // Get military units and the rest (settlers) separately
             const playerWarriors = this.pieces.filter(p =>
-                p.ownerId === playerId && p.type === PIECE_TYPES.WARRIOR
+                p.ownerId === playerId && GameEngine.isMilitary(p.type)
             );
             const playerSettlers = this.pieces.filter(p =>
-                p.ownerId === playerId && p.type === PIECE_TYPES.SETTLER
+                p.ownerId === playerId && UNIT_TYPES[p.type] && !GameEngine.isMilitary(p.type)
             );
 
-            // 25% of warriors are converted, at least 1 if any warriors exist
+            // One in conversionDivisor warriors is converted, at least conversionMin if any exist
+            const { conversionDivisor, conversionMin } = this.ruleset;
             const warriorsToConvert = playerWarriors.length > 0
-                ? Math.max(1, Math.floor(playerWarriors.length * 0.25))
+                ? Math.min(playerWarriors.length,
+                    Math.max(conversionMin, Math.floor(playerWarriors.length / conversionDivisor)))
                 : 0;
 
             // Shuffle warriors to randomly select which ones to convert
-            const shuffledWarriors = [...playerWarriors].sort(() => Math.random() - 0.5);
+            const shuffledWarriors = this.rng.shuffle([...playerWarriors]);
 
             const convertedUnits = [];
             const destroyedUnits = [];
@@ -513,8 +808,8 @@ class GameEngine {
                     const col = warrior.col;
                     this.removePiece(warrior);
 
-                    // Create new warrior for conqueror at same position
-                    const newWarrior = this.createPiece(PIECE_TYPES.WARRIOR, conquerer, row, col);
+                    // Create the same unit for the conqueror at the same position
+                    const newWarrior = this.createPiece(warrior.type, conquerer, row, col);
                     this.pieces.push(newWarrior);
                     this.board[row][col] = newWarrior;
 
@@ -532,6 +827,13 @@ class GameEngine {
                 destroyedUnits.push(settler);
             });
 
+            // Nobody stays at war with a player who is out of the game
+            this.players.forEach((other, i) => {
+                if (i === playerId) return;
+                other.relations[playerId] = 'peace';
+                this.players[playerId].relations[i] = 'peace';
+            });
+
             this.log('PLAYER_ELIMINATED', { player: playerId, conquerer: conquerer });
 
             // Capture history snapshot for player elimination
@@ -555,21 +857,182 @@ class GameEngine {
     }
 
     checkVictory() {
+        if (this.gameOver) return;
+
+        const victory = this.findVictory();
+        if (victory) {
+            this.gameOver = true;
+            this.winner = victory.winner;
+            this.victoryType = victory.type;
+            this.log('VICTORY', { winner: this.winner, victoryType: this.victoryType });
+
+            // Capture final history snapshot and mark game as ended
+            this.history.captureSnapshot(this, 'VICTORY', { winner: this.winner, victoryType: this.victoryType });
+            this.history.endGame(this.winner, this.victoryType);
+        }
+    }
+
+    /**
+     * The first victory condition that has been met
+     * @returns {{ winner: number, type: string }|null}
+     */
+    findVictory() {
+        // Barbarians hold camps, never cities, so they can neither win nor block a win
         const cityOwners = new Set(
             this.pieces
-                .filter(p => p.type === PIECE_TYPES.CITY)
+                .filter(p => p.type === PIECE_TYPES.CITY && p.ownerId !== null)
                 .map(p => p.ownerId)
         );
-
         if (cityOwners.size === 1) {
-            this.gameOver = true;
-            this.winner = [...cityOwners][0];
-            this.log('VICTORY', { winner: this.winner });
+            return { winner: [...cityOwners][0], type: VICTORY_TYPES.DOMINATION };
+        }
 
-            // Capture final history snapshot and mark game as ended
-            this.history.captureSnapshot(this, 'VICTORY', { winner: this.winner });
-            this.history.endGame(this.winner);
+        const contenders = this.players.filter(p => cityOwners.has(p.id));
+        const modes = this.victory.modes;
+
+        if (modes.includes(VICTORY_TYPES.CAPITAL)) {
+            const holders = contenders.filter(p => this.holdsCapital(p.id));
+            if (holders.length === 1) {
+                return { winner: holders[0].id, type: VICTORY_TYPES.CAPITAL };
+            }
+        }
+
+        if (modes.includes(VICTORY_TYPES.SCIENCE)) {
+            const scientist = contenders.find(p => this.getTechLevel(p.id) >= this.victory.scienceTech);
+            if (scientist) {
+                return { winner: scientist.id, type: VICTORY_TYPES.SCIENCE };
+            }
+        }
+
+        if (modes.includes(VICTORY_TYPES.TERRITORIAL)) {
+            const holder = contenders.find(p => (this.territorialHeld[p.id] || 0) >= this.victory.territorialTurns);
+            if (holder) {
+                return { winner: holder.id, type: VICTORY_TYPES.TERRITORIAL };
+            }
+        }
+
+        if (modes.includes(VICTORY_TYPES.SCORE) && this.round >= this.victory.turnLimit) {
+            // Ties go to the earlier seat
+            const best = contenders.reduce((leader, p) =>
+                !leader || this.getPlayerStrength(p.id).total > this.getPlayerStrength(leader.id).total ? p : leader, null);
+            return { winner: best.id, type: VICTORY_TYPES.SCORE };
+        }
+
+        return null;
+    }
+
+    /**
+     * Fill in missing victory settings from VICTORY_DEFAULTS and clamp the
+     * thresholds to VICTORY_LIMITS. Domination is always one of the modes.
+     */
+    static normalizeVictory(settings = {}) {
+        settings = settings || {};
+        const known = Object.values(VICTORY_TYPES);
+        const modes = [VICTORY_TYPES.DOMINATION, ...(Array.isArray(settings.modes) ? settings.modes : [])];
+
+        const victory = { modes: known.filter(mode => modes.includes(mode)) };
+        Object.entries(VICTORY_LIMITS).forEach(([key, limit]) => {
+            const value = Math.round(Number(settings[key] ?? VICTORY_DEFAULTS[key]));
+            victory[key] = Number.isFinite(value)
+                ? Math.min(limit.max, Math.max(limit.min, value))
+                : VICTORY_DEFAULTS[key];
+        });
+        return victory;
+    }
+
+    /**
+     * Build a full ruleset from a RULESET_PRESETS key or a ruleset object (an
+     * edited one, or one from a save). Missing fields come from its preset, so
+     * rulesets from older versions still load, and values are clamped to
+     * RULESET_LIMITS. A ruleset that differs from its preset is marked custom.
+     */
+    static normalizeRuleset(settings = DEFAULT_RULESET) {
+        if (typeof settings === 'string') settings = { preset: settings };
+        settings = settings || {};
+        const presetKey = RULESET_PRESETS[settings.preset] ? settings.preset : DEFAULT_RULESET;
+        const preset = RULESET_PRESETS[presetKey];
+        const clamp = (value, fallback, limit) => {
+            const number = Math.round(Number(value ?? fallback));
+            return Number.isFinite(number) ? Math.min(limit.max, Math.max(limit.min, number)) : fallback;
+        };
+
+        const ruleset = { version: RULESET_VERSION, preset: presetKey };
+        let custom = false;
+        Object.entries(RULESET_LIMITS).forEach(([key, limit]) => {
+            if (key === 'productionCost') return;
+            ruleset[key] = clamp(settings[key], preset[key], limit);
+            custom = custom || ruleset[key] !== preset[key];
+        });
+        // Version 1 rulesets counted projects in turns of a city making startPopulation points
+        const costs = settings.productionCost ?? Object.fromEntries(
+            Object.entries(settings.productionTurns || {})
+                .map(([type, turns]) => [type, turns * CITY_ECONOMY.startPopulation])
+        );
+        ruleset.productionCost = {};
+        Object.keys(PRODUCTION_TYPES).forEach(type => {
+            const fallback = preset.productionCost[type] ?? PRODUCTION_TYPES[type].cost;
+            ruleset.productionCost[type] = clamp(costs[type], fallback, RULESET_LIMITS.productionCost);
+            custom = custom || ruleset.productionCost[type] !== fallback;
+        });
+        ruleset.custom = custom;
+        ruleset.name = custom ? 'Custom' : preset.name;
+        return ruleset;
+    }
+
+    /**
+     * How far a unit type moves each way, { orthogonal, diagonal }. Settlers
+     * move as far as the ruleset's settlerMoves, plus their owner's tech bonus.
+     */
+    getMovement(type, ownerId = null) {
+        const movement = UNIT_TYPES[type].movement;
+        if (type !== PIECE_TYPES.SETTLER) return movement;
+        return { ...movement, orthogonal: this.ruleset.settlerMoves + this.getTechBonus(ownerId).settlerMoves };
+    }
+
+    /**
+     * Whether a player still owns the city they started with
+     */
+    holdsCapital(playerId) {
+        const capitalId = this.capitals[playerId];
+        return capitalId !== undefined &&
+            this.pieces.some(p => p.id === capitalId && p.ownerId === playerId);
+    }
+
+    /**
+     * Percentage of the board's tiles a player owns
+     */
+    getTerritoryShare(playerId) {
+        let owned = 0;
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                if (this.tileOwnership[r][c] === playerId) owned++;
+            }
         }
+        return owned * 100 / (this.rows * this.cols);
+    }
+
+    /**
+     * Where a player stands on every victory condition, active or not
+     */
+    getVictoryProgress(playerId) {
+        const cities = this.pieces.filter(p => p.type === PIECE_TYPES.CITY);
+        const strength = this.getPlayerStrength(playerId);
+        return {
+            domination: {
+                cities: cities.filter(p => p.ownerId === playerId).length,
+                totalCities: cities.filter(p => p.ownerId !== null).length
+            },
+            territorial: {
+                share: this.getTerritoryShare(playerId),
+                turnsHeld: this.territorialHeld[playerId] || 0
+            },
+            science: { tech: this.getTechLevel(playerId) },
+            score: {
+                score: strength ? Math.round(strength.total) : 0,
+                roundsLeft: Math.max(0, this.victory.turnLimit - this.round)
+            },
+            capital: { holds: this.holdsCapital(playerId) }
+        };
     }
 
     setProduction(city, productionType) {
@@ -598,23 +1061,50 @@ class GameEngine {
         return true;
     }
 
+    setRepeatProduction(city, enabled) {
+        if (city.type !== PIECE_TYPES.CITY) {
+            this.log('REPEAT_DENIED', { reason: 'Not a city' });
+            return false;
+        }
+
+        if (city.ownerId !== this.currentPlayerIndex) {
+            this.log('REPEAT_DENIED', { reason: 'Not your city' });
+            return false;
+        }
+
+        city.repeatProduction = enabled;
+        this.log('REPEAT_SET', { city: city.id, enabled: enabled });
+
+        this.history.captureSnapshot(this, 'REPEAT_SET', {
+            city: city.id,
+            enabled: enabled,
+            owner: city.ownerId
+        });
+
+        return true;
+    }
+
     canSettlerBuildCity(settler) {
         if (settler.type !== PIECE_TYPES.SETTLER) {
             return { valid: false, reason: 'Not a settler' };
         }
 
+        if (settler.ownerId !== this.currentPlayerIndex) {
+            return { valid: false, reason: 'Not your settler' };
+        }
+
         // Check if tile is owned by settler's owner (per game rules: "tile is owned")
         const tileOwner = this.tileOwnership[settler.row][settler.col];
         if (tileOwner !== settler.ownerId) {
             return { valid: false, reason: 'Must be on owned tile' };
         }
 
-        // Check distance from other cities (at least 2 tiles)
+        // Check distance from other cities (at least citySpacing tiles)
         for (const piece of this.pieces) {
             if (piece.type === PIECE_TYPES.CITY) {
                 const rowDiff = Math.abs(piece.row - settler.row);
                 const colDiff = Math.abs(piece.col - settler.col);
-                if (rowDiff <= 1 && colDiff <= 1) {
+                if (Math.max(rowDiff, colDiff) < this.ruleset.citySpacing) {
                     return { valid: false, reason: 'Too close to another city' };
                 }
             }
@@ -651,8 +1141,33 @@ class GameEngine {
         return { success: true, city: city };
     }
 
+    /**
+     * Diplomacy is only allowed for the player whose turn it is, towards another player
+     * @returns {string|null} Reason the action is denied, or null if allowed
+     */
+    checkDiplomacy(playerId, targetId) {
+        if (playerId !== this.currentPlayerIndex) {
+            return 'Not your turn';
+        }
+        if (!Number.isInteger(targetId) || !this.players[targetId] || playerId === targetId) {
+            return 'Invalid target player';
+        }
+        if (this.isEliminated(targetId)) {
+            return 'Player has been eliminated';
+        }
+        return null;
+    }
+
+    isEliminated(playerId) {
+        return this.getPlayerCities(playerId).length === 0;
+    }
+
     declareWar(playerId, targetId) {
-        if (playerId === targetId) return false;
+        const denied = this.checkDiplomacy(playerId, targetId);
+        if (denied) {
+            this.log('WAR_DENIED', { attacker: playerId, defender: targetId, reason: denied });
+            return false;
+        }
 
         const player = this.players[playerId];
         player.relations[targetId] = 'war';
@@ -670,7 +1185,11 @@ class GameEngine {
     }
 
     proposePeace(playerId, targetId) {
-        if (playerId === targetId) return false;
+        const denied = this.checkDiplomacy(playerId, targetId);
+        if (denied) {
+            this.log('PEACE_DENIED', { proposer: playerId, target: targetId, reason: denied });
+            return false;
+        }
 
         // Only set proposing player's relation - other player must accept
         const player = this.players[playerId];
@@ -688,11 +1207,18 @@ class GameEngine {
     }
 
     acceptPeace(playerId, targetId) {
-        if (playerId === targetId) return false;
+        const denied = this.checkDiplomacy(playerId, targetId);
+        if (denied) {
+            this.log('PEACE_DENIED', { player: playerId, target: targetId, reason: denied });
+            return false;
+        }
 
         // Check that target has proposed peace
         const target = this.players[targetId];
-        if (target.relations[playerId] !== 'peace_proposed') return false;
+        if (target.relations[playerId] !== 'peace_proposed') {
+            this.log('PEACE_DENIED', { player: playerId, target: targetId, reason: 'No peace proposal to accept' });
+            return false;
+        }
 
         // Both players now at peace
         const player = this.players[playerId];
@@ -715,6 +1241,7 @@ class GameEngine {
         this.pieces.forEach(piece => {
             if (piece.type === PIECE_TYPES.CITY && piece.ownerId === this.currentPlayerIndex) {
                 this.processProduction(piece);
+                this.growCity(piece);
             }
         });
 
@@ -725,12 +1252,38 @@ class GameEngine {
             }
         });
 
+        // Territorial victory counts the turns a player ends above the share
+        const playerId = this.currentPlayerIndex;
+        this.territorialHeld[playerId] = this.getTerritoryShare(playerId) >= this.victory.territorialShare
+            ? (this.territorialHeld[playerId] || 0) + 1
+            : 0;
+        this.checkVictory();
+        if (this.gameOver) return;
+
         // Next player
-        do {
-            this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
-        } while (this.getPlayerCities(this.currentPlayerIndex).length === 0 && !this.gameOver);
+        const previousIndex = this.currentPlayerIndex;
+        this.advanceToNextPlayer();
+
+        const roundEnded = !this.gameOver && this.currentPlayerIndex <= previousIndex;
+        if (roundEnded) {
+            this.round++;
+
+            // Barbarians move once per round, after the last player
+            if (this.barbarians.enabled) {
+                this.runBarbarianTurn();
+
+                // Their raid may have knocked out the player about to move
+                if (!this.gameOver && this.getPlayerCities(this.currentPlayerIndex).length === 0) {
+                    this.advanceToNextPlayer();
+                }
+            }
+
+            // The turn limit is reached at the end of a round
+            this.checkVictory();
+        }
 
         this.turnNumber++;
+        this.clearUndoHistory();
         this.log('TURN_END', { nextPlayer: this.currentPlayerIndex });
 
         // Capture history snapshot at end of each turn
@@ -738,6 +1291,16 @@ class GameEngine {
             turnNumber: this.turnNumber,
             nextPlayer: this.currentPlayerIndex
         });
+
+        if (roundEnded) {
+            this.history.saveAutosaveSlot(this.round);
+        }
+    }
+
+    advanceToNextPlayer() {
+        do {
+            this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        } while (this.getPlayerCities(this.currentPlayerIndex).length === 0 && !this.gameOver);
     }
 
     getPlayerCities(playerId) {
@@ -752,10 +1315,9 @@ class GameEngine {
             return;
         }
 
-        city.productionProgress++;
-        const prodType = PRODUCTION_TYPES[city.production];
+        city.productionProgress += this.getCityYield(city).production;
 
-        if (city.productionProgress >= prodType.turns) {
+        if (city.productionProgress >= this.getProductionCost(city.production)) {
             this.completeProduction(city);
         }
     }
@@ -768,27 +1330,18 @@ class GameEngine {
                 this.expandTerritory(city.ownerId);
                 break;
             case 'SCIENCE':
-                this.players[city.ownerId].techScore++;
-                this.applyTechBonus(city.ownerId);
-                this.log('TECH_COMPLETE', { player: city.ownerId, newScore: this.players[city.ownerId].techScore });
-
-                // Capture history snapshot for tech advancement
-                this.history.captureSnapshot(this, 'TECH_COMPLETE', {
-                    player: city.ownerId,
-                    newScore: this.players[city.ownerId].techScore
-                });
-                break;
-            case 'WARRIOR':
-                this.spawnUnit(city, PIECE_TYPES.WARRIOR);
-                break;
-            case 'SETTLER':
-                this.spawnUnit(city, PIECE_TYPES.SETTLER);
+                this.addResearch(city.ownerId, 1);
                 break;
             case 'REPAIR':
                 if (city.hp < city.maxHp) {
                     city.hp++;
                 }
                 break;
+            default:
+                if (PRODUCTION_TYPES[production].unit) {
+                    this.spawnUnit(city, PRODUCTION_TYPES[production].unit);
+                }
+                break;
         }
 
         this.log('PRODUCTION_COMPLETE', { city: city.id, production: production });
@@ -818,83 +1371,696 @@ class GameEngine {
             this.board[spawnTile.row][spawnTile.col] = unit;
             this.log('UNIT_SPAWNED', { type: unitType, location: spawnTile });
 
-            // Capture history snapshot for unit spawned
-            this.history.captureSnapshot(this, 'UNIT_SPAWNED', {
-                type: unitType,
-                location: spawnTile,
-                owner: city.ownerId
-            });
-        } else {
-            // No valid tile, pause production
-            city.productionProgress--;
-            city.productionPaused = true;
-            this.log('SPAWN_BLOCKED', { city: city.id });
+            // Capture history snapshot for unit spawned
+            this.history.captureSnapshot(this, 'UNIT_SPAWNED', {
+                type: unitType,
+                location: spawnTile,
+                owner: city.ownerId
+            });
+        } else {
+            // No valid tile, pause production one point short of done
+            city.productionProgress = this.getProductionCost(city.production) - 1;
+            city.productionPaused = true;
+            this.log('SPAWN_BLOCKED', { city: city.id });
+        }
+    }
+
+    expandTerritory(playerId) {
+        // Find boundary tiles and try to claim one
+        const ownedTiles = [];
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                if (this.tileOwnership[r][c] === playerId) {
+                    ownedTiles.push({ row: r, col: c });
+                }
+            }
+        }
+
+        // Find unowned adjacent tiles
+        const candidates = [];
+        const directions = [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+        for (const tile of ownedTiles) {
+            for (const [dr, dc] of directions) {
+                const newR = tile.row + dr;
+                const newC = tile.col + dc;
+                if (this.isValidTile(newR, newC) && this.tileOwnership[newR][newC] !== playerId) {
+                    candidates.push({ row: newR, col: newC, owned: this.tileOwnership[newR][newC] !== null });
+                }
+            }
+        }
+
+        // Prefer unowned tiles
+        let unownedCandidates = candidates.filter(c => !c.owned);
+        if (unownedCandidates.length === 0) {
+            unownedCandidates = candidates;
+        }
+
+        if (unownedCandidates.length > 0) {
+            const chosen = this.rng.pick(unownedCandidates);
+            this.tileOwnership[chosen.row][chosen.col] = playerId;
+
+            // Check if city is on this tile
+            const piece = this.board[chosen.row][chosen.col];
+            if (piece && piece.type === PIECE_TYPES.CITY) {
+                piece.ownerId = playerId;
+            }
+
+            this.log('TERRITORY_EXPANDED', { player: playerId, tile: chosen });
+
+            // Capture history snapshot for territory expansion
+            this.history.captureSnapshot(this, 'TERRITORY_EXPANDED', {
+                player: playerId,
+                tile: chosen
+            });
+        }
+    }
+
+    /**
+     * Give a player's pieces on the board a newly learned tech's bonuses
+     */
+    applyTechEffects(playerId, effects) {
+        this.pieces.forEach(piece => {
+            if (piece.ownerId !== playerId) return;
+            if (piece.type === PIECE_TYPES.CITY) {
+                piece.maxHp += effects.cityHp || 0;
+                piece.hp += effects.cityHp || 0;
+            } else if (GameEngine.isMilitary(piece.type)) {
+                piece.maxHp += effects.hp || 0;
+                piece.hp += effects.hp || 0;
+                piece.damage += effects.damage || 0;
+            }
+        });
+    }
+
+    // ========================================
+    // TERRAIN
+    // ========================================
+
+    createTerrainGrid(type = TERRAIN_TYPES.PLAINS) {
+        return Array(this.rows).fill(null).map(() => Array(this.cols).fill(type));
+    }
+
+    isPassable(row, col) {
+        return TERRAIN_RULES[this.terrain[row][col]].passable;
+    }
+
+    /**
+     * Movement points a unit with terrainCost (settlers) spends walking in a
+     * straight line, entering every tile after the start
+     */
+    getSettlerPathCost(fromRow, fromCol, toRow, toCol) {
+        const rowDir = Math.sign(toRow - fromRow);
+        const colDir = Math.sign(toCol - fromCol);
+        let cost = 0;
+        let r = fromRow;
+        let c = fromCol;
+
+        while (r !== toRow || c !== toCol) {
+            r += rowDir;
+            c += colDir;
+            const moveCost = TERRAIN_RULES[this.terrain[r][c]].moveCost;
+            if (moveCost === null) return Infinity;
+            cost += moveCost;
+        }
+
+        return cost;
+    }
+
+    /**
+     * Damage a defender takes from a hit after its tile's damage reduction
+     */
+    getDefendedDamage(defender, damage) {
+        const reduction = TERRAIN_RULES[this.terrain[defender.row][defender.col]].damageReduction;
+        return Math.max(1, damage - reduction);
+    }
+
+    /**
+     * Damage an attack deals: the attacker's damage plus any bonus against
+     * cities, after terrain. Ranged attacks leave a city at 1 HP at least.
+     */
+    getAttackDamage(attacker, defender) {
+        const unit = UNIT_TYPES[attacker.type];
+        const isCity = defender.type === PIECE_TYPES.CITY;
+        const damage = this.getDefendedDamage(defender, attacker.damage + (isCity ? unit.cityBonus : 0));
+        if (isCity && unit.attack === 'ranged') {
+            return Math.max(0, Math.min(damage, defender.hp - 1));
+        }
+        return damage;
+    }
+
+    /**
+     * Whether a player's techs let their cities start a production. Science
+     * stops once there is nothing left to research.
+     */
+    canProduce(playerId, production) {
+        const type = PRODUCTION_TYPES[production];
+        if (!type) return false;
+        if (production === 'SCIENCE') return this.getResearchOptions(playerId).length > 0;
+        return this.hasTech(playerId, GameEngine.getRequiredTech(production));
+    }
+
+    /**
+     * TECHS id a production needs, from its unit or its own entry (null = none)
+     */
+    static getRequiredTech(production) {
+        const type = PRODUCTION_TYPES[production];
+        return (type.unit ? UNIT_TYPES[type.unit].tech : type.tech) || null;
+    }
+
+    // ========================================
+    // RESEARCH
+    // ========================================
+
+    hasTech(playerId, techId) {
+        return !techId || !!this.players[playerId]?.techs.includes(techId);
+    }
+
+    /**
+     * Number of techs a player has learned
+     */
+    getTechLevel(playerId) {
+        return this.players[playerId]?.techs.length || 0;
+    }
+
+    /**
+     * Sum of the effects of a player's techs (see TECHS). Neutral and
+     * barbarian pieces have none.
+     */
+    getTechBonus(playerId) {
+        const bonus = { hp: 0, damage: 0, cityHp: 0, settlerMoves: 0 };
+        (this.players[playerId]?.techs || []).forEach(techId => {
+            Object.entries(TECHS[techId].effects).forEach(([key, value]) => {
+                bonus[key] += value;
+            });
+        });
+        return bonus;
+    }
+
+    /**
+     * Whether a player may research a tech: not learned yet, prerequisites known
+     */
+    canResearch(playerId, techId) {
+        const tech = Object.hasOwn(TECHS, techId) ? TECHS[techId] : null;
+        return !!tech && !this.hasTech(playerId, techId) &&
+            tech.requires.every(required => this.hasTech(playerId, required));
+    }
+
+    /**
+     * Techs a player may research now, in TECHS order
+     */
+    getResearchOptions(playerId) {
+        return Object.keys(TECHS).filter(techId => this.canResearch(playerId, techId));
+    }
+
+    /**
+     * Techs a player still has to learn to reach a tech, prerequisites first
+     * and the tech itself last
+     */
+    getResearchPath(playerId, techId) {
+        const needed = new Set();
+        const visit = id => {
+            if (this.hasTech(playerId, id) || needed.has(id)) return;
+            TECHS[id].requires.forEach(visit);
+            needed.add(id);
+        };
+        visit(techId);
+        return Object.keys(TECHS).filter(id => needed.has(id));
+    }
+
+    /**
+     * The first techs in TECHS order, for games and scenarios that only give a tech level
+     */
+    static techsForLevel(level) {
+        return Object.keys(TECHS).slice(0, Math.max(0, level || 0));
+    }
+
+    /**
+     * What a tech gives, e.g. "+1 damage; unlocks Catapults"
+     */
+    static describeTech(techId) {
+        const labels = { hp: 'unit hp', damage: 'damage', cityHp: 'city hp', settlerMoves: 'settler move' };
+        const parts = Object.entries(TECHS[techId].effects).map(([key, value]) => `+${value} ${labels[key]}`);
+        const unlocks = Object.keys(PRODUCTION_TYPES)
+            .filter(production => GameEngine.getRequiredTech(production) === techId)
+            .map(production => {
+                const unit = PRODUCTION_TYPES[production].unit;
+                return unit ? UNIT_TYPES[unit].plural : PRODUCTION_TYPES[production].name;
+            });
+        if (unlocks.length > 0) parts.push(`unlocks ${unlocks.join(', ')}`);
+        return parts.join('; ');
+    }
+
+    /**
+     * Choose the tech a player's research points go toward. Points already
+     * banked count, so the tech may be learned straight away.
+     */
+    /**
+     * Research may only be chosen by the player whose turn it is, for a tech
+     * they lack whose prerequisites they know
+     * @returns {string|null} Reason the choice is denied, or null if allowed
+     */
+    checkResearchChoice(playerId, techId) {
+        if (playerId !== this.currentPlayerIndex) return 'Not your turn';
+        if (!Object.hasOwn(TECHS, techId)) return 'Unknown tech';
+        if (this.hasTech(playerId, techId)) return 'Already researched';
+        if (!this.canResearch(playerId, techId)) {
+            const missing = TECHS[techId].requires.filter(id => !this.hasTech(playerId, id));
+            return `Needs ${missing.map(id => TECHS[id].name).join(' and ')}`;
+        }
+        return null;
+    }
+
+    setResearch(playerId, techId) {
+        const denied = this.checkResearchChoice(playerId, techId);
+        if (denied) {
+            this.log('RESEARCH_DENIED', { player: playerId, tech: techId, reason: denied });
+            return false;
+        }
+
+        this.players[playerId].research = techId;
+        this.log('RESEARCH_SET', { player: playerId, tech: techId });
+        this.history.captureSnapshot(this, 'RESEARCH_SET', { player: playerId, tech: techId });
+        this.checkResearch(playerId);
+        return true;
+    }
+
+    /**
+     * Add research points from a finished Science project. A player who has
+     * not chosen a tech researches the first one open to them.
+     */
+    addResearch(playerId, points) {
+        const player = this.players[playerId];
+        player.sciencePoints += points;
+        if (!player.research) {
+            player.research = this.getResearchOptions(playerId)[0] || null;
+        }
+        this.checkResearch(playerId);
+    }
+
+    /**
+     * Learn the tech being researched once enough points are banked
+     */
+    checkResearch(playerId) {
+        const player = this.players[playerId];
+        const techId = player.research;
+        if (!techId || player.sciencePoints < TECHS[techId].cost) return;
+
+        player.sciencePoints -= TECHS[techId].cost;
+        player.research = null;
+        player.techs.push(techId);
+        this.applyTechEffects(playerId, TECHS[techId].effects);
+
+        const level = this.getTechLevel(playerId);
+        this.log('TECH_COMPLETE', { player: playerId, tech: techId, newScore: level });
+        this.history.captureSnapshot(this, 'TECH_COMPLETE', { player: playerId, tech: techId, newScore: level });
+    }
+
+    /**
+     * Units that fight (see UNIT_TYPES.military)
+     */
+    static isMilitary(type) {
+        return !!UNIT_TYPES[type]?.military;
+    }
+
+    /**
+     * Productions a city on this tile makes an extra point a turn on, from its neighbouring terrain
+     * @returns {Array<string>} PRODUCTION_TYPES keys
+     */
+    getCityTerrainBonuses(row, col) {
+        const counts = {};
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                if (dr === 0 && dc === 0) continue;
+                if (!this.isValidTile(row + dr, col + dc)) continue;
+                const type = this.terrain[row + dr][col + dc];
+                counts[type] = (counts[type] || 0) + 1;
+            }
+        }
+
+        return Object.entries(counts)
+            .filter(([type, count]) => TERRAIN_RULES[type].cityBonus && count >= CITY_TERRAIN_THRESHOLD)
+            .map(([type]) => TERRAIN_RULES[type].cityBonus);
+    }
+
+    getProductionCost(production) {
+        return this.ruleset.productionCost[production];
+    }
+
+    // ========================================
+    // CITY ECONOMY
+    // ========================================
+
+    /**
+     * Tiles a city works: its owner's tiles within CITY_ECONOMY.radius that
+     * are not nearer another of their cities (ties go to the city listed first)
+     */
+    getCityTiles(city) {
+        if (city.ownerId === null) return [];
+
+        const radius = CITY_ECONOMY.radius;
+        const distance = (piece, row, col) => Math.max(Math.abs(piece.row - row), Math.abs(piece.col - col));
+        const cityIndex = this.pieces.indexOf(city);
+        const others = this.getPlayerCities(city.ownerId).filter(other => other !== city);
+        const tiles = [];
+        for (let r = city.row - radius; r <= city.row + radius; r++) {
+            for (let c = city.col - radius; c <= city.col + radius; c++) {
+                if (!this.isValidTile(r, c) || this.tileOwnership[r][c] !== city.ownerId) continue;
+                const dist = distance(city, r, c);
+                const claimed = others.some(other => {
+                    const otherDist = distance(other, r, c);
+                    return otherDist < dist || (otherDist === dist && this.pieces.indexOf(other) < cityIndex);
+                });
+                if (!claimed) tiles.push({ row: r, col: c });
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * What a city makes each turn: the food of its tiles, the surplus left once
+     * its citizens have eaten, its production points (one per citizen, plus 1
+     * when the city's terrain favours its project) and the stored food it
+     * needs to grow
+     */
+    getCityYield(city) {
+        const tiles = this.getCityTiles(city);
+        const food = tiles.reduce((sum, tile) => sum + (tile.row === city.row && tile.col === city.col
+            ? CITY_ECONOMY.centerFood
+            : TERRAIN_RULES[this.terrain[tile.row][tile.col]].food), 0);
+        const terrainBonus = city.production &&
+            this.getCityTerrainBonuses(city.row, city.col).includes(city.production) ? 1 : 0;
+        return {
+            tiles: tiles.length,
+            food: food,
+            surplus: food - city.population * CITY_ECONOMY.foodPerCitizen,
+            production: city.population + terrainBonus,
+            growthFood: city.population * CITY_ECONOMY.growthFood,
+            maxed: city.population >= CITY_ECONOMY.maxPopulation
+        };
+    }
+
+    /**
+     * Store a city's food surplus at the end of its owner's turn. A full
+     * store adds a citizen; a shortfall the store cannot cover costs one.
+     */
+    growCity(city) {
+        const { surplus, growthFood, maxed } = this.getCityYield(city);
+        city.food += surplus;
+
+        if (city.food < 0) {
+            city.food = 0;
+            if (city.population > 1) {
+                city.population--;
+                this.log('CITY_STARVED', { city: city.id, population: city.population });
+            }
+        } else if (maxed) {
+            city.food = Math.min(city.food, growthFood);
+        } else if (city.food >= growthFood) {
+            city.food -= growthFood;
+            city.population++;
+            this.log('CITY_GREW', { city: city.id, population: city.population });
+        }
+    }
+
+    /**
+     * Food a city at (row, col) would gather from the player's tiles in its
+     * radius, given an ownership grid (the player's view under fog)
+     */
+    getSpotFood(row, col, playerId, ownership = this.tileOwnership) {
+        const radius = CITY_ECONOMY.radius;
+        let food = 0;
+        for (let r = row - radius; r <= row + radius; r++) {
+            for (let c = col - radius; c <= col + radius; c++) {
+                if (this.isValidTile(r, c) && ownership[r][c] === playerId) {
+                    food += TERRAIN_RULES[this.terrain[r][c]].food;
+                }
+            }
+        }
+        return food;
+    }
+
+    /**
+     * Bring a city from before the economy up to date: it gets a new city's
+     * population, and its progress, counted in turns, becomes the points
+     * that population makes in that many turns
+     */
+    static upgradeLegacyCity(piece) {
+        piece.population = piece.type === PIECE_TYPES.CITY ? CITY_ECONOMY.startPopulation : 0;
+        piece.food = 0;
+        piece.productionProgress = (piece.productionProgress || 0) * piece.population;
+    }
+
+    // ========================================
+    // BARBARIANS
+    // ========================================
+
+    /**
+     * How one side stands toward another. Barbarians are at war with
+     * everyone; nobody has a relation with neutral cities (undefined).
+     */
+    getRelation(ownerId, otherId) {
+        if (ownerId === BARBARIAN_ID || otherId === BARBARIAN_ID) return 'war';
+        return this.players[ownerId]?.relations[otherId];
+    }
+
+    placeBarbarianCamps(positions) {
+        positions.forEach(pos => {
+            const camp = this.createPiece(PIECE_TYPES.CAMP, BARBARIAN_ID, pos.row, pos.col);
+            this.pieces.push(camp);
+            this.board[pos.row][pos.col] = camp;
+        });
+    }
+
+    getBarbarianPieces(type) {
+        return this.pieces.filter(p => p.ownerId === BARBARIAN_ID && p.type === type);
+    }
+
+    /**
+     * The barbarians' move, once per round after the last player: their
+     * warriors raid, then camps spawn new warriors on schedule
+     */
+    runBarbarianTurn() {
+        this.barbarians.round++;
+
+        if (!this.barbarianAI) {
+            this.barbarianAI = new BarbarianAI(this);
+        }
+        this.barbarianTurn = true;
+        this.barbarianAI.executeTurn();
+        this.barbarianTurn = false;
+
+        // Ready for next round, and not drawn as spent in the meantime
+        this.getBarbarianPieces(PIECE_TYPES.WARRIOR).forEach(warrior => {
+            warrior.hasMoved = false;
+        });
+
+        if (!this.gameOver && this.barbarians.round % BARBARIAN_RULES.spawnInterval === 0) {
+            this.spawnBarbarians();
+        }
+
+        this.log('BARBARIAN_TURN', {
+            round: this.barbarians.round,
+            camps: this.getBarbarianPieces(PIECE_TYPES.CAMP).length,
+            warriors: this.getBarbarianPieces(PIECE_TYPES.WARRIOR).length
+        });
+    }
+
+    /**
+     * Each camp puts a warrior next to itself until the barbarians have
+     * BARBARIAN_RULES.warriorsPerCamp warriors for every camp
+     */
+    spawnBarbarians() {
+        const camps = this.getBarbarianPieces(PIECE_TYPES.CAMP);
+        let warriorCount = this.getBarbarianPieces(PIECE_TYPES.WARRIOR).length;
+
+        camps.forEach(camp => {
+            if (warriorCount >= camps.length * BARBARIAN_RULES.warriorsPerCamp) return;
+
+            const spawnTile = this.findAdjacentEmptyTile(camp.row, camp.col);
+            if (!spawnTile) return;
+
+            const warrior = this.createPiece(PIECE_TYPES.WARRIOR, BARBARIAN_ID, spawnTile.row, spawnTile.col);
+            this.pieces.push(warrior);
+            this.board[spawnTile.row][spawnTile.col] = warrior;
+            warriorCount++;
+
+            this.log('BARBARIAN_SPAWNED', { camp: camp.id, warrior: warrior.id, tile: spawnTile });
+        });
+    }
+
+    /**
+     * A city taken by barbarians is burned down and becomes a camp on unowned land
+     */
+    razeCity(city) {
+        this.removePiece(city);
+        this.tileOwnership[city.row][city.col] = null;
+
+        const camp = this.createPiece(PIECE_TYPES.CAMP, BARBARIAN_ID, city.row, city.col);
+        this.pieces.push(camp);
+        this.board[city.row][city.col] = camp;
+
+        this.log('CITY_RAZED', { city: city.id, previousOwner: city.ownerId, camp: camp.id });
+        this.history.captureSnapshot(this, 'CITY_RAZED', {
+            city: city.id,
+            previousOwner: city.ownerId
+        });
+    }
+
+    /**
+     * Whoever destroys a camp claims its tile and BARBARIAN_RULES.campRewardTiles
+     * more, and every science project in their cities jumps ahead
+     */
+    rewardCampDestroyed(playerId, camp) {
+        if (!this.players[playerId]) return;
+
+        this.tileOwnership[camp.row][camp.col] = playerId;
+        for (let i = 0; i < BARBARIAN_RULES.campRewardTiles; i++) {
+            this.expandTerritory(playerId);
         }
+        this.getPlayerCities(playerId)
+            .filter(city => city.production === 'SCIENCE')
+            .forEach(city => {
+                city.productionProgress += BARBARIAN_RULES.campRewardScience;
+            });
+
+        this.log('CAMP_DESTROYED', { camp: camp.id, player: playerId });
+        this.history.captureSnapshot(this, 'CAMP_DESTROYED', { camp: camp.id, player: playerId });
     }
 
-    expandTerritory(playerId) {
-        // Find boundary tiles and try to claim one
-        const ownedTiles = [];
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
-                if (this.tileOwnership[r][c] === playerId) {
-                    ownedTiles.push({ row: r, col: c });
+    // ========================================
+    // FOG OF WAR
+    // ========================================
+    // With fogOfWar on, each player sees the tiles within SIGHT_RANGE of their
+    // own pieces. fogMemory keeps what they saw elsewhere:
+    //   explored - [[bool]] tiles they have ever seen
+    //   owners   - [[playerId]] tile owners as last seen
+    //   pieces   - { pieceId: piece } other players' pieces where last seen;
+    //              those now out of sight are shown as ghosts
+    // Rules never look at fog; it only limits what the AI and the board show.
+
+    /**
+     * Bring every player's sight and memory up to date. Called after each
+     * action and whenever a state is loaded.
+     */
+    updateFog() {
+        this.fogVisible = {};
+        if (!this.fogOfWar) return;
+
+        this.players.forEach(player => {
+            const visible = this.createEmptyBoard().map(row => row.fill(false));
+            this.pieces.forEach(piece => {
+                if (piece.ownerId !== player.id) return;
+                const range = UNIT_TYPES[piece.type]?.sight ?? SIGHT_RANGE[piece.type] ?? 0;
+                for (let r = piece.row - range; r <= piece.row + range; r++) {
+                    for (let c = piece.col - range; c <= piece.col + range; c++) {
+                        if (this.isValidTile(r, c)) visible[r][c] = true;
+                    }
                 }
-            }
-        }
+            });
+            this.fogVisible[player.id] = visible;
 
-        // Find unowned adjacent tiles
-        const candidates = [];
-        const directions = [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]];
+            if (!this.fogMemory[player.id]) {
+                this.fogMemory[player.id] = {
+                    explored: this.createEmptyBoard().map(row => row.fill(false)),
+                    owners: this.createEmptyBoard(),
+                    pieces: {}
+                };
+            }
+            const memory = this.fogMemory[player.id];
 
-        for (const tile of ownedTiles) {
-            for (const [dr, dc] of directions) {
-                const newR = tile.row + dr;
-                const newC = tile.col + dc;
-                if (this.isValidTile(newR, newC) && this.tileOwnership[newR][newC] !== playerId) {
-                    candidates.push({ row: newR, col: newC, owned: this.tileOwnership[newR][newC] !== null });
+            // Forget what stood on tiles seen again, then record what is there now
+            Object.values(memory.pieces).forEach(seen => {
+                if (visible[seen.row][seen.col]) delete memory.pieces[seen.id];
+            });
+            this.pieces.forEach(piece => {
+                if (piece.ownerId !== player.id && visible[piece.row][piece.col]) {
+                    memory.pieces[piece.id] = {
+                        id: piece.id,
+                        type: piece.type,
+                        ownerId: piece.ownerId,
+                        row: piece.row,
+                        col: piece.col,
+                        hp: piece.hp,
+                        maxHp: piece.maxHp,
+                        damage: piece.damage,
+                        seenTurn: this.turnNumber
+                    };
+                }
+            });
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
+                    if (visible[r][c]) {
+                        memory.explored[r][c] = true;
+                        memory.owners[r][c] = this.tileOwnership[r][c];
+                    }
                 }
             }
-        }
+        });
+    }
 
-        // Prefer unowned tiles
-        let unownedCandidates = candidates.filter(c => !c.owned);
-        if (unownedCandidates.length === 0) {
-            unownedCandidates = candidates;
-        }
+    /**
+     * Whether a player can see a tile right now (always, without fog of war)
+     */
+    isTileVisible(playerId, row, col) {
+        if (!this.fogOfWar) return true;
+        const visible = this.fogVisible[playerId];
+        return !!(visible && visible[row][col]);
+    }
 
-        if (unownedCandidates.length > 0) {
-            const chosen = unownedCandidates[Math.floor(Math.random() * unownedCandidates.length)];
-            this.tileOwnership[chosen.row][chosen.col] = playerId;
+    /**
+     * Whether a player has ever seen a tile
+     */
+    isTileExplored(playerId, row, col) {
+        if (!this.fogOfWar) return true;
+        const memory = this.fogMemory[playerId];
+        return !!(memory && memory.explored[row][col]);
+    }
 
-            // Check if city is on this tile
-            const piece = this.board[chosen.row][chosen.col];
-            if (piece && piece.type === PIECE_TYPES.CITY) {
-                piece.ownerId = playerId;
-            }
+    /**
+     * The pieces a player knows of: their own, everything in sight, and
+     * ghosts of what they last saw elsewhere
+     */
+    getKnownPieces(playerId) {
+        if (!this.fogOfWar) return this.pieces;
 
-            this.log('TERRITORY_EXPANDED', { player: playerId, tile: chosen });
+        const known = this.pieces.filter(piece =>
+            piece.ownerId === playerId || this.isTileVisible(playerId, piece.row, piece.col)
+        );
+        return known.concat(this.getGhosts(playerId));
+    }
 
-            // Capture history snapshot for territory expansion
-            this.history.captureSnapshot(this, 'TERRITORY_EXPANDED', {
-                player: playerId,
-                tile: chosen
-            });
-        }
+    /**
+     * Other players' pieces as last seen on tiles now out of sight
+     */
+    getGhosts(playerId) {
+        const memory = this.fogOfWar && this.fogMemory[playerId];
+        if (!memory) return [];
+        return Object.values(memory.pieces).filter(seen => !this.isTileVisible(playerId, seen.row, seen.col));
     }
 
-    applyTechBonus(playerId) {
-        this.pieces.forEach(piece => {
-            if (piece.ownerId === playerId) {
-                if (piece.type === PIECE_TYPES.CITY || piece.type === PIECE_TYPES.WARRIOR) {
-                    piece.maxHp++;
-                    piece.hp++;
-                }
-                if (piece.type === PIECE_TYPES.WARRIOR) {
-                    piece.damage++;
-                }
-            }
-        });
+    /**
+     * The piece a player believes is on a tile (a ghost if it is out of sight)
+     */
+    getKnownPieceAt(playerId, row, col) {
+        if (this.isTileVisible(playerId, row, col)) return this.board[row][col];
+        return this.getGhosts(playerId).find(seen => seen.row === row && seen.col === col) || null;
+    }
+
+    /**
+     * Tile owner as the player last saw it; unexplored tiles count as unowned
+     */
+    getKnownOwner(playerId, row, col) {
+        if (this.isTileVisible(playerId, row, col)) return this.tileOwnership[row][col];
+        return this.fogMemory[playerId] ? this.fogMemory[playerId].owners[row][col] : null;
+    }
+
+    /**
+     * The ownership grid as a player knows it
+     */
+    getKnownOwnership(playerId) {
+        if (!this.fogOfWar) return this.tileOwnership;
+        return this.tileOwnership.map((row, r) => row.map((owner, c) => this.getKnownOwner(playerId, r, c)));
     }
 
     // ========================================
@@ -907,9 +2073,11 @@ class GameEngine {
      * getGameStateForAI - Comprehensive snapshot of game state for AI analysis
      *
      * Returns all information an AI needs to make decisions:
-     * - Own pieces and their states
-     * - Enemy pieces and their positions
-     * - Territory ownership
+     * - Own pieces and their states ('warriors' holds every military unit,
+     *   each with its type)
+     * - Enemy pieces and their positions (under fog of war, only those in
+     *   sight or remembered)
+     * - Territory ownership (as last seen under fog of war)
      * - Player relations and relative strengths
      * - Available actions
      *
@@ -927,14 +2095,35 @@ class GameEngine {
             settlers: []
         };
         const enemyPieces = {};
+        const neutralCities = [];
+        const barbarians = { camps: [], warriors: [] };
 
-        this.pieces.forEach(piece => {
+        // Every rival gets an entry, even one whose pieces are all out of sight
+        this.players.forEach((p, i) => {
+            if (i !== playerId && !this.isEliminated(i)) {
+                enemyPieces[i] = { cities: [], warriors: [], settlers: [] };
+            }
+        });
+
+        this.getKnownPieces(playerId).forEach(piece => {
             const category = piece.type === PIECE_TYPES.CITY ? 'cities' :
-                            piece.type === PIECE_TYPES.WARRIOR ? 'warriors' : 'settlers';
+                            GameEngine.isMilitary(piece.type) ? 'warriors' : 'settlers';
 
-            if (piece.ownerId === playerId) {
+            if (piece.ownerId === null) {
+                neutralCities.push({ id: piece.id, row: piece.row, col: piece.col, hp: piece.hp, maxHp: piece.maxHp });
+            } else if (piece.ownerId === BARBARIAN_ID) {
+                barbarians[piece.type === PIECE_TYPES.CAMP ? 'camps' : 'warriors'].push({
+                    id: piece.id,
+                    row: piece.row,
+                    col: piece.col,
+                    hp: piece.hp,
+                    maxHp: piece.maxHp,
+                    damage: piece.damage
+                });
+            } else if (piece.ownerId === playerId) {
                 ownPieces[category].push({
                     id: piece.id,
+                    type: piece.type,
                     row: piece.row,
                     col: piece.col,
                     hp: piece.hp,
@@ -942,7 +2131,8 @@ class GameEngine {
                     damage: piece.damage,
                     hasMoved: piece.hasMoved,
                     production: piece.production,
-                    productionProgress: piece.productionProgress
+                    productionProgress: piece.productionProgress,
+                    population: piece.population
                 });
             } else {
                 if (!enemyPieces[piece.ownerId]) {
@@ -950,6 +2140,7 @@ class GameEngine {
                 }
                 enemyPieces[piece.ownerId][category].push({
                     id: piece.id,
+                    type: piece.type,
                     row: piece.row,
                     col: piece.col,
                     hp: piece.hp,
@@ -961,19 +2152,19 @@ class GameEngine {
 
         // Calculate territory counts
         const territoryCounts = {};
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
-                const owner = this.tileOwnership[r][c];
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                const owner = this.getKnownOwner(playerId, r, c);
                 if (owner !== null) {
                     territoryCounts[owner] = (territoryCounts[owner] || 0) + 1;
                 }
             }
         }
 
-        // Get relations with all players
+        // Get relations with all players still in the game
         const relations = {};
         this.players.forEach((p, i) => {
-            if (i !== playerId) {
+            if (i !== playerId && !this.isEliminated(i)) {
                 relations[i] = {
                     status: player.relations[i],
                     theirStatus: p.relations[playerId]
@@ -986,11 +2177,13 @@ class GameEngine {
             turnNumber: this.turnNumber,
             ownPieces: ownPieces,
             enemyPieces: enemyPieces,
+            neutralCities: neutralCities,
+            barbarians: barbarians,
             territory: {
                 owned: territoryCounts[playerId] || 0,
                 byPlayer: territoryCounts
             },
-            techLevel: player.techScore,
+            techLevel: this.getTechLevel(playerId),
             relations: relations,
             gamePhase: this.getGamePhase()
         };
@@ -1035,23 +2228,25 @@ class GameEngine {
      * @returns {Array<Array<number>>} 2D array of threat values (0-1 normalized)
      */
     getThreatHeatmap(playerId) {
-        const heatmap = Array(BOARD_SIZE).fill(null)
-            .map(() => Array(BOARD_SIZE).fill(0));
+        const heatmap = Array(this.rows).fill(null)
+            .map(() => Array(this.cols).fill(0));
 
         const player = this.players[playerId];
         if (!player) return heatmap;
 
-        // Find all enemy warriors that are at war with us
-        const enemyWarriors = this.pieces.filter(p =>
-            p.type === PIECE_TYPES.WARRIOR &&
+        // Find all enemy military units that are at war with us
+        const enemyWarriors = this.getKnownPieces(playerId).filter(p =>
+            GameEngine.isMilitary(p.type) &&
             p.ownerId !== playerId &&
-            player.relations[p.ownerId] === 'war'
+            this.getRelation(playerId, p.ownerId) === 'war'
         );
 
         // For each tile, calculate threat from nearby enemies
         let maxThreat = 0;
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                if (!this.isPassable(r, c)) continue; // Nothing can stand here
+
                 let threat = 0;
 
                 enemyWarriors.forEach(warrior => {
@@ -1075,8 +2270,8 @@ class GameEngine {
 
         // Normalize to 0-1
         if (maxThreat > 0) {
-            for (let r = 0; r < BOARD_SIZE; r++) {
-                for (let c = 0; c < BOARD_SIZE; c++) {
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
                     heatmap[r][c] /= maxThreat;
                 }
             }
@@ -1098,20 +2293,23 @@ class GameEngine {
      * @returns {Array<Array<number>>} 2D array of opportunity values (0-1 normalized)
      */
     getOpportunityHeatmap(playerId) {
-        const heatmap = Array(BOARD_SIZE).fill(null)
-            .map(() => Array(BOARD_SIZE).fill(0));
+        const heatmap = Array(this.rows).fill(null)
+            .map(() => Array(this.cols).fill(0));
 
         const player = this.players[playerId];
         if (!player) return heatmap;
 
+        const pieces = this.getKnownPieces(playerId);
+        const ownership = this.getKnownOwnership(playerId);
+
         let maxOpp = 0;
 
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
                 let opportunity = 0;
 
                 // Check for nearby enemy cities we're at war with
-                this.pieces.forEach(piece => {
+                pieces.forEach(piece => {
                     if (piece.ownerId === playerId) return;
                     if (player.relations[piece.ownerId] !== 'war') return;
 
@@ -1128,19 +2326,19 @@ class GameEngine {
                     } else if (piece.type === PIECE_TYPES.SETTLER) {
                         // Settlers are vulnerable targets
                         opportunity += 3 / (dist + 1);
-                    } else if (piece.type === PIECE_TYPES.WARRIOR) {
-                        // Warriors are moderate targets
+                    } else if (GameEngine.isMilitary(piece.type)) {
+                        // Military units are moderate targets
                         opportunity += 1 / (dist + 1);
                     }
                 });
 
                 // Bonus for unclaimed territory
-                if (this.tileOwnership[r][c] === null) {
+                if (ownership[r][c] === null) {
                     opportunity += 0.5;
                 }
 
                 // Bonus for enemy territory
-                const tileOwner = this.tileOwnership[r][c];
+                const tileOwner = ownership[r][c];
                 if (tileOwner !== null && tileOwner !== playerId) {
                     if (player.relations[tileOwner] === 'war') {
                         opportunity += 1;
@@ -1154,8 +2352,8 @@ class GameEngine {
 
         // Normalize to 0-1
         if (maxOpp > 0) {
-            for (let r = 0; r < BOARD_SIZE; r++) {
-                for (let c = 0; c < BOARD_SIZE; c++) {
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
                     heatmap[r][c] /= maxOpp;
                 }
             }
@@ -1181,15 +2379,17 @@ class GameEngine {
      * @returns {Array<Array<number>>} 2D array (-1 to 1, player control vs enemy)
      */
     getTerritoryHeatmap(playerId) {
-        const heatmap = Array(BOARD_SIZE).fill(null)
-            .map(() => Array(BOARD_SIZE).fill(0));
+        const heatmap = Array(this.rows).fill(null)
+            .map(() => Array(this.cols).fill(0));
+        const pieces = this.getKnownPieces(playerId);
+        const ownership = this.getKnownOwnership(playerId);
 
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
                 let control = 0;
 
                 // Base ownership
-                const owner = this.tileOwnership[r][c];
+                const owner = ownership[r][c];
                 if (owner === playerId) {
                     control += 0.3;
                 } else if (owner !== null) {
@@ -1197,7 +2397,7 @@ class GameEngine {
                 }
 
                 // Influence from nearby pieces
-                this.pieces.forEach(piece => {
+                pieces.forEach(piece => {
                     const dist = Math.max(
                         Math.abs(piece.row - r),
                         Math.abs(piece.col - c)
@@ -1208,7 +2408,7 @@ class GameEngine {
                     let influence = 0;
                     if (piece.type === PIECE_TYPES.CITY) {
                         influence = 3 / (dist + 1);
-                    } else if (piece.type === PIECE_TYPES.WARRIOR) {
+                    } else if (GameEngine.isMilitary(piece.type)) {
                         influence = 1.5 / (dist + 1);
                     }
 
@@ -1235,26 +2435,35 @@ class GameEngine {
      * - Prefers owned territory
      * - Prefers distance from enemies
      * - Prefers central positions (more expansion room)
+     * - Prefers hills and neighbouring terrain that speeds up production
      *
      * @param {number} playerId - Player to calculate for
      * @returns {Array<Array<number>>} 2D array of expansion values (0-1, or -1 if invalid)
      */
     getExpansionHeatmap(playerId) {
-        const heatmap = Array(BOARD_SIZE).fill(null)
-            .map(() => Array(BOARD_SIZE).fill(0));
+        const heatmap = Array(this.rows).fill(null)
+            .map(() => Array(this.cols).fill(0));
 
         const player = this.players[playerId];
         if (!player) return heatmap;
 
         // Pre-calculate city positions
-        const cities = this.pieces.filter(p => p.type === PIECE_TYPES.CITY);
+        const known = this.getKnownPieces(playerId);
+        const ownership = this.getKnownOwnership(playerId);
+        const cities = known.filter(p => p.type === PIECE_TYPES.CITY);
         const enemyCities = cities.filter(c => c.ownerId !== playerId);
         const ownCities = cities.filter(c => c.ownerId === playerId);
+        const occupied = new Set(known.map(p => p.row * this.cols + p.col));
+
+        // Board center and how far the central bonus reaches
+        const centerRow = (this.rows - 1) / 2;
+        const centerCol = (this.cols - 1) / 2;
+        const centerRadius = Math.min(this.rows, this.cols) / 2;
 
         let maxValue = 0;
 
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
                 // Check minimum distance from all cities
                 let tooClose = false;
                 let minDistToEnemy = Infinity;
@@ -1265,7 +2474,7 @@ class GameEngine {
                         Math.abs(city.row - r),
                         Math.abs(city.col - c)
                     );
-                    if (dist <= 1) {
+                    if (dist < this.ruleset.citySpacing) {
                         tooClose = true;
                     }
                     if (city.ownerId !== playerId) {
@@ -1275,7 +2484,7 @@ class GameEngine {
                     }
                 });
 
-                if (tooClose || this.board[r][c] !== null) {
+                if (tooClose || occupied.has(r * this.cols + c) || !this.isPassable(r, c)) {
                     heatmap[r][c] = -1; // Invalid location
                     continue;
                 }
@@ -1283,9 +2492,9 @@ class GameEngine {
                 let value = 0;
 
                 // Prefer owned territory
-                if (this.tileOwnership[r][c] === playerId) {
+                if (ownership[r][c] === playerId) {
                     value += 3;
-                } else if (this.tileOwnership[r][c] === null) {
+                } else if (ownership[r][c] === null) {
                     value += 1;
                 }
 
@@ -1298,8 +2507,15 @@ class GameEngine {
                 }
 
                 // Prefer central positions
-                const centerDist = Math.abs(r - 4.5) + Math.abs(c - 4.5);
-                value += Math.max(0, 5 - centerDist) * 0.2;
+                const centerDist = Math.abs(r - centerRow) + Math.abs(c - centerCol);
+                value += Math.max(0, centerRadius - centerDist) * 0.2;
+
+                // Prefer tiles whose terrain strengthens the city
+                value += TERRAIN_RULES[this.terrain[r][c]].cityHpBonus;
+                value += this.getCityTerrainBonuses(r, c).length * 0.5;
+
+                // Prefer room to grow: food from our land the city would work
+                value += this.getSpotFood(r, c, playerId, ownership) * 0.1;
 
                 heatmap[r][c] = value;
                 maxValue = Math.max(maxValue, value);
@@ -1308,8 +2524,8 @@ class GameEngine {
 
         // Normalize valid tiles to 0-1
         if (maxValue > 0) {
-            for (let r = 0; r < BOARD_SIZE; r++) {
-                for (let c = 0; c < BOARD_SIZE; c++) {
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
                     if (heatmap[r][c] > 0) {
                         heatmap[r][c] /= maxValue;
                     }
@@ -1330,29 +2546,45 @@ class GameEngine {
      * - Technology level
      *
      * @param {number} playerId - Player to evaluate
+     * @param {number} [viewerId] - Player making the estimate; under fog of war
+     *     they only count what they know of (see getKnownPieces)
      * @returns {Object} Breakdown of strength components and total
      */
-    getPlayerStrength(playerId) {
+    getPlayerStrength(playerId, viewerId = null) {
         const player = this.players[playerId];
         if (!player) return null;
 
-        const cities = this.pieces.filter(p =>
+        if (viewerId !== null && viewerId !== playerId) {
+            return GameEngine.measureStrength(playerId, this.getKnownPieces(viewerId),
+                this.getKnownOwnership(viewerId), this.getTechLevel(playerId));
+        }
+        return GameEngine.measureStrength(playerId, this.pieces, this.tileOwnership, this.getTechLevel(playerId));
+    }
+
+    /**
+     * The strength score of getPlayerStrength for any board position, such as
+     * a history snapshot (see GameStats)
+     * @param {number} playerId
+     * @param {Array<Object>} pieces - Every piece on the board
+     * @param {Array<Array>} tileOwnership - Ownership grid
+     * @param {number} techLevel - Number of techs the player knows
+     */
+    static measureStrength(playerId, pieces, tileOwnership, techLevel) {
+        const cities = pieces.filter(p =>
             p.type === PIECE_TYPES.CITY && p.ownerId === playerId
         );
-        const warriors = this.pieces.filter(p =>
-            p.type === PIECE_TYPES.WARRIOR && p.ownerId === playerId
+        const warriors = pieces.filter(p =>
+            GameEngine.isMilitary(p.type) && p.ownerId === playerId
         );
-        const settlers = this.pieces.filter(p =>
+        const settlers = pieces.filter(p =>
             p.type === PIECE_TYPES.SETTLER && p.ownerId === playerId
         );
 
         // Territory count
         let territory = 0;
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
-                if (this.tileOwnership[r][c] === playerId) territory++;
-            }
-        }
+        tileOwnership.forEach(row => row.forEach(owner => {
+            if (owner === playerId) territory++;
+        }));
 
         // Calculate sub-scores
         const militaryPower = warriors.reduce((sum, w) =>
@@ -1362,7 +2594,7 @@ class GameEngine {
             sum + c.hp + 5, 0
         );
         const expansionPotential = settlers.length * 10;
-        const techPower = player.techScore * 5;
+        const techPower = techLevel * 5;
         const territorialPower = territory * 0.5;
 
         const total = militaryPower + economicPower + expansionPotential +
@@ -1380,7 +2612,7 @@ class GameEngine {
                 cities: cities.length,
                 warriors: warriors.length,
                 settlers: settlers.length,
-                techLevel: player.techScore,
+                techLevel: techLevel,
                 tiles: territory
             }
         };
@@ -1389,13 +2621,13 @@ class GameEngine {
     /**
      * getRelativeStrength - Compare strength between two players
      *
-     * @param {number} playerId - First player
+     * @param {number} playerId - First player, whose knowledge of the second is used
      * @param {number} targetId - Second player to compare against
      * @returns {Object} Comparison metrics
      */
     getRelativeStrength(playerId, targetId) {
         const ownStrength = this.getPlayerStrength(playerId);
-        const targetStrength = this.getPlayerStrength(targetId);
+        const targetStrength = this.getPlayerStrength(targetId, playerId);
 
         if (!ownStrength || !targetStrength) return null;
 
@@ -1436,10 +2668,13 @@ class GameEngine {
         const player = this.players[playerId];
         if (!player) return positions;
 
+        const pieces = this.getKnownPieces(playerId);
+        const ownership = this.getKnownOwnership(playerId);
+
         // Find contested border tiles (adjacent to both own and enemy territory)
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
-                const owner = this.tileOwnership[r][c];
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                const owner = ownership[r][c];
                 let touchesOwn = owner === playerId;
                 let touchesEnemy = owner !== null && owner !== playerId;
 
@@ -1451,7 +2686,7 @@ class GameEngine {
                         const nc = c + dc;
                         if (!this.isValidTile(nr, nc)) continue;
 
-                        const adjOwner = this.tileOwnership[nr][nc];
+                        const adjOwner = ownership[nr][nc];
                         if (adjOwner === playerId) touchesOwn = true;
                         if (adjOwner !== null && adjOwner !== playerId) touchesEnemy = true;
                     }
@@ -1464,14 +2699,14 @@ class GameEngine {
         }
 
         // Find vulnerable enemy cities
-        this.pieces.forEach(piece => {
+        pieces.forEach(piece => {
             if (piece.type !== PIECE_TYPES.CITY) return;
             if (piece.ownerId === playerId) return;
             if (player.relations[piece.ownerId] !== 'war') return;
 
             // Check if city is low HP or undefended
-            const defenders = this.pieces.filter(p =>
-                p.type === PIECE_TYPES.WARRIOR &&
+            const defenders = pieces.filter(p =>
+                GameEngine.isMilitary(p.type) &&
                 p.ownerId === piece.ownerId &&
                 Math.max(Math.abs(p.row - piece.row), Math.abs(p.col - piece.col)) <= 2
             );
@@ -1504,6 +2739,7 @@ class GameEngine {
                     const nc = piece.col + dc;
                     if (!this.isValidTile(nr, nc)) continue;
                     if (this.board[nr][nc]) continue; // Occupied
+                    if (!this.isPassable(nr, nc)) continue;
 
                     // Score based on coverage of approaches
                     positions.defensivePositions.push({
@@ -1534,22 +2770,24 @@ class GameEngine {
         const threats = [];
 
         this.pieces.forEach(piece => {
-            if (piece.type !== PIECE_TYPES.WARRIOR) return;
+            if (!GameEngine.isMilitary(piece.type)) return;
             if (piece.ownerId === defenderId) return;
 
-            const defender = this.players[defenderId];
-            if (defender.relations[piece.ownerId] !== 'war') return;
+            if (this.getRelation(defenderId, piece.ownerId) !== 'war') return;
 
             const dist = Math.max(
                 Math.abs(piece.row - row),
                 Math.abs(piece.col - col)
             );
 
+            const unit = UNIT_TYPES[piece.type];
+            const movement = this.getMovement(piece.type, piece.ownerId);
+            const reach = Math.max(movement.orthogonal, movement.diagonal, unit.range);
             if (dist <= 3) { // Within threatening range
                 threats.push({
                     piece: piece,
                     distance: dist,
-                    canReachThisTurn: dist === 1,
+                    canReachThisTurn: dist <= reach,
                     turnsToReach: dist,
                     damage: piece.damage
                 });
@@ -1591,11 +2829,12 @@ class GameEngine {
 
         // Check for combat
         const targetPiece = this.board[targetRow][targetCol];
-        if (targetPiece && piece.type === PIECE_TYPES.WARRIOR) {
+        if (targetPiece) {
+            const damage = this.getAttackDamage(piece, targetPiece);
             result.combat = {
                 defender: targetPiece,
-                defenderHpAfter: targetPiece.hp - piece.damage,
-                defenderDestroyed: targetPiece.hp <= piece.damage
+                defenderHpAfter: targetPiece.hp - damage,
+                defenderDestroyed: targetPiece.hp <= damage
             };
 
             if (targetPiece.type === PIECE_TYPES.CITY && result.combat.defenderDestroyed) {
@@ -1606,9 +2845,9 @@ class GameEngine {
             result.pieceDestroyed = result.combat.defenderDestroyed ? targetPiece : null;
         }
 
-        // Check territory change
+        // Check territory change (ranged attacks stay put)
         const tileOwner = this.tileOwnership[targetRow][targetCol];
-        if (piece.type === PIECE_TYPES.WARRIOR && tileOwner !== piece.ownerId) {
+        if (GameEngine.isMilitary(piece.type) && !canMove.ranged && tileOwner !== piece.ownerId) {
             result.territoryGained = true;
         }
 
@@ -1626,24 +2865,431 @@ class GameEngine {
         this.log('AI_TURN_SKIP', { player: playerId, reason: 'AI not implemented' });
     }
 
+    // ========================================
+    // ACTION DISPATCH
+    // ========================================
+
+    /**
+     * Single entry point for player actions. Every action is a plain object
+     * so the same path serves the UI, AI, scripts and network play.
+     * Turn order and ownership are checked here before anything changes;
+     * actions by human players are recorded for undo.
+     * @param {Object} action - { type, playerId?, ...fields } (see ACTION_TYPES);
+     *   playerId defaults to the current player
+     * @returns {{ success: boolean, type: string, reason?: string }} plus
+     *   action-specific fields (combat, city, ...)
+     */
+    dispatch(action) {
+        const reason = this.validateAction(action);
+        if (reason) {
+            this.log('ACTION_DENIED', { action: action ? action.type : null, reason: reason });
+            return { success: false, type: action ? action.type : null, reason: reason };
+        }
+
+        const playerId = action.playerId ?? this.currentPlayerIndex;
+        const apply = () => this.toActionResult(this.applyAction(action, playerId));
+
+        const recordsUndo = this.players[playerId].isHuman &&
+            action.type !== ACTION_TYPES.END_TURN &&
+            action.type !== ACTION_TYPES.UNDO &&
+            action.type !== ACTION_TYPES.REDO;
+
+        const result = recordsUndo ? this.runUndoable(apply) : apply();
+        this.updateFog();
+        return { ...result, type: action.type };
+    }
+
+    /**
+     * Check an action against turn order, ownership and basic rules.
+     * @returns {string|null} Reason the action is invalid, or null if allowed
+     */
+    validateAction(action) {
+        if (!action || !Object.values(ACTION_TYPES).includes(action.type)) {
+            return 'Unknown action type';
+        }
+        if (this.gameOver) {
+            return 'Game is over';
+        }
+
+        const playerId = action.playerId ?? this.currentPlayerIndex;
+        if (playerId !== this.currentPlayerIndex) {
+            return 'Not your turn';
+        }
+
+        switch (action.type) {
+            case ACTION_TYPES.MOVE:
+            case ACTION_TYPES.SET_PRODUCTION:
+            case ACTION_TYPES.SET_REPEAT:
+            case ACTION_TYPES.BUILD_CITY: {
+                const piece = this.getPiece(action.pieceId);
+                if (!piece) return 'Piece not found';
+                if (piece.ownerId !== playerId) return 'Not your piece';
+
+                if (action.type === ACTION_TYPES.MOVE) {
+                    if (!action.to || !this.isValidTile(action.to.row, action.to.col)) {
+                        return 'Invalid destination';
+                    }
+                } else if (action.type === ACTION_TYPES.BUILD_CITY) {
+                    if (piece.type !== PIECE_TYPES.SETTLER) return 'Not a settler';
+                } else {
+                    if (piece.type !== PIECE_TYPES.CITY) return 'Not a city';
+                    if (action.type === ACTION_TYPES.SET_REPEAT && typeof action.enabled !== 'boolean') {
+                        return 'Repeat must be on or off';
+                    }
+                    if (action.type === ACTION_TYPES.SET_PRODUCTION) {
+                        if (!Object.hasOwn(PRODUCTION_TYPES, action.production)) return 'Unknown production type';
+                        if (!this.canProduce(playerId, action.production)) {
+                            const techId = GameEngine.getRequiredTech(action.production);
+                            if (!techId) return 'Nothing left to research';
+                            const unit = UNIT_TYPES[PRODUCTION_TYPES[action.production].unit];
+                            return unit
+                                ? `${unit.plural} need ${TECHS[techId].name}`
+                                : `${PRODUCTION_TYPES[action.production].name} needs ${TECHS[techId].name}`;
+                        }
+                        if (action.production === 'REPAIR' && piece.hp >= piece.maxHp) {
+                            return 'City is at full health';
+                        }
+                    }
+                }
+                return null;
+            }
+
+            case ACTION_TYPES.DECLARE_WAR:
+            case ACTION_TYPES.PROPOSE_PEACE:
+            case ACTION_TYPES.ACCEPT_PEACE:
+                if (!Number.isInteger(action.targetId) || !this.players[action.targetId] ||
+                    action.targetId === playerId) {
+                    return 'Invalid target player';
+                }
+                if (this.isEliminated(action.targetId)) {
+                    return 'Player has been eliminated';
+                }
+                if (action.type === ACTION_TYPES.ACCEPT_PEACE &&
+                    this.players[action.targetId].relations[playerId] !== 'peace_proposed') {
+                    return 'No peace proposal to accept';
+                }
+                return null;
+
+            case ACTION_TYPES.SET_RESEARCH:
+                return this.checkResearchChoice(playerId, action.techId);
+
+            case ACTION_TYPES.UNDO:
+                return this.canUndo() ? null : 'Nothing to undo';
+
+            case ACTION_TYPES.REDO:
+                return this.canRedo() ? null : 'Nothing to redo';
+
+            default:
+                return null;
+        }
+    }
+
+    applyAction(action, playerId) {
+        switch (action.type) {
+            case ACTION_TYPES.MOVE:
+                return this.movePiece(this.getPiece(action.pieceId), action.to.row, action.to.col);
+            case ACTION_TYPES.SET_PRODUCTION:
+                return this.setProduction(this.getPiece(action.pieceId), action.production);
+            case ACTION_TYPES.SET_REPEAT:
+                return this.setRepeatProduction(this.getPiece(action.pieceId), action.enabled);
+            case ACTION_TYPES.BUILD_CITY:
+                return this.settlerBuildCity(this.getPiece(action.pieceId));
+            case ACTION_TYPES.DECLARE_WAR:
+                return this.declareWar(playerId, action.targetId);
+            case ACTION_TYPES.PROPOSE_PEACE:
+                return this.proposePeace(playerId, action.targetId);
+            case ACTION_TYPES.ACCEPT_PEACE:
+                return this.acceptPeace(playerId, action.targetId);
+            case ACTION_TYPES.SET_RESEARCH:
+                return this.setResearch(playerId, action.techId);
+            case ACTION_TYPES.END_TURN:
+                this.endTurn();
+                return true;
+            case ACTION_TYPES.UNDO:
+                return this.undo();
+            case ACTION_TYPES.REDO:
+                return this.redo();
+        }
+    }
+
+    /**
+     * Engine methods return either a boolean or a { success } object
+     */
+    toActionResult(value) {
+        if (value && typeof value === 'object') return value;
+        return value ? { success: true } : { success: false, reason: 'Action rejected' };
+    }
+
+    getPiece(pieceId) {
+        return this.pieces.find(p => p.id === pieceId) || null;
+    }
+
+    // ========================================
+    // UNDO / REDO
+    // ========================================
+
+    /**
+     * Run a player action so it can be undone until the turn ends.
+     * Actions that consumed random numbers clear the undo history instead
+     * when the game wasn't started from a chosen seed, so outcomes can't be
+     * rerolled by undoing and retrying. Actions that bring tiles into the
+     * player's sight under fog of war clear it too, so a player can't scout
+     * and undo the move while keeping what they saw.
+     * @param {Function} action - Performs the action; returns true or { success }
+     * @returns {*} The action's result
+     */
+    runUndoable(action) {
+        const checkpoint = this.createUndoCheckpoint();
+        const rngCalls = this.rng.calls;
+        const playerId = this.currentPlayerIndex;
+        const sightBefore = this.fogVisible[playerId];
+
+        const result = action();
+        const succeeded = result === true || (result && result.success);
+        if (!succeeded) return result;
+
+        if ((this.rng.calls !== rngCalls && !this.seeded) || this.revealsTiles(playerId, sightBefore)) {
+            this.clearUndoHistory();
+        } else {
+            this.undoStack.push(checkpoint);
+            this.redoStack = [];
+        }
+
+        return result;
+    }
+
+    /**
+     * Whether a player can now see a tile that was out of sight before
+     * @param {boolean[][]} [sightBefore] - The player's fogVisible grid before the action
+     */
+    revealsTiles(playerId, sightBefore) {
+        if (!this.fogOfWar) return false;
+
+        this.updateFog();
+        const sight = this.fogVisible[playerId];
+        if (!sight) return false;
+        return sight.some((row, r) => row.some((visible, c) => visible && !(sightBefore && sightBefore[r][c])));
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0 && !this.gameOver;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0 && !this.gameOver;
+    }
+
+    undo() {
+        if (!this.canUndo()) return false;
+
+        this.redoStack.push(this.applyUndoCheckpoint(this.undoStack.pop()));
+        this.log('UNDO', { remaining: this.undoStack.length });
+        return true;
+    }
+
+    redo() {
+        if (!this.canRedo()) return false;
+
+        this.undoStack.push(this.applyUndoCheckpoint(this.redoStack.pop()));
+        this.log('REDO', { remaining: this.redoStack.length });
+        return true;
+    }
+
+    clearUndoHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    createUndoCheckpoint() {
+        return {
+            state: this.serializeState(),
+            snapshotCount: this.history.getSnapshotCount()
+        };
+    }
+
+    /**
+     * Switch to a checkpoint and return a checkpoint of the state being left.
+     * History snapshots recorded after the target are moved onto the returned
+     * checkpoint so a later redo can put them back.
+     */
+    applyUndoCheckpoint(target) {
+        const current = this.createUndoCheckpoint();
+
+        if (target.snapshotCount < current.snapshotCount) {
+            current.snapshots = this.history.truncateSnapshots(target.snapshotCount);
+        } else if (target.snapshots) {
+            this.history.appendSnapshots(target.snapshots);
+        }
+
+        // AI memory is live in the AIManager, so it isn't rolled back
+        const restoredAIState = this.restoredAIState;
+        this.loadState(target.state);
+        if (this.aiManager) {
+            this.restoredAIState = restoredAIState;
+        }
+
+        this.history.updateState(this);
+        return current;
+    }
+
+    // ========================================
+    // SAVE / RESTORE
+    // ========================================
+
+    /**
+     * Serialize the complete engine state, including AI memory when an
+     * AIManager is attached. The result is plain JSON and can be passed
+     * back to loadState() to continue the exact same match.
+     * @returns {Object}
+     */
+    serializeState() {
+        return {
+            players: this.players.map(p => ({
+                id: p.id,
+                name: p.name,
+                color: { ...p.color },
+                techs: p.techs.slice(),
+                research: p.research,
+                sciencePoints: p.sciencePoints,
+                isHuman: p.isHuman,
+                isAI: p.isAI,
+                aiDifficulty: p.aiDifficulty,
+                aiPersonality: p.aiPersonality || null,
+                relations: { ...p.relations }
+            })),
+            rows: this.rows,
+            cols: this.cols,
+            terrain: this.terrain.map(row => row.slice()),
+            mapPreset: this.mapPreset,
+            scenarioName: this.scenarioName,
+            barbarians: { ...this.barbarians },
+            victory: { ...this.victory, modes: this.victory.modes.slice() },
+            victoryType: this.victoryType,
+            ruleset: { ...this.ruleset, productionCost: { ...this.ruleset.productionCost } },
+            capitals: { ...this.capitals },
+            territorialHeld: { ...this.territorialHeld },
+            round: this.round,
+            pieces: this.pieces.map(p => ({ ...p })),
+            tileOwnership: this.tileOwnership.map(row => row.slice()),
+            currentPlayerIndex: this.currentPlayerIndex,
+            turnNumber: this.turnNumber,
+            gameOver: this.gameOver,
+            winner: this.winner,
+            nextPieceId: this.nextPieceId,
+            rng: this.rng.getState(),
+            seeded: this.seeded,
+            fogOfWar: this.fogOfWar,
+            fogMemory: this.fogOfWar ? JSON.parse(JSON.stringify(this.fogMemory)) : {},
+            ai: this.aiManager ? this.aiManager.serializeState() : this.restoredAIState
+        };
+    }
+
+    /**
+     * Replace the current board, players and turn state with a serialized state.
+     * History is left untouched. AI memory is kept in restoredAIState until
+     * an AIManager registers the AI players.
+     * @param {Object} state - Output of serializeState()
+     */
+    loadState(state) {
+        this.players = state.players.map(({ techScore, ...p }) => ({
+            ...p,
+            color: { ...p.color },
+            relations: { ...p.relations },
+            // States saved before the tech tree only carry a tech score
+            techs: p.techs ? p.techs.slice() : GameEngine.techsForLevel(techScore),
+            research: p.research ?? null,
+            sciencePoints: p.sciencePoints || 0
+        }));
+
+        // States saved before board sizes were configurable only carry the ownership grid
+        this.rows = state.rows ?? state.tileOwnership.length;
+        this.cols = state.cols ?? state.tileOwnership[0].length;
+        this.board = this.createEmptyBoard();
+        // States saved before terrain existed are open plains
+        this.terrain = state.terrain ? state.terrain.map(row => row.slice()) : this.createTerrainGrid();
+        // Scenario games have no map preset (null)
+        this.mapPreset = state.mapPreset !== undefined ? state.mapPreset : DEFAULT_MAP_PRESET;
+        this.scenarioName = state.scenarioName || null;
+        this.barbarians = state.barbarians ? { ...state.barbarians } : { enabled: false, round: 0 };
+        // States saved before victory modes existed play for domination only
+        this.victory = GameEngine.normalizeVictory(state.victory);
+        this.victoryType = state.victoryType || null;
+        // States saved before rulesets existed played by the current rules
+        this.ruleset = GameEngine.normalizeRuleset(state.ruleset);
+        this.capitals = { ...state.capitals };
+        this.territorialHeld = { ...state.territorialHeld };
+        this.round = state.round || 0;
+        this.pieces = state.pieces.map(p => ({ ...p }));
+        this.pieces.forEach(piece => {
+            if (piece.population === undefined) GameEngine.upgradeLegacyCity(piece);
+            this.board[piece.row][piece.col] = piece;
+        });
+
+        this.tileOwnership = state.tileOwnership.map(row => row.slice());
+        this.currentPlayerIndex = state.currentPlayerIndex;
+        this.turnNumber = state.turnNumber;
+        this.gameOver = state.gameOver;
+        this.winner = state.winner;
+        this.nextPieceId = state.nextPieceId;
+        this.rng.setState(state.rng);
+        this.seeded = state.seeded || false;
+        // States saved before fog of war existed show the whole board
+        this.fogOfWar = state.fogOfWar || false;
+        this.fogMemory = state.fogMemory ? JSON.parse(JSON.stringify(state.fogMemory)) : {};
+        this.updateFog();
+        this.restoredAIState = state.ai || null;
+    }
+
     /**
-     * Restore game state from a saved game snapshot
-     * @param {Object} savedGame - The saved game data from localStorage
+     * Restore game state from a saved game.
+     * Saves that include a full engine state are restored exactly; older saves
+     * are rebuilt from their latest snapshot.
+     * @param {Object} savedGame - The saved game data from storage
      */
     restoreFromSavedGame(savedGame) {
         this.reset();
 
+        if (savedGame.state) {
+            // A state without its random sequence (an edited import) restarts it from the game's seed
+            const state = savedGame.state.rng ? savedGame.state
+                : { ...savedGame.state, rng: new SeededRandom(savedGame.metadata.seed).getState() };
+            this.loadState(state);
+        } else {
+            this.restoreFromSnapshot(savedGame);
+        }
+
+        // Restore history with existing game ID
+        this.history.gameId = savedGame.gameId;
+        this.history.metadata = { ...savedGame.metadata };
+        this.history.snapshots = [...savedGame.snapshots];
+        this.history.latestState = this.serializeState();
+
+        this.log('GAME_RESTORED', { gameId: savedGame.gameId, turnNumber: this.turnNumber });
+
+        return true;
+    }
+
+    /**
+     * Rebuild engine state from the latest snapshot of a save that predates
+     * full state serialization. AI memory cannot be recovered from these.
+     */
+    restoreFromSnapshot(savedGame) {
         const latestSnapshot = savedGame.snapshots[savedGame.snapshots.length - 1];
         const metadata = savedGame.metadata;
 
         // Restore players from metadata
-        metadata.players.forEach((p, index) => {
+        metadata.players.forEach(p => {
             this.players.push({
                 id: p.id,
                 name: p.name,
                 color: p.color,
-                techScore: 0,
-                isHuman: true,
+                techs: [],
+                research: null,
+                sciencePoints: 0,
+                isHuman: !p.isAI,
+                isAI: p.isAI || false,
+                aiDifficulty: p.aiDifficulty || AI_DIFFICULTY.MEDIUM,
+                aiPersonality: p.aiPersonality || null,
                 relations: {}
             });
         });
@@ -1651,8 +3297,12 @@ class GameEngine {
         // Restore tech levels
         if (latestSnapshot.techLevels) {
             latestSnapshot.techLevels.forEach(tech => {
-                if (this.players[tech.playerId]) {
-                    this.players[tech.playerId].techScore = tech.techScore;
+                const player = this.players[tech.playerId];
+                if (player) {
+                    // Snapshots from before the tech tree only carry the tech score
+                    player.techs = tech.techs ? tech.techs.slice() : GameEngine.techsForLevel(tech.techScore);
+                    player.research = tech.research ?? null;
+                    player.sciencePoints = tech.sciencePoints || 0;
                 }
             });
         }
@@ -1668,6 +3318,10 @@ class GameEngine {
 
         // Restore tile ownership
         if (latestSnapshot.tileOwnership) {
+            this.rows = latestSnapshot.tileOwnership.length;
+            this.cols = latestSnapshot.tileOwnership[0].length;
+            this.board = this.createEmptyBoard();
+            this.terrain = metadata.terrain ? metadata.terrain.map(row => row.slice()) : this.createTerrainGrid();
             this.tileOwnership = latestSnapshot.tileOwnership.map(row => row.slice());
         }
 
@@ -1682,13 +3336,17 @@ class GameEngine {
                     col: p.col,
                     hp: p.hp,
                     maxHp: p.maxHp,
-                    damage: p.type === PIECE_TYPES.WARRIOR ? 1 + (this.players[p.ownerId]?.techScore || 0) : 0,
+                    damage: p.damage !== undefined ? p.damage :
+                        (GameEngine.isMilitary(p.type) ? UNIT_TYPES[p.type].damage + this.getTechBonus(p.ownerId).damage : 0),
                     hasMoved: p.hasMoved || false,
                     production: p.production || null,
                     productionProgress: p.productionProgress || 0,
-                    productionPaused: false,
-                    repeatProduction: true
+                    productionPaused: p.productionPaused || false,
+                    repeatProduction: p.repeatProduction !== undefined ? p.repeatProduction : true,
+                    population: p.population || 0,
+                    food: p.food || 0
                 };
+                if (p.population === undefined) GameEngine.upgradeLegacyCity(piece);
                 this.pieces.push(piece);
                 this.board[piece.row][piece.col] = piece;
             });
@@ -1697,14 +3355,39 @@ class GameEngine {
         // Restore game state
         this.currentPlayerIndex = latestSnapshot.currentPlayerIndex;
         this.turnNumber = latestSnapshot.turnNumber || 0;
+        this.gameOver = metadata.winner !== null && metadata.winner !== undefined;
+        this.winner = this.gameOver ? metadata.winner : null;
+        this.victory = GameEngine.normalizeVictory(metadata.victory);
+        this.ruleset = GameEngine.normalizeRuleset(metadata.ruleset);
+        this.victoryType = this.gameOver ? metadata.victoryType || VICTORY_TYPES.DOMINATION : null;
+        this.nextPieceId = this.findNextPieceId(savedGame.snapshots);
+
+        // Continue the random sequence where the save left off
+        if (latestSnapshot.rngState) {
+            this.rng.setState(latestSnapshot.rngState);
+        } else if (metadata.seed !== undefined && metadata.seed !== null) {
+            this.rng = new SeededRandom(metadata.seed);
+        }
+    }
 
-        // Restore history with existing game ID
-        this.history.gameId = savedGame.gameId;
-        this.history.metadata = { ...metadata };
-        this.history.snapshots = [...savedGame.snapshots];
-
-        this.log('GAME_RESTORED', { gameId: savedGame.gameId, turnNumber: this.turnNumber });
-
-        return true;
+    /**
+     * Find the first piece id number not used anywhere in a game's history,
+     * so pieces created after a restore never reuse the id of a past piece.
+     */
+    findNextPieceId(snapshots) {
+        let maxId = 0;
+        snapshots.forEach(snapshot => {
+            (snapshot.pieces || []).forEach(p => {
+                const idNumber = parseInt(String(p.id).split('_')[1], 10);
+                if (!isNaN(idNumber)) {
+                    maxId = Math.max(maxId, idNumber);
+                }
+            });
+        });
+        return maxId + 1;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameEngine };
+}
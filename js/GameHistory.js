@@ -1,21 +1,136 @@
+/**
+ * MemoryStorage - In-memory implementation of the Web Storage interface
+ * Used as the GameHistory backend when no localStorage is available (Node, tests)
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        const keys = [...this.items.keys()];
+        return index >= 0 && index < keys.length ? keys[index] : null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
 /**
  * GameHistory - Tracks game state history for replay purposes
  * Stores snapshots of tile ownership, tech levels, and piece placements
- * Persists to localStorage with a random game identifier
+ * Persists to a Web Storage backend (localStorage by default) with a random game identifier
+ *
+ * Snapshots are kept whole in memory. In storage a save is a header record
+ * (metadata and latest engine state) plus chunks of KEYFRAME_INTERVAL
+ * snapshots, each chunk a full keyframe followed by per-action deltas. Only
+ * the chunk still filling up is rewritten, and autosaves are batched.
  */
 class GameHistory {
     // Storage prefix for all saved games (separate from display name)
     static STORAGE_PREFIX = 'civchess_save_';
 
-    constructor() {
+    // Storage prefix for snapshot chunks, keyed "<prefix><gameId>#<chunk index>"
+    static CHUNK_PREFIX = 'civchess_chunk_';
+
+    // Stored layout: records without storageVersion hold every snapshot in full
+    static STORAGE_VERSION = 2;
+
+    // Snapshots per stored chunk; each chunk starts with a full snapshot
+    static KEYFRAME_INTERVAL = 50;
+
+    // Autosaves wait this many ms for further changes before writing
+    static SAVE_DELAY = 500;
+
+    // Autosave slots per game, written in turn every AUTOSAVE_INTERVAL rounds
+    static AUTOSAVE_SLOTS = 3;
+    static AUTOSAVE_INTERVAL = 5;
+
+    // Rough localStorage allowance per site in characters, for the usage display
+    static STORAGE_QUOTA_ESTIMATE = 5 * 1024 * 1024;
+
+    // Histories with an autosave waiting, written before saves are read
+    static pendingSaves = new Set();
+
+    // Backend used by the static save list helpers (null = localStorage or memory fallback)
+    static storage = null;
+    static fallbackStorage = null;
+
+    /**
+     * Replace the storage backend used for saved games.
+     * Any object implementing getItem/setItem/removeItem/key/length works.
+     */
+    static setStorage(storage) {
+        GameHistory.storage = storage || null;
+    }
+
+    /**
+     * Get the active storage backend
+     */
+    static getStorage() {
+        if (GameHistory.storage) {
+            return GameHistory.storage;
+        }
+        if (typeof localStorage !== 'undefined') {
+            return localStorage;
+        }
+        if (!GameHistory.fallbackStorage) {
+            GameHistory.fallbackStorage = new MemoryStorage();
+        }
+        return GameHistory.fallbackStorage;
+    }
+
+    /**
+     * @param {Object} [storage] - Storage backend for this game (defaults to GameHistory.getStorage())
+     * @param {Object} [options]
+     * @param {boolean} [options.autoSave=true] - Write to storage after every snapshot
+     */
+    constructor(storage = null, options = {}) {
+        this.storage = storage || GameHistory.getStorage();
+        this.autoSave = options.autoSave !== false;
         this.gameId = this.generateGameId();
         this.snapshots = [];
+        this.latestState = null; // Full engine state for exact restore (see GameEngine.serializeState)
+        this.dirtyChunk = 0; // first stored chunk that no longer matches the snapshots
+        this.saveTimer = null;
+        this.saveError = null; // error from the last write, null once a write succeeds
+        this.onSaveStatusChange = null; // called with the error when saving starts or stops failing
         this.metadata = {
             startTime: Date.now(),
             endTime: null,
             playerCount: 0,
             players: [],
-            winner: null
+            winner: null,
+            victoryType: null, // VICTORY_TYPES value the game was won by
+            seed: null,
+            rows: null,
+            cols: null,
+            terrain: null,
+            mapPreset: null,
+            scenario: null, // name of the scenario the game was started from
+            victory: null, // victory modes and thresholds (see GameEngine.normalizeVictory)
+            fogOfWar: false, // players only saw near their own pieces
+            ruleset: null, // house rules (see GameEngine.normalizeRuleset)
+            forkOf: null, // { gameId, turnNumber } of the save this game branched from
+            autosaveOf: null, // gameId of the game this autosave slot belongs to
+            autosaveRound: null // round the autosave slot was written at
         };
     }
 
@@ -44,15 +159,53 @@ class GameHistory {
 
     /**
      * Initialize history with game metadata
+     * @param {Array<Object>} players - Engine players
+     * @param {number} [seed] - RNG seed the game was started with
+     * @param {Object} [board] - { rows, cols, terrain, mapPreset, scenario, victory, fogOfWar, ruleset } of the game
      */
-    initGame(players) {
+    initGame(players, seed = null, board = null) {
+        this.metadata.seed = seed;
+        this.metadata.rows = board ? board.rows : null;
+        this.metadata.cols = board ? board.cols : null;
+        this.metadata.terrain = board && board.terrain ? board.terrain.map(row => row.slice()) : null;
+        this.metadata.mapPreset = board ? board.mapPreset || null : null;
+        this.metadata.scenario = board ? board.scenario || null : null;
+        this.metadata.victory = board && board.victory
+            ? { ...board.victory, modes: board.victory.modes.slice() }
+            : null;
+        this.metadata.fogOfWar = board ? board.fogOfWar || false : false;
+        this.metadata.ruleset = board && board.ruleset
+            ? { ...board.ruleset, productionCost: { ...board.ruleset.productionCost } }
+            : null;
         this.metadata.playerCount = players.length;
-        this.metadata.players = players.map(p => ({
+        this.metadata.players = this.describePlayers(players);
+        this.metadata.startTime = Date.now();
+    }
+
+    /**
+     * Player details recorded in metadata (who sat where and how they were controlled)
+     */
+    describePlayers(players) {
+        return players.map(p => ({
             id: p.id,
             name: p.name,
-            color: p.color
+            color: p.color,
+            isAI: p.isAI || false,
+            aiDifficulty: p.isAI ? p.aiDifficulty : null,
+            aiPersonality: p.isAI ? (p.aiPersonality || null) : null
         }));
-        this.metadata.startTime = Date.now();
+    }
+
+    /**
+     * Record the full engine state without adding a snapshot, e.g. after
+     * AI players have been assigned personalities.
+     */
+    updateState(engine) {
+        this.latestState = engine.serializeState();
+        this.metadata.players = this.describePlayers(engine.players);
+        if (this.autoSave) {
+            this.scheduleSave();
+        }
     }
 
     /**
@@ -64,7 +217,7 @@ class GameHistory {
     captureSnapshot(engine, actionType, actionDetails = {}) {
         const snapshot = {
             timestamp: Date.now(),
-            turnNumber: engine.turnNumber || this.snapshots.length,
+            turnNumber: engine.turnNumber ?? this.snapshots.length,
             currentPlayerIndex: engine.currentPlayerIndex,
             actionType: actionType,
             actionDetails: actionDetails,
@@ -79,11 +232,34 @@ class GameHistory {
             pieces: this.capturePieces(engine.pieces),
 
             // Player relations (war/peace)
-            playerRelations: this.captureRelations(engine.players)
+            playerRelations: this.captureRelations(engine.players),
+
+            // RNG position so a restored game continues the same random sequence
+            rngState: engine.rng ? engine.rng.getState() : null
         };
 
         this.snapshots.push(snapshot);
-        this.saveToLocalStorage();
+        this.latestState = engine.serializeState();
+        if (this.autoSave) {
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * Remove snapshots past the given count (used by undo)
+     * @returns {Array} The removed snapshots
+     */
+    truncateSnapshots(count) {
+        this.dirtyChunk = Math.min(this.dirtyChunk, Math.floor(count / GameHistory.KEYFRAME_INTERVAL));
+        return this.snapshots.splice(count);
+    }
+
+    /**
+     * Re-append snapshots previously removed by truncateSnapshots (used by redo)
+     */
+    appendSnapshots(snapshots) {
+        this.dirtyChunk = Math.min(this.dirtyChunk, Math.floor(this.snapshots.length / GameHistory.KEYFRAME_INTERVAL));
+        this.snapshots.push(...snapshots);
     }
 
     /**
@@ -95,13 +271,16 @@ class GameHistory {
     }
 
     /**
-     * Capture tech levels for all players
+     * Capture every player's research: techScore is the number of techs known
      */
     captureTechLevels(players) {
         if (!players) return [];
         return players.map(p => ({
             playerId: p.id,
-            techScore: p.techScore
+            techScore: p.techs.length,
+            techs: p.techs.slice(),
+            research: p.research,
+            sciencePoints: p.sciencePoints
         }));
     }
 
@@ -118,10 +297,15 @@ class GameHistory {
             col: p.col,
             hp: p.hp,
             maxHp: p.maxHp,
+            damage: p.damage,
             hasMoved: p.hasMoved,
             // City-specific properties
             production: p.production || null,
-            productionProgress: p.productionProgress || 0
+            productionProgress: p.productionProgress || 0,
+            productionPaused: p.productionPaused || false,
+            repeatProduction: p.repeatProduction !== false,
+            population: p.population || 0,
+            food: p.food || 0
         }));
     }
 
@@ -138,74 +322,370 @@ class GameHistory {
 
     /**
      * Mark game as ended with winner info
+     * @param {number} winner - Winning player id
+     * @param {string} [victoryType] - VICTORY_TYPES value they won by
      */
-    endGame(winner) {
+    endGame(winner, victoryType = null) {
         this.metadata.endTime = Date.now();
         this.metadata.winner = winner;
-        this.saveToLocalStorage();
+        this.metadata.victoryType = victoryType;
+        if (this.autoSave) {
+            this.saveToLocalStorage();
+        }
     }
 
     /**
-     * Save current history to localStorage
+     * Save after SAVE_DELAY, so a burst of actions (an AI turn) is written once
+     */
+    scheduleSave() {
+        GameHistory.pendingSaves.add(this);
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveToLocalStorage(), GameHistory.SAVE_DELAY);
+    }
+
+    /**
+     * Save current history to the storage backend now. Chunks that are
+     * already stored and unchanged are not written again.
+     * @returns {boolean} Whether the save was written
      */
     saveToLocalStorage() {
-        const data = {
-            gameId: this.gameId,
-            metadata: this.metadata,
-            snapshots: this.snapshots
-        };
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        GameHistory.pendingSaves.delete(this);
 
         try {
-            const storageKey = GameHistory.STORAGE_PREFIX + this.gameId;
-            localStorage.setItem(storageKey, JSON.stringify(data));
+            const chunkCount = GameHistory.writeRecord(this.storage, this.gameId, this.getSaveData(), this.dirtyChunk);
+            // The last chunk is still filling up, so it is written again next time
+            this.dirtyChunk = Math.max(chunkCount - 1, 0);
+            this.setSaveError(null);
+            return true;
         } catch (e) {
-            console.warn('Failed to save game history to localStorage:', e);
+            console.warn('Failed to save game history to storage:', e);
+            this.setSaveError(e);
+            return false;
         }
     }
 
     /**
-     * Load a game history from localStorage by gameId
+     * Keep a copy of the game in one of its rotating autosave slots, named
+     * like "Game a3f2 [auto 2]". Called at the end of every round.
+     * @param {number} round - Rounds completed
      */
-    static loadFromLocalStorage(gameId) {
+    saveAutosaveSlot(round) {
+        if (!this.autoSave || round % GameHistory.AUTOSAVE_INTERVAL !== 0) return;
+
+        const slot = (round / GameHistory.AUTOSAVE_INTERVAL - 1) % GameHistory.AUTOSAVE_SLOTS + 1;
+        const slotId = `${this.gameId} [auto ${slot}]`;
+        try {
+            GameHistory.writeRecord(this.storage, slotId, {
+                ...this.getSaveData(),
+                metadata: { ...this.metadata, autosaveOf: this.gameId, autosaveRound: round }
+            });
+        } catch (e) {
+            console.warn('Failed to write autosave slot:', e);
+            GameHistory.deleteSavedGame(slotId, this.storage);
+            this.setSaveError(e);
+        }
+    }
+
+    /**
+     * Save As: store the game under a new name and keep playing it there.
+     * The save under the old name stays as it was at this point.
+     * @returns {boolean} Whether the copy was written; on failure the game keeps its old name
+     */
+    saveAs(gameId) {
+        const previous = { gameId: this.gameId, forkOf: this.metadata.forkOf };
+        this.saveToLocalStorage();
+
+        const lastSnapshot = this.snapshots[this.snapshots.length - 1];
+        this.gameId = gameId;
+        this.metadata.forkOf = { gameId: previous.gameId, turnNumber: lastSnapshot ? lastSnapshot.turnNumber : 0 };
+        this.dirtyChunk = 0;
+        if (this.saveToLocalStorage()) {
+            return true;
+        }
+
+        GameHistory.deleteSavedGame(gameId, this.storage);
+        this.gameId = previous.gameId;
+        this.metadata.forkOf = previous.forkOf;
+        return false;
+    }
+
+    setSaveError(error) {
+        const changed = !error !== !this.saveError;
+        this.saveError = error;
+        if (changed && this.onSaveStatusChange) {
+            this.onSaveStatusChange(error);
+        }
+    }
+
+    /**
+     * Write every waiting autosave, e.g. before the save list is read
+     */
+    static flushPendingSaves() {
+        [...GameHistory.pendingSaves].forEach(history => history.saveToLocalStorage());
+    }
+
+    /**
+     * Store a save record as a header plus delta-encoded chunks
+     * @param {Object} storage
+     * @param {string} gameId - Name to store the save under
+     * @param {Object} record - { metadata, snapshots, state }
+     * @param {number} [fromChunk=0] - First chunk to write; earlier ones are already stored
+     * @returns {number} The number of chunks the save now has
+     * @throws {Error} if storage refuses a write (usually because it is full)
+     */
+    static writeRecord(storage, gameId, record, fromChunk = 0) {
+        const interval = GameHistory.KEYFRAME_INTERVAL;
+        const chunkCount = Math.ceil(record.snapshots.length / interval);
+
+        for (let i = Math.min(fromChunk, chunkCount); i < chunkCount; i++) {
+            const entries = GameHistory.encodeSnapshots(record.snapshots.slice(i * interval, (i + 1) * interval));
+            storage.setItem(GameHistory.chunkKey(gameId, i), JSON.stringify(entries));
+        }
+
+        // The header goes last so it never counts chunks that were not written
+        storage.setItem(GameHistory.STORAGE_PREFIX + gameId, JSON.stringify({
+            storageVersion: GameHistory.STORAGE_VERSION,
+            gameId: gameId,
+            metadata: record.metadata,
+            state: record.state ?? null,
+            snapshotCount: record.snapshots.length,
+            chunkCount: chunkCount
+        }));
+        GameHistory.removeChunks(storage, gameId, chunkCount);
+        return chunkCount;
+    }
+
+    static chunkKey(gameId, index) {
+        return `${GameHistory.CHUNK_PREFIX}${gameId}#${index}`;
+    }
+
+    /**
+     * Remove a save's chunks from the given index on
+     */
+    static removeChunks(storage, gameId, fromIndex = 0) {
+        for (let i = fromIndex; storage.getItem(GameHistory.chunkKey(gameId, i)) !== null; i++) {
+            storage.removeItem(GameHistory.chunkKey(gameId, i));
+        }
+    }
+
+    /**
+     * Turn a stored record back into { gameId, metadata, snapshots, state }.
+     * Records from before chunked storage already hold their snapshots.
+     */
+    static expandRecord(record, gameId, storage) {
+        if (record.storageVersion !== GameHistory.STORAGE_VERSION) {
+            return record;
+        }
+
+        const snapshots = [];
+        for (let i = 0; i < record.chunkCount; i++) {
+            const chunk = storage.getItem(GameHistory.chunkKey(gameId, i));
+            if (chunk === null) {
+                console.warn(`Save "${gameId}" is missing part of its history`);
+                break;
+            }
+            snapshots.push(...GameHistory.decodeSnapshots(JSON.parse(chunk)));
+        }
+
+        return {
+            gameId: record.gameId,
+            metadata: record.metadata,
+            snapshots: snapshots.slice(0, record.snapshotCount),
+            state: record.state
+        };
+    }
+
+    // ========================================
+    // DELTA ENCODING
+    // ========================================
+
+    /**
+     * Encode consecutive snapshots: the first in full, the rest as changes
+     * from the one before
+     */
+    static encodeSnapshots(snapshots) {
+        return snapshots.map((snapshot, i) => i === 0
+            ? { ...snapshot, keyframe: true }
+            : GameHistory.diffSnapshot(snapshots[i - 1], snapshot));
+    }
+
+    static decodeSnapshots(entries) {
+        let previous = null;
+        return entries.map(entry => {
+            if (entry.keyframe) {
+                const { keyframe, ...snapshot } = entry;
+                previous = snapshot;
+            } else {
+                previous = GameHistory.applyDelta(previous, entry);
+            }
+            return previous;
+        });
+    }
+
+    /**
+     * What changed between two snapshots. Action fields are always kept;
+     * tiles, tech, relations and pieces only when they differ.
+     */
+    static diffSnapshot(previous, snapshot) {
+        const delta = {
+            timestamp: snapshot.timestamp,
+            turnNumber: snapshot.turnNumber,
+            currentPlayerIndex: snapshot.currentPlayerIndex,
+            actionType: snapshot.actionType,
+            actionDetails: snapshot.actionDetails,
+            rngState: snapshot.rngState
+        };
+
+        const tiles = [];
+        (snapshot.tileOwnership || []).forEach((rowOwners, row) => rowOwners.forEach((owner, col) => {
+            if (previous.tileOwnership?.[row]?.[col] !== owner) {
+                tiles.push([row, col, owner]);
+            }
+        }));
+        if (tiles.length > 0) delta.tiles = tiles;
+
+        if (JSON.stringify(snapshot.techLevels) !== JSON.stringify(previous.techLevels)) {
+            delta.techLevels = snapshot.techLevels;
+        }
+        if (JSON.stringify(snapshot.playerRelations) !== JSON.stringify(previous.playerRelations)) {
+            delta.playerRelations = snapshot.playerRelations;
+        }
+
+        const previousPieces = previous.pieces || [];
+        const pieces = snapshot.pieces || [];
+        const before = new Map(previousPieces.map(p => [p.id, JSON.stringify(p)]));
+        const ids = new Set(pieces.map(p => p.id));
+        const changed = pieces.filter(p => before.get(p.id) !== JSON.stringify(p));
+        const removed = previousPieces.filter(p => !ids.has(p.id)).map(p => p.id);
+
+        if (changed.length > 0 || removed.length > 0) {
+            delta.pieces = { changed: changed, removed: removed };
+        }
+
+        // Record the order only when it isn't "drop removed, append new"
+        const rebuilt = GameHistory.applyPieceChanges(previousPieces, changed, removed);
+        if (rebuilt.length !== pieces.length || rebuilt.some((piece, i) => piece.id !== pieces[i].id)) {
+            delta.pieces = { changed: changed, removed: removed, order: pieces.map(p => p.id) };
+        }
+
+        return delta;
+    }
+
+    /**
+     * Rebuild a snapshot from the one before it and a diffSnapshot delta.
+     * Unchanged pieces and lists are shared with the previous snapshot.
+     */
+    static applyDelta(previous, delta) {
+        const tileOwnership = (previous.tileOwnership || []).map(row => row.slice());
+        (delta.tiles || []).forEach(([row, col, owner]) => {
+            tileOwnership[row][col] = owner;
+        });
+
+        let pieces = previous.pieces || [];
+        if (delta.pieces) {
+            pieces = GameHistory.applyPieceChanges(pieces, delta.pieces.changed, delta.pieces.removed);
+            if (delta.pieces.order) {
+                const byId = new Map(pieces.map(p => [p.id, p]));
+                pieces = delta.pieces.order.map(id => byId.get(id));
+            }
+        }
+
+        return {
+            timestamp: delta.timestamp,
+            turnNumber: delta.turnNumber,
+            currentPlayerIndex: delta.currentPlayerIndex,
+            actionType: delta.actionType,
+            actionDetails: delta.actionDetails,
+            tileOwnership: tileOwnership,
+            techLevels: delta.techLevels ?? previous.techLevels,
+            pieces: pieces,
+            playerRelations: delta.playerRelations ?? previous.playerRelations,
+            rngState: delta.rngState
+        };
+    }
+
+    static applyPieceChanges(pieces, changed, removed) {
+        const removedIds = new Set(removed);
+        const changedById = new Map(changed.map(p => [p.id, p]));
+        const result = pieces
+            .filter(p => !removedIds.has(p.id))
+            .map(p => changedById.get(p.id) || p);
+
+        const existing = new Set(pieces.map(p => p.id));
+        changed.forEach(p => {
+            if (!existing.has(p.id)) result.push(p);
+        });
+        return result;
+    }
+
+    /**
+     * The record kept in storage for this game (the shape loadFromLocalStorage returns)
+     */
+    getSaveData() {
+        return {
+            gameId: this.gameId,
+            metadata: this.metadata,
+            snapshots: this.snapshots,
+            state: this.latestState
+        };
+    }
+
+    /**
+     * Load a game history from storage by gameId
+     */
+    static loadFromLocalStorage(gameId, storage = GameHistory.getStorage()) {
+        GameHistory.flushPendingSaves();
         try {
             const storageKey = GameHistory.STORAGE_PREFIX + gameId;
-            const data = localStorage.getItem(storageKey);
+            const data = storage.getItem(storageKey);
             if (data) {
-                return JSON.parse(data);
+                return GameHistory.expandRecord(JSON.parse(data), gameId, storage);
             }
             // Fallback: try loading with old format (for backwards compatibility)
-            const oldData = localStorage.getItem(gameId);
+            const oldData = storage.getItem(gameId);
             if (oldData) {
                 return JSON.parse(oldData);
             }
         } catch (e) {
-            console.warn('Failed to load game history from localStorage:', e);
+            console.warn('Failed to load game history from storage:', e);
         }
         return null;
     }
 
     /**
-     * Get list of all saved game IDs from localStorage
+     * Get list of all saved game IDs from storage
      */
-    static listSavedGames() {
+    static listSavedGames(storage = GameHistory.getStorage()) {
+        GameHistory.flushPendingSaves();
         const games = [];
         const prefix = GameHistory.STORAGE_PREFIX;
 
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
             if (!key) continue;
 
             // Check for new prefix format
             if (key.startsWith(prefix)) {
                 try {
-                    const data = JSON.parse(localStorage.getItem(key));
+                    const data = JSON.parse(storage.getItem(key));
+                    const gameId = key.substring(prefix.length);
                     games.push({
-                        gameId: data.gameId || key.substring(prefix.length),
+                        gameId: data.gameId || gameId,
                         startTime: data.metadata?.startTime,
                         endTime: data.metadata?.endTime,
                         playerCount: data.metadata?.playerCount,
                         winner: data.metadata?.winner,
-                        snapshotCount: data.snapshots?.length || 0
+                        victoryType: data.metadata?.victoryType ?? null,
+                        seed: data.metadata?.seed ?? null,
+                        rows: data.metadata?.rows ?? null,
+                        cols: data.metadata?.cols ?? null,
+                        forkOf: data.metadata?.forkOf ?? null,
+                        autosaveOf: data.metadata?.autosaveOf ?? null,
+                        autosaveRound: data.metadata?.autosaveRound ?? null,
+                        snapshotCount: data.snapshotCount ?? data.snapshots?.length ?? 0,
+                        size: GameHistory.getSaveSize(gameId, storage)
                     });
                 } catch (e) {
                     // Skip invalid entries
@@ -214,7 +694,7 @@ class GameHistory {
             // Backwards compatibility: also check for old "Game " format
             else if (key.startsWith('Game ')) {
                 try {
-                    const data = JSON.parse(localStorage.getItem(key));
+                    const data = JSON.parse(storage.getItem(key));
                     games.push({
                         gameId: key,
                         startTime: data.metadata?.startTime,
@@ -222,6 +702,7 @@ class GameHistory {
                         playerCount: data.metadata?.playerCount,
                         winner: data.metadata?.winner,
                         snapshotCount: data.snapshots?.length || 0,
+                        size: key.length + storage.getItem(key).length,
                         _legacyFormat: true  // Flag to indicate old format
                     });
                 } catch (e) {
@@ -234,19 +715,54 @@ class GameHistory {
     }
 
     /**
-     * Delete a saved game from localStorage
+     * Characters a save takes up in storage, header and chunks together
      */
-    static deleteSavedGame(gameId) {
+    static getSaveSize(gameId, storage = GameHistory.getStorage()) {
+        const keys = [GameHistory.STORAGE_PREFIX + gameId];
+        for (let i = 0; storage.getItem(GameHistory.chunkKey(gameId, i)) !== null; i++) {
+            keys.push(GameHistory.chunkKey(gameId, i));
+        }
+        return keys.reduce((size, key) => size + key.length + (storage.getItem(key) || '').length, 0);
+    }
+
+    /**
+     * How much of storage is in use, in characters (browsers measure the
+     * localStorage allowance in characters, not bytes)
+     * @returns {{ saves: number, total: number, quota: number }} quota is an estimate
+     */
+    static getStorageUsage(storage = GameHistory.getStorage()) {
+        GameHistory.flushPendingSaves();
+        const usage = { saves: 0, total: 0, quota: GameHistory.STORAGE_QUOTA_ESTIMATE };
+
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (!key) continue;
+            const size = key.length + (storage.getItem(key) || '').length;
+            usage.total += size;
+            if (key.startsWith(GameHistory.STORAGE_PREFIX) || key.startsWith(GameHistory.CHUNK_PREFIX) ||
+                key.startsWith('Game ')) {
+                usage.saves += size;
+            }
+        }
+        return usage;
+    }
+
+    /**
+     * Delete a saved game from storage
+     */
+    static deleteSavedGame(gameId, storage = GameHistory.getStorage()) {
+        GameHistory.flushPendingSaves();
         try {
             const storageKey = GameHistory.STORAGE_PREFIX + gameId;
             // Try new format first
-            if (localStorage.getItem(storageKey)) {
-                localStorage.removeItem(storageKey);
+            if (storage.getItem(storageKey)) {
+                storage.removeItem(storageKey);
+                GameHistory.removeChunks(storage, gameId);
                 return true;
             }
             // Fallback to old format
-            if (localStorage.getItem(gameId)) {
-                localStorage.removeItem(gameId);
+            if (storage.getItem(gameId)) {
+                storage.removeItem(gameId);
                 return true;
             }
             return false;
@@ -257,61 +773,116 @@ class GameHistory {
     }
 
     /**
-     * Rename a saved game in localStorage
+     * Rename a saved game in storage
      */
-    static renameSavedGame(oldGameId, newGameId) {
-        try {
-            const prefix = GameHistory.STORAGE_PREFIX;
-            const oldStorageKey = prefix + oldGameId;
-            const newStorageKey = prefix + newGameId;
-
-            // Check if target name already exists (in new format)
-            if (localStorage.getItem(newStorageKey)) {
-                return false;
-            }
+    static renameSavedGame(oldGameId, newGameId, storage = GameHistory.getStorage()) {
+        const newStorageKey = GameHistory.STORAGE_PREFIX + newGameId;
 
-            // Try to load from new format first
-            let data = localStorage.getItem(oldStorageKey);
-            let oldKey = oldStorageKey;
-
-            // Fallback to old format (legacy support)
-            if (!data && localStorage.getItem(oldGameId)) {
-                data = localStorage.getItem(oldGameId);
-                oldKey = oldGameId;
-            }
-
-            if (!data) {
-                return false;
-            }
+        // Check if target name already exists (in new format)
+        if (storage.getItem(newStorageKey)) {
+            return false;
+        }
 
-            // Parse and update the gameId in the data
-            const gameData = JSON.parse(data);
-            gameData.gameId = newGameId;
+        // Reads the new format first, then the legacy one
+        const record = GameHistory.loadFromLocalStorage(oldGameId, storage);
+        if (!record) {
+            return false;
+        }
 
+        try {
             // Save with new key (always use new format) and remove old
-            localStorage.setItem(newStorageKey, JSON.stringify(gameData));
-            localStorage.removeItem(oldKey);
+            GameHistory.writeRecord(storage, newGameId, { ...record, gameId: newGameId });
+            GameHistory.deleteSavedGame(oldGameId, storage);
+            GameHistory.updateSaveReferences(oldGameId, newGameId, storage);
             return true;
         } catch (e) {
             console.warn('Failed to rename game history:', e);
+            storage.removeItem(newStorageKey);
+            GameHistory.removeChunks(storage, newGameId);
             return false;
         }
     }
 
+    /**
+     * Store a saved game record read from a file (see SaveFile). Like
+     * renameSavedGame, an existing save is never overwritten: a name that is
+     * taken gets a number added, e.g. "Game a3f2 (2)".
+     * @returns {string|null} The name the game was stored under, or null if it could not be stored
+     */
+    static importSavedGame(savedGame, storage = GameHistory.getStorage()) {
+        GameHistory.flushPendingSaves();
+        const prefix = GameHistory.STORAGE_PREFIX;
+        const gameId = GameHistory.uniqueGameId(savedGame.gameId.trim(), storage);
+
+        try {
+            GameHistory.writeRecord(storage, gameId, { ...savedGame, gameId: gameId });
+            return gameId;
+        } catch (e) {
+            console.warn('Failed to import game history:', e);
+            storage.removeItem(prefix + gameId);
+            GameHistory.removeChunks(storage, gameId);
+            return null;
+        }
+    }
+
+    /**
+     * The given name, or the name with a number added if a save already has it
+     */
+    static uniqueGameId(baseId, storage = GameHistory.getStorage()) {
+        const isTaken = gameId => storage.getItem(GameHistory.STORAGE_PREFIX + gameId) !== null ||
+            storage.getItem(gameId) !== null;
+
+        let gameId = baseId;
+        for (let copy = 2; isTaken(gameId); copy++) {
+            gameId = `${baseId} (${copy})`;
+        }
+        return gameId;
+    }
+
+    /**
+     * Point forks and autosave slots of a renamed save at its new name
+     */
+    static updateSaveReferences(oldGameId, newGameId, storage) {
+        const prefix = GameHistory.STORAGE_PREFIX;
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (!key || !key.startsWith(prefix)) continue;
+            try {
+                const data = JSON.parse(storage.getItem(key));
+                const metadata = data.metadata || {};
+                let changed = false;
+                if (metadata.forkOf && metadata.forkOf.gameId === oldGameId) {
+                    metadata.forkOf = { ...metadata.forkOf, gameId: newGameId };
+                    changed = true;
+                }
+                if (metadata.autosaveOf === oldGameId) {
+                    metadata.autosaveOf = newGameId;
+                    changed = true;
+                }
+                if (changed) {
+                    storage.setItem(key, JSON.stringify(data));
+                }
+            } catch (e) {
+                // Skip invalid entries
+            }
+        }
+    }
+
     /**
      * Update the timestamp of a saved game to make it most recent
      */
-    static updateTimestamp(gameId) {
+    static updateTimestamp(gameId, storage = GameHistory.getStorage()) {
+        GameHistory.flushPendingSaves();
         try {
             const storageKey = GameHistory.STORAGE_PREFIX + gameId;
 
             // Try new format first
-            let data = localStorage.getItem(storageKey);
+            let data = storage.getItem(storageKey);
             let keyToUse = storageKey;
 
             // Fallback to old format
-            if (!data && localStorage.getItem(gameId)) {
-                data = localStorage.getItem(gameId);
+            if (!data && storage.getItem(gameId)) {
+                data = storage.getItem(gameId);
                 keyToUse = gameId;
             }
 
@@ -321,7 +892,7 @@ class GameHistory {
 
             const gameData = JSON.parse(data);
             gameData.metadata.startTime = Date.now();
-            localStorage.setItem(keyToUse, JSON.stringify(gameData));
+            storage.setItem(keyToUse, JSON.stringify(gameData));
             return true;
         } catch (e) {
             console.warn('Failed to update game timestamp:', e);
@@ -360,3 +931,12 @@ class GameHistory {
         return this.snapshots.length;
     }
 }
+
+// Don't lose a waiting autosave when the page is closed
+if (typeof window !== 'undefined' && window.addEventListener) {
+    window.addEventListener('beforeunload', () => GameHistory.flushPendingSaves());
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameHistory, MemoryStorage };
+}
@@ -0,0 +1,201 @@
+// ============================================
+// GAME STATS
+// ============================================
+/**
+ * GameStats - Post-game summary computed from a game's history snapshots
+ * (see GameHistory). Works on saved games as stored, so any finished game
+ * in the Load Game list can be summarized; StatsScene draws the result.
+ */
+class GameStats {
+    // Graphs are drawn from at most this many samples
+    static MAX_SAMPLES = 120;
+
+    // Per-turn values graphed for each player
+    static METRICS = {
+        territory: { name: 'Territory' },
+        cities: { name: 'Cities' },
+        warriors: { name: 'Army' },
+        tech: { name: 'Tech' },
+        strength: { name: 'Strength' }
+    };
+
+    /**
+     * @param {Object} savedGame - { gameId, metadata, snapshots } as stored by GameHistory
+     * @returns {Object} {
+     *     gameId, players: [{ id, name, color }], winner, victoryType, finalTurn, decisiveTurn,
+     *     turns: [turnNumber per sample], series: { metric: [[value per sample] per player] },
+     *     wars: [{ players: [a, b], start, end }],   end is null for wars still going
+     *     totals: [{ unitsKilled, unitsLost, citiesFounded, citiesCaptured, citiesLost }] per player
+     * }
+     */
+    static compute(savedGame) {
+        const metadata = savedGame.metadata || {};
+        const snapshots = savedGame.snapshots || [];
+        const players = (metadata.players || []).map(p => ({ id: p.id, name: p.name, color: p.color }));
+
+        const stats = {
+            gameId: savedGame.gameId || null,
+            players: players,
+            winner: metadata.winner ?? null,
+            victoryType: metadata.victoryType || null,
+            finalTurn: snapshots.length > 0 ? snapshots[snapshots.length - 1].turnNumber : 0,
+            decisiveTurn: null,
+            turns: [],
+            series: {},
+            wars: [],
+            totals: players.map(() => ({
+                unitsKilled: 0,
+                unitsLost: 0,
+                citiesFounded: 0,
+                citiesCaptured: 0,
+                citiesLost: 0
+            }))
+        };
+
+        GameStats.collectSeries(stats, GameStats.sampleSnapshots(snapshots));
+        GameStats.collectEvents(stats, snapshots);
+        stats.decisiveTurn = GameStats.findDecisiveTurn(stats);
+        return stats;
+    }
+
+    /**
+     * The start of the game and the end of every turn, thinned to MAX_SAMPLES.
+     * The last snapshot is always kept so graphs run to the final position.
+     */
+    static sampleSnapshots(snapshots) {
+        const turnEnds = snapshots.filter(s => s.actionType === 'GAME_START' || s.actionType === 'TURN_END');
+        const stride = Math.ceil(turnEnds.length / GameStats.MAX_SAMPLES) || 1;
+        const samples = turnEnds.filter((s, i) => i % stride === 0);
+
+        const last = snapshots[snapshots.length - 1];
+        if (last && samples[samples.length - 1] !== last) {
+            samples.push(last);
+        }
+        return samples;
+    }
+
+    static collectSeries(stats, samples) {
+        Object.keys(GameStats.METRICS).forEach(metric => {
+            stats.series[metric] = stats.players.map(() => []);
+        });
+
+        samples.forEach(snapshot => {
+            stats.turns.push(snapshot.turnNumber);
+            const pieces = snapshot.pieces || [];
+            const ownership = snapshot.tileOwnership || [];
+
+            stats.players.forEach((player, i) => {
+                const tech = (snapshot.techLevels || []).find(t => t.playerId === player.id)?.techScore || 0;
+                const count = type => pieces.filter(p => p.ownerId === player.id && p.type === type).length;
+                const army = pieces.filter(p => p.ownerId === player.id && GameEngine.isMilitary(p.type)).length;
+                const strength = GameEngine.measureStrength(player.id, pieces, ownership, tech);
+
+                stats.series.territory[i].push(strength.breakdown.tiles);
+                stats.series.cities[i].push(count(PIECE_TYPES.CITY));
+                stats.series.warriors[i].push(army);
+                stats.series.tech[i].push(tech);
+                stats.series.strength[i].push(Math.round(strength.total));
+            });
+        });
+    }
+
+    /**
+     * Kills, losses, cities and wars, read from the snapshot action details
+     */
+    static collectEvents(stats, snapshots) {
+        const totals = id => stats.totals[stats.players.findIndex(p => p.id === id)];
+        const openWars = new Map(); // "a-b" -> war entry
+        const pairKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+        const endWar = (a, b, turn) => {
+            const war = openWars.get(pairKey(a, b));
+            if (war) {
+                war.end = turn;
+                openWars.delete(pairKey(a, b));
+            }
+        };
+
+        // Pieces by id as last seen, so removed pieces can still be looked up
+        const lastSeen = new Map();
+        let previousPieces = [];
+
+        snapshots.forEach(snapshot => {
+            const d = snapshot.actionDetails || {};
+            const turn = snapshot.turnNumber;
+
+            switch (snapshot.actionType) {
+                case 'MOVE': {
+                    const combat = d.combat;
+                    if (!combat || !combat.defenderDestroyed) break;
+                    const victim = lastSeen.get(combat.defender);
+                    const attacker = (snapshot.pieces || []).find(p => p.id === combat.attacker);
+                    if (!victim || victim.type === PIECE_TYPES.CAMP) break;
+
+                    if (totals(victim.ownerId)) totals(victim.ownerId).unitsLost++;
+                    if (attacker && totals(attacker.ownerId)) totals(attacker.ownerId).unitsKilled++;
+                    break;
+                }
+                case 'CITY_BUILT':
+                    if (totals(d.owner)) totals(d.owner).citiesFounded++;
+                    break;
+                case 'CITY_CAPTURED':
+                    if (totals(d.newOwner)) totals(d.newOwner).citiesCaptured++;
+                    if (totals(d.previousOwner)) totals(d.previousOwner).citiesLost++;
+                    break;
+                case 'TERRITORY_EXPANDED': {
+                    // Border growth takes any city standing on the claimed tile
+                    const city = previousPieces.find(p => p.type === PIECE_TYPES.CITY &&
+                        p.row === d.tile.row && p.col === d.tile.col);
+                    if (!city || city.ownerId === d.player) break;
+                    if (totals(d.player)) totals(d.player).citiesCaptured++;
+                    if (totals(city.ownerId)) totals(city.ownerId).citiesLost++;
+                    break;
+                }
+                case 'CITY_RAZED':
+                    if (totals(d.previousOwner)) totals(d.previousOwner).citiesLost++;
+                    break;
+                case 'PLAYER_ELIMINATED':
+                    if (totals(d.player)) {
+                        totals(d.player).unitsLost += (d.convertedUnits || 0) + (d.destroyedUnits || 0);
+                    }
+                    // Nobody stays at war with an eliminated player
+                    stats.players.forEach(other => endWar(d.player, other.id, turn));
+                    break;
+                case 'WAR_DECLARED':
+                    if (!openWars.has(pairKey(d.attacker, d.defender))) {
+                        const war = { players: [d.attacker, d.defender], start: turn, end: null };
+                        openWars.set(pairKey(d.attacker, d.defender), war);
+                        stats.wars.push(war);
+                    }
+                    break;
+                case 'PEACE_MADE':
+                    endWar(d.player1, d.player2, turn);
+                    break;
+            }
+
+            previousPieces = snapshot.pieces || [];
+            previousPieces.forEach(piece => lastSeen.set(piece.id, piece));
+        });
+    }
+
+    /**
+     * The turn the winner took the strength lead for good, or the final turn
+     * if they won without ever leading. Null for unfinished games.
+     */
+    static findDecisiveTurn(stats) {
+        const winnerIndex = stats.players.findIndex(p => p.id === stats.winner);
+        if (winnerIndex < 0 || stats.turns.length === 0) return null;
+
+        const strength = stats.series.strength;
+        let decisive = null;
+        for (let s = stats.turns.length - 1; s >= 0; s--) {
+            const leads = strength.every((values, i) => i === winnerIndex || values[s] < strength[winnerIndex][s]);
+            if (!leads) break;
+            decisive = stats.turns[s];
+        }
+        return decisive ?? stats.finalTurn;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameStats };
+}
@@ -0,0 +1,736 @@
+// ============================================
+// MAP GENERATOR
+// ============================================
+/**
+ * MapGenerator - Lays out a new game from one of the MAP_PRESETS: capital
+ * positions, terrain, and optional neutral cities and barbarian camps. Everything is drawn from
+ * the game's SeededRandom, so the same seed and options give the same map.
+ *
+ * Maps are validated before play. Every passable tile must be reachable by
+ * orthogonal steps (so settlers are never cut off) and every player's
+ * reachable area must be within MAP_FAIRNESS_TOLERANCE of the largest;
+ * capitals are nudged from their preset spots until it is.
+ */
+class MapGenerator {
+    // Share of the board given to each generated terrain type, and the size of its clusters
+    static TERRAIN_DENSITY = {
+        mountains: { share: 0.05, cluster: 3 },
+        hills: { share: 0.08, cluster: 3 },
+        forest: { share: 0.14, cluster: 4 }
+    };
+
+    // Maps tried before settling for the fairest one found
+    static MAP_ATTEMPTS = 30;
+
+    // One-tile capital moves tried per map to even out players' areas, and how
+    // close (Chebyshev) two capitals may end up
+    static BALANCE_STEPS = 60;
+    static CAPITAL_SPACING = 3;
+
+    // Neutral cities keep this far (Chebyshev) from capitals and each other
+    static NEUTRAL_CITY_SPACING = 3;
+
+    // Barbarian camps keep this far from capitals, neutral cities and each other
+    static BARBARIAN_CAMP_SPACING = 3;
+
+    /**
+     * @param {number} rows
+     * @param {number} cols
+     * @param {SeededRandom} rng - The game's generator
+     */
+    constructor(rows, cols, rng) {
+        this.rows = rows;
+        this.cols = cols;
+        this.rng = rng;
+    }
+
+    /**
+     * Generate a validated map
+     * @param {number} numPlayers
+     * @param {Object} [options]
+     * @param {string} [options.preset] - MAP_PRESETS key (defaults to DEFAULT_MAP_PRESET, which is
+     *     also used when the preset cannot seat numPlayers)
+     * @param {boolean} [options.neutralCities=false] - Scatter unowned cities between the capitals
+     * @param {boolean} [options.barbarians=false] - Place barbarian camps in the open land
+     * @returns {Object} { preset, capitals, terrain, neutralCities, barbarianCamps, balance }
+     *     balance is { areas, ratio, fair }. If no attempt is fair, the fairest
+     *     map found is returned with fair = false, and the game warns before play.
+     */
+    generate(numPlayers, options = {}) {
+        const preset = MapGenerator.isPresetAvailable(options.preset, numPlayers) ? options.preset : DEFAULT_MAP_PRESET;
+        let best = null;
+
+        for (let attempt = 0; attempt < MapGenerator.MAP_ATTEMPTS; attempt++) {
+            const map = this.createMap(preset, numPlayers, !!options.neutralCities, !!options.barbarians);
+            if (!map || !this.isTerrainConnected(map.terrain)) continue;
+
+            map.balance = this.measureBalance(map.terrain, map.capitals);
+            if (map.balance.fair) {
+                return map;
+            }
+            if (!best || map.balance.ratio > best.balance.ratio) {
+                best = map;
+            }
+        }
+
+        if (best) {
+            return best;
+        }
+
+        // No connected map turned up: the preset's capitals on open plains
+        const capitals = preset === 'mirror'
+            ? this.getMirroredPositions(numPlayers, this.getSymmetryFor(numPlayers))
+            : this.getCornerPositions(numPlayers);
+        const terrain = this.createGrid(TERRAIN_TYPES.PLAINS);
+        return {
+            preset: preset,
+            capitals: capitals,
+            terrain: terrain,
+            neutralCities: [],
+            barbarianCamps: [],
+            balance: this.measureBalance(terrain, capitals)
+        };
+    }
+
+    /**
+     * One unvalidated map for a preset
+     * @returns {Object|null} null if the preset could not place every capital
+     */
+    createMap(preset, numPlayers, withNeutralCities, withBarbarians) {
+        let capitals;
+        let terrain;
+        let symmetry = 1;
+
+        switch (preset) {
+            case 'continents':
+                capitals = this.getCornerPositions(numPlayers);
+                terrain = this.createContinentsTerrain();
+                break;
+            case 'crowded_center':
+                capitals = this.getRingPositions(numPlayers);
+                terrain = this.createBaseTerrain();
+                break;
+            case 'random_scatter':
+                capitals = this.getScatteredPositions(numPlayers);
+                terrain = this.createBaseTerrain(2);
+                break;
+            case 'mirror':
+                symmetry = this.getSymmetryFor(numPlayers);
+                capitals = this.getMirroredPositions(numPlayers, symmetry);
+                terrain = this.symmetrize(this.createBaseTerrain(), symmetry);
+                break;
+            default:
+                capitals = this.getCornerPositions(numPlayers);
+                terrain = this.createBaseTerrain();
+        }
+
+        if (!capitals || capitals.length < numPlayers) return null;
+
+        // Mirrored capitals move together with their images
+        capitals = this.balanceCapitals(terrain, capitals, symmetry);
+        this.clearAround(terrain, capitals);
+        const neutralCities = withNeutralCities
+            ? this.placeNeutralCities(terrain, capitals, numPlayers, symmetry)
+            : [];
+        const barbarianCamps = withBarbarians
+            ? this.placeBarbarianCamps(terrain, [...capitals, ...neutralCities], numPlayers, symmetry)
+            : [];
+
+        return {
+            preset: preset,
+            // Corners and edge midpoints play differently, so seat order must not decide who gets which
+            capitals: this.rng.shuffle(capitals),
+            terrain: terrain,
+            neutralCities: neutralCities,
+            barbarianCamps: barbarianCamps
+        };
+    }
+
+    /**
+     * Whether a preset can seat this many players
+     */
+    static isPresetAvailable(preset, numPlayers) {
+        return !!MAP_PRESETS[preset] && (!MAP_PRESETS[preset].evenPlayers || numPlayers % 2 === 0);
+    }
+
+    createGrid(type) {
+        return Array(this.rows).fill(null).map(() => Array(this.cols).fill(type));
+    }
+
+    isValidTile(row, col) {
+        return row >= 0 && row < this.rows && col >= 0 && col < this.cols;
+    }
+
+    // ========================================
+    // CAPITALS
+    // ========================================
+
+    /**
+     * Up to four players start in the corners; further players are spread
+     * along the edges, each taking the edge tile farthest from every capital
+     * placed so far.
+     */
+    getCornerPositions(numPlayers) {
+        const corners = this.rng.shuffle([
+            { row: 0, col: 0 },
+            { row: 0, col: this.cols - 1 },
+            { row: this.rows - 1, col: 0 },
+            { row: this.rows - 1, col: this.cols - 1 }
+        ]);
+
+        if (numPlayers <= corners.length) {
+            return corners.slice(0, numPlayers);
+        }
+
+        const positions = corners;
+        const edgeTiles = this.getEdgeTiles();
+        while (positions.length < numPlayers) {
+            positions.push(this.findFarthestTile(edgeTiles, positions));
+        }
+        return positions;
+    }
+
+    /**
+     * Capitals evenly spread on a ring around the middle of the board
+     */
+    getRingPositions(numPlayers) {
+        const ring = this.getRingTiles(Math.min(this.rows, this.cols) * (numPlayers > 4 ? 0.33 : 0.25));
+
+        const positions = [this.rng.pick(ring)];
+        while (positions.length < numPlayers) {
+            positions.push(this.findFarthestTile(ring, positions));
+        }
+        return positions;
+    }
+
+    /**
+     * Tiles about radius away from the middle of the board
+     */
+    getRingTiles(radius) {
+        const centerRow = (this.rows - 1) / 2;
+        const centerCol = (this.cols - 1) / 2;
+        const ring = [];
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                if (Math.abs(Math.hypot(r - centerRow, c - centerCol) - radius) <= 0.75) {
+                    ring.push({ row: r, col: c });
+                }
+            }
+        }
+        return ring;
+    }
+
+    /**
+     * Capitals on random tiles, kept apart so nobody starts on top of a rival
+     */
+    getScatteredPositions(numPlayers) {
+        let spacing = Math.floor(Math.min(this.rows, this.cols) / Math.ceil(Math.sqrt(numPlayers)));
+
+        while (spacing >= 2) {
+            const positions = [];
+            for (let tries = 0; tries < 200 && positions.length < numPlayers; tries++) {
+                const tile = { row: this.rng.nextInt(this.rows), col: this.rng.nextInt(this.cols) };
+                if (positions.every(p => this.getDistance(p, tile) >= spacing)) {
+                    positions.push(tile);
+                }
+            }
+            if (positions.length === numPlayers) {
+                return positions;
+            }
+            spacing--;
+        }
+
+        return null;
+    }
+
+    /**
+     * Capitals placed in groups that mirror each other across the board. Two
+     * or four players take the corners; more share a wide ring, since corner
+     * and edge seats do not hold the same amount of land.
+     */
+    getMirroredPositions(numPlayers, symmetry) {
+        const candidates = numPlayers <= 4
+            ? this.getEdgeTiles()
+            : this.getRingTiles(Math.min(this.rows, this.cols) * 0.38);
+        return this.placeSpread(candidates, [], numPlayers, symmetry);
+    }
+
+    getEdgeTiles() {
+        const tiles = [];
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                if (r === 0 || c === 0 || r === this.rows - 1 || c === this.cols - 1) {
+                    tiles.push({ row: r, col: c });
+                }
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * The candidate that maximizes its distance to the closest taken tile.
+     * Ties go to the candidate farthest from all taken tiles combined, then to the RNG.
+     */
+    findFarthestTile(candidates, taken) {
+        let best = [];
+        let bestMin = -1;
+        let bestTotal = -1;
+
+        candidates.forEach(tile => {
+            if (taken.some(t => t.row === tile.row && t.col === tile.col)) return;
+
+            const distances = taken.map(t => Math.hypot(t.row - tile.row, t.col - tile.col));
+            const minDist = Math.min(...distances);
+            const total = distances.reduce((sum, d) => sum + d, 0);
+
+            const EPSILON = 1e-9;
+            if (minDist > bestMin + EPSILON ||
+                (Math.abs(minDist - bestMin) <= EPSILON && total > bestTotal + EPSILON)) {
+                best = [tile];
+                bestMin = minDist;
+                bestTotal = total;
+            } else if (Math.abs(minDist - bestMin) <= EPSILON && Math.abs(total - bestTotal) <= EPSILON) {
+                best.push(tile);
+            }
+        });
+
+        return best.length > 0 ? this.rng.pick(best) : null;
+    }
+
+    /**
+     * Pick count tiles from candidates, each as far as possible from everything
+     * taken so far. With symmetry > 1 every pick brings its mirror images along.
+     * @returns {Array<{row, col}>} May be shorter than count if candidates run out
+     */
+    placeSpread(candidates, taken, count, symmetry = 1) {
+        const placed = [];
+
+        while (placed.length + symmetry <= count) {
+            const occupied = [...taken, ...placed];
+            const options = candidates.filter(tile => {
+                const images = this.getImages(tile.row, tile.col, symmetry);
+                return images.length === symmetry &&
+                    images.every(i => !occupied.some(o => o.row === i.row && o.col === i.col));
+            });
+
+            const tile = this.findFarthestTile(options, occupied);
+            if (!tile) break;
+            placed.push(...this.getImages(tile.row, tile.col, symmetry));
+        }
+
+        return placed;
+    }
+
+    /**
+     * Largest mirror group whose copies seat the players evenly: eight-way on
+     * square boards, four-way across both middle lines, otherwise point symmetry
+     */
+    getSymmetryFor(numPlayers) {
+        if (numPlayers % 8 === 0 && this.rows === this.cols) return 8;
+        if (numPlayers % 4 === 0) return 4;
+        return 2;
+    }
+
+    /**
+     * A tile and its mirror images: 2 = point symmetry through the centre,
+     * 4 = mirrored across both middle lines, 8 = also across the diagonals
+     * (square boards only). Tiles on a mirror line have fewer images.
+     */
+    getImages(row, col, symmetry) {
+        const flipRow = this.rows - 1 - row;
+        const flipCol = this.cols - 1 - col;
+        let images = [{ row, col }];
+
+        if (symmetry === 2) {
+            images.push({ row: flipRow, col: flipCol });
+        } else if (symmetry >= 4) {
+            images.push({ row: row, col: flipCol }, { row: flipRow, col: col }, { row: flipRow, col: flipCol });
+        }
+        if (symmetry === 8) {
+            images = [...images, ...images.map(i => ({ row: i.col, col: i.row }))];
+        }
+
+        const seen = new Set();
+        images = images.filter(i => {
+            const key = `${i.row},${i.col}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        return images;
+    }
+
+    getDistance(a, b) {
+        return Math.max(Math.abs(a.row - b.row), Math.abs(a.col - b.col));
+    }
+
+    // ========================================
+    // NEUTRAL CITIES AND BARBARIAN CAMPS
+    // ========================================
+
+    /**
+     * Unowned cities on open ground between the capitals, one for every two players
+     */
+    placeNeutralCities(terrain, capitals, numPlayers, symmetry) {
+        return this.placeSites(terrain, capitals, numPlayers, MapGenerator.NEUTRAL_CITY_SPACING, symmetry);
+    }
+
+    /**
+     * Barbarian camps in the unclaimed land away from the capitals and neutral cities,
+     * one for every two players
+     */
+    placeBarbarianCamps(terrain, taken, numPlayers, symmetry) {
+        return this.placeSites(terrain, taken, numPlayers, MapGenerator.BARBARIAN_CAMP_SPACING, symmetry);
+    }
+
+    /**
+     * Spread max(1, numPlayers / 2) sites (rounded to whole mirror groups) over
+     * passable tiles at least spacing away from taken tiles and from each other
+     */
+    placeSites(terrain, taken, numPlayers, spacing, symmetry) {
+        let count = Math.max(1, Math.floor(numPlayers / 2));
+        if (symmetry > 1) {
+            count = Math.max(symmetry, Math.round(count / symmetry) * symmetry);
+        }
+
+        const farEnough = (tile, others) => others.every(o => this.getDistance(o, tile) >= spacing);
+
+        const candidates = [];
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                const tile = { row: r, col: c };
+                if (!TERRAIN_RULES[terrain[r][c]].passable || !farEnough(tile, taken)) continue;
+
+                // A site's mirror images must not crowd each other either
+                const images = this.getImages(r, c, symmetry);
+                if (images.every((image, i) => farEnough(image, images.slice(i + 1)))) {
+                    candidates.push(tile);
+                }
+            }
+        }
+
+        const placed = [];
+        while (placed.length < count) {
+            const next = this.placeSpread(
+                candidates.filter(t => farEnough(t, placed)),
+                [...taken, ...placed],
+                symmetry,
+                symmetry
+            );
+            if (next.length === 0) break;
+            placed.push(...next);
+        }
+
+        return placed;
+    }
+
+    // ========================================
+    // TERRAIN
+    // ========================================
+
+    /**
+     * River plus scattered mountains, hills and forest
+     * @param {number} [clusterSize] - Overrides TERRAIN_DENSITY cluster sizes
+     */
+    createBaseTerrain(clusterSize = null) {
+        const terrain = this.createGrid(TERRAIN_TYPES.PLAINS);
+        this.carveRiver(terrain);
+        this.scatterDensity(terrain, clusterSize);
+        return terrain;
+    }
+
+    /**
+     * Two landmasses split by a strait across the long axis, joined by two land bridges
+     */
+    createContinentsTerrain() {
+        const terrain = this.createGrid(TERRAIN_TYPES.PLAINS);
+        const acrossCols = this.cols >= this.rows; // strait runs top to bottom on wide boards
+        const length = acrossCols ? this.rows : this.cols;
+        const span = acrossCols ? this.cols : this.rows;
+        const width = span >= 12 ? 2 : 1;
+        const start = Math.floor((span - width) / 2);
+
+        const bridges = new Set([
+            Math.floor(length / 3) + this.rng.nextInt(2) - 1,
+            Math.floor((2 * length) / 3) + this.rng.nextInt(2)
+        ]);
+
+        let offset = 0;
+        for (let step = 0; step < length; step++) {
+            // Gentle wobble so the coastline is not a ruler line
+            if (this.rng.next() < 0.25) {
+                offset = Math.max(-1, Math.min(1, offset + (this.rng.next() < 0.5 ? -1 : 1)));
+            }
+            if (bridges.has(step)) continue;
+
+            for (let w = 0; w < width; w++) {
+                const across = start + offset + w;
+                const row = acrossCols ? step : across;
+                const col = acrossCols ? across : step;
+                terrain[row][col] = TERRAIN_TYPES.WATER;
+            }
+        }
+
+        this.scatterDensity(terrain);
+        return terrain;
+    }
+
+    scatterDensity(terrain, clusterSize = null) {
+        const area = this.rows * this.cols;
+        Object.entries(MapGenerator.TERRAIN_DENSITY).forEach(([type, density]) => {
+            this.scatterTerrain(terrain, type, Math.round(area * density.share), clusterSize || density.cluster);
+        });
+    }
+
+    /**
+     * Run a river from one edge to the opposite one. Roughly every fourth
+     * tile is left as a ford so the river can be crossed.
+     */
+    carveRiver(terrain) {
+        const alongRows = this.rng.next() < 0.5;
+        const length = alongRows ? this.rows : this.cols;
+        const width = alongRows ? this.cols : this.rows;
+        let offset = Math.floor(width / 4) + this.rng.nextInt(Math.max(1, Math.ceil(width / 2)));
+
+        const setWater = (step, across) => {
+            const row = alongRows ? step : across;
+            const col = alongRows ? across : step;
+            terrain[row][col] = TERRAIN_TYPES.WATER;
+        };
+
+        for (let step = 0; step < length; step++) {
+            if (this.rng.next() >= 0.25) {
+                setWater(step, offset);
+            }
+
+            // Meander sideways, keeping the river orthogonally connected
+            if (this.rng.next() < 0.3) {
+                const shifted = offset + (this.rng.next() < 0.5 ? -1 : 1);
+                if (shifted >= 0 && shifted < width) {
+                    offset = shifted;
+                    setWater(step, offset);
+                }
+            }
+        }
+    }
+
+    /**
+     * Turn plains into a terrain type in small clusters
+     */
+    scatterTerrain(terrain, type, tileCount, clusterSize) {
+        const directions = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+        let placed = 0;
+        let clustersLeft = tileCount * 2; // guards against boards with no plains left
+
+        while (placed < tileCount && clustersLeft-- > 0) {
+            let row = this.rng.nextInt(this.rows);
+            let col = this.rng.nextInt(this.cols);
+
+            for (let i = 0; i < clusterSize && placed < tileCount; i++) {
+                if (terrain[row][col] === TERRAIN_TYPES.PLAINS) {
+                    terrain[row][col] = type;
+                    placed++;
+                }
+
+                const [dr, dc] = this.rng.pick(directions);
+                if (this.isValidTile(row + dr, col + dc)) {
+                    row += dr;
+                    col += dc;
+                }
+            }
+        }
+    }
+
+    /**
+     * Copy one mirror domain of the terrain onto the rest of the board
+     */
+    symmetrize(terrain, symmetry) {
+        return terrain.map((row, r) => row.map((type, c) => {
+            // The image closest to the top-left corner is the source for all of them
+            const source = this.getImages(r, c, symmetry)
+                .reduce((a, b) => (b.row < a.row || (b.row === a.row && b.col < a.col) ? b : a));
+            return terrain[source.row][source.col];
+        }));
+    }
+
+    /**
+     * Capitals and the tiles around them start as open plains
+     */
+    clearAround(terrain, positions) {
+        positions.forEach(pos => {
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    if (this.isValidTile(pos.row + dr, pos.col + dc)) {
+                        terrain[pos.row + dr][pos.col + dc] = TERRAIN_TYPES.PLAINS;
+                    }
+                }
+            }
+        });
+    }
+
+    // ========================================
+    // VALIDATION
+    // ========================================
+
+    /**
+     * Whether every passable tile can reach every other by orthogonal steps
+     */
+    isTerrainConnected(terrain) {
+        const passable = [];
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                if (TERRAIN_RULES[terrain[r][c]].passable) passable.push({ row: r, col: c });
+            }
+        }
+        if (passable.length === 0) return false;
+
+        const visited = new Set([`${passable[0].row},${passable[0].col}`]);
+        const queue = [passable[0]];
+        while (queue.length > 0) {
+            const { row, col } = queue.shift();
+            for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                const r = row + dr;
+                const c = col + dc;
+                const key = `${r},${c}`;
+                if (!this.isValidTile(r, c) || visited.has(key)) continue;
+                if (!TERRAIN_RULES[terrain[r][c]].passable) continue;
+                visited.add(key);
+                queue.push({ row: r, col: c });
+            }
+        }
+
+        return visited.size === passable.length;
+    }
+
+    /**
+     * Reachable area per player: passable tiles a player's capital reaches in
+     * fewer warrior moves than any other capital, within a third of the board.
+     * @returns {Object} { areas, ratio, fair } - ratio is smallest area / largest area
+     */
+    measureBalance(terrain, capitals) {
+        const radius = Math.ceil(Math.min(this.rows, this.cols) / 3);
+        const distances = capitals.map(capital => this.getMoveDistances(terrain, capital));
+
+        const areas = capitals.map(() => 0);
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                const dists = distances.map(d => d[r][c]);
+                const nearest = Math.min(...dists);
+                if (nearest > radius) continue;
+
+                const owners = dists.filter(d => d === nearest).length;
+                if (owners === 1) {
+                    areas[dists.indexOf(nearest)]++;
+                }
+            }
+        }
+
+        const largest = Math.max(...areas);
+        const ratio = largest > 0 ? Math.min(...areas) / largest : 0;
+        return { areas, ratio, fair: ratio >= MAP_FAIRNESS_TOLERANCE };
+    }
+
+    /**
+     * Nudge capitals a tile at a time until every player's area is fair. Each
+     * step moves the capital (with its mirror images) of the smallest or the
+     * largest area, whichever evens the map out most, so capitals stay close
+     * to where the preset put them.
+     * @param {number} groupSize - Capitals come in runs of this many mirror images
+     * @returns {Array<{row, col}>} The capitals, moved or not
+     */
+    balanceCapitals(terrain, capitals, groupSize) {
+        let groups = [];
+        for (let i = 0; i < capitals.length; i += groupSize) {
+            groups.push(capitals.slice(i, i + groupSize));
+        }
+        let balance = this.measureCleared(terrain, groups.flat());
+
+        for (let step = 0; step < MapGenerator.BALANCE_STEPS && !balance.fair; step++) {
+            const smallest = balance.areas.indexOf(Math.min(...balance.areas));
+            const largest = balance.areas.indexOf(Math.max(...balance.areas));
+            const extremes = [...new Set([smallest, largest].map(i => Math.floor(i / groupSize)))];
+
+            let best = this.findBalancingMove(terrain, groups, extremes, groupSize, balance);
+            if (!best) {
+                // Stuck: a move by any other capital may free up room
+                const rest = groups.map((group, g) => g).filter(g => !extremes.includes(g));
+                best = this.findBalancingMove(terrain, groups, rest, groupSize, balance);
+            }
+            if (!best) break;
+            groups = best.groups;
+            balance = best.balance;
+        }
+
+        return groups.flat();
+    }
+
+    /**
+     * The one-tile move of one of the movable capital groups that raises the
+     * balance ratio most
+     * @returns {Object|null} { groups, balance }, or null if no move helps
+     */
+    findBalancingMove(terrain, groups, movable, groupSize, balance) {
+        let best = null;
+        movable.forEach(g => {
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    if (dr === 0 && dc === 0) continue;
+                    const lead = groups[g][0];
+                    const moved = this.getImages(lead.row + dr, lead.col + dc, groupSize);
+                    const others = groups.filter((group, i) => i !== g).flat();
+                    if (moved.length !== groupSize || !moved.every(tile => this.isValidTile(tile.row, tile.col) &&
+                        others.every(other => this.getDistance(other, tile) >= MapGenerator.CAPITAL_SPACING))) {
+                        continue;
+                    }
+
+                    const candidate = groups.map((group, i) => (i === g ? moved : group));
+                    const result = this.measureCleared(terrain, candidate.flat());
+                    if (result.ratio > (best ? best.balance.ratio : balance.ratio)) {
+                        best = { groups: candidate, balance: result };
+                    }
+                }
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * measureBalance as the map will be once the ground around the capitals is cleared
+     */
+    measureCleared(terrain, capitals) {
+        const cleared = terrain.map(row => row.slice());
+        this.clearAround(cleared, capitals);
+        return this.measureBalance(cleared, capitals);
+    }
+
+    /**
+     * Warrior moves (8 directions, passable tiles only) from a tile to every other
+     * @returns {Array<Array<number>>} Infinity where unreachable
+     */
+    getMoveDistances(terrain, from) {
+        const dist = Array(this.rows).fill(null).map(() => Array(this.cols).fill(Infinity));
+        dist[from.row][from.col] = 0;
+        const queue = [from];
+
+        for (let head = 0; head < queue.length; head++) {
+            const { row, col } = queue[head];
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    const r = row + dr;
+                    const c = col + dc;
+                    if (!this.isValidTile(r, c) || dist[r][c] !== Infinity) continue;
+                    if (!TERRAIN_RULES[terrain[r][c]].passable) continue;
+                    dist[r][c] = dist[row][col] + 1;
+                    queue.push({ row: r, col: c });
+                }
+            }
+        }
+
+        return dist;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MapGenerator };
+}
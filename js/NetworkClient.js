@@ -0,0 +1,228 @@
+// ============================================
+// NETWORK CLIENT
+// ============================================
+/**
+ * NetworkClient - Browser side of an online match (see server/server.js)
+ * Sends player actions to the server and hands every state the server
+ * broadcasts to the active scene. Reconnects automatically and reclaims
+ * its seat with the token the server issued.
+ */
+class NetworkClient {
+    static SESSION_KEY = 'civchess_online_session';
+    static RECONNECT_DELAY = 2000;
+
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.handlers = {};
+        this.code = null;
+        this.playerId = null;
+        this.token = null;
+        this.room = null;
+        this.state = null;
+        this.undo = { canUndo: false, canRedo: false }; // server-side undo availability
+        this.connected = false;
+        this.leaving = false;
+        this.reconnectTimer = null;
+    }
+
+    /**
+     * Server address for the page: the host that served the game, or
+     * localhost when the game was opened from disk
+     */
+    static defaultUrl() {
+        if (typeof location !== 'undefined' && location.protocol.startsWith('http')) {
+            const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+            return `${protocol}//${location.host}`;
+        }
+        return 'ws://localhost:8080';
+    }
+
+    /**
+     * Last online seat, so a reloaded page can rejoin its match
+     */
+    static loadSession() {
+        try {
+            const data = sessionStorage.getItem(NetworkClient.SESSION_KEY);
+            return data ? JSON.parse(data) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    saveSession() {
+        try {
+            sessionStorage.setItem(NetworkClient.SESSION_KEY, JSON.stringify({
+                url: this.url,
+                code: this.code,
+                token: this.token
+            }));
+        } catch (e) {
+            // Session storage unavailable - reconnect still works while the page is open
+        }
+    }
+
+    clearSession() {
+        try {
+            sessionStorage.removeItem(NetworkClient.SESSION_KEY);
+        } catch (e) {
+            // Nothing stored
+        }
+    }
+
+    // ========================================
+    // EVENTS
+    // ========================================
+
+    /**
+     * Set the handler for an event, replacing any previous one. Scenes take
+     * over the connection by installing their own handlers.
+     * Events: joined, room, state, denied, error, disconnected, reconnected
+     */
+    on(event, handler) {
+        this.handlers[event] = handler;
+    }
+
+    emit(event, data) {
+        if (this.handlers[event]) {
+            this.handlers[event](data);
+        }
+    }
+
+    // ========================================
+    // CONNECTION
+    // ========================================
+    connect() {
+        return new Promise((resolve, reject) => {
+            let opened = false;
+            const socket = new WebSocket(this.url);
+            this.socket = socket;
+
+            socket.onopen = () => {
+                opened = true;
+                this.connected = true;
+                resolve();
+            };
+            socket.onmessage = (event) => this.handleMessage(event.data);
+            socket.onclose = () => {
+                this.connected = false;
+                if (!opened) {
+                    reject(new Error(`Could not connect to ${this.url}`));
+                    return;
+                }
+                this.onConnectionLost();
+            };
+        });
+    }
+
+    onConnectionLost() {
+        if (this.leaving || !this.token) return;
+
+        this.emit('disconnected');
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect()
+                .then(() => this.send({ type: 'rejoin', code: this.code, token: this.token }))
+                .catch(() => this.onConnectionLost());
+        }, NetworkClient.RECONNECT_DELAY);
+    }
+
+    send(message) {
+        if (this.socket && this.connected) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'joined': {
+                const rejoined = this.code === message.code && this.playerId === message.playerId;
+                this.code = message.code;
+                this.playerId = message.playerId;
+                this.token = message.token;
+                this.saveSession();
+                this.emit(rejoined ? 'reconnected' : 'joined', message);
+                break;
+            }
+            case 'room':
+                this.room = message.room;
+                this.emit('room', message.room);
+                break;
+            case 'state':
+                this.room = message.room;
+                this.state = message.state;
+                this.undo = message.undo || { canUndo: false, canRedo: false };
+                this.emit('state', message);
+                break;
+            case 'denied':
+                this.emit('denied', message);
+                break;
+            case 'error':
+                this.emit('error', message);
+                break;
+        }
+    }
+
+    // ========================================
+    // REQUESTS
+    // ========================================
+    createRoom(seats, seed = null, boardSize = null, map = null, victory = null, ruleset = null) {
+        this.send({
+            type: 'create',
+            seats: seats,
+            seed: seed,
+            rows: boardSize ? boardSize.rows : undefined,
+            cols: boardSize ? boardSize.cols : undefined,
+            mapPreset: map ? map.preset : undefined,
+            neutralCities: map ? map.neutralCities : undefined,
+            barbarians: map ? map.barbarians : undefined,
+            victory: victory || undefined,
+            ruleset: ruleset || undefined
+        });
+    }
+
+    joinRoom(code) {
+        this.send({ type: 'join', code: code });
+    }
+
+    rejoinRoom(code, token) {
+        this.code = code;
+        this.token = token;
+        this.send({ type: 'rejoin', code: code, token: token });
+    }
+
+    sendAction(action) {
+        this.send({ type: 'action', action: action });
+    }
+
+    /**
+     * Leave the room and close the connection for good
+     */
+    leave() {
+        this.leaving = true;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.send({ type: 'leave' });
+        if (this.socket) {
+            this.socket.close();
+        }
+        this.clearSession();
+    }
+
+    isPlaying() {
+        return !!this.room && this.room.status !== 'lobby';
+    }
+
+    isMyTurn() {
+        return !!this.state && this.state.currentPlayerIndex === this.playerId;
+    }
+}
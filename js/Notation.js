@@ -0,0 +1,666 @@
+// ============================================
+// NOTATION
+// ============================================
+/**
+ * Notation - A game's move list as plain text, in the spirit of chess PGN.
+ * Header tags give everything setupGame needs; each following line is one
+ * turn, its actions separated by semicolons:
+ *
+ *   [Game "Game 12"]
+ *   [Seed "3120580231"]
+ *   [Board "10x10"]                     rows x columns
+ *   [Map "classic"]
+ *   [Neutral "no"]
+ *   [Barbarians "no"]
+ *   [Fog "no"]
+ *   [Victory "domination, science 10"]
+ *   [Rules "original, cityHp 5, WARRIOR 6"]   RULESET_PRESETS key, then any
+ *                                             values changed from it
+ *   [P1 "Cyan human"]
+ *   [P2 "Magenta AI hard militaristic"]
+ *   [Result "P1 domination"]               "*" while the game is still going
+ *
+ *   1. P1: W b3-c4; City b2:Science; end
+ *   2. P2: P2 war P1 {rng 4}; W h8xg7 -2; W g9xh8 -3 kill; S f2=City; end {rng 9}
+ *
+ * Squares are a column letter (a = left) and a row number (1 = top).
+ *   W e4-f5           warrior moves (S settler, A archer, H cavalry, C catapult)
+ *   W e4xf5 -2 kill   attack for 2 damage; "kill", "capture" or "raze" when
+ *                     the defender fell, nothing when it held
+ *   S c3=City         settler founds a city
+ *   City d7:Science   production (Diplomacy, Science, Warrior, Settler, Archer,
+ *                     Cavalry, Catapult, Repair),
+ *                     or City d7:repeat-on / repeat-off
+ *   P2 war P3         declare war; "P2 peace? P3" proposes peace, "P3 peace P2" accepts
+ *   P1 research mathematics   choose the tech to research (a TECHS id)
+ *   end               end of turn
+ *
+ * {rng n} after an action is the number of random draws made so far. AI seats
+ * draw numbers while choosing moves, which a replay without the AI cannot
+ * repeat; the count keeps the replay's dice in step. Lines starting with #
+ * are comments.
+ */
+class Notation {
+    static PIECE_LETTERS = Object.fromEntries(
+        Object.entries(UNIT_TYPES).map(([type, unit]) => [type, unit.letter])
+    );
+
+    static COMBAT_RESULTS = ['kill', 'capture', 'raze'];
+
+    // ========================================
+    // WRITING
+    // ========================================
+
+    /**
+     * Write a saved game as notation
+     * @param {Object} savedGame - { gameId, metadata, snapshots, state } as stored by GameHistory
+     * @returns {string}
+     * @throws {Error} if the game cannot be replayed from a seed
+     */
+    static write(savedGame) {
+        const metadata = savedGame.metadata || {};
+        const snapshots = savedGame.snapshots || [];
+        if (metadata.scenario) {
+            throw new Error('Scenario games have no notation');
+        }
+        if (metadata.seed === null || metadata.seed === undefined) {
+            throw new Error('Game has no seed to replay from');
+        }
+        if (snapshots.length === 0 || snapshots[0].actionType !== 'GAME_START') {
+            throw new Error('Game history does not reach back to the start');
+        }
+
+        const lines = Notation.writeHeader(savedGame).map(([tag, value]) => `[${tag} "${value}"]`);
+        lines.push('');
+        Notation.writeTurns(snapshots).forEach(turn => {
+            lines.push(`${turn.turn}. P${turn.player + 1}: ${turn.tokens.join('; ')}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Header tags as [tag, value] pairs
+     */
+    static writeHeader(savedGame) {
+        const metadata = savedGame.metadata;
+        const start = savedGame.snapshots[0];
+        const startPieces = start.pieces || [];
+        const victory = GameEngine.normalizeVictory(metadata.victory);
+        const rows = metadata.rows ?? start.tileOwnership.length;
+        const cols = metadata.cols ?? start.tileOwnership[0].length;
+
+        // Neither flag is in the metadata; the opening position shows them
+        const neutral = startPieces.some(p => p.type === PIECE_TYPES.CITY && p.ownerId === null);
+        const barbarians = savedGame.state?.barbarians?.enabled ??
+            startPieces.some(p => p.type === PIECE_TYPES.CAMP);
+
+        const tags = [
+            ['Game', savedGame.gameId],
+            ['Date', new Date(metadata.startTime || Date.now()).toISOString().slice(0, 10)],
+            ['Seed', metadata.seed],
+            ['Board', `${rows}x${cols}`],
+            ['Map', metadata.mapPreset || DEFAULT_MAP_PRESET],
+            ['Neutral', neutral ? 'yes' : 'no'],
+            ['Barbarians', barbarians ? 'yes' : 'no'],
+            ['Fog', metadata.fogOfWar ? 'yes' : 'no'],
+            ['Victory', Notation.writeVictory(victory)],
+            ['Rules', Notation.writeRuleset(GameEngine.normalizeRuleset(metadata.ruleset))]
+        ];
+
+        metadata.players.forEach((player, index) => {
+            const seat = player.isAI
+                ? ['AI', player.aiDifficulty || AI_DIFFICULTY.MEDIUM, player.aiPersonality].filter(Boolean).join(' ')
+                : 'human';
+            tags.push([`P${index + 1}`, `${player.color.name} ${seat}`]);
+        });
+
+        const victoryShot = savedGame.snapshots.find(s => s.actionType === 'VICTORY');
+        tags.push(['Result', victoryShot
+            ? `P${victoryShot.actionDetails.winner + 1} ${victoryShot.actionDetails.victoryType || VICTORY_TYPES.DOMINATION}`
+            : '*']);
+        return tags;
+    }
+
+    static writeVictory(victory) {
+        return victory.modes.map(mode => {
+            switch (mode) {
+                case VICTORY_TYPES.TERRITORIAL:
+                    return `${mode} ${victory.territorialShare}/${victory.territorialTurns}`;
+                case VICTORY_TYPES.SCIENCE:
+                    return `${mode} ${victory.scienceTech}`;
+                case VICTORY_TYPES.SCORE:
+                    return `${mode} ${victory.turnLimit}`;
+                default:
+                    return mode;
+            }
+        }).join(', ');
+    }
+
+    static writeRuleset(ruleset) {
+        const preset = GameEngine.normalizeRuleset(ruleset.preset);
+        const changes = Object.keys(RULESET_LIMITS)
+            .filter(key => key !== 'productionCost' && ruleset[key] !== preset[key])
+            .map(key => `${key} ${ruleset[key]}`);
+        Object.entries(ruleset.productionCost).forEach(([type, cost]) => {
+            if (cost !== preset.productionCost[type]) changes.push(`${type} ${cost}`);
+        });
+        return [ruleset.preset, ...changes].join(', ');
+    }
+
+    /**
+     * Group the action snapshots into turns
+     * @returns {Array<{ turn: number, player: number, tokens: string[] }>}
+     */
+    static writeTurns(snapshots) {
+        const turns = [];
+        const calls = snapshot => snapshot.rngState ? snapshot.rngState.calls : null;
+        let current = null;
+        let lastCalls = calls(snapshots[0]);
+        // Whose turn it is comes from the last action: the consequences of ending
+        // a turn are recorded after play has already passed on
+        let lastAction = snapshots[0];
+        let consequences = 0; // snapshots since the last action
+
+        const addToken = (token, snapshot) => {
+            if (!current) {
+                current = { turn: lastAction.turnNumber + 1, player: lastAction.currentPlayerIndex, tokens: [] };
+            }
+            const drawn = calls(snapshot);
+            if (drawn !== null && drawn !== lastCalls) {
+                token += ` {rng ${drawn}}`;
+                lastCalls = drawn;
+            }
+            current.tokens.push(token);
+        };
+
+        for (let i = 1; i < snapshots.length; i++) {
+            const previous = snapshots[i - 1];
+            const snapshot = snapshots[i];
+            const token = Notation.describeAction(snapshot, previous);
+
+            if (token === null) {
+                consequences++;
+                continue;
+            }
+            consequences = 0;
+            addToken(token, snapshot);
+            lastAction = snapshot;
+            if (snapshot.actionType === 'TURN_END') {
+                turns.push(current);
+                current = null;
+            }
+        }
+
+        // A turn end that finishes the game records its consequences but no TURN_END
+        if (consequences > 0) {
+            addToken('end', snapshots[snapshots.length - 1]);
+        }
+        if (current) {
+            turns.push(current);
+        }
+        return turns;
+    }
+
+    /**
+     * Notation for the action that recorded a snapshot
+     * @param {Object} snapshot
+     * @param {Object} previous - The snapshot before it, for where pieces stood
+     * @returns {string|null} null for consequences of other actions (and barbarian raids)
+     */
+    static describeAction(snapshot, previous) {
+        const d = snapshot.actionDetails || {};
+        const before = id => (previous.pieces || []).find(p => p.id === id);
+        const player = id => `P${id + 1}`;
+
+        switch (snapshot.actionType) {
+            case 'MOVE':
+            case 'ATTACK': {
+                const piece = before(d.piece);
+                if (!piece || piece.ownerId === BARBARIAN_ID) return null;
+
+                const from = Notation.square(piece.row, piece.col);
+                const target = d.target || d.to;
+                if (!d.combat) {
+                    return `${Notation.PIECE_LETTERS[piece.type]} ${from}-${Notation.square(target.row, target.col)}`;
+                }
+                const result = Notation.combatResult(d.combat);
+                return `${Notation.PIECE_LETTERS[piece.type]} ${from}x${Notation.square(target.row, target.col)} ` +
+                    `-${d.combat.damageDealt}${result ? ' ' + result : ''}`;
+            }
+            case 'CITY_BUILT':
+                return `S ${Notation.square(d.location.row, d.location.col)}=City`;
+            case 'PRODUCTION_SET':
+            case 'REPEAT_SET': {
+                const city = (snapshot.pieces || []).find(p => p.id === d.city);
+                const setting = snapshot.actionType === 'PRODUCTION_SET'
+                    ? Notation.productionName(d.production)
+                    : (d.enabled ? 'repeat-on' : 'repeat-off');
+                return `City ${Notation.square(city.row, city.col)}:${setting}`;
+            }
+            case 'WAR_DECLARED':
+                return `${player(d.attacker)} war ${player(d.defender)}`;
+            case 'PEACE_PROPOSED':
+                return `${player(d.proposer)} peace? ${player(d.target)}`;
+            case 'PEACE_MADE':
+                return `${player(d.player1)} peace ${player(d.player2)}`;
+            case 'RESEARCH_SET':
+                return `${player(d.player)} research ${d.tech}`;
+            case 'TURN_END':
+                return 'end';
+            default:
+                return null;
+        }
+    }
+
+    static square(row, col) {
+        return `${String.fromCharCode(97 + col)}${row + 1}`;
+    }
+
+    static productionName(production) {
+        return production.charAt(0) + production.slice(1).toLowerCase();
+    }
+
+    /**
+     * @returns {string|null} 'kill', 'capture', 'raze', or null when the defender held
+     */
+    static combatResult(combat) {
+        if (combat.cityFlipped) return 'capture';
+        if (combat.cityRazed) return 'raze';
+        if (combat.defenderDestroyed) return 'kill';
+        return null;
+    }
+
+    // ========================================
+    // READING
+    // ========================================
+
+    /**
+     * Read notation text without playing it
+     * @returns {Object} {
+     *     tags: { name: { value, line } },
+     *     setup: { playerConfigs, options },       arguments for GameEngine.setupGame
+     *     result: { winner, victoryType, line } | null,
+     *     actions: [{ line, text, turn, player, rng, ...move }]
+     * }
+     * @throws {Error} naming the line of the first problem
+     */
+    static parse(text) {
+        const tags = {};
+        const actions = [];
+        const fail = (line, message) => {
+            throw new Error(`Line ${line}: ${message}`);
+        };
+
+        String(text).split(/\r?\n/).forEach((raw, index) => {
+            const line = index + 1;
+            const content = raw.trim();
+            if (!content || content.startsWith('#')) return;
+
+            const tag = content.match(/^\[(\w+)\s+"([^"]*)"\]$/);
+            if (tag) {
+                if (actions.length > 0) fail(line, 'Header tags must come before the moves');
+                tags[tag[1]] = { value: tag[2], line: line };
+                return;
+            }
+
+            const turn = content.match(/^(\d+)\.\s*P(\d+):\s*(.*)$/);
+            if (!turn) fail(line, 'Expected a header tag or "<turn>. P<player>: <actions>"');
+
+            turn[3].split(';').map(token => token.trim()).filter(Boolean).forEach(token => {
+                const move = Notation.parseAction(token);
+                if (typeof move === 'string') fail(line, `"${token}" - ${move}`);
+                actions.push({ ...move, line: line, text: token, turn: Number(turn[1]), player: Number(turn[2]) - 1 });
+            });
+        });
+
+        return {
+            tags: tags,
+            setup: Notation.parseSetup(tags, fail),
+            result: Notation.parseResult(tags, fail),
+            actions: actions
+        };
+    }
+
+    /**
+     * @returns {Object|string} The parsed action, or why the token could not be read
+     */
+    static parseAction(token) {
+        let rng = null;
+        const annotation = token.match(/\s*\{rng (\d+)\}$/);
+        if (annotation) {
+            rng = Number(annotation[1]);
+            token = token.slice(0, annotation.index);
+        }
+
+        let m;
+        if ((m = token.match(/^([A-Z])\s+([a-z]\d+)([-x])([a-z]\d+)(?:\s+-(\d+))?(?:\s+(\w+))?$/))) {
+            const attack = m[3] === 'x';
+            if (!Object.values(Notation.PIECE_LETTERS).includes(m[1])) return `Unknown piece "${m[1]}"`;
+            if (attack && m[5] === undefined) return 'Attacks need their damage, e.g. "-2"';
+            if (!attack && (m[5] !== undefined || m[6] !== undefined)) return 'Only attacks have damage';
+            if (m[6] !== undefined && !Notation.COMBAT_RESULTS.includes(m[6])) {
+                return `Unknown attack result "${m[6]}"`;
+            }
+            return {
+                kind: 'move', rng: rng, piece: m[1],
+                from: Notation.parseSquare(m[2]), to: Notation.parseSquare(m[4]),
+                attack: attack, damage: attack ? Number(m[5]) : null, result: m[6] || null
+            };
+        }
+        if ((m = token.match(/^S\s+([a-z]\d+)=City$/))) {
+            return { kind: 'found', rng: rng, from: Notation.parseSquare(m[1]) };
+        }
+        if ((m = token.match(/^City\s+([a-z]\d+):(repeat-on|repeat-off|\w+)$/))) {
+            const city = Notation.parseSquare(m[1]);
+            if (m[2].startsWith('repeat-')) {
+                return { kind: 'repeat', rng: rng, from: city, enabled: m[2] === 'repeat-on' };
+            }
+            const production = m[2].toUpperCase();
+            if (!PRODUCTION_TYPES[production]) return `Unknown production "${m[2]}"`;
+            return { kind: 'production', rng: rng, from: city, production: production };
+        }
+        if ((m = token.match(/^P(\d+)\s+(war|peace\?|peace)\s+P(\d+)$/))) {
+            return {
+                kind: { 'war': 'war', 'peace?': 'propose', 'peace': 'accept' }[m[2]],
+                rng: rng, actor: Number(m[1]) - 1, target: Number(m[3]) - 1
+            };
+        }
+        if ((m = token.match(/^P(\d+)\s+research\s+(\w+)$/))) {
+            if (!Object.hasOwn(TECHS, m[2])) return `Unknown tech "${m[2]}"`;
+            return { kind: 'research', rng: rng, actor: Number(m[1]) - 1, tech: m[2] };
+        }
+        if (token === 'end') {
+            return { kind: 'end', rng: rng };
+        }
+        return 'Not a recognised action';
+    }
+
+    static parseSquare(text) {
+        return { row: Number(text.slice(1)) - 1, col: text.charCodeAt(0) - 97 };
+    }
+
+    /**
+     * setupGame arguments from the header tags
+     */
+    static parseSetup(tags, fail) {
+        const value = (name, fallback) => tags[name] ? tags[name].value : fallback;
+        const flag = name => {
+            const text = value(name, 'no');
+            if (text !== 'yes' && text !== 'no') fail(tags[name].line, `[${name}] must be "yes" or "no"`);
+            return text === 'yes';
+        };
+
+        if (!tags.Seed) fail(1, 'Missing [Seed] tag');
+        const board = value('Board', `${BOARD_SIZE}x${BOARD_SIZE}`).match(/^(\d+)x(\d+)$/);
+        if (!board) fail(tags.Board.line, '[Board] must look like "10x10"');
+        const rows = Number(board[1]);
+        const cols = Number(board[2]);
+        if ([rows, cols].some(n => n < MIN_BOARD_SIZE || n > MAX_BOARD_SIZE)) {
+            fail(tags.Board.line, `Board sides must be ${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE}`);
+        }
+
+        const mapPreset = value('Map', DEFAULT_MAP_PRESET);
+        if (!MAP_PRESETS[mapPreset]) fail(tags.Map.line, `Unknown map "${mapPreset}"`);
+
+        const playerConfigs = [];
+        while (tags[`P${playerConfigs.length + 1}`]) {
+            const tag = tags[`P${playerConfigs.length + 1}`];
+            const words = tag.value.split(/\s+/);
+            const color = PLAYER_COLORS.find(c => c.name === words[0]);
+            if (!color) fail(tag.line, `Unknown color "${words[0]}"`);
+
+            if (words[1] === 'human' && words.length === 2) {
+                playerConfigs.push({ color: color, isAI: false });
+            } else if (words[1] === 'AI' && words.length <= 4 &&
+                Object.values(AI_DIFFICULTY).includes(words[2]) &&
+                (!words[3] || Object.values(AI_PERSONALITY).includes(words[3]))) {
+                playerConfigs.push({ color: color, isAI: true, aiDifficulty: words[2], aiPersonality: words[3] || null });
+            } else {
+                fail(tag.line, 'Players look like "Cyan human" or "Magenta AI hard militaristic"');
+            }
+        }
+        if (playerConfigs.length < MIN_PLAYERS || playerConfigs.length > MAX_PLAYERS_LARGE_BOARD) {
+            fail(1, `Need ${MIN_PLAYERS} to ${MAX_PLAYERS_LARGE_BOARD} players ([P1], [P2], ...)`);
+        }
+
+        return {
+            playerConfigs: playerConfigs,
+            options: {
+                seed: tags.Seed.value,
+                rows: rows,
+                cols: cols,
+                mapPreset: mapPreset,
+                neutralCities: flag('Neutral'),
+                barbarians: flag('Barbarians'),
+                fogOfWar: flag('Fog'),
+                victory: Notation.parseVictory(tags.Victory, fail),
+                ruleset: Notation.parseRuleset(tags.Rules, fail)
+            }
+        };
+    }
+
+    static parseVictory(tag, fail) {
+        if (!tag) return null;
+
+        const victory = { modes: [] };
+        tag.value.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const [mode, setting] = part.split(/\s+/);
+            const numbers = setting ? setting.split('/').map(Number) : [];
+            if (!Object.values(VICTORY_TYPES).includes(mode)) fail(tag.line, `Unknown victory "${mode}"`);
+            victory.modes.push(mode);
+
+            if (mode === VICTORY_TYPES.TERRITORIAL && numbers.length === 2) {
+                [victory.territorialShare, victory.territorialTurns] = numbers;
+            } else if (mode === VICTORY_TYPES.SCIENCE && numbers.length === 1) {
+                victory.scienceTech = numbers[0];
+            } else if (mode === VICTORY_TYPES.SCORE && numbers.length === 1) {
+                victory.turnLimit = numbers[0];
+            } else if (setting !== undefined) {
+                fail(tag.line, `Unexpected setting "${setting}" for ${mode}`);
+            }
+        });
+        return victory;
+    }
+
+    /**
+     * Games written before rulesets existed have no Rules tag and play by the default
+     */
+    static parseRuleset(tag, fail) {
+        if (!tag) return null;
+
+        const [preset, ...changes] = tag.value.split(',').map(part => part.trim());
+        if (!RULESET_PRESETS[preset]) fail(tag.line, `Unknown rules "${preset}"`);
+
+        const ruleset = { preset: preset, productionCost: {} };
+        changes.filter(Boolean).forEach(part => {
+            const [key, setting] = part.split(/\s+/);
+            const value = Number(setting);
+            if (!Number.isInteger(value)) fail(tag.line, `Expected a number for ${key}`);
+
+            if (PRODUCTION_TYPES[key]) {
+                ruleset.productionCost[key] = value;
+            } else if (RULESET_LIMITS[key] && key !== 'productionCost') {
+                ruleset[key] = value;
+            } else {
+                fail(tag.line, `Unknown rule "${key}"`);
+            }
+        });
+        return ruleset;
+    }
+
+    static parseResult(tags, fail) {
+        const tag = tags.Result;
+        if (!tag || tag.value === '*') return null;
+
+        const m = tag.value.match(/^P(\d+)\s+(\w+)$/);
+        if (!m || !Object.values(VICTORY_TYPES).includes(m[2])) {
+            fail(tag.line, '[Result] must be "*" or like "P1 domination"');
+        }
+        return { winner: Number(m[1]) - 1, victoryType: m[2], line: tag.line };
+    }
+
+    // ========================================
+    // REPLAYING
+    // ========================================
+
+    /**
+     * Play notation through a fresh engine, checking every action is legal
+     * and turns out as written
+     * @param {string} text
+     * @param {Object} [engineOptions] - Passed to the GameEngine constructor (autoSave is always off)
+     * @returns {GameEngine} The engine at the end of the move list
+     * @throws {Error} naming the line of the first action that cannot be played
+     */
+    static replay(text, engineOptions = {}) {
+        const game = Notation.parse(text);
+        const engine = new GameEngine({ logToConsole: false, ...engineOptions, autoSave: false });
+        engine.setupGame(game.setup.playerConfigs, game.setup.options);
+
+        game.actions.forEach(action => Notation.play(engine, action));
+
+        const result = game.result;
+        if (result && (!engine.gameOver || engine.winner !== result.winner || engine.victoryType !== result.victoryType)) {
+            throw new Error(`Line ${result.line}: The moves do not end in this result`);
+        }
+        if (!result && engine.gameOver) {
+            const lastLine = game.actions[game.actions.length - 1].line;
+            throw new Error(`Line ${lastLine}: The game ends here but [Result] is "*"`);
+        }
+        return engine;
+    }
+
+    /**
+     * Replay notation into a saved game record, ready for GameHistory.importSavedGame
+     * @throws {Error} as replay does
+     */
+    static toSavedGame(text) {
+        const engine = Notation.replay(text);
+        const name = Notation.parse(text).tags.Game;
+        return { ...engine.history.getSaveData(), gameId: name ? name.value : engine.history.gameId };
+    }
+
+    /**
+     * Play one parsed action
+     * @throws {Error} if it is illegal or turns out differently than written
+     */
+    static play(engine, action) {
+        const fail = message => {
+            throw new Error(`Line ${action.line}: "${action.text}" - ${message}`);
+        };
+
+        if (engine.gameOver) fail('The game is already over');
+        if (action.turn !== engine.turnNumber + 1) fail(`It is turn ${engine.turnNumber + 1}`);
+        if (action.player !== engine.currentPlayerIndex) fail(`It is P${engine.currentPlayerIndex + 1}'s turn`);
+
+        const command = Notation.toCommand(engine, action);
+        if (typeof command === 'string') fail(command);
+
+        // Draws the AI made before this action happened in the original game only.
+        // Play it once to learn how many numbers it uses, then again after skipping the rest.
+        const saved = action.rng !== null ? engine.serializeState() : null;
+        const snapshotCount = engine.history.snapshots.length;
+
+        let result = engine.dispatch(command);
+        if (!result.success) fail(result.reason || 'Illegal action');
+
+        if (action.rng !== null && engine.rng.calls !== action.rng) {
+            const skipped = action.rng - engine.rng.calls;
+            if (skipped < 0) fail(`Random draws are out of step (${engine.rng.calls}, expected ${action.rng})`);
+
+            engine.loadState(saved);
+            engine.history.truncateSnapshots(snapshotCount);
+            for (let i = 0; i < skipped; i++) {
+                engine.rng.next();
+            }
+            result = engine.dispatch(command);
+            if (engine.rng.calls !== action.rng) {
+                fail(`Random draws are out of step (${engine.rng.calls}, expected ${action.rng})`);
+            }
+        }
+
+        if (action.kind === 'move') {
+            const combat = result.combat || null;
+            if (!action.attack && combat) fail('That square is occupied; attacks are written with "x"');
+            if (action.attack && !combat) fail('There is nothing to attack there');
+            if (combat && combat.damageDealt !== action.damage) fail(`The attack deals ${combat.damageDealt} damage`);
+            if (combat && Notation.combatResult(combat) !== action.result) {
+                fail(Notation.combatResult(combat)
+                    ? `The attack ends in "${Notation.combatResult(combat)}"`
+                    : 'The defender survives the attack');
+            }
+        }
+    }
+
+    /**
+     * The engine action for a parsed notation action
+     * @returns {Object|string} An ACTION_TYPES action, or why it cannot be played
+     */
+    static toCommand(engine, action) {
+        const pieceAt = (square, type) => {
+            const piece = engine.isValidTile(square.row, square.col) ? engine.board[square.row][square.col] : null;
+            if (!piece) return `There is no piece on ${Notation.square(square.row, square.col)}`;
+            if (piece.type !== type) return `${Notation.square(square.row, square.col)} holds a ${piece.type}`;
+            return piece;
+        };
+        const player = id => engine.players[id] ? null : `There is no P${id + 1}`;
+
+        switch (action.kind) {
+            case 'move': {
+                const type = Object.keys(Notation.PIECE_LETTERS).find(t => Notation.PIECE_LETTERS[t] === action.piece);
+                const piece = pieceAt(action.from, type);
+                if (typeof piece === 'string') return piece;
+                if (!engine.isValidTile(action.to.row, action.to.col)) return 'Destination is off the board';
+                return { type: ACTION_TYPES.MOVE, pieceId: piece.id, to: action.to };
+            }
+            case 'found': {
+                const settler = pieceAt(action.from, PIECE_TYPES.SETTLER);
+                if (typeof settler === 'string') return settler;
+                return { type: ACTION_TYPES.BUILD_CITY, pieceId: settler.id };
+            }
+            case 'production':
+            case 'repeat': {
+                const city = pieceAt(action.from, PIECE_TYPES.CITY);
+                if (typeof city === 'string') return city;
+                return action.kind === 'production'
+                    ? { type: ACTION_TYPES.SET_PRODUCTION, pieceId: city.id, production: action.production }
+                    : { type: ACTION_TYPES.SET_REPEAT, pieceId: city.id, enabled: action.enabled };
+            }
+            case 'war':
+            case 'propose':
+            case 'accept': {
+                const problem = player(action.actor) || player(action.target);
+                if (problem) return problem;
+                if (action.actor !== engine.currentPlayerIndex) return `Only P${engine.currentPlayerIndex + 1} can act now`;
+                const type = {
+                    war: ACTION_TYPES.DECLARE_WAR,
+                    propose: ACTION_TYPES.PROPOSE_PEACE,
+                    accept: ACTION_TYPES.ACCEPT_PEACE
+                }[action.kind];
+                return { type: type, targetId: action.target };
+            }
+            case 'research':
+                if (action.actor !== engine.currentPlayerIndex) return `Only P${engine.currentPlayerIndex + 1} can act now`;
+                return { type: ACTION_TYPES.SET_RESEARCH, techId: action.tech };
+            case 'end':
+                return { type: ACTION_TYPES.END_TURN };
+        }
+        return 'Not a recognised action';
+    }
+
+    // ========================================
+    // FILES (browser only)
+    // ========================================
+
+    /**
+     * Save a game's notation as a .txt download
+     * @throws {Error} if the game has no notation (see write)
+     */
+    static download(savedGame) {
+        FileIO.download(Notation.write(savedGame),
+            `civchess_${FileIO.safeName(savedGame.gameId)}.txt`, 'text/plain');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Notation };
+}
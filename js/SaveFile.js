@@ -0,0 +1,286 @@
+// ============================================
+// SAVE FILE
+// ============================================
+/**
+ * SaveFile - Saved games exported as .json files, so they can be shared for
+ * bug reports and moved between browsers. A save file wraps the record
+ * GameHistory keeps in storage:
+ *
+ *   {
+ *     format: 'civchess-save', version: 1,
+ *     exportedAt,                              ms timestamp, null for migrated records
+ *     game: { gameId, metadata, snapshots, state }
+ *   }
+ *
+ * Version 0 is a bare storage record with no wrapper (for example one copied
+ * out of localStorage by hand); it is migrated on import.
+ */
+class SaveFile {
+    static FORMAT = 'civchess-save';
+    static VERSION = 1;
+
+    // Upgrades a file from the version it is keyed by to the next one
+    static MIGRATIONS = {
+        0: record => ({
+            format: SaveFile.FORMAT,
+            version: 1,
+            exportedAt: null,
+            game: record
+        })
+    };
+
+    /**
+     * Wrap a saved game record for export
+     * @param {Object} savedGame - { gameId, metadata, snapshots, state } as stored by GameHistory
+     */
+    static create(savedGame) {
+        return {
+            format: SaveFile.FORMAT,
+            version: SaveFile.VERSION,
+            exportedAt: Date.now(),
+            game: {
+                gameId: savedGame.gameId,
+                metadata: savedGame.metadata,
+                snapshots: savedGame.snapshots,
+                state: savedGame.state ?? null
+            }
+        };
+    }
+
+    /**
+     * Bring an older file up to the current version
+     * @throws {Error} if the file is not a save or comes from a newer version of the game
+     */
+    static migrate(file) {
+        if (!file || typeof file !== 'object') throw new Error('Save file is not an object');
+
+        let version;
+        if (file.format === undefined && Array.isArray(file.snapshots)) {
+            version = 0;
+        } else if (file.format === SaveFile.FORMAT) {
+            version = file.version;
+        } else {
+            throw new Error('Not a CivChess save file');
+        }
+
+        if (!Number.isInteger(version) || version < 0 || version > SaveFile.VERSION) {
+            throw new Error(`Unsupported save version: ${version}`);
+        }
+        while (version < SaveFile.VERSION) {
+            file = SaveFile.MIGRATIONS[version](file);
+            version = file.version;
+        }
+        return file;
+    }
+
+    /**
+     * Check a current-version save file before it is imported
+     * @returns {string|null} The first problem found, or null if the save can be loaded
+     */
+    static validate(file) {
+        const game = file.game;
+        if (!game || typeof game !== 'object') return 'Save file has no game';
+        if (typeof game.gameId !== 'string' || !game.gameId.trim()) return 'Save has no name';
+
+        const metadata = game.metadata;
+        if (!metadata || typeof metadata !== 'object') return 'Save has no game details';
+        if (!Array.isArray(metadata.players) || metadata.players.length < MIN_PLAYERS) {
+            return 'Save has no player list';
+        }
+
+        if (!Array.isArray(game.snapshots) || game.snapshots.length === 0) return 'Save has no history';
+        for (let i = 0; i < game.snapshots.length; i++) {
+            const snapshot = game.snapshots[i];
+            if (!snapshot || typeof snapshot.actionType !== 'string' ||
+                typeof snapshot.turnNumber !== 'number' ||
+                !Array.isArray(snapshot.tileOwnership) || !Array.isArray(snapshot.pieces)) {
+                return `History entry ${i + 1} is damaged`;
+            }
+        }
+
+        const state = game.state;
+        if (state !== null && state !== undefined) {
+            const problem = SaveFile.checkState(state, metadata);
+            return problem && `Saved game state ${problem}`;
+        }
+
+        // Saves without a full state are rebuilt from their latest snapshot
+        const latest = game.snapshots[game.snapshots.length - 1];
+        const playerCount = metadata.players.length;
+        const problem = SaveFile.checkBoard(latest, metadata.rows, metadata.cols, playerCount) ||
+            SaveFile.checkTurn(latest, playerCount);
+        return problem && `Latest history entry ${problem}`;
+    }
+
+    /**
+     * Check every field GameEngine.loadState() reads from a full engine state.
+     * A state without a random sequence can still be loaded if the game has a
+     * seed to restart it from.
+     * @returns {string|null} The problem found, phrased to follow "Saved game state"
+     */
+    static checkState(state, metadata) {
+        if (!SaveFile.isRecord(state)) return 'is damaged';
+
+        const players = state.players;
+        if (!Array.isArray(players) || players.length < MIN_PLAYERS) return 'has no player list';
+        if (players.some(p => !SaveFile.isRecord(p) || !SaveFile.isRecord(p.color) ||
+            (p.techs !== undefined && !Array.isArray(p.techs)))) {
+            return 'has a damaged player';
+        }
+
+        if (metadata.rows && state.rows && (state.rows !== metadata.rows || state.cols !== metadata.cols)) {
+            return 'does not match the board size in the save details';
+        }
+        const board = SaveFile.checkBoard(state, state.rows ?? metadata.rows, state.cols ?? metadata.cols,
+            players.length);
+        if (board) return board;
+
+        const rows = state.tileOwnership.length;
+        const cols = state.tileOwnership[0].length;
+        const terrainTypes = Object.values(TERRAIN_TYPES);
+        if (state.terrain && !SaveFile.isGrid(state.terrain, rows, cols, tile => terrainTypes.includes(tile))) {
+            return 'has damaged terrain';
+        }
+
+        const turn = SaveFile.checkTurn(state, players.length);
+        if (turn) return turn;
+        if (typeof state.gameOver !== 'boolean') return 'has no game over flag';
+        if (!Number.isInteger(state.nextPieceId) || state.nextPieceId < 1) return 'has no next piece id';
+
+        if (state.rng !== undefined && state.rng !== null) {
+            if (!SaveFile.isRecord(state.rng) || !Number.isFinite(state.rng.state)) {
+                return 'has a damaged random number state';
+            }
+        } else if (metadata.seed === undefined || metadata.seed === null) {
+            return 'has no random number state and the save has no seed';
+        }
+
+        if (state.fogOfWar && state.fogMemory) {
+            if (!SaveFile.isRecord(state.fogMemory)) return 'has damaged fog of war memory';
+            const onBoard = seen => SaveFile.isRecord(seen) && Number.isInteger(seen.row) &&
+                Number.isInteger(seen.col) && seen.row >= 0 && seen.row < rows && seen.col >= 0 && seen.col < cols;
+            for (const memory of Object.values(state.fogMemory)) {
+                if (!SaveFile.isRecord(memory) ||
+                    !SaveFile.isGrid(memory.explored, rows, cols) || !SaveFile.isGrid(memory.owners, rows, cols) ||
+                    !SaveFile.isRecord(memory.pieces) || !Object.values(memory.pieces).every(onBoard)) {
+                    return 'has damaged fog of war memory';
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check that an ownership grid matches the board size and that every
+     * piece stands on its own tile of the board. Saves from before board
+     * sizes were configurable are measured from their ownership grid.
+     * @param {number} playerCount - Owners are player indexes below this (pieces may also be neutral or barbarian)
+     * @returns {string|null} The problem found, phrased to follow the name of what was checked
+     */
+    static checkBoard(record, rows, cols, playerCount) {
+        const grid = record.tileOwnership;
+        if (!Array.isArray(grid) || grid.length === 0 || !Array.isArray(grid[0])) {
+            return 'has no ownership grid';
+        }
+        rows = rows ?? grid.length;
+        cols = cols ?? grid[0].length;
+        if (!Number.isInteger(rows) || !Number.isInteger(cols) ||
+            rows < MIN_BOARD_SIZE || rows > MAX_BOARD_SIZE ||
+            cols < MIN_BOARD_SIZE || cols > MAX_BOARD_SIZE) {
+            return `has an invalid board size (${rows}x${cols})`;
+        }
+        if (!SaveFile.isGrid(grid, rows, cols)) {
+            return `has an ownership grid that does not match the ${rows}x${cols} board`;
+        }
+        const isPlayer = owner => Number.isInteger(owner) && owner >= 0 && owner < playerCount;
+        if (!grid.every(row => row.every(owner => owner === null || isPlayer(owner)))) {
+            return 'has a tile owned by an unknown player';
+        }
+
+        if (!Array.isArray(record.pieces)) return 'has no piece list';
+        const pieceTypes = Object.values(PIECE_TYPES);
+        const occupied = new Set();
+        for (const piece of record.pieces) {
+            if (!SaveFile.isRecord(piece) || typeof piece.id !== 'string' || !pieceTypes.includes(piece.type)) {
+                return 'has a damaged piece';
+            }
+            if (!Number.isInteger(piece.row) || !Number.isInteger(piece.col) ||
+                piece.row < 0 || piece.row >= rows || piece.col < 0 || piece.col >= cols) {
+                return `has a piece off the board (${piece.id})`;
+            }
+            if (piece.ownerId !== null && piece.ownerId !== BARBARIAN_ID && !isPlayer(piece.ownerId)) {
+                return `has a piece owned by an unknown player (${piece.id})`;
+            }
+            const tile = piece.row * cols + piece.col;
+            if (occupied.has(tile)) return `has two pieces on one tile (${piece.id})`;
+            occupied.add(tile);
+        }
+        return null;
+    }
+
+    /**
+     * Check whose turn a state or snapshot says it is
+     * @returns {string|null} The problem found, phrased to follow the name of what was checked
+     */
+    static checkTurn(record, playerCount) {
+        if (!Number.isInteger(record.currentPlayerIndex) ||
+            record.currentPlayerIndex < 0 || record.currentPlayerIndex >= playerCount) {
+            return 'has no current player';
+        }
+        if (!Number.isInteger(record.turnNumber) || record.turnNumber < 0) return 'has no turn number';
+        return null;
+    }
+
+    static isRecord(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Whether a value is a rows x cols array of arrays, optionally with every cell passing a check
+     */
+    static isGrid(grid, rows, cols, isCell = () => true) {
+        return Array.isArray(grid) && grid.length === rows &&
+            grid.every(row => Array.isArray(row) && row.length === cols && row.every(isCell));
+    }
+
+    static stringify(savedGame) {
+        return JSON.stringify(SaveFile.create(savedGame));
+    }
+
+    /**
+     * Read a save file
+     * @returns {Object} The saved game record, { gameId, metadata, snapshots, state }
+     * @throws {Error} if the text is not a loadable save
+     */
+    static parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Save file is not valid JSON');
+        }
+
+        file = SaveFile.migrate(file);
+        const problem = SaveFile.validate(file);
+        if (problem) {
+            throw new Error(problem);
+        }
+        return file.game;
+    }
+
+    // ========================================
+    // FILES (browser only)
+    // ========================================
+
+    /**
+     * Save a game as a .json download
+     */
+    static download(savedGame) {
+        FileIO.download(SaveFile.stringify(savedGame),
+            `civchess_${FileIO.safeName(savedGame.gameId)}.json`, 'application/json');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SaveFile };
+}
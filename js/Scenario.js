@@ -0,0 +1,201 @@
+// ============================================
+// SCENARIO
+// ============================================
+/**
+ * Scenario - Hand-made starting positions built in the MapEditorScene and
+ * started with GameEngine.loadScenario(). A scenario is plain JSON:
+ *
+ *   {
+ *     format: 'civchess-scenario', version: 1, name,
+ *     rows, cols,
+ *     players: [{ colorIndex, isAI, aiDifficulty, techScore }],   techScore: techs known,
+ *                                                                 learned in TECHS order
+ *     terrain: [[TERRAIN_TYPES value]],      optional, open plains when missing
+ *     tileOwnership: [[playerId or null]],
+ *     pieces: [{ type, ownerId, row, col, hp }],   hp optional (null = normal hp),
+ *                                                  ownerId null only for neutral cities,
+ *                                                  BARBARIAN_ID for camps and raiders
+ *     barbarians: boolean                    optional, barbarian faction in play
+ *     victory: { modes, ... }                optional victory settings (see VICTORY_DEFAULTS);
+ *                                            each player's first listed city is their capital
+ *     ruleset: { preset, ... }               optional house rules (see RULESET_PRESETS)
+ *     wars: [[playerId, playerId]],          every other pair starts at peace
+ *     currentPlayer                          player who takes the first turn
+ *   }
+ */
+class Scenario {
+    static FORMAT = 'civchess-scenario';
+    static VERSION = 1;
+
+    // Largest hp and tech a scenario may hand out
+    static MAX_HP = 99;
+    static MAX_TECH = Object.keys(TECHS).length;
+
+    /**
+     * An empty scenario: two players, open plains, no pieces
+     */
+    static create(rows = BOARD_SIZE, cols = BOARD_SIZE) {
+        return {
+            format: Scenario.FORMAT,
+            version: Scenario.VERSION,
+            name: 'Untitled Scenario',
+            rows: rows,
+            cols: cols,
+            players: [0, 1].map(colorIndex => ({
+                colorIndex: colorIndex,
+                isAI: colorIndex > 0,
+                aiDifficulty: AI_DIFFICULTY.MEDIUM,
+                techScore: 0
+            })),
+            terrain: Array(rows).fill(null).map(() => Array(cols).fill(TERRAIN_TYPES.PLAINS)),
+            tileOwnership: Array(rows).fill(null).map(() => Array(cols).fill(null)),
+            pieces: [],
+            wars: [],
+            currentPlayer: 0
+        };
+    }
+
+    /**
+     * Check a scenario before it is played
+     * @returns {string|null} The first problem found, or null if the scenario is playable
+     */
+    static validate(scenario) {
+        if (!scenario || typeof scenario !== 'object') return 'Scenario is not an object';
+        if (scenario.format !== Scenario.FORMAT) return 'Not a CivChess scenario file';
+        if (scenario.version !== Scenario.VERSION) return `Unsupported scenario version: ${scenario.version}`;
+
+        const { rows, cols, players } = scenario;
+        const isSize = size => Number.isInteger(size) && size >= MIN_BOARD_SIZE && size <= MAX_BOARD_SIZE;
+        if (!isSize(rows) || !isSize(cols)) {
+            return `Board must be ${MIN_BOARD_SIZE}-${MAX_BOARD_SIZE} rows and columns`;
+        }
+
+        const maxPlayers = GameEngine.getMaxPlayers(rows, cols);
+        if (!Array.isArray(players) || players.length < MIN_PLAYERS || players.length > maxPlayers) {
+            return `A ${rows}x${cols} scenario needs ${MIN_PLAYERS}-${maxPlayers} players`;
+        }
+
+        const usedColors = new Set();
+        const difficulties = Object.values(AI_DIFFICULTY);
+        for (let i = 0; i < players.length; i++) {
+            const player = players[i];
+            if (!PLAYER_COLORS[player.colorIndex] || usedColors.has(player.colorIndex)) {
+                return `Player ${i + 1} needs a color of their own`;
+            }
+            usedColors.add(player.colorIndex);
+            if (player.isAI && !difficulties.includes(player.aiDifficulty)) {
+                return `Player ${i + 1} has an unknown AI difficulty`;
+            }
+            if (!Scenario.isCount(player.techScore, 0, Scenario.MAX_TECH)) {
+                return `Player ${i + 1} tech must be 0-${Scenario.MAX_TECH}`;
+            }
+        }
+
+        const isPlayerId = id => Number.isInteger(id) && id >= 0 && id < players.length;
+        const isGrid = grid => Array.isArray(grid) && grid.length === rows &&
+            grid.every(row => Array.isArray(row) && row.length === cols);
+
+        if (scenario.terrain !== undefined && scenario.terrain !== null) {
+            if (!isGrid(scenario.terrain) ||
+                !scenario.terrain.every(row => row.every(type => TERRAIN_RULES[type]))) {
+                return 'Terrain does not match the board';
+            }
+        }
+        if (!isGrid(scenario.tileOwnership) ||
+            !scenario.tileOwnership.every(row => row.every(owner => owner === null || isPlayerId(owner)))) {
+            return 'Tile ownership does not match the board';
+        }
+
+        if (!Array.isArray(scenario.pieces)) return 'Scenario has no piece list';
+        const pieceTypes = Object.values(PIECE_TYPES);
+        const occupied = new Set();
+        for (const piece of scenario.pieces) {
+            const where = `(${piece.row + 1}, ${piece.col + 1})`;
+            if (!pieceTypes.includes(piece.type)) return `Unknown piece type: ${piece.type}`;
+            if (!Number.isInteger(piece.row) || !Number.isInteger(piece.col) ||
+                piece.row < 0 || piece.row >= rows || piece.col < 0 || piece.col >= cols) {
+                return `Piece ${where} is off the board`;
+            }
+            if (occupied.has(`${piece.row},${piece.col}`)) return `Two pieces share tile ${where}`;
+            occupied.add(`${piece.row},${piece.col}`);
+
+            if (piece.ownerId === null) {
+                if (piece.type !== PIECE_TYPES.CITY) return `Only cities can be neutral ${where}`;
+            } else if (piece.ownerId === BARBARIAN_ID) {
+                if (piece.type !== PIECE_TYPES.CAMP && piece.type !== PIECE_TYPES.WARRIOR) {
+                    return `Barbarians only have camps and warriors ${where}`;
+                }
+            } else if (piece.type === PIECE_TYPES.CAMP) {
+                return `Camps belong to the barbarians ${where}`;
+            } else if (!isPlayerId(piece.ownerId)) {
+                return `Piece ${where} belongs to an unknown player`;
+            }
+            const terrain = scenario.terrain ? scenario.terrain[piece.row][piece.col] : TERRAIN_TYPES.PLAINS;
+            if (!TERRAIN_RULES[terrain].passable) {
+                return `Piece ${where} stands on ${TERRAIN_RULES[terrain].name.toLowerCase()}`;
+            }
+            if (piece.hp !== undefined && piece.hp !== null && !Scenario.isCount(piece.hp, 1, Scenario.MAX_HP)) {
+                return `Piece ${where} hp must be 1-${Scenario.MAX_HP}`;
+            }
+        }
+
+        for (let i = 0; i < players.length; i++) {
+            if (!scenario.pieces.some(p => p.ownerId === i && p.type === PIECE_TYPES.CITY)) {
+                return `Player ${i + 1} needs at least one city`;
+            }
+        }
+
+        if (!Array.isArray(scenario.wars) ||
+            !scenario.wars.every(pair => Array.isArray(pair) && pair.length === 2 &&
+                isPlayerId(pair[0]) && isPlayerId(pair[1]) && pair[0] !== pair[1])) {
+            return 'Wars must be pairs of different players';
+        }
+        if (!isPlayerId(scenario.currentPlayer)) return 'The starting player does not exist';
+
+        return null;
+    }
+
+    static isCount(value, min, max) {
+        return Number.isInteger(value) && value >= min && value <= max;
+    }
+
+    static stringify(scenario) {
+        return JSON.stringify(scenario, null, 2);
+    }
+
+    /**
+     * Read a scenario file
+     * @returns {Object} The scenario
+     * @throws {Error} if the text is not a playable scenario
+     */
+    static parse(text) {
+        let scenario;
+        try {
+            scenario = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Scenario file is not valid JSON');
+        }
+
+        const problem = Scenario.validate(scenario);
+        if (problem) {
+            throw new Error(problem);
+        }
+        return scenario;
+    }
+
+    // ========================================
+    // FILES (browser only)
+    // ========================================
+
+    /**
+     * Save a scenario as a .json download
+     */
+    static download(scenario) {
+        FileIO.download(Scenario.stringify(scenario),
+            `${FileIO.safeName(scenario.name || 'scenario')}.json`, 'application/json');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Scenario };
+}
@@ -0,0 +1,102 @@
+// ============================================
+// SEEDED RANDOM
+// ============================================
+/**
+ * SeededRandom - Deterministic pseudo random number generator (mulberry32)
+ * One instance is shared by the engine and every AI so a game started with
+ * the same seed and the same inputs plays out identically.
+ */
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Numeric seed, or any string (hashed to a number)
+     */
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+        this.calls = 0; // Number of values drawn, lets callers detect random outcomes
+    }
+
+    /**
+     * Generate a fresh seed for games started without one
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Convert a user supplied seed into an unsigned 32-bit integer
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const str = String(seed);
+        if (/^\d+$/.test(str)) {
+            return Number(str) >>> 0;
+        }
+
+        // FNV-1a hash for text seeds
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1), drop-in replacement for Math.random()
+     */
+    next() {
+        this.calls++;
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element from an array (undefined if empty)
+     */
+    pick(array) {
+        if (array.length === 0) return undefined;
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Fisher-Yates shuffle in place, returns the array
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Serializable generator state (for saves and replays)
+     */
+    getState() {
+        return { seed: this.seed, state: this.state, calls: this.calls };
+    }
+
+    setState(saved) {
+        this.seed = saved.seed;
+        this.state = saved.state >>> 0;
+        this.calls = saved.calls || 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom };
+}
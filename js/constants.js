@@ -1,11 +1,14 @@
 // ============================================
 // CONSTANTS
 // ============================================
-const BOARD_SIZE = 10;
+// Layout and rendering constants for the browser. Game rules live in rules.js.
 const BASE_TILE_SIZE = 60;
 const BASE_BOARD_OFFSET = 40;
 const UI_PANEL_WIDTH = 280;
 const UI_PANEL_HEIGHT = 320;
+const UI_PANEL_MIN_HEIGHT = 680; // desktop side panel content, even beside short boards
+const MOBILE_PLAYER_ROW_HEIGHT = 32;
+const DENSE_PLAYER_ROW_HEIGHT = 24; // single-line player rows used for more than four players
 
 // Dynamic values (recalculated based on viewport)
 let TILE_SIZE = BASE_TILE_SIZE;
@@ -17,7 +20,12 @@ const Layout = {
         return window.innerWidth <= 768 || (window.innerWidth < window.innerHeight && window.innerWidth <= 1024);
     },
 
-    calculate: function() {
+    /**
+     * @param {number} [rows=BOARD_SIZE] - Board rows
+     * @param {number} [cols=BOARD_SIZE] - Board columns
+     * @param {number} [playerCount=4] - Players listed in the side panel
+     */
+    calculate: function(rows = BOARD_SIZE, cols = BOARD_SIZE, playerCount = 4) {
         const mobile = this.isMobile();
 
         // Get available viewport space (with some padding for page elements)
@@ -25,15 +33,16 @@ const Layout = {
         const availableHeight = window.innerHeight - 90;
 
         // Base dimensions at full size
-        const baseBoardSize = BOARD_SIZE * BASE_TILE_SIZE + BASE_BOARD_OFFSET * 2;
+        const baseBoardWidth = cols * BASE_TILE_SIZE + BASE_BOARD_OFFSET * 2;
+        const baseBoardHeight = rows * BASE_TILE_SIZE + BASE_BOARD_OFFSET * 2;
 
         let targetWidth, targetHeight;
         if (mobile) {
-            targetWidth = baseBoardSize;
-            targetHeight = baseBoardSize + UI_PANEL_HEIGHT;
+            targetWidth = baseBoardWidth;
+            targetHeight = baseBoardHeight + UI_PANEL_HEIGHT;
         } else {
-            targetWidth = baseBoardSize + UI_PANEL_WIDTH;
-            targetHeight = baseBoardSize;
+            targetWidth = baseBoardWidth + UI_PANEL_WIDTH;
+            targetHeight = baseBoardHeight;
         }
 
         // Calculate scale to fit viewport (never scale up beyond 1)
@@ -52,15 +61,22 @@ const Layout = {
         BOARD_OFFSET = Math.max(BOARD_OFFSET, 20);
 
         // Calculate final dimensions
-        const boardWidth = BOARD_SIZE * TILE_SIZE + BOARD_OFFSET * 2;
-        const boardHeight = BOARD_SIZE * TILE_SIZE + BOARD_OFFSET * 2;
+        const boardWidth = cols * TILE_SIZE + BOARD_OFFSET * 2;
+        const boardHeight = rows * TILE_SIZE + BOARD_OFFSET * 2;
 
-        // Scale panel height on mobile for better proportions
-        const scaledPanelHeight = mobile ? Math.max(Math.floor(UI_PANEL_HEIGHT * scale), 180) : UI_PANEL_HEIGHT;
+        // Scale panel height on mobile for better proportions, growing it for long player lists
+        const extraPlayerRows = playerCount > 4
+            ? Math.max(0, playerCount * DENSE_PLAYER_ROW_HEIGHT - 4 * MOBILE_PLAYER_ROW_HEIGHT)
+            : 0;
+        const scaledPanelHeight = mobile
+            ? Math.max(Math.floor(UI_PANEL_HEIGHT * scale), 180) + extraPlayerRows
+            : UI_PANEL_HEIGHT;
 
         if (mobile) {
             return {
                 mobile: true,
+                rows: rows,
+                cols: cols,
                 gameWidth: boardWidth,
                 gameHeight: boardHeight + scaledPanelHeight,
                 boardOffsetX: BOARD_OFFSET,
@@ -71,22 +87,35 @@ const Layout = {
                 panelHeight: scaledPanelHeight
             };
         } else {
+            const gameHeight = Math.max(boardHeight, UI_PANEL_MIN_HEIGHT);
             return {
                 mobile: false,
+                rows: rows,
+                cols: cols,
                 gameWidth: boardWidth + UI_PANEL_WIDTH,
-                gameHeight: boardHeight,
+                gameHeight: gameHeight,
                 boardOffsetX: BOARD_OFFSET,
                 boardOffsetY: BOARD_OFFSET,
                 panelX: boardWidth,
                 panelY: 0,
                 panelWidth: UI_PANEL_WIDTH,
-                panelHeight: boardHeight
+                panelHeight: gameHeight
             };
         }
     },
 
     getConfig: function() {
         return this.calculate();
+    },
+
+    /**
+     * Recalculate the layout for a board size and resize a scene's game canvas to match
+     * @returns {Object} The new layoutConfig
+     */
+    resizeForBoard: function(scene, rows = BOARD_SIZE, cols = BOARD_SIZE, playerCount = 4) {
+        layoutConfig = this.calculate(rows, cols, playerCount);
+        scene.scale.resize(layoutConfig.gameWidth, layoutConfig.gameHeight);
+        return layoutConfig;
     }
 };
 
@@ -95,16 +124,6 @@ let layoutConfig = Layout.calculate();
 const GAME_WIDTH = layoutConfig.gameWidth;
 const GAME_HEIGHT = layoutConfig.gameHeight;
 
-// Neon colors for players
-const PLAYER_COLORS = [
-    { name: 'Cyan', hex: 0x00ffff, css: '#00ffff' },
-    { name: 'Magenta', hex: 0xff00ff, css: '#ff00ff' },
-    { name: 'Lime', hex: 0x00ff00, css: '#00ff00' },
-    { name: 'Orange', hex: 0xff8800, css: '#ff8800' },
-    { name: 'Pink', hex: 0xff66b2, css: '#ff66b2' },
-    { name: 'Yellow', hex: 0xffff00, css: '#ffff00' }
-];
-
 // Dark mode colors
 const COLORS = {
     background: 0x1a1a2e,
@@ -117,18 +136,11 @@ const COLORS = {
     textSecondary: '#888888'
 };
 
-// Piece types
-const PIECE_TYPES = {
-    CITY: 'city',
-    WARRIOR: 'warrior',
-    SETTLER: 'settler'
-};
-
-// Production types
-const PRODUCTION_TYPES = {
-    DIPLOMACY: { name: 'Diplomacy', turns: 4 },
-    SCIENCE: { name: 'Science', turns: 10 },
-    WARRIOR: { name: 'Make Warrior', turns: 4 },
-    SETTLER: { name: 'Make Settler', turns: 6 },
-    REPAIR: { name: 'Repair', turns: 1 }
+// Terrain tile shades (checkerboard light/dark) and the colour of the marker drawn on top
+const TERRAIN_COLORS = {
+    plains: { light: COLORS.lightTile, dark: COLORS.darkTile, marker: null },
+    forest: { light: 0x2f4a3c, dark: 0x263d31, marker: 0x4f8a5f },
+    hills: { light: 0x4a4538, dark: 0x3d392e, marker: 0x8a7f5a },
+    mountains: { light: 0x4a4a54, dark: 0x3e3e47, marker: 0x9a9aab },
+    water: { light: 0x23385c, dark: 0x1d304f, marker: 0x4a7cc0 }
 };
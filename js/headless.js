@@ -0,0 +1,121 @@
+// ============================================
+// HEADLESS ENTRY POINT
+// ============================================
+// Loads the rules, engine, history and AI in Node without Phaser, window or
+// localStorage, for rule tests and automated AI-vs-AI games.
+//
+//   const { createHeadlessGame } = require('./js/headless.js');
+//   import civchess from './js/headless.js';
+//
+// In the browser these files share their declarations through script tags.
+// Node gives every file its own scope, so each module's exports are also
+// placed on globalThis where the other files expect to find them.
+const rules = require('./rules.js');
+Object.assign(globalThis, rules);
+
+const { SeededRandom } = require('./SeededRandom.js');
+globalThis.SeededRandom = SeededRandom;
+
+const { GameHistory, MemoryStorage } = require('./GameHistory.js');
+Object.assign(globalThis, { GameHistory, MemoryStorage });
+
+const { MapGenerator } = require('./MapGenerator.js');
+globalThis.MapGenerator = MapGenerator;
+
+const { GameEngine } = require('./GameEngine.js');
+globalThis.GameEngine = GameEngine;
+
+const { Scenario } = require('./Scenario.js');
+globalThis.Scenario = Scenario;
+
+const { GameStats } = require('./GameStats.js');
+globalThis.GameStats = GameStats;
+
+const { SaveFile } = require('./SaveFile.js');
+globalThis.SaveFile = SaveFile;
+
+const { Notation } = require('./Notation.js');
+globalThis.Notation = Notation;
+
+const ai = require('./AI.js');
+Object.assign(globalThis, ai);
+
+/**
+ * Create an engine with its players set up and AI seats registered.
+ * @param {Array<Object>} playerConfigs - Same shape MenuScene passes to setupGame
+ *     ({ color, isAI, aiDifficulty })
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Storage backend for GameHistory (defaults to a fresh MemoryStorage)
+ * @param {boolean} [options.autoSave=false] - Persist history shortly after each change. Autosaves
+ *     wait on a timer, so batch runs should leave this off and call
+ *     engine.history.saveToLocalStorage() themselves when they want a save.
+ * @param {boolean} [options.logToConsole=false] - Echo the action log to the console
+ * @param {number|string} [options.seed] - RNG seed; the same seed and AI seats replay identically
+ * @param {number} [options.rows] - Board rows (defaults to BOARD_SIZE)
+ * @param {number} [options.cols] - Board columns (defaults to BOARD_SIZE)
+ * @param {string} [options.mapPreset] - MAP_PRESETS key (defaults to DEFAULT_MAP_PRESET)
+ * @param {boolean} [options.neutralCities=false] - Place neutral cities between the capitals
+ * @param {boolean} [options.barbarians=false] - Add barbarian camps and raiders
+ * @param {Object} [options.victory] - Victory modes and thresholds (see VICTORY_DEFAULTS)
+ * @param {boolean} [options.fogOfWar=false] - Players, and so the AI, only see near their own pieces
+ * @param {string|Object} [options.ruleset] - RULESET_PRESETS key or custom ruleset (defaults to DEFAULT_RULESET)
+ * @returns {{ engine: GameEngine, aiManager: AIManager }}
+ */
+function createHeadlessGame(playerConfigs, options = {}) {
+    const engine = new GameEngine({
+        ...options,
+        storage: options.storage || new MemoryStorage(),
+        autoSave: options.autoSave || false,
+        logToConsole: options.logToConsole || false
+    });
+    engine.setupGame(playerConfigs, {
+        seed: options.seed,
+        rows: options.rows,
+        cols: options.cols,
+        mapPreset: options.mapPreset,
+        neutralCities: options.neutralCities,
+        barbarians: options.barbarians,
+        victory: options.victory,
+        fogOfWar: options.fogOfWar,
+        ruleset: options.ruleset
+    });
+
+    const aiManager = new ai.AIManager(engine);
+    aiManager.registerEnginePlayers();
+
+    return { engine, aiManager };
+}
+
+/**
+ * Play AI turns until the game ends or the turn limit is reached.
+ * Stops early if the current player is not an AI seat.
+ * @returns {{ gameOver: boolean, winner: (number|null), turns: number }}
+ */
+function runAIGame(engine, aiManager, maxTurns = 500) {
+    while (!engine.gameOver && engine.turnNumber < maxTurns) {
+        const playerId = engine.currentPlayerIndex;
+        if (!aiManager.isAIPlayer(playerId)) break;
+
+        aiManager.executeAITurn(playerId);
+        if (engine.gameOver) break;
+        engine.dispatch({ type: rules.ACTION_TYPES.END_TURN });
+    }
+
+    return { gameOver: engine.gameOver, winner: engine.winner, turns: engine.turnNumber };
+}
+
+module.exports = {
+    ...rules,
+    ...ai,
+    GameEngine,
+    GameHistory,
+    MemoryStorage,
+    MapGenerator,
+    Scenario,
+    GameStats,
+    SaveFile,
+    Notation,
+    SeededRandom,
+    createHeadlessGame,
+    runAIGame
+};
@@ -7,7 +7,7 @@ const config = {
     height: layoutConfig.gameHeight,
     parent: 'game-container',
     backgroundColor: COLORS.background,
-    scene: [MenuScene, GameScene],
+    scene: [MenuScene, GameScene, ReplayScene, MapEditorScene, StatsScene],
     render: {
         roundPixels: true
     },
@@ -0,0 +1,351 @@
+// ============================================
+// GAME RULES
+// ============================================
+// Pure rule constants shared by the engine, history and AI. Nothing in here
+// may touch the DOM or Phaser so the rules can also be loaded headless.
+
+// Default board edge length; each game may choose its own rows and columns
+const BOARD_SIZE = 10;
+const MIN_BOARD_SIZE = 8;
+const MAX_BOARD_SIZE = 20;
+
+// Player limits. Boards with at least LARGE_BOARD_MIN_TILES tiles seat more players.
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 6;
+const MAX_PLAYERS_LARGE_BOARD = 8;
+const LARGE_BOARD_MIN_TILES = 14 * 14;
+
+// Neon colors for players
+const PLAYER_COLORS = [
+    { name: 'Cyan', hex: 0x00ffff, css: '#00ffff' },
+    { name: 'Magenta', hex: 0xff00ff, css: '#ff00ff' },
+    { name: 'Lime', hex: 0x00ff00, css: '#00ff00' },
+    { name: 'Orange', hex: 0xff8800, css: '#ff8800' },
+    { name: 'Pink', hex: 0xff66b2, css: '#ff66b2' },
+    { name: 'Yellow', hex: 0xffff00, css: '#ffff00' },
+    { name: 'Violet', hex: 0xaa66ff, css: '#aa66ff' },
+    { name: 'Sky', hex: 0x3399ff, css: '#3399ff' }
+];
+
+// Neutral cities have no owner (ownerId null); anyone may attack and capture them
+const NEUTRAL_COLOR = { name: 'Neutral', hex: 0xb0b0b0, css: '#b0b0b0' };
+
+// Barbarians own their pieces under this id instead of a player index. They
+// are at war with everyone and never take turns in the player rotation.
+const BARBARIAN_ID = 'barbarian';
+const BARBARIAN_COLOR = { name: 'Barbarian', hex: 0xcc3333, css: '#cc3333' };
+
+// Piece types
+const PIECE_TYPES = {
+    CITY: 'city',
+    WARRIOR: 'warrior',
+    SETTLER: 'settler',
+    ARCHER: 'archer',
+    CAVALRY: 'cavalry',
+    CATAPULT: 'catapult',
+    CAMP: 'camp' // barbarian camp
+};
+
+// Units, keyed by piece type. Cities and camps are not units.
+//   name, plural - shown in the UI and in move errors
+//   hp, damage   - base stats; military units add the hp and damage of known techs
+//   movement     - tiles per move in straight lines, { orthogonal, diagonal } (0 = not that way).
+//                  Moves longer than one tile need a clear path.
+//   terrainCost  - spends movement points on terrain (TERRAIN_RULES.moveCost) instead of one per tile
+//   attack       - 'melee' (moves in when the target falls), 'ranged' (hits a target up to range
+//                  tiles away without moving, and wears cities down without taking them) or null
+//   range        - ranged attack reach (diagonals count as one)
+//   cityBonus    - extra damage dealt to cities
+//   military     - fights: forms blockades, claims enemy tiles and counts toward strength
+//   cost         - production points to build
+//   tech         - TECHS id a player must research before their cities may build it (null = none)
+//   glyph        - board symbol
+//   letter       - notation letter (see Notation)
+//   sight        - fog of war sight range
+const UNIT_TYPES = {
+    warrior: {
+        name: 'Warrior', plural: 'Warriors', hp: 1, damage: 1,
+        movement: { orthogonal: 1, diagonal: 1 }, terrainCost: false,
+        attack: 'melee', range: 1, cityBonus: 0, military: true,
+        cost: 8, tech: null, glyph: '\u265F', letter: 'W', sight: 2 // Pawn
+    },
+    settler: {
+        name: 'Settler', plural: 'Settlers', hp: 1, damage: 0,
+        movement: { orthogonal: 3, diagonal: 0 }, terrainCost: true,
+        attack: null, range: 0, cityBonus: 0, military: false,
+        cost: 12, tech: null, glyph: '\u265E', letter: 'S', sight: 1 // Knight
+    },
+    archer: {
+        name: 'Archer', plural: 'Archers', hp: 1, damage: 1,
+        movement: { orthogonal: 1, diagonal: 1 }, terrainCost: false,
+        attack: 'ranged', range: 2, cityBonus: 0, military: true,
+        cost: 10, tech: null, glyph: '\u265B', letter: 'A', sight: 2 // Queen
+    },
+    cavalry: {
+        name: 'Cavalry', plural: 'Cavalry', hp: 1, damage: 1,
+        movement: { orthogonal: 1, diagonal: 2 }, terrainCost: false,
+        attack: 'melee', range: 1, cityBonus: 0, military: true,
+        cost: 12, tech: 'horseback_riding', glyph: '\u265D', letter: 'H', sight: 2 // Bishop
+    },
+    catapult: {
+        name: 'Catapult', plural: 'Catapults', hp: 1, damage: 1,
+        movement: { orthogonal: 1, diagonal: 0 }, terrainCost: false,
+        attack: 'melee', range: 1, cityBonus: 2, military: true,
+        cost: 14, tech: 'mathematics', glyph: '\u265A', letter: 'C', sight: 1 // King
+    }
+};
+
+// Production types, costed in production points (see CITY_ECONOMY). Unit productions
+// build the unit named by `unit` at its cost (and need its tech); others may name a
+// `tech` of their own.
+const PRODUCTION_TYPES = {
+    DIPLOMACY: { name: 'Diplomacy', cost: 8 },
+    SCIENCE: { name: 'Science', cost: 20 },
+    WARRIOR: { name: 'Make Warrior', cost: UNIT_TYPES.warrior.cost, unit: PIECE_TYPES.WARRIOR },
+    SETTLER: { name: 'Make Settler', cost: UNIT_TYPES.settler.cost, unit: PIECE_TYPES.SETTLER },
+    ARCHER: { name: 'Make Archer', cost: UNIT_TYPES.archer.cost, unit: PIECE_TYPES.ARCHER },
+    CAVALRY: { name: 'Make Cavalry', cost: UNIT_TYPES.cavalry.cost, unit: PIECE_TYPES.CAVALRY },
+    CATAPULT: { name: 'Make Catapult', cost: UNIT_TYPES.catapult.cost, unit: PIECE_TYPES.CATAPULT },
+    REPAIR: { name: 'Repair', cost: 2 }
+};
+
+// City economy. Every turn a city gathers the food of its owner's tiles within
+// radius (a tile shared with another of their cities feeds the nearer one),
+// feeds its citizens and stores what is left. A full store adds a citizen; an
+// empty one with mouths still unfed loses one. Each citizen makes one
+// production point a turn.
+//   radius          - how far from the city tiles are worked (diagonals count as one)
+//   centerFood      - food of the city's own tile, whatever its terrain
+//   startPopulation - citizens in a new city
+//   maxPopulation   - cities stop growing here
+//   foodPerCitizen  - food each citizen eats a turn
+//   growthFood      - stored food needed to grow, per citizen the city already has
+const CITY_ECONOMY = {
+    radius: 2,
+    centerFood: 4,
+    startPopulation: 2,
+    maxPopulation: 8,
+    foodPerCitizen: 2,
+    growthFood: 5
+};
+
+// Tech tree. Each finished Science project adds a research point toward the
+// tech a player has chosen; the tech is learned once its cost is paid. Listed
+// so that every tech comes after its prerequisites.
+//   cost     - research points
+//   requires - TECHS ids that must be learned first
+//   effects  - bonuses for the player's pieces, old and new:
+//              hp, damage - military units; cityHp - cities; settlerMoves - settler range
+// Units and productions name the tech that unlocks them (UNIT_TYPES.tech,
+// PRODUCTION_TYPES.tech).
+const TECHS = {
+    masonry: { name: 'Masonry', cost: 1, requires: [], effects: { cityHp: 1 } },
+    bronze_working: { name: 'Bronze Working', cost: 1, requires: [], effects: { hp: 1 } },
+    horseback_riding: { name: 'Horseback Riding', cost: 1, requires: [], effects: {} },
+    the_wheel: { name: 'The Wheel', cost: 1, requires: [], effects: { settlerMoves: 1 } },
+    mathematics: { name: 'Mathematics', cost: 2, requires: ['masonry', 'the_wheel'], effects: {} },
+    iron_working: { name: 'Iron Working', cost: 2, requires: ['bronze_working'], effects: { damage: 1 } },
+    construction: { name: 'Construction', cost: 2, requires: ['masonry'], effects: { cityHp: 1 } },
+    engineering: { name: 'Engineering', cost: 3, requires: ['mathematics', 'construction'], effects: { cityHp: 1 } },
+    steel: { name: 'Steel', cost: 3, requires: ['iron_working'], effects: { damage: 1 } },
+    chivalry: { name: 'Chivalry', cost: 3, requires: ['horseback_riding', 'iron_working'], effects: { hp: 1 } }
+};
+
+// Fog of war: how far a city sees, in tiles (diagonals count as one). Units
+// carry their own sight in UNIT_TYPES.
+const SIGHT_RANGE = {
+    city: 2
+};
+
+// Terrain types
+const TERRAIN_TYPES = {
+    PLAINS: 'plains',
+    FOREST: 'forest',
+    HILLS: 'hills',
+    MOUNTAINS: 'mountains',
+    WATER: 'water'
+};
+
+// Terrain effects, keyed by terrain type:
+//   passable        - warriors and settlers may enter
+//   moveCost        - settler movement points to enter the tile
+//   damageReduction - damage a defender standing here ignores (every hit still deals at least 1)
+//   cityHpBonus     - extra HP for a city built on the tile
+//   food            - food the tile gives the city working it (see CITY_ECONOMY)
+//   cityBonus       - production that gets 1 extra point a turn in cities with CITY_TERRAIN_THRESHOLD
+//                     or more neighbouring tiles of this terrain
+const TERRAIN_RULES = {
+    plains: { name: 'Plains', passable: true, moveCost: 1, damageReduction: 0, cityHpBonus: 0, food: 2, cityBonus: null },
+    forest: { name: 'Forest', passable: true, moveCost: 2, damageReduction: 0, cityHpBonus: 0, food: 1, cityBonus: 'WARRIOR' },
+    hills: { name: 'Hills', passable: true, moveCost: 1, damageReduction: 1, cityHpBonus: 1, food: 1, cityBonus: null },
+    mountains: { name: 'Mountains', passable: false, moveCost: null, damageReduction: 0, cityHpBonus: 0, food: 0, cityBonus: 'DIPLOMACY' },
+    water: { name: 'Water', passable: false, moveCost: null, damageReduction: 0, cityHpBonus: 0, food: 1, cityBonus: 'SCIENCE' }
+};
+const CITY_TERRAIN_THRESHOLD = 2;
+
+// Map generator presets (see MapGenerator). evenPlayers presets seat every player
+// opposite a mirror image, so they are only offered for an even number of players.
+const MAP_PRESETS = {
+    classic: { name: 'Classic Corners' },
+    continents: { name: 'Continents' },
+    crowded_center: { name: 'Crowded Center' },
+    random_scatter: { name: 'Random Scatter' },
+    mirror: { name: 'Mirror-Symmetric', evenPlayers: true }
+};
+const DEFAULT_MAP_PRESET = 'classic';
+
+// A map is fair when every player's reachable area is at least this share of the largest
+const MAP_FAIRNESS_TOLERANCE = 0.8;
+
+// Barbarian behaviour. Barbarians act once per round, after the last player.
+//   spawnInterval    - rounds between warriors spawned by each camp
+//   warriorsPerCamp  - camps stop spawning while this many barbarian warriors per camp are alive
+//   raidRange        - barbarian warriors go after pieces this close (Chebyshev)
+//   leash            - idle warriors wander no farther than this from a camp
+//   campRewardTiles  - border tiles claimed, on top of the camp's own tile, by whoever destroys a camp
+//   campRewardScience - production points added to the destroyer's science projects
+const BARBARIAN_RULES = {
+    spawnInterval: 6,
+    warriorsPerCamp: 1,
+    raidRange: 4,
+    leash: 3,
+    campRewardTiles: 2,
+    campRewardScience: 6
+};
+
+// Ways to win. Domination (the last player holding cities) always ends the
+// game; the other modes are chosen per game.
+const VICTORY_TYPES = {
+    DOMINATION: 'domination',
+    TERRITORIAL: 'territorial',   // hold territorialShare % of the board for territorialTurns own turns in a row
+    SCIENCE: 'science',           // learn scienceTech techs
+    SCORE: 'score',               // strongest player (GameEngine.getPlayerStrength) after turnLimit rounds
+    CAPITAL: 'capital'            // last player still holding their own starting capital
+};
+const VICTORY_NAMES = {
+    domination: 'Domination',
+    territorial: 'Territorial',
+    science: 'Science',
+    score: 'Score',
+    capital: 'Last Capital'
+};
+
+// Victory settings a game starts with unless it picks its own, and the range
+// each threshold may be set to
+const VICTORY_DEFAULTS = {
+    modes: [VICTORY_TYPES.DOMINATION],
+    territorialShare: 60,
+    territorialTurns: 10,
+    scienceTech: 8,
+    turnLimit: 100
+};
+const VICTORY_LIMITS = {
+    territorialShare: { min: 30, max: 90, step: 5 },
+    territorialTurns: { min: 3, max: 30, step: 1 },
+    scienceTech: { min: 3, max: Object.keys(TECHS).length, step: 1 },
+    turnLimit: { min: 20, max: 300, step: 10 }
+};
+
+// House rules. A game plays by one ruleset, chosen from these presets or
+// edited into a custom one, and saves it so it always replays the same way.
+// RULESET_VERSION goes up whenever a field is added; older rulesets take the
+// new field from their preset.
+//   cityHp            - starting hp of a new city (before terrain and tech)
+//   captureHpDivisor  - a captured city keeps maxHp / this, rounded up
+//   conversionDivisor - an eliminated player's military units the conqueror keeps: 1 in this many
+//   conversionMin     - ...but never fewer than this while the loser had any
+//   settlerMoves      - how far a settler moves up, down, left or right
+//   citySpacing       - cities must be at least this many tiles apart (diagonals count as one)
+//   productionCost    - production points each PRODUCTION_TYPES project costs
+//                       (version 1 rulesets gave productionTurns instead)
+const RULESET_VERSION = 2;
+const RULESET_PRESETS = {
+    current: {
+        name: 'Current',
+        cityHp: 4,
+        captureHpDivisor: 3,
+        conversionDivisor: 4,
+        conversionMin: 1,
+        settlerMoves: UNIT_TYPES.settler.movement.orthogonal,
+        citySpacing: 2,
+        productionCost: Object.fromEntries(
+            Object.entries(PRODUCTION_TYPES).map(([key, production]) => [key, production.cost])
+        )
+    },
+    original: {
+        name: 'Original Spec',
+        cityHp: 4,
+        captureHpDivisor: 3,
+        conversionDivisor: 6,
+        conversionMin: 0,
+        settlerMoves: 3,
+        citySpacing: 2,
+        // The spec's turns, at the 2 points a turn a new city makes
+        productionCost: {
+            DIPLOMACY: 8, SCIENCE: 20, WARRIOR: 8, SETTLER: 12, ARCHER: 10, CAVALRY: 12, CATAPULT: 14, REPAIR: 2
+        }
+    }
+};
+const DEFAULT_RULESET = 'current';
+const RULESET_LIMITS = {
+    cityHp: { min: 1, max: 10, step: 1 },
+    captureHpDivisor: { min: 1, max: 6, step: 1 },
+    conversionDivisor: { min: 1, max: 10, step: 1 },
+    conversionMin: { min: 0, max: 3, step: 1 },
+    settlerMoves: { min: 1, max: 6, step: 1 },
+    citySpacing: { min: 1, max: 5, step: 1 },
+    productionCost: { min: 1, max: 60, step: 1 }
+};
+
+// Player actions accepted by GameEngine.dispatch()
+const ACTION_TYPES = {
+    MOVE: 'MOVE',                       // { pieceId, to: { row, col } }
+    SET_PRODUCTION: 'SET_PRODUCTION',   // { pieceId, production }
+    SET_REPEAT: 'SET_REPEAT',           // { pieceId, enabled }
+    BUILD_CITY: 'BUILD_CITY',           // { pieceId }
+    DECLARE_WAR: 'DECLARE_WAR',         // { targetId }
+    PROPOSE_PEACE: 'PROPOSE_PEACE',     // { targetId }
+    ACCEPT_PEACE: 'ACCEPT_PEACE',       // { targetId }
+    SET_RESEARCH: 'SET_RESEARCH',       // { techId }
+    END_TURN: 'END_TURN',
+    UNDO: 'UNDO',
+    REDO: 'REDO'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BOARD_SIZE,
+        MIN_BOARD_SIZE,
+        MAX_BOARD_SIZE,
+        MIN_PLAYERS,
+        MAX_PLAYERS,
+        MAX_PLAYERS_LARGE_BOARD,
+        LARGE_BOARD_MIN_TILES,
+        PLAYER_COLORS,
+        NEUTRAL_COLOR,
+        BARBARIAN_ID,
+        BARBARIAN_COLOR,
+        PIECE_TYPES,
+        UNIT_TYPES,
+        PRODUCTION_TYPES,
+        CITY_ECONOMY,
+        TECHS,
+        SIGHT_RANGE,
+        TERRAIN_TYPES,
+        TERRAIN_RULES,
+        CITY_TERRAIN_THRESHOLD,
+        MAP_PRESETS,
+        DEFAULT_MAP_PRESET,
+        MAP_FAIRNESS_TOLERANCE,
+        BARBARIAN_RULES,
+        VICTORY_TYPES,
+        VICTORY_NAMES,
+        VICTORY_DEFAULTS,
+        VICTORY_LIMITS,
+        RULESET_VERSION,
+        RULESET_PRESETS,
+        DEFAULT_RULESET,
+        RULESET_LIMITS,
+        ACTION_TYPES
+    };
+}
@@ -15,37 +15,68 @@ class GameScene extends Phaser.Scene {
         this.hasDragged = false;
         this.aiManager = null;
         this.isAITurnInProgress = false;
+        this.network = null;
     }
 
     init(data) {
         this.playerConfigs = data.playerConfigs || null;
+        this.gameOptions = data.gameOptions || {};
         this.savedGame = data.savedGame || null;
+        this.scenario = data.scenario || null; // Scenario JSON from the map editor or a file
+        this.network = data.network || null; // NetworkClient for online games
+        this.pieceSprites = new Map();
+        this.selectedPiece = null;
+        this.isAITurnInProgress = false;
+        this.gameMenu = null; // in-game menu overlay while it is open
+        this.fogViewer = null; // player whose view is drawn under fog of war
+        this.handoffCover = null; // screen hiding the board between hotseat players
+        this.researchPanel = null; // tech tree overlay while it is open
+        this.ghostSprites = [];
     }
 
     create() {
         this.cameras.main.setBackgroundColor(COLORS.background);
 
-        // Initialize game engine - either new game or restored game
-        if (this.savedGame) {
-            this.engine.restoreFromSavedGame(this.savedGame);
+        if (this.network) {
+            // Online: the server owns the game; this engine only mirrors its state
+            this.engine = new GameEngine({ autoSave: false, logToConsole: false });
+            this.engine.loadState(this.network.state);
+            this.aiManager = null;
         } else {
-            this.engine.setupGame(this.playerConfigs);
+            // Initialize game engine - either new game or restored game
+            this.engine = new GameEngine();
+            if (this.savedGame) {
+                this.engine.restoreFromSavedGame(this.savedGame);
+            } else if (this.scenario) {
+                this.engine.loadScenario(this.scenario);
+            } else {
+                this.engine.setupGame(this.playerConfigs, this.gameOptions);
+            }
+
+            // Initialize AI Manager and register AI players (restoring their memory on load)
+            this.aiManager = new AIManager(this.engine);
+            this.aiManager.registerEnginePlayers();
+
+            this.saveWarning = null;
+            const history = this.engine.history;
+            history.onSaveStatusChange = (error) => this.showSaveWarning(error);
+            this.events.once('shutdown', () => {
+                history.onSaveStatusChange = null;
+            });
         }
 
-        // Initialize AI Manager
-        this.aiManager = new AIManager(this.engine);
+        // Size the canvas for this game's board
+        Layout.resizeForBoard(this, this.engine.rows, this.engine.cols, this.engine.players.length);
 
-        // Register AI players with their configured difficulty
-        this.engine.players.forEach((player, index) => {
-            if (player.isAI) {
-                const difficulty = player.aiDifficulty || AI_DIFFICULTY.MEDIUM;
-                this.aiManager.registerAIPlayer(index, difficulty);
-            }
-        });
+        // Under fog of war the board shows what the human at the screen can see
+        const current = this.engine.getCurrentPlayer();
+        const firstHuman = this.engine.players.find(p => p.isHuman);
+        this.fogViewer = current.isHuman ? current.id : (firstHuman ? firstHuman.id : null);
 
         // Create graphics layers
         this.tileGraphics = this.add.graphics();
         this.ownershipGraphics = this.add.graphics();
+        this.fogGraphics = this.add.graphics();
         this.highlightGraphics = this.add.graphics();
 
         // Draw the board
@@ -67,140 +98,210 @@ class GameScene extends Phaser.Scene {
         borderGraphics.strokeRect(
             BOARD_OFFSET - 2,
             BOARD_OFFSET - 2,
-            BOARD_SIZE * TILE_SIZE + 4,
-            BOARD_SIZE * TILE_SIZE + 4
+            this.engine.cols * TILE_SIZE + 4,
+            this.engine.rows * TILE_SIZE + 4
         );
 
         // Add coordinates
-        this.addCoordinates();
+        BoardRenderer.addCoordinates(this, this.engine.rows, this.engine.cols);
+
+        if (this.network) {
+            this.setupNetwork();
+        }
 
         // Update UI
         this.updateUI();
 
+        // A new map that could not be made fair is announced before anyone moves
+        const balance = this.engine.mapBalance;
+        if (!this.network && !this.savedGame && !this.scenario && balance && !balance.fair) {
+            this.showMapBalanceWarning(balance);
+            return;
+        }
+
         // If the first player is AI, start their turn
         this.checkAndExecuteAITurn();
     }
 
+    /**
+     * Cover the board when the generator found no fair map for these
+     * settings, offering another map (a new seed) or play as it is
+     */
+    showMapBalanceWarning(balance) {
+        const config = layoutConfig;
+        const centerX = config.gameWidth / 2;
+        const centerY = config.gameHeight / 2;
+        const cover = this.add.container(0, 0).setDepth(150);
+
+        const background = this.add.rectangle(centerX, centerY, config.gameWidth, config.gameHeight, 0x000000, 0.75);
+        background.setInteractive();
+        const title = this.add.text(centerX, centerY - 70, 'Unbalanced map', {
+            fontSize: '24px',
+            fontStyle: 'bold',
+            color: '#ffaa44'
+        }).setOrigin(0.5);
+        const percent = Math.round(balance.ratio * 100);
+        const hint = this.add.text(centerX, centerY - 25,
+            `No fair map was found for this preset and number of players: the smallest start ` +
+            `has ${percent}% of the land of the largest (fair is ${Math.round(MAP_FAIRNESS_TOLERANCE * 100)}%).`, {
+                fontSize: '14px',
+                color: COLORS.textSecondary,
+                align: 'center',
+                wordWrap: { width: Math.min(config.gameWidth - 40, 420) }
+            }).setOrigin(0.5);
+        cover.add([background, title, hint]);
+
+        cover.add(this.createButton(centerX - 90, centerY + 40, 'Another Map', () => {
+            // Nothing has been played on this map, so its save goes too
+            GameHistory.deleteSavedGame(this.engine.history.gameId);
+            this.scene.restart({
+                playerConfigs: this.playerConfigs,
+                gameOptions: { ...this.gameOptions, seed: null }
+            });
+        }, 160, 44));
+        cover.add(this.createButton(centerX + 90, centerY + 40, 'Play Anyway', () => {
+            cover.destroy();
+            this.checkAndExecuteAITurn();
+        }, 160, 44));
+    }
+
     drawBoard() {
-        this.tileGraphics.clear();
-
-        for (let row = 0; row < BOARD_SIZE; row++) {
-            for (let col = 0; col < BOARD_SIZE; col++) {
-                const isLight = (row + col) % 2 === 0;
-                const color = isLight ? COLORS.lightTile : COLORS.darkTile;
-
-                this.tileGraphics.fillStyle(color);
-                this.tileGraphics.fillRect(
-                    BOARD_OFFSET + col * TILE_SIZE,
-                    BOARD_OFFSET + row * TILE_SIZE,
-                    TILE_SIZE,
-                    TILE_SIZE
-                );
-            }
-        }
+        BoardRenderer.drawTerrain(this.tileGraphics, this.engine.terrain);
     }
 
     drawOwnership() {
-        this.ownershipGraphics.clear();
+        const viewer = this.getFogViewer();
+        const owners = viewer === null ? this.engine.tileOwnership : this.engine.getKnownOwnership(viewer);
+        BoardRenderer.drawOwnership(this.ownershipGraphics, owners, owner => this.engine.players[owner].color);
 
-        for (let row = 0; row < BOARD_SIZE; row++) {
-            for (let col = 0; col < BOARD_SIZE; col++) {
-                const owner = this.engine.tileOwnership[row][col];
-                if (owner !== null) {
-                    const player = this.engine.players[owner];
-                    const x = BOARD_OFFSET + col * TILE_SIZE;
-                    const y = BOARD_OFFSET + row * TILE_SIZE;
+        this.drawFog();
+    }
 
-                    this.ownershipGraphics.fillStyle(player.color.hex, 0.25);
-                    this.ownershipGraphics.fillRoundedRect(x + 4, y + 4, TILE_SIZE - 8, TILE_SIZE - 8, 8);
+    // ========================================
+    // FOG OF WAR
+    // ========================================
 
-                    this.ownershipGraphics.lineStyle(2, player.color.hex, 0.5);
-                    this.ownershipGraphics.strokeRoundedRect(x + 4, y + 4, TILE_SIZE - 8, TILE_SIZE - 8, 8);
-                }
-            }
-        }
+    /**
+     * The player whose view of the board is drawn, or null to show everything
+     * (no fog, a finished game, or nobody human at the screen)
+     */
+    getFogViewer() {
+        if (!this.engine.fogOfWar || this.engine.gameOver) return null;
+        return this.fogViewer;
     }
 
-    addCoordinates() {
-        for (let i = 0; i < BOARD_SIZE; i++) {
-            // Column numbers (bottom)
-            this.add.text(
-                BOARD_OFFSET + i * TILE_SIZE + TILE_SIZE / 2,
-                BOARD_OFFSET + BOARD_SIZE * TILE_SIZE + 10,
-                String(i + 1),
-                { fontSize: '14px', color: COLORS.textSecondary }
-            ).setOrigin(0.5);
-
-            // Row numbers (left)
-            this.add.text(
-                BOARD_OFFSET - 15,
-                BOARD_OFFSET + i * TILE_SIZE + TILE_SIZE / 2,
-                String(i + 1),
-                { fontSize: '14px', color: COLORS.textSecondary }
-            ).setOrigin(0.5);
-        }
+    /**
+     * Whether a piece is drawn for the current viewer
+     */
+    isPieceShown(piece) {
+        const viewer = this.getFogViewer();
+        return viewer === null || piece.ownerId === viewer || this.engine.isTileVisible(viewer, piece.row, piece.col);
     }
 
-    createAllPieces() {
+    /**
+     * Darken tiles out of sight (unexplored ones almost black) and draw the
+     * enemy pieces last seen there as faded ghosts
+     */
+    drawFog() {
+        this.fogGraphics.clear();
+        this.ghostSprites.forEach(sprite => sprite.destroy());
+        this.ghostSprites = [];
+
+        // Pieces move in and out of sight without their sprites changing
         this.engine.pieces.forEach(piece => {
-            this.createPieceSprite(piece);
+            const sprite = this.pieceSprites.get(piece.id);
+            if (sprite) sprite.setVisible(this.isPieceShown(piece));
         });
-    }
 
-    createPieceSprite(piece) {
-        const x = BOARD_OFFSET + piece.col * TILE_SIZE + TILE_SIZE / 2;
-        const y = BOARD_OFFSET + piece.row * TILE_SIZE + TILE_SIZE / 2;
-        const player = this.engine.players[piece.ownerId];
+        const viewer = this.getFogViewer();
+        if (viewer === null) return;
 
-        const container = this.add.container(x, y);
+        for (let row = 0; row < this.engine.rows; row++) {
+            for (let col = 0; col < this.engine.cols; col++) {
+                if (this.engine.isTileVisible(viewer, row, col)) continue;
+                const explored = this.engine.isTileExplored(viewer, row, col);
+                this.fogGraphics.fillStyle(0x000000, explored ? 0.5 : 0.85);
+                this.fogGraphics.fillRect(BOARD_OFFSET + col * TILE_SIZE, BOARD_OFFSET + row * TILE_SIZE, TILE_SIZE, TILE_SIZE);
+            }
+        }
+
+        this.engine.getGhosts(viewer).forEach(ghost => {
+            const ghostSprite = this.add.text(
+                BOARD_OFFSET + ghost.col * TILE_SIZE + TILE_SIZE / 2,
+                BOARD_OFFSET + ghost.row * TILE_SIZE + TILE_SIZE / 2,
+                BoardRenderer.getPieceSymbol(ghost.type),
+                { fontSize: '32px', color: this.getPieceColor(ghost).css }
+            ).setOrigin(0.5).setAlpha(0.4);
+            this.ghostSprites.push(ghostSprite);
+        });
+    }
 
-        // Background circle
-        const bg = this.add.circle(0, 0, TILE_SIZE / 2 - 6, 0x1a1a3a, 0.9);
-        bg.setStrokeStyle(3, player.color.hex);
+    /**
+     * Hotseat under fog of war: when the turn passes to a different human,
+     * cover the board until they are at the screen, so nobody sees another
+     * player's view
+     */
+    checkFogHandoff() {
+        if (!this.engine.fogOfWar || this.network || this.engine.gameOver) return;
 
-        // Piece symbol
-        const symbols = {
-            [PIECE_TYPES.CITY]: '\u265C',    // Rook
-            [PIECE_TYPES.WARRIOR]: '\u265F', // Pawn
-            [PIECE_TYPES.SETTLER]: '\u265E'  // Knight
-        };
+        const next = this.engine.getCurrentPlayer();
+        if (!next.isHuman || next.id === this.fogViewer) return;
 
-        const text = this.add.text(0, 0, symbols[piece.type], {
-            fontSize: '32px',
-            color: player.color.css
+        const config = layoutConfig;
+        const centerX = config.gameWidth / 2;
+        const centerY = config.gameHeight / 2;
+        const cover = this.add.container(0, 0).setDepth(150);
+        this.handoffCover = cover;
+
+        const background = this.add.rectangle(centerX, centerY, config.gameWidth, config.gameHeight, COLORS.background, 1);
+        background.setInteractive();
+        const title = this.add.text(centerX, centerY - 60, `${next.name}'s turn`, {
+            fontSize: '28px',
+            fontStyle: 'bold',
+            color: next.color.css
+        }).setOrigin(0.5);
+        const hint = this.add.text(centerX, centerY - 20, 'Pass the device, then continue when ready.', {
+            fontSize: '14px',
+            color: COLORS.textSecondary,
+            align: 'center',
+            wordWrap: { width: config.gameWidth - 40 }
         }).setOrigin(0.5);
+        cover.add([background, title, hint]);
 
-        container.add([bg, text]);
+        cover.add(this.createButton(centerX, centerY + 40, 'Continue', () => {
+            this.fogViewer = next.id;
+            cover.destroy();
+            this.handoffCover = null;
+            this.drawOwnership();
+            this.updateUI();
+        }, 160, 44));
+    }
 
-        // Health bar (initially hidden if full health)
-        const healthBarBg = this.add.rectangle(0, -TILE_SIZE / 2 + 8, TILE_SIZE - 16, 8, 0x333333, 0.7);
-        healthBarBg.setStrokeStyle(1, 0x666666);
+    createAllPieces() {
+        this.engine.pieces.forEach(piece => {
+            this.createPieceSprite(piece);
+        });
+    }
 
-        const healthBarFill = this.add.rectangle(
-            -(TILE_SIZE - 16) / 2 + ((piece.hp / piece.maxHp) * (TILE_SIZE - 16)) / 2,
-            -TILE_SIZE / 2 + 8,
-            (piece.hp / piece.maxHp) * (TILE_SIZE - 16),
-            6,
-            0x00ff00
-        );
+    getPieceColor(piece) {
+        return BoardRenderer.getOwnerColor(piece.ownerId, this.engine.players.map(p => p.color));
+    }
 
-        container.add([healthBarBg, healthBarFill]);
-        container.healthBarBg = healthBarBg;
-        container.healthBarFill = healthBarFill;
+    /**
+     * Production button label: the unit's name for unit productions
+     */
+    getProductionLabel(type) {
+        const unitType = PRODUCTION_TYPES[type].unit;
+        return unitType ? UNIT_TYPES[unitType].name : PRODUCTION_TYPES[type].name;
+    }
 
-        // Hide health bar if at full health
-        healthBarBg.setVisible(piece.hp < piece.maxHp);
-        healthBarFill.setVisible(piece.hp < piece.maxHp);
+    createPieceSprite(piece) {
+        const container = BoardRenderer.createPieceSprite(this, piece, this.getPieceColor(piece));
 
-        // Production indicator for cities
+        // Production and population indicators for cities, filled in by updatePieceSprite
         if (piece.type === PIECE_TYPES.CITY) {
-            const prodIndicator = this.add.text(0, TILE_SIZE / 2 - 12, '', {
-                fontSize: '10px',
-                color: '#ffffff',
-                backgroundColor: '#333333aa'
-            }).setOrigin(0.5);
-            container.add(prodIndicator);
-            container.prodIndicator = prodIndicator;
+            container.prodIndicator = BoardRenderer.addPieceLabel(this, container, '');
+            container.popIndicator = BoardRenderer.addPopulationLabel(this, container, '');
         }
 
         // Make interactive
@@ -208,13 +309,12 @@ class GameScene extends Phaser.Scene {
         container.setInteractive({ draggable: true, useHandCursor: true });
 
         container.pieceData = piece;
-        container.bgCircle = bg;
-        container.pieceText = text;
 
         // Apply grayscale if piece has already moved
         if (piece.hasMoved) {
             this.applyGrayscale(container);
         }
+        container.setVisible(this.isPieceShown(piece));
 
         this.pieceSprites.set(piece.id, container);
     }
@@ -251,37 +351,23 @@ class GameScene extends Phaser.Scene {
         const sprite = this.pieceSprites.get(piece.id);
         if (!sprite) return;
 
-        const player = this.engine.players[piece.ownerId];
+        const color = this.getPieceColor(piece);
 
         // Update position
         sprite.x = BOARD_OFFSET + piece.col * TILE_SIZE + TILE_SIZE / 2;
         sprite.y = BOARD_OFFSET + piece.row * TILE_SIZE + TILE_SIZE / 2;
 
         // Update color
-        sprite.bgCircle.setStrokeStyle(3, player.color.hex);
-        sprite.pieceText.setColor(player.color.css);
+        sprite.bgCircle.setStrokeStyle(3, color.hex);
+        sprite.pieceText.setColor(color.css);
 
-        // Update health bar
-        const healthPercent = piece.hp / piece.maxHp;
-        sprite.healthBarBg.setVisible(piece.hp < piece.maxHp);
-        sprite.healthBarFill.setVisible(piece.hp < piece.maxHp);
-
-        if (piece.hp < piece.maxHp) {
-            sprite.healthBarFill.setSize((TILE_SIZE - 16) * healthPercent, 6);
-            sprite.healthBarFill.x = -(TILE_SIZE - 16) / 2 + ((TILE_SIZE - 16) * healthPercent) / 2;
-
-            // Color based on health
-            let color = 0x00ff00;
-            if (healthPercent < 0.3) color = 0xff0000;
-            else if (healthPercent < 0.6) color = 0xffff00;
-            sprite.healthBarFill.setFillStyle(color);
-        }
+        BoardRenderer.updateHealthBar(sprite, piece);
 
         // Update production indicator
         if (piece.type === PIECE_TYPES.CITY && sprite.prodIndicator) {
             if (piece.production) {
-                const prodType = PRODUCTION_TYPES[piece.production];
-                const progress = `${piece.productionProgress}/${prodType.turns}`;
+                const cost = this.engine.getProductionCost(piece.production);
+                const progress = `${piece.productionProgress}/${cost}`;
                 sprite.prodIndicator.setText(progress);
                 sprite.prodIndicator.setVisible(true);
 
@@ -293,6 +379,10 @@ class GameScene extends Phaser.Scene {
             } else {
                 sprite.prodIndicator.setVisible(false);
             }
+
+            // Neutral cities never grow
+            sprite.popIndicator.setText(`${piece.population}`);
+            sprite.popIndicator.setVisible(piece.ownerId !== null);
         }
 
         // Update grayscale based on movement state
@@ -301,11 +391,17 @@ class GameScene extends Phaser.Scene {
         } else {
             this.removeGrayscale(sprite);
         }
+
+        // Hidden by fog of war; a piece being dragged is always the viewer's own
+        sprite.setVisible(this.isPieceShown(piece));
     }
 
     removePieceSprite(pieceId) {
         const sprite = this.pieceSprites.get(pieceId);
         if (sprite) {
+            // Forget the sprite now so a refresh during the animation can't reuse it
+            this.pieceSprites.delete(pieceId);
+
             // Random direction for the "fling" effect
             const angle = Math.random() * Math.PI * 2;
             const distance = 100 + Math.random() * 100;
@@ -324,7 +420,6 @@ class GameScene extends Phaser.Scene {
                 ease: 'Quad.easeOut',
                 onComplete: () => {
                     sprite.destroy();
-                    this.pieceSprites.delete(pieceId);
                 }
             });
         }
@@ -340,6 +435,8 @@ class GameScene extends Phaser.Scene {
         for (const conversion of elimination.convertedUnits) {
             const oldSprite = this.pieceSprites.get(conversion.oldUnit.id);
             if (oldSprite) {
+                this.pieceSprites.delete(conversion.oldUnit.id);
+
                 // Get position before destroying
                 const x = oldSprite.x;
                 const y = oldSprite.y;
@@ -362,7 +459,6 @@ class GameScene extends Phaser.Scene {
                     ease: 'Quad.easeOut',
                     onComplete: () => {
                         oldSprite.destroy();
-                        this.pieceSprites.delete(conversion.oldUnit.id);
                     }
                 });
             }
@@ -386,9 +482,9 @@ class GameScene extends Phaser.Scene {
     }
 
     createDesktopUIPanel() {
-        const panelX = BOARD_OFFSET * 2 + BOARD_SIZE * TILE_SIZE;
+        const panelX = BOARD_OFFSET * 2 + this.engine.cols * TILE_SIZE;
         const panelWidth = UI_PANEL_WIDTH - 20;
-        const gameHeight = BOARD_SIZE * TILE_SIZE + BOARD_OFFSET * 2;
+        const gameHeight = layoutConfig.gameHeight;
 
         // Panel background
         const panelBg = this.add.rectangle(
@@ -411,13 +507,25 @@ class GameScene extends Phaser.Scene {
 
         y += 40;
 
-        // Tech score
+        // Tech level and the research being worked toward
         this.techText = this.add.text(panelX + 10, y, 'Tech: 0', {
             fontSize: '16px',
             color: COLORS.textPrimary
         });
+        this.researchButton = this.createSmallButton(panelX + panelWidth - 85, y + 9, 'Research', () => {
+            this.openResearchPanel();
+        }, 150);
 
-        y += 40;
+        y += 24;
+
+        // Active victory modes
+        this.victoryText = this.add.text(panelX + 10, y, '', {
+            fontSize: '12px',
+            color: COLORS.textSecondary,
+            wordWrap: { width: panelWidth - 20 }
+        });
+
+        y += 36;
 
         // Player list header
         this.add.text(panelX + 10, y, 'Players:', {
@@ -428,15 +536,17 @@ class GameScene extends Phaser.Scene {
 
         y += 25;
 
-        // Player entries with diplomacy buttons
+        // Player entries with diplomacy buttons (single-line rows for more than four players)
+        const dense = this.engine.players.length > 4;
+        const entryCount = Math.max(4, this.engine.players.length);
         this.playerEntries = [];
-        for (let i = 0; i < 4; i++) {
-            const entry = this.createPlayerEntry(panelX + 10, y, i, false);
+        for (let i = 0; i < entryCount; i++) {
+            const entry = this.createPlayerEntry(panelX + 10, y, i, false, dense);
             this.playerEntries.push(entry);
-            y += 45;
+            y += dense ? DENSE_PLAYER_ROW_HEIGHT : 45;
         }
 
-        y += 20;
+        y += dense ? 8 : 20;
 
         // Selected unit info
         this.add.text(panelX + 10, y, 'Selected:', {
@@ -457,13 +567,14 @@ class GameScene extends Phaser.Scene {
 
         // City production buttons (hidden by default)
         this.productionButtons = [];
-        const prodTypes = ['DIPLOMACY', 'SCIENCE', 'WARRIOR', 'SETTLER', 'REPAIR'];
+        const prodTypes = Object.keys(PRODUCTION_TYPES);
         prodTypes.forEach((type, i) => {
             const btn = this.createSmallButton(
-                panelX + 65 + (i % 2) * 120,
-                y + Math.floor(i / 2) * 35,
-                PRODUCTION_TYPES[type].name,
-                () => this.selectProduction(type)
+                panelX + 46 + (i % 3) * 84,
+                y + Math.floor(i / 3) * 35,
+                this.getProductionLabel(type),
+                () => this.selectProduction(type),
+                80
             );
             btn.setVisible(false);
             this.productionButtons.push({ btn, type });
@@ -472,7 +583,7 @@ class GameScene extends Phaser.Scene {
         // Repeat toggle for city production
         this.repeatToggle = this.createToggleSwitch(
             panelX + 65,
-            y + Math.floor(prodTypes.length / 2) * 35 + 35,
+            y + Math.ceil(prodTypes.length / 3) * 35,
             'Repeat',
             (enabled) => this.toggleRepeat(enabled)
         );
@@ -487,7 +598,7 @@ class GameScene extends Phaser.Scene {
         );
         this.settleBtn.setVisible(false);
 
-        y += 150;
+        y += 130;
 
         // Next Turn button
         this.nextTurnBtn = this.createButton(
@@ -498,12 +609,20 @@ class GameScene extends Phaser.Scene {
             120,
             40
         );
+
+        y += 45;
+
+        // Undo/Redo for actions taken this turn, then the game menu
+        const centerX = panelX + panelWidth / 2;
+        this.undoBtn = this.createSmallButton(centerX - 84, y, 'Undo', () => this.undo(), 76);
+        this.redoBtn = this.createSmallButton(centerX, y, 'Redo', () => this.redo(), 76);
+        this.createSmallButton(centerX + 84, y, 'Menu', () => this.openGameMenu(), 76);
     }
 
     createMobileUIPanel() {
-        const boardHeight = BOARD_SIZE * TILE_SIZE + BOARD_OFFSET * 2;
+        const boardHeight = this.engine.rows * TILE_SIZE + BOARD_OFFSET * 2;
         const panelY = boardHeight;
-        const panelWidth = BOARD_SIZE * TILE_SIZE + BOARD_OFFSET * 2;
+        const panelWidth = this.engine.cols * TILE_SIZE + BOARD_OFFSET * 2;
         const panelHeight = layoutConfig.panelHeight;
 
         // Panel background
@@ -534,18 +653,23 @@ class GameScene extends Phaser.Scene {
         });
         leftY += 22;
 
+        // No room for a research button; tapping the tech line opens research
         this.techText = this.add.text(leftColX, leftY, 'Tech: 0', {
             fontSize: '12px',
             color: COLORS.textPrimary
         });
+        this.techText.setInteractive({ useHandCursor: true });
+        this.techText.on('pointerdown', () => this.openResearchPanel());
         leftY += 25;
 
         // Compact player entries
+        const dense = this.engine.players.length > 4;
+        const entryCount = Math.max(4, this.engine.players.length);
         this.playerEntries = [];
-        for (let i = 0; i < 4; i++) {
-            const entry = this.createPlayerEntry(leftColX, leftY, i, true);
+        for (let i = 0; i < entryCount; i++) {
+            const entry = this.createPlayerEntry(leftColX, leftY, i, true, dense);
             this.playerEntries.push(entry);
-            leftY += 32;
+            leftY += dense ? DENSE_PLAYER_ROW_HEIGHT : MOBILE_PLAYER_ROW_HEIGHT;
         }
 
         // Right column - Selected info and actions
@@ -554,6 +678,7 @@ class GameScene extends Phaser.Scene {
             fontStyle: 'bold',
             color: COLORS.textPrimary
         });
+        this.createSmallButton(panelWidth - 45, rightY + 6, 'Menu', () => this.openGameMenu(), 60);
         rightY += 18;
 
         this.selectedInfoText = this.add.text(rightColX, rightY, 'None', {
@@ -563,16 +688,16 @@ class GameScene extends Phaser.Scene {
         });
         rightY += 55;
 
-        // Production buttons in a compact grid (3 columns)
+        // Production buttons in a compact grid (4 columns)
         this.productionButtons = [];
-        const prodTypes = ['DIPLOMACY', 'SCIENCE', 'WARRIOR', 'SETTLER', 'REPAIR'];
-        const btnWidth = 80;
-        const btnSpacing = 85;
+        const prodTypes = Object.keys(PRODUCTION_TYPES);
+        const btnWidth = 60;
+        const btnSpacing = 63;
         prodTypes.forEach((type, i) => {
             const btn = this.createSmallButton(
-                rightColX + 40 + (i % 3) * btnSpacing,
-                rightY + Math.floor(i / 3) * 28,
-                PRODUCTION_TYPES[type].name.substring(0, 8),
+                rightColX + 30 + (i % 4) * btnSpacing,
+                rightY + Math.floor(i / 4) * 28,
+                this.getProductionLabel(type),
                 () => this.selectProduction(type),
                 btnWidth
             );
@@ -595,7 +720,7 @@ class GameScene extends Phaser.Scene {
             rightY,
             'Settle',
             () => this.settleCity(),
-            btnWidth
+            80
         );
         this.settleBtn.setVisible(false);
 
@@ -608,12 +733,44 @@ class GameScene extends Phaser.Scene {
             100,
             35
         );
+
+        // Undo/Redo to the left of Next Turn
+        this.undoBtn = this.createSmallButton(panelWidth - 215, panelY + panelHeight - 30, 'Undo', () => this.undo(), 55);
+        this.redoBtn = this.createSmallButton(panelWidth - 155, panelY + panelHeight - 30, 'Redo', () => this.redo(), 55);
     }
 
-    createPlayerEntry(x, y, index, compact = false) {
+    /**
+     * @param {boolean} [compact] - Mobile layout
+     * @param {boolean} [dense] - Single-line row, used when more than four players share the list
+     */
+    createPlayerEntry(x, y, index, compact = false, dense = false) {
         const container = this.add.container(x, y);
 
-        if (compact) {
+        if (dense) {
+            // Name, tech and diplomacy on one line
+            const colorDot = this.add.circle(compact ? 6 : 8, 10, compact ? 5 : 6, 0xffffff);
+            const nameText = this.add.text(compact ? 16 : 22, 3, '', {
+                fontSize: compact ? '11px' : '13px',
+                color: COLORS.textPrimary
+            });
+            const relationText = this.add.text(compact ? 80 : 105, 4, '', {
+                fontSize: compact ? '10px' : '11px',
+                color: COLORS.textSecondary
+            });
+
+            const diplomacyBtn = this.createSmallButton(compact ? 160 : 200, 10, 'War', () => {
+                this.toggleDiplomacy(index);
+            }, compact ? 55 : 90);
+            diplomacyBtn.setVisible(false);
+
+            container.add([colorDot, nameText, relationText, diplomacyBtn]);
+            container.colorDot = colorDot;
+            container.nameText = nameText;
+            container.relationText = relationText;
+            container.diplomacyBtn = diplomacyBtn;
+            container.playerIndex = index;
+            container.compact = true; // short diplomacy labels
+        } else if (compact) {
             // Mobile compact layout
             const colorDot = this.add.circle(6, 8, 5, 0xffffff);
             const nameText = this.add.text(18, 0, '', {
@@ -648,16 +805,22 @@ class GameScene extends Phaser.Scene {
                 fontSize: '12px',
                 color: COLORS.textSecondary
             });
+            // Victory progress beyond tech, when other modes than domination are on
+            const progressText = this.add.text(30, 30, '', {
+                fontSize: '11px',
+                color: COLORS.textSecondary
+            });
 
             const diplomacyBtn = this.createSmallButton(180, 8, 'War', () => {
                 this.toggleDiplomacy(index);
             });
             diplomacyBtn.setVisible(false);
 
-            container.add([colorDot, nameText, relationText, diplomacyBtn]);
+            container.add([colorDot, nameText, relationText, progressText, diplomacyBtn]);
             container.colorDot = colorDot;
             container.nameText = nameText;
             container.relationText = relationText;
+            container.progressText = progressText;
             container.diplomacyBtn = diplomacyBtn;
             container.playerIndex = index;
             container.compact = false;
@@ -778,13 +941,16 @@ class GameScene extends Phaser.Scene {
         const currentPlayer = this.engine.getCurrentPlayer();
 
         // Update turn text
-        const aiIndicator = currentPlayer.isAI ? ' (AI)' : '';
+        let aiIndicator = currentPlayer.isAI ? ' (AI)' : '';
+        if (this.network && this.isLocalTurn()) {
+            aiIndicator = ' (You)';
+        }
         this.turnText.setText(`Turn: ${currentPlayer.name}${aiIndicator}`);
         this.turnText.setColor(currentPlayer.color.css);
 
-        // Disable Next Turn button during AI turns
+        // Disable Next Turn button during AI turns and other players' online turns
         if (this.nextTurnBtn) {
-            const isAITurn = currentPlayer.isAI || this.isAITurnInProgress;
+            const isAITurn = currentPlayer.isAI || this.isAITurnInProgress || !this.isLocalTurn();
             if (isAITurn) {
                 this.nextTurnBtn.disableInteractive();
                 this.nextTurnBtn.bg.setAlpha(0.5);
@@ -796,14 +962,31 @@ class GameScene extends Phaser.Scene {
             }
         }
 
+        this.updateUndoButtons();
+
         // Update container glow to match current player color
         const container = document.getElementById('game-container');
         if (container) {
             container.style.boxShadow = `0 0 30px ${currentPlayer.color.css}50`;
         }
 
-        // Update tech text
-        this.techText.setText(`Tech: ${currentPlayer.techScore}`);
+        // Update tech text and victory modes (beside the tech level on mobile)
+        const techLevel = this.engine.getTechLevel(currentPlayer.id);
+        if (this.victoryText) {
+            this.techText.setText(`Tech: ${techLevel}`);
+            this.researchButton.label.setText(this.getResearchLabel(currentPlayer));
+            this.victoryText.setText(this.getVictorySummary());
+        } else {
+            const summary = this.getVictorySummary(true);
+            this.techText.setText(`Tech: ${techLevel} \u25B8${summary ? `  ${summary}` : ''}`);
+        }
+        if (this.researchPanel) {
+            if (this.canChooseResearch()) {
+                this.drawResearchPanel();
+            } else {
+                this.closeResearchPanel();
+            }
+        }
 
         // Update player entries
         this.playerEntries.forEach((entry, i) => {
@@ -827,12 +1010,21 @@ class GameScene extends Phaser.Scene {
                     entry.nameText.setColor(COLORS.textPrimary);
                 }
 
-                const techLevel = this.engine.players[i].techScore;
-                entry.relationText.setText(`Tech: ${techLevel}`);
+                // Tech, then progress toward the other victory modes
+                const progress = this.getVictoryProgressText(i, !entry.progressText);
+                const techLevel = this.engine.getTechLevel(i);
+                const techGoal = this.engine.victory.modes.includes(VICTORY_TYPES.SCIENCE)
+                    ? `/${this.engine.victory.scienceTech}` : '';
+                if (entry.progressText) {
+                    entry.relationText.setText(`Tech: ${techLevel}${techGoal}`);
+                    entry.progressText.setText(progress);
+                } else {
+                    entry.relationText.setText(`Tech: ${techLevel}${techGoal}${progress ? ` ${progress}` : ''}`);
+                }
 
                 // Show diplomacy button for other players
                 const hasCities = this.engine.getPlayerCities(i).length > 0;
-                if (i !== this.engine.currentPlayerIndex && hasCities) {
+                if (i !== this.engine.currentPlayerIndex && hasCities && this.isLocalTurn()) {
                     entry.diplomacyBtn.setVisible(true);
 
                     // Check if they have proposed peace to us
@@ -881,6 +1073,59 @@ class GameScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Active victory modes and their targets. The compact form leaves out
+     * domination and is empty when nothing else is on.
+     */
+    getVictorySummary(compact = false) {
+        const victory = this.engine.victory;
+        const round = this.engine.round + 1;
+        const parts = victory.modes
+            .filter(mode => !compact || mode !== VICTORY_TYPES.DOMINATION)
+            .map(mode => {
+                switch (mode) {
+                    case VICTORY_TYPES.TERRITORIAL:
+                        return `Land ${victory.territorialShare}% \u00d7${victory.territorialTurns}`;
+                    case VICTORY_TYPES.SCIENCE:
+                        return `Tech ${victory.scienceTech}`;
+                    case VICTORY_TYPES.SCORE:
+                        return compact
+                            ? `R${round}/${victory.turnLimit}`
+                            : `Score at round ${victory.turnLimit} (now ${round})`;
+                    case VICTORY_TYPES.CAPITAL:
+                        return compact ? 'Capital' : 'Last capital';
+                    default:
+                        return VICTORY_NAMES[mode];
+                }
+            });
+        if (compact) return parts.join(', ');
+        return `Win by: ${parts.join(', ')}`;
+    }
+
+    /**
+     * A player's standing in the territorial, score and capital modes that are on
+     */
+    getVictoryProgressText(playerId, compact = false) {
+        const victory = this.engine.victory;
+        const progress = this.engine.getVictoryProgress(playerId);
+        const parts = [];
+
+        if (victory.modes.includes(VICTORY_TYPES.TERRITORIAL)) {
+            const share = `${Math.floor(progress.territorial.share)}%`;
+            const held = progress.territorial.turnsHeld;
+            parts.push(compact ? share : `Land ${share}${held > 0 ? ` (${held}/${victory.territorialTurns})` : ''}`);
+        }
+        if (victory.modes.includes(VICTORY_TYPES.SCORE)) {
+            parts.push(compact ? `${progress.score.score}p` : `${progress.score.score} pts`);
+        }
+        if (victory.modes.includes(VICTORY_TYPES.CAPITAL)) {
+            const holds = progress.capital.holds;
+            parts.push(compact ? (holds ? '\u265C' : '\u2715') : (holds ? 'Capital held' : 'Capital lost'));
+        }
+
+        return parts.join(compact ? ' ' : ' \u00b7 ');
+    }
+
     updateSelectedInfo() {
         if (!this.selectedPiece) {
             this.selectedInfoText.setText('None');
@@ -894,24 +1139,44 @@ class GameScene extends Phaser.Scene {
         const owner = this.engine.players[piece.ownerId];
         console.log(piece.type)
 
-        let info = `Type: ${piece.type}\n`;
-        info += `HP: ${piece.hp}/${piece.maxHp}\n`;
+        const terrainName = TERRAIN_RULES[this.engine.terrain[piece.row][piece.col]].name;
+        let info = `Type: ${piece.type} (${terrainName})\n`;
+        info += `HP: ${piece.hp}/${piece.maxHp}`;
+        const isPlayerCity = piece.type === PIECE_TYPES.CITY && piece.ownerId !== null;
+        info += isPlayerCity ? `, Pop ${piece.population}\n` : '\n';
+
+        const unit = UNIT_TYPES[piece.type];
+        if (unit && unit.attack) {
+            info += `Damage: ${piece.damage}`;
+            if (unit.attack === 'ranged') info += ` (range ${unit.range})`;
+            if (unit.cityBonus) info += ` (+${unit.cityBonus} vs cities)`;
+            info += '\n';
+        }
 
-        if (piece.type === PIECE_TYPES.WARRIOR) {
-            info += `Damage: ${piece.damage}\n`;
+        if (piece.ownerId === null) {
+            info += 'Neutral - any military unit may capture it\n';
+        } else if (piece.ownerId === BARBARIAN_ID) {
+            info += piece.type === PIECE_TYPES.CAMP
+                ? 'Barbarian camp - destroy it for land and science\n'
+                : 'Barbarian - at war with everyone\n';
         }
 
-        if (piece.type === PIECE_TYPES.CITY && piece.production) {
-            const prodType = PRODUCTION_TYPES[piece.production];
-            info += `Building: ${prodType.name}\n`;
-            info += `Progress: ${piece.productionProgress}/${prodType.turns}`;
+        if (isPlayerCity) {
+            const cityYield = this.engine.getCityYield(piece);
+            info += `Yield: ${cityYield.production} prod, ${this.describeGrowth(piece, cityYield)}\n`;
+            if (piece.production) {
+                const cost = this.engine.getProductionCost(piece.production);
+                const turnsLeft = Math.max(1, Math.ceil((cost - piece.productionProgress) / cityYield.production));
+                info += `${PRODUCTION_TYPES[piece.production].name}: ${piece.productionProgress}/${cost} (${turnsLeft} turns)`;
+            }
         }
 
         this.selectedInfoText.setText(info);
 
         // Show/hide production buttons for owned cities
         const isOwnedCity = piece.type === PIECE_TYPES.CITY &&
-                            piece.ownerId === this.engine.currentPlayerIndex;
+                            piece.ownerId === this.engine.currentPlayerIndex &&
+                            this.isLocalTurn();
 
         this.productionButtons.forEach(({ btn, type }) => {
             btn.setVisible(isOwnedCity);
@@ -920,17 +1185,12 @@ class GameScene extends Phaser.Scene {
                 const isSelected = piece.production === type;
                 btn.selected = isSelected;
 
-                // Disable repair button if city is at full health
-                if (type === 'REPAIR') {
-                    const isFullHealth = piece.hp >= piece.maxHp;
-                    btn.bg.setFillStyle(isFullHealth ? 0x2a2a3a : (isSelected ? 0x00aa00 : 0x3a3a5a));
-                    btn.bg.setAlpha(isFullHealth ? 0.5 : 1);
-                    btn.label.setAlpha(isFullHealth ? 0.5 : 1);
-                } else {
-                    btn.bg.setFillStyle(isSelected ? 0x00aa00 : 0x3a3a5a);
-                    btn.bg.setAlpha(1);
-                    btn.label.setAlpha(1);
-                }
+                // Disable repair if the city is at full health, and anything the owner lacks the tech for
+                const disabled = (type === 'REPAIR' && piece.hp >= piece.maxHp) ||
+                    !this.engine.canProduce(piece.ownerId, type);
+                btn.bg.setFillStyle(disabled ? 0x2a2a3a : (isSelected ? 0x00aa00 : 0x3a3a5a));
+                btn.bg.setAlpha(disabled ? 0.5 : 1);
+                btn.label.setAlpha(disabled ? 0.5 : 1);
             }
         });
 
@@ -944,7 +1204,8 @@ class GameScene extends Phaser.Scene {
 
         // Show/hide settle button for owned settlers
         const isOwnedSettler = piece.type === PIECE_TYPES.SETTLER &&
-                               piece.ownerId === this.engine.currentPlayerIndex;
+                               piece.ownerId === this.engine.currentPlayerIndex &&
+                               this.isLocalTurn();
         if (isOwnedSettler) {
             const canSettle = this.engine.canSettlerBuildCity(piece);
             this.settleBtn.setVisible(true);
@@ -954,13 +1215,48 @@ class GameScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * A city's food surplus and how soon it grows
+     */
+    describeGrowth(city, cityYield) {
+        const { surplus, growthFood, maxed } = cityYield;
+        if (surplus < 0) return `${surplus} food, starving`;
+        if (maxed) return `+${surplus} food, full size`;
+        if (surplus === 0) return 'needs land to grow';
+        return `+${surplus} food, grows in ${Math.max(1, Math.ceil((growthFood - city.food) / surplus))}`;
+    }
+
     setupInput() {
+        // Keyboard shortcuts: Ctrl+Z undo, Ctrl+Y / Ctrl+Shift+Z redo
+        if (this.input.keyboard) {
+            this.input.keyboard.on('keydown-Z', (event) => {
+                if (!event.ctrlKey && !event.metaKey) return;
+                if (event.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            });
+            this.input.keyboard.on('keydown-Y', (event) => {
+                if (event.ctrlKey || event.metaKey) this.redo();
+            });
+            this.input.keyboard.on('keydown-ESC', () => {
+                if (this.researchPanel) {
+                    this.closeResearchPanel();
+                } else if (this.gameMenu) {
+                    this.closeGameMenu();
+                } else {
+                    this.openGameMenu();
+                }
+            });
+        }
+
         // Drag events
         this.input.on('dragstart', (pointer, gameObject) => {
             if (!gameObject.pieceData) return;
 
             const piece = gameObject.pieceData;
-            if (piece.ownerId !== this.engine.currentPlayerIndex) return;
+            if (piece.ownerId !== this.engine.currentPlayerIndex || !this.isLocalTurn()) return;
             if (piece.type === PIECE_TYPES.CITY) return;
 
             this.draggedPiece = gameObject;
@@ -1002,7 +1298,11 @@ class GameScene extends Phaser.Scene {
                 const piece = gameObject.pieceData;
 
                 if (this.engine.isValidTile(row, col)) {
-                    const result = this.engine.movePiece(piece, row, col);
+                    const result = this.sendAction({
+                        type: ACTION_TYPES.MOVE,
+                        pieceId: piece.id,
+                        to: { row, col }
+                    });
                     if (result.success) {
                         this.onMoveSuccess(piece, result);
                     } else {
@@ -1020,11 +1320,14 @@ class GameScene extends Phaser.Scene {
 
         // Click to select
         this.input.on('pointerdown', (pointer) => {
+            // Overlays cover the board
+            if (this.gameMenu || this.handoffCover || this.researchPanel) return;
+
             // Only process clicks within the board area
             const boardLeft = BOARD_OFFSET;
-            const boardRight = BOARD_OFFSET + BOARD_SIZE * TILE_SIZE;
+            const boardRight = BOARD_OFFSET + this.engine.cols * TILE_SIZE;
             const boardTop = BOARD_OFFSET;
-            const boardBottom = BOARD_OFFSET + BOARD_SIZE * TILE_SIZE;
+            const boardBottom = BOARD_OFFSET + this.engine.rows * TILE_SIZE;
 
             if (pointer.x < boardLeft || pointer.x >= boardRight ||
                 pointer.y < boardTop || pointer.y >= boardBottom) {
@@ -1040,14 +1343,21 @@ class GameScene extends Phaser.Scene {
                 return;
             }
 
-            const clickedPiece = this.engine.board[row][col];
+            // Pieces hidden by fog of war can't be picked out
+            const boardPiece = this.engine.board[row][col];
+            const clickedPiece = boardPiece && this.isPieceShown(boardPiece) ? boardPiece : null;
 
             if (this.selectedPiece && !this.draggedPiece) {
                 const piece = this.selectedPiece.pieceData;
 
                 // Try to move to clicked tile
-                if (piece.ownerId === this.engine.currentPlayerIndex && piece.type !== PIECE_TYPES.CITY) {
-                    const result = this.engine.movePiece(piece, row, col);
+                if (piece.ownerId === this.engine.currentPlayerIndex && piece.type !== PIECE_TYPES.CITY &&
+                    this.isLocalTurn()) {
+                    const result = this.sendAction({
+                        type: ACTION_TYPES.MOVE,
+                        pieceId: piece.id,
+                        to: { row, col }
+                    });
                     if (result.success) {
                         this.onMoveSuccessAnimated(piece, result);
                         return;
@@ -1066,8 +1376,7 @@ class GameScene extends Phaser.Scene {
 
     selectPiece(sprite) {
         if (this.selectedPiece) {
-            this.selectedPiece.bgCircle.setStrokeStyle(3,
-                this.engine.players[this.selectedPiece.pieceData.ownerId].color.hex);
+            this.selectedPiece.bgCircle.setStrokeStyle(3, this.getPieceColor(this.selectedPiece.pieceData).hex);
         }
 
         this.selectedPiece = sprite;
@@ -1075,7 +1384,8 @@ class GameScene extends Phaser.Scene {
 
         const piece = sprite.pieceData;
         this.clearHighlights();
-        if (piece.ownerId === this.engine.currentPlayerIndex && piece.type !== PIECE_TYPES.CITY) {
+        if (piece.ownerId === this.engine.currentPlayerIndex && piece.type !== PIECE_TYPES.CITY &&
+            this.isLocalTurn()) {
             this.showValidMoves(piece);
         }
 
@@ -1084,8 +1394,7 @@ class GameScene extends Phaser.Scene {
 
     deselectPiece() {
         if (this.selectedPiece) {
-            this.selectedPiece.bgCircle.setStrokeStyle(3,
-                this.engine.players[this.selectedPiece.pieceData.ownerId].color.hex);
+            this.selectedPiece.bgCircle.setStrokeStyle(3, this.getPieceColor(this.selectedPiece.pieceData).hex);
         }
         this.selectedPiece = null;
         this.clearHighlights();
@@ -1171,6 +1480,10 @@ class GameScene extends Phaser.Scene {
                             if (result.combat.elimination && result.combat.elimination.eliminated) {
                                 this.handleEliminationAnimation(result.combat.elimination);
                             }
+                        } else if (result.combat && result.combat.defenderDestroyed) {
+                            // A ranged attack destroyed its target without moving in
+                            this.removePieceSprite(result.combat.defender);
+                            this.drawOwnership();
                         } else if (defenderPiece) {
                             this.updatePieceSprite(defenderPiece);
                         }
@@ -1180,8 +1493,8 @@ class GameScene extends Phaser.Scene {
             }
         });
 
-        // If defender is a warrior (not a city), animate mutual bump
-        if (defenderSprite && defenderPiece && defenderPiece.type === PIECE_TYPES.WARRIOR) {
+        // If defender is a military unit (not a city), animate mutual bump
+        if (defenderSprite && defenderPiece && GameEngine.isMilitary(defenderPiece.type)) {
             // Calculate defender's bump point (toward attacker)
             const defenderBumpX = (targetX + originalX) / 2;
             const defenderBumpY = (targetY + originalY) / 2;
@@ -1278,14 +1591,18 @@ class GameScene extends Phaser.Scene {
 
         const piece = this.selectedPiece.pieceData;
 
-        // Don't allow repair if at full health
+        // Don't allow repair if at full health, or units that need more tech
         if (type === 'REPAIR' && piece.hp >= piece.maxHp) {
             return;
         }
+        if (!this.engine.canProduce(piece.ownerId, type)) {
+            return;
+        }
 
-        this.engine.setProduction(piece, type);
+        this.sendAction({ type: ACTION_TYPES.SET_PRODUCTION, pieceId: piece.id, production: type });
         this.updatePieceSprite(piece);
         this.updateSelectedInfo();
+        this.updateUndoButtons();
     }
 
     toggleRepeat(enabled) {
@@ -1294,7 +1611,8 @@ class GameScene extends Phaser.Scene {
         }
 
         const piece = this.selectedPiece.pieceData;
-        piece.repeatProduction = enabled;
+        this.sendAction({ type: ACTION_TYPES.SET_REPEAT, pieceId: piece.id, enabled: enabled });
+        this.updateUndoButtons();
     }
 
     settleCity() {
@@ -1303,7 +1621,7 @@ class GameScene extends Phaser.Scene {
         }
 
         const settler = this.selectedPiece.pieceData;
-        const result = this.engine.settlerBuildCity(settler);
+        const result = this.sendAction({ type: ACTION_TYPES.BUILD_CITY, pieceId: settler.id });
 
         if (result.success) {
             this.removePieceSprite(settler.id);
@@ -1322,15 +1640,15 @@ class GameScene extends Phaser.Scene {
 
         if (myRelation === 'peace' && theirRelation === 'peace') {
             // At peace - declare war
-            this.engine.declareWar(this.engine.currentPlayerIndex, targetIndex);
+            this.sendAction({ type: ACTION_TYPES.DECLARE_WAR, targetId: targetIndex });
         } else if (theirRelation === 'peace_proposed') {
             // They proposed peace - accept it
-            this.engine.acceptPeace(this.engine.currentPlayerIndex, targetIndex);
+            this.sendAction({ type: ACTION_TYPES.ACCEPT_PEACE, targetId: targetIndex });
         } else if (myRelation === 'peace_proposed') {
             // We already proposed - do nothing (pending)
         } else {
             // At war - propose peace
-            this.engine.proposePeace(this.engine.currentPlayerIndex, targetIndex);
+            this.sendAction({ type: ACTION_TYPES.PROPOSE_PEACE, targetId: targetIndex });
         }
 
         this.updateUI();
@@ -1338,7 +1656,7 @@ class GameScene extends Phaser.Scene {
 
     endTurn() {
         this.deselectPiece();
-        this.engine.endTurn();
+        this.sendAction({ type: ACTION_TYPES.END_TURN });
 
         // Refresh pieces (some may have spawned)
         this.refreshPieceSprites();
@@ -1347,6 +1665,7 @@ class GameScene extends Phaser.Scene {
         this.updateUI();
 
         // Check if next player is AI
+        this.checkFogHandoff();
         this.checkAndExecuteAITurn();
     }
 
@@ -1375,16 +1694,497 @@ class GameScene extends Phaser.Scene {
             }
         });
 
-        // Update all existing pieces
+        // Update all existing pieces (undo/redo replaces the piece objects)
         this.engine.pieces.forEach(piece => {
+            this.pieceSprites.get(piece.id).pieceData = piece;
             this.updatePieceSprite(piece);
         });
     }
 
+    // ========================================
+    // ACTIONS / NETWORK
+    // ========================================
+
+    /**
+     * Apply a player action. Online, the server applies it and the outcome
+     * arrives later as a state update, so nothing changes locally.
+     */
+    sendAction(action) {
+        if (this.network) {
+            this.network.sendAction(action);
+            return { success: false, pending: true };
+        }
+        return this.engine.dispatch(action);
+    }
+
+    /**
+     * Whether this screen may act for the current player. Always true for
+     * local games; online only on this client's own turn.
+     */
+    isLocalTurn() {
+        return !this.network || this.engine.currentPlayerIndex === this.network.playerId;
+    }
+
+    setupNetwork() {
+        this.networkStatusText = this.add.text(BOARD_OFFSET, 10, '', {
+            fontSize: '14px',
+            color: '#ffaa00'
+        });
+
+        this.network.on('state', (message) => this.onNetworkState(message));
+        this.network.on('room', (room) => this.updateNetworkStatus(room));
+        this.network.on('denied', (message) => this.networkStatusText.setText(`Denied: ${message.reason}`));
+        this.network.on('error', (message) => this.networkStatusText.setText(message.message));
+        this.network.on('disconnected', () => this.networkStatusText.setText('Connection lost - reconnecting...'));
+        this.network.on('reconnected', () => this.updateNetworkStatus(this.network.room));
+
+        this.updateNetworkStatus(this.network.room);
+    }
+
+    /**
+     * Replace the mirrored engine state with the server's and redraw
+     */
+    onNetworkState(message) {
+        const selectedId = this.selectedPiece ? this.selectedPiece.pieceData.id : null;
+        this.deselectPiece();
+
+        this.engine.loadState(message.state);
+        this.refreshPieceSprites();
+        this.drawOwnership();
+        this.updateNetworkStatus(message.room);
+        this.updateUI();
+
+        // Keep the selection across updates on our own turn
+        const sprite = selectedId ? this.pieceSprites.get(selectedId) : null;
+        if (sprite && this.isLocalTurn()) {
+            this.selectPiece(sprite);
+        }
+    }
+
+    updateNetworkStatus(room) {
+        if (!room) return;
+        if (room.status === 'error') {
+            this.networkStatusText.setText('Game stopped by a server error');
+            return;
+        }
+        const offline = room.seats.filter(seat => !seat.connected);
+        const names = offline.map(seat => `Player ${seat.playerId + 1}`).join(', ');
+        this.networkStatusText.setText(offline.length > 0 ? `Waiting for ${names} to reconnect` : `Room ${room.code}`);
+    }
+
+    // ========================================
+    // UNDO / REDO
+    // ========================================
+    undo() {
+        if (!this.canUseUndo()) return;
+        if (!this.sendAction({ type: ACTION_TYPES.UNDO }).success) return;
+        this.onUndoRedo();
+    }
+
+    redo() {
+        if (!this.canUseUndo()) return;
+        if (!this.sendAction({ type: ACTION_TYPES.REDO }).success) return;
+        this.onUndoRedo();
+    }
+
+    onUndoRedo() {
+        this.deselectPiece();
+        this.refreshPieceSprites();
+        this.drawOwnership();
+        this.updateUI();
+    }
+
+    /**
+     * Undo/redo only applies to a human player's own turn
+     */
+    canUseUndo() {
+        return !this.engine.getCurrentPlayer().isAI && !this.isAITurnInProgress && this.isLocalTurn() &&
+            !this.gameMenu && !this.handoffCover && !this.researchPanel;
+    }
+
+    updateUndoButtons() {
+        // Online, the undo stacks live on the server
+        const undo = this.network
+            ? this.network.undo
+            : { canUndo: this.engine.canUndo(), canRedo: this.engine.canRedo() };
+
+        const buttons = [
+            { btn: this.undoBtn, enabled: this.canUseUndo() && undo.canUndo },
+            { btn: this.redoBtn, enabled: this.canUseUndo() && undo.canRedo }
+        ];
+
+        buttons.forEach(({ btn, enabled }) => {
+            if (!btn) return;
+            if (enabled) {
+                btn.setInteractive({ useHandCursor: true });
+            } else {
+                btn.disableInteractive();
+                btn.bg.setFillStyle(0x3a3a5a);
+            }
+            btn.bg.setAlpha(enabled ? 1 : 0.5);
+            btn.label.setAlpha(enabled ? 1 : 0.5);
+        });
+    }
+
+    /**
+     * Download the game so far as a save file (see SaveFile)
+     */
+    exportGame() {
+        SaveFile.download(this.engine.history.getSaveData());
+    }
+
+    /**
+     * Download the move list as text (see Notation)
+     */
+    exportNotation() {
+        try {
+            Notation.download(this.engine.history.getSaveData());
+        } catch (e) {
+            this.gameMenuText.setText(e.message);
+        }
+    }
+
+    // ========================================
+    // RESEARCH
+    // ========================================
+    getResearchLabel(player) {
+        if (!player.research) {
+            return this.engine.getResearchOptions(player.id).length > 0 ? 'Choose research' : 'All researched';
+        }
+        return `${TECHS[player.research].name} ${Math.min(player.sciencePoints, TECHS[player.research].cost)}/${TECHS[player.research].cost}`;
+    }
+
+    /**
+     * Only the player whose turn it is picks research, and only on this screen
+     */
+    canChooseResearch() {
+        return !this.engine.getCurrentPlayer().isAI && !this.isAITurnInProgress && this.isLocalTurn() &&
+            !this.engine.gameOver;
+    }
+
+    /**
+     * Tech tree overlay: every tech with its cost and what it gives. Known techs
+     * are ticked, the one being researched is highlighted, and any tech whose
+     * prerequisites are known can be chosen.
+     */
+    openResearchPanel() {
+        if (this.researchPanel || this.gameMenu || this.handoffCover || !this.canChooseResearch()) return;
+        this.deselectPiece();
+        this.researchPanel = this.add.container(0, 0).setDepth(200);
+        this.drawResearchPanel();
+    }
+
+    drawResearchPanel() {
+        this.researchPanel.removeAll(true);
+
+        const config = layoutConfig;
+        const mobile = config.mobile;
+        const centerX = config.gameWidth / 2;
+        const centerY = config.gameHeight / 2;
+        const player = this.engine.getCurrentPlayer();
+        const techIds = Object.keys(TECHS);
+
+        // Two columns with the description under each tech; one on mobile with it alongside
+        const columns = mobile ? 1 : 2;
+        const perColumn = Math.ceil(techIds.length / columns);
+        const cellWidth = mobile ? config.gameWidth - 30 : 270;
+        const rowHeight = mobile ? 38 : 64;
+        const btnWidth = mobile ? 150 : cellWidth - 10;
+        const panelWidth = cellWidth * columns + 30;
+        const panelHeight = perColumn * rowHeight + 140;
+        const left = centerX - panelWidth / 2 + 15;
+        const top = centerY - panelHeight / 2;
+
+        const overlay = this.add.rectangle(centerX, centerY, config.gameWidth, config.gameHeight, 0x000000, 0.7);
+        overlay.setInteractive();
+        const panel = this.add.rectangle(centerX, centerY, panelWidth, panelHeight, COLORS.uiBackground);
+        panel.setStrokeStyle(2, COLORS.border);
+        const title = this.add.text(centerX, top + 25, 'RESEARCH', {
+            fontSize: '24px',
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+        const points = player.sciencePoints === 1 ? '1 point' : `${player.sciencePoints} points`;
+        const status = this.add.text(centerX, top + 55,
+            `${player.name}: tech ${this.engine.getTechLevel(player.id)}, ${points} banked. Each finished Science project adds a point.`, {
+                fontSize: '12px',
+                color: COLORS.textSecondary,
+                align: 'center',
+                wordWrap: { width: panelWidth - 30 }
+            }).setOrigin(0.5);
+        this.researchPanel.add([overlay, panel, title, status]);
+
+        techIds.forEach((techId, i) => {
+            const tech = TECHS[techId];
+            const x = left + Math.floor(i / perColumn) * cellWidth;
+            const y = top + 85 + (i % perColumn) * rowHeight;
+            const known = player.techs.includes(techId);
+            const current = player.research === techId;
+            const open = this.engine.canResearch(player.id, techId);
+
+            const btn = this.createButton(x + btnWidth / 2, y + 14, `${known ? '\u2713 ' : ''}${tech.name} (${tech.cost})`, () => {
+                if (open && !current) this.chooseResearch(techId);
+            }, btnWidth, mobile ? 26 : 28);
+            btn.label.setFontSize(mobile ? '12px' : '14px');
+            if (known || current) {
+                btn.bg.setFillStyle(known ? 0x2a6a2a : 0x00aa00);
+                btn.off('pointerover');
+                btn.off('pointerout');
+            } else if (!open) {
+                btn.setAlpha(0.5);
+            }
+
+            const missing = tech.requires.filter(id => !player.techs.includes(id)).map(id => TECHS[id].name);
+            const note = GameEngine.describeTech(techId) + (missing.length > 0 ? ` (needs ${missing.join(', ')})` : '');
+            const desc = this.add.text(mobile ? x + btnWidth + 8 : x, mobile ? y + 14 : y + 31, note, {
+                fontSize: '11px',
+                color: COLORS.textSecondary,
+                wordWrap: { width: mobile ? cellWidth - btnWidth - 10 : cellWidth - 10 }
+            }).setOrigin(0, mobile ? 0.5 : 0);
+            this.researchPanel.add([btn, desc]);
+        });
+
+        const closeBtn = this.createButton(centerX, top + panelHeight - 30, 'Close', () => {
+            this.closeResearchPanel();
+        }, 120, 34);
+        this.researchPanel.add(closeBtn);
+    }
+
+    chooseResearch(techId) {
+        this.sendAction({ type: ACTION_TYPES.SET_RESEARCH, techId: techId });
+        this.updateUI();
+        this.updateUndoButtons();
+    }
+
+    closeResearchPanel() {
+        if (!this.researchPanel) return;
+        this.researchPanel.destroy();
+        this.researchPanel = null;
+        this.updateUndoButtons();
+    }
+
+    // ========================================
+    // GAME MENU
+    // ========================================
+    /**
+     * Pause overlay with Save As, Export, Notation and Quit to Menu. Local games stop
+     * while it is open; online games carry on, since the server runs them.
+     */
+    openGameMenu() {
+        if (this.gameMenu || this.engine.gameOver) return;
+
+        if (!this.network) {
+            this.time.paused = true;
+            this.tweens.pauseAll();
+        }
+        this.deselectPiece();
+
+        const config = layoutConfig;
+        const centerX = config.gameWidth / 2;
+        const centerY = config.gameHeight / 2;
+        const container = this.add.container(0, 0).setDepth(200);
+        this.gameMenu = container;
+
+        // Dim the game and swallow clicks meant for the board
+        const overlay = this.add.rectangle(centerX, centerY, config.gameWidth, config.gameHeight, 0x000000, 0.7);
+        overlay.setInteractive();
+        const panel = this.add.rectangle(centerX, centerY, 280, 380, COLORS.uiBackground);
+        panel.setStrokeStyle(2, COLORS.border);
+        container.add([overlay, panel]);
+
+        this.gameMenuTitle = this.add.text(centerX, centerY - 130, this.network ? 'MENU' : 'PAUSED', {
+            fontSize: '24px',
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+        this.gameMenuText = this.add.text(centerX, centerY - 95, '', {
+            fontSize: '12px',
+            color: COLORS.textSecondary,
+            align: 'center',
+            wordWrap: { width: 250 }
+        }).setOrigin(0.5);
+        container.add([this.gameMenuTitle, this.gameMenuText]);
+
+        this.gameMenuButtons = [];
+        this.showGameMenuButtons();
+    }
+
+    /**
+     * Replace the menu's buttons, stacked from the middle of the panel
+     * @param {Array<{text: string, action: Function}>} [buttons] - Defaults to the main menu
+     */
+    showGameMenuButtons(buttons = null) {
+        this.gameMenuButtons.forEach(button => button.destroy());
+
+        if (!buttons) {
+            this.gameMenuTitle.setText(this.network ? 'MENU' : 'PAUSED');
+            this.gameMenuText.setText(this.network ? 'Online game' : `Saving as: ${this.engine.history.gameId}`);
+            buttons = [{ text: 'Resume', action: () => this.closeGameMenu() }];
+            // Online clients mirror the server's state and keep no history to save
+            if (!this.network) {
+                buttons.push(
+                    { text: 'Save As...', action: () => this.saveGameAs() },
+                    { text: 'Export', action: () => this.exportGame() },
+                    { text: 'Export Notation', action: () => this.exportNotation() }
+                );
+            }
+            buttons.push({ text: 'Quit to Menu', action: () => this.confirmQuit() });
+        }
+
+        const centerX = layoutConfig.gameWidth / 2;
+        const top = layoutConfig.gameHeight / 2 - 50;
+        this.gameMenuButtons = buttons.map((button, i) => {
+            const btn = this.createButton(centerX, top + i * 52, button.text, button.action, 200, 40);
+            this.gameMenu.add(btn);
+            return btn;
+        });
+    }
+
+    closeGameMenu() {
+        if (!this.gameMenu) return;
+        this.gameMenu.destroy();
+        this.gameMenu = null;
+        this.gameMenuButtons = [];
+
+        if (!this.network) {
+            this.time.paused = false;
+            this.tweens.resumeAll();
+        }
+    }
+
+    /**
+     * Save As: keep playing under a new name. The save under the old name
+     * stays as it was and the Load Game list shows the new one as its fork.
+     */
+    saveGameAs() {
+        const history = this.engine.history;
+        const newName = prompt('Save this game as:', `${history.gameId} (fork)`);
+        if (!newName || !newName.trim() || newName.trim() === history.gameId) return;
+
+        const name = newName.trim();
+        if (GameHistory.loadFromLocalStorage(name)) {
+            this.gameMenuText.setText(`A save named "${name}" already exists.`);
+            return;
+        }
+
+        const previousName = history.gameId;
+        if (history.saveAs(name)) {
+            this.gameMenuText.setText(`Saving as: ${name}\n${previousName} is kept as it was.`);
+        } else {
+            this.gameMenuText.setText('Could not save - browser storage may be full.');
+        }
+    }
+
+    confirmQuit() {
+        this.gameMenuTitle.setText('QUIT?');
+        this.gameMenuText.setText(this.network
+            ? 'You will leave the online game.'
+            : 'The game is saved and can be continued from Load Game.');
+        this.showGameMenuButtons([
+            { text: 'Quit to Menu', action: () => this.quitToMenu() },
+            { text: 'Cancel', action: () => this.showGameMenuButtons() }
+        ]);
+    }
+
+    quitToMenu() {
+        if (this.network) {
+            this.network.leave();
+        } else if (this.engine.history.autoSave) {
+            this.engine.history.saveToLocalStorage();
+        }
+        this.time.paused = false;
+        this.scene.start('MenuScene');
+    }
+
+    // ========================================
+    // SAVE WARNING
+    // ========================================
+    /**
+     * Banner over the board while autosaves are failing, with ways to free
+     * up storage. Removed again once a save goes through.
+     * @param {Error|null} error - The failed write, or null when saving works again
+     */
+    showSaveWarning(error) {
+        if (!error) {
+            if (this.saveWarning) {
+                this.saveWarning.destroy();
+                this.saveWarning = null;
+            }
+            return;
+        }
+        if (this.saveWarning) return;
+
+        const boardWidth = this.engine.cols * TILE_SIZE;
+        const width = Math.min(boardWidth - 20, 420);
+        const x = BOARD_OFFSET + boardWidth / 2;
+        const y = BOARD_OFFSET + 70;
+        const container = this.add.container(x, y).setDepth(100);
+
+        const bg = this.add.rectangle(0, 0, width, 120, 0x3a1a1a, 0.95);
+        bg.setStrokeStyle(2, 0xff4444);
+        // Swallow clicks so they don't reach the board underneath
+        bg.setInteractive();
+
+        this.saveWarningText = this.add.text(0, -40, 'Saving failed - browser storage is probably full.\nMoves from now on are not being saved.', {
+            fontSize: '12px',
+            color: '#ff8888',
+            align: 'center',
+            wordWrap: { width: width - 20 }
+        }).setOrigin(0.5);
+        container.add([bg, this.saveWarningText]);
+
+        const buttonWidth = (width - 30) / 2;
+        const buttons = [
+            { text: 'Delete finished saves', action: () => this.freeSaveSpace(true) },
+            { text: 'Delete oldest save', action: () => this.freeSaveSpace(false) },
+            { text: 'Export this game', action: () => this.exportGame() },
+            { text: 'Dismiss', action: () => this.dismissSaveWarning() }
+        ];
+        buttons.forEach((button, i) => {
+            const bx = (i % 2 === 0 ? -1 : 1) * (buttonWidth / 2 + 5);
+            const by = 5 + Math.floor(i / 2) * 30;
+            container.add(this.createSmallButton(bx, by, button.text, button.action, buttonWidth));
+        });
+
+        this.saveWarning = container;
+    }
+
+    /**
+     * Delete other saves to make room, then try saving this game again
+     * @param {boolean} finishedOnly - Delete every finished game, or else just the oldest save
+     */
+    freeSaveSpace(finishedOnly) {
+        const history = this.engine.history;
+        const others = GameHistory.listSavedGames().filter(game => game.gameId !== history.gameId);
+        const targets = finishedOnly
+            ? others.filter(game => game.winner !== null && game.winner !== undefined)
+            : others.slice(-1); // the list is sorted newest first
+
+        if (targets.length === 0) {
+            this.saveWarningText.setText(finishedOnly ? 'There are no finished saves to delete.' : 'There are no other saves to delete.');
+            return;
+        }
+
+        targets.forEach(game => GameHistory.deleteSavedGame(game.gameId));
+        if (!history.saveToLocalStorage()) {
+            const deleted = targets.length === 1 ? `"${targets[0].gameId}"` : `${targets.length} saves`;
+            this.saveWarningText.setText(`Deleted ${deleted}, but the game still does not fit.\nTry deleting more, or export it.`);
+        }
+    }
+
+    /**
+     * Hide the banner; it comes back if saving fails again after working
+     */
+    dismissSaveWarning() {
+        this.saveWarning.destroy();
+        this.saveWarning = null;
+    }
+
     /**
      * Check if current player is AI and execute their turn
      */
     checkAndExecuteAITurn() {
+        if (this.network) return; // the server plays AI seats online
         if (this.engine.gameOver) return;
         if (this.isAITurnInProgress) return;
 
@@ -1421,12 +2221,13 @@ class GameScene extends Phaser.Scene {
                 this.updateUI();
 
                 // End turn and check for next AI
-                this.engine.endTurn();
+                this.engine.dispatch({ type: ACTION_TYPES.END_TURN });
                 this.refreshPieceSprites();
                 this.drawOwnership();
                 this.updateUI();
 
                 // Check if next player is also AI
+                this.checkFogHandoff();
                 this.checkAndExecuteAITurn();
             });
         });
@@ -1470,6 +2271,7 @@ class GameScene extends Phaser.Scene {
             case AI_ACTION_TYPE.ACCEPT_PEACE:
                 return 300;
             case AI_ACTION_TYPE.SET_PRODUCTION:
+            case AI_ACTION_TYPE.SET_RESEARCH:
                 return 100;
             default:
                 return 200;
@@ -1504,10 +2306,33 @@ class GameScene extends Phaser.Scene {
             color: COLORS.textPrimary
         }).setOrigin(0.5);
 
+        if (this.engine.victoryType) {
+            this.add.text(centerX, centerY + 55, `${VICTORY_NAMES[this.engine.victoryType]} victory`, {
+                fontSize: config.mobile ? '16px' : '20px',
+                color: COLORS.textSecondary
+            }).setOrigin(0.5);
+        }
+
+        // Online clients mirror the server's state and keep no history to summarize
+        const hasStats = !this.network;
+        const buttonOffset = hasStats ? 85 : 0;
+
         // Play again button
-        this.createButton(centerX, centerY + 100, 'Play Again', () => {
+        this.createButton(centerX - buttonOffset, centerY + 100, 'Play Again', () => {
+            if (this.network) {
+                this.network.leave();
+            }
             this.scene.start('MenuScene');
         }, 150, 50);
+
+        if (hasStats) {
+            this.createButton(centerX + buttonOffset, centerY + 100, 'Statistics', () => {
+                const history = this.engine.history;
+                this.scene.start('StatsScene', {
+                    savedGame: { gameId: history.gameId, metadata: history.metadata, snapshots: history.snapshots }
+                });
+            }, 150, 50);
+        }
     }
 
     update() {
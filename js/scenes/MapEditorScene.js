@@ -0,0 +1,609 @@
+// ============================================
+// MAP EDITOR SCENE
+// ============================================
+/**
+ * MapEditorScene - Builds scenarios (see Scenario): paint terrain and tile
+ * ownership, place pieces with custom hp, set each player's tech, AI seat and
+ * wars, and pick who moves first. Scenarios are saved to and loaded from
+ * JSON files and can be played straight from the editor.
+ */
+class MapEditorScene extends Phaser.Scene {
+    // Brushes that keep painting while the pointer is dragged across the board
+    static DRAG_BRUSHES = ['territory', 'clear', 'erase', ...Object.values(TERRAIN_TYPES)];
+
+    constructor() {
+        super({ key: 'MapEditorScene' });
+    }
+
+    /**
+     * The panel is rebuilt with scene.restart() after every setting change,
+     * so all editor state travels in the scene data
+     */
+    init(data) {
+        this.scenario = data.scenario || Scenario.create();
+        this.selectedPlayer = data.selectedPlayer !== undefined ? data.selectedPlayer : 0; // null = neutral
+        this.brush = data.brush || 'territory';
+        this.pieceHp = data.pieceHp || 0; // 0 = the piece's normal hp
+        this.statusMessage = data.statusMessage || '';
+        this.pieceSprites = [];
+        this.painting = false;
+        this.lastPaintedTile = null;
+    }
+
+    create() {
+        this.cameras.main.setBackgroundColor(COLORS.background);
+        Layout.resizeForBoard(this, this.scenario.rows, this.scenario.cols, this.scenario.players.length);
+
+        this.tileGraphics = this.add.graphics();
+        this.ownershipGraphics = this.add.graphics();
+
+        this.drawBoard();
+        this.drawOwnership();
+        this.drawPieces();
+
+        const borderGraphics = this.add.graphics();
+        borderGraphics.lineStyle(3, COLORS.border);
+        borderGraphics.strokeRect(
+            BOARD_OFFSET - 2,
+            BOARD_OFFSET - 2,
+            this.scenario.cols * TILE_SIZE + 4,
+            this.scenario.rows * TILE_SIZE + 4
+        );
+
+        this.createPanel();
+        this.setupInput();
+    }
+
+    /**
+     * Rebuild the scene with the current editor state
+     */
+    refresh(statusMessage = '') {
+        this.scene.restart({
+            scenario: this.scenario,
+            selectedPlayer: this.selectedPlayer,
+            brush: this.brush,
+            pieceHp: this.pieceHp,
+            statusMessage: statusMessage
+        });
+    }
+
+    // ========================================
+    // BOARD
+    // ========================================
+    drawBoard() {
+        BoardRenderer.drawTerrain(this.tileGraphics, this.scenario.terrain);
+    }
+
+    drawOwnership() {
+        BoardRenderer.drawOwnership(this.ownershipGraphics, this.scenario.tileOwnership, owner => this.getPlayerColor(owner));
+    }
+
+    drawPieces() {
+        this.pieceSprites.forEach(sprite => sprite.destroy());
+        this.pieceSprites = this.scenario.pieces.map(piece => this.createPieceSprite(piece));
+    }
+
+    createPieceSprite(piece) {
+        const container = BoardRenderer.createPieceSprite(this, piece, this.getPlayerColor(piece.ownerId));
+
+        // Custom hp is shown under the piece
+        if (piece.hp) {
+            BoardRenderer.addPieceLabel(this, container, `${piece.hp} hp`);
+        }
+
+        return container;
+    }
+
+    getPlayerColor(playerId) {
+        return BoardRenderer.getOwnerColor(playerId, this.scenario.players.map(player => PLAYER_COLORS[player.colorIndex]));
+    }
+
+    // ========================================
+    // PAINTING
+    // ========================================
+    setupInput() {
+        this.input.on('pointerdown', (pointer) => {
+            const tile = this.getTileAt(pointer);
+            if (!tile) return;
+            this.painting = true;
+            this.paintTile(tile.row, tile.col);
+        });
+
+        this.input.on('pointermove', (pointer) => {
+            if (!this.painting || !pointer.isDown || !MapEditorScene.DRAG_BRUSHES.includes(this.brush)) return;
+            const tile = this.getTileAt(pointer);
+            if (tile) {
+                this.paintTile(tile.row, tile.col);
+            }
+        });
+
+        this.input.on('pointerup', () => {
+            this.painting = false;
+            this.lastPaintedTile = null;
+        });
+    }
+
+    getTileAt(pointer) {
+        const col = Math.floor((pointer.x - BOARD_OFFSET) / TILE_SIZE);
+        const row = Math.floor((pointer.y - BOARD_OFFSET) / TILE_SIZE);
+        if (row < 0 || row >= this.scenario.rows || col < 0 || col >= this.scenario.cols) return null;
+        return { row, col };
+    }
+
+    getPieceAt(row, col) {
+        return this.scenario.pieces.find(p => p.row === row && p.col === col) || null;
+    }
+
+    removePieceAt(row, col) {
+        this.scenario.pieces = this.scenario.pieces.filter(p => p.row !== row || p.col !== col);
+    }
+
+    /**
+     * Apply the current brush to a tile
+     */
+    paintTile(row, col) {
+        const key = `${row},${col}`;
+        if (this.lastPaintedTile === key) return;
+        this.lastPaintedTile = key;
+
+        const owner = this.selectedPlayer;
+        const piece = this.getPieceAt(row, col);
+
+        switch (this.brush) {
+            case 'territory':
+            case 'clear':
+                // A city's tile always belongs to the city's owner
+                if (piece && piece.type === PIECE_TYPES.CITY) return;
+                this.scenario.tileOwnership[row][col] = this.brush === 'clear' ? null : owner;
+                break;
+
+            case 'erase':
+                this.removePieceAt(row, col);
+                break;
+
+            case PIECE_TYPES.CITY:
+            case PIECE_TYPES.WARRIOR:
+            case PIECE_TYPES.SETTLER:
+            case PIECE_TYPES.ARCHER:
+            case PIECE_TYPES.CAVALRY:
+            case PIECE_TYPES.CATAPULT:
+                if (owner === null && this.brush !== PIECE_TYPES.CITY) {
+                    this.setStatus('Only cities can be neutral');
+                    return;
+                }
+                if (!TERRAIN_RULES[this.scenario.terrain[row][col]].passable) {
+                    this.setStatus('Pieces cannot stand on mountains or water');
+                    return;
+                }
+                this.removePieceAt(row, col);
+                this.scenario.pieces.push({
+                    type: this.brush,
+                    ownerId: owner,
+                    row: row,
+                    col: col,
+                    hp: this.pieceHp || null
+                });
+                if (this.brush === PIECE_TYPES.CITY) {
+                    this.scenario.tileOwnership[row][col] = owner;
+                }
+                break;
+
+            case PIECE_TYPES.CAMP:
+                // Camps always belong to the barbarians and sit on unowned land
+                if (!TERRAIN_RULES[this.scenario.terrain[row][col]].passable) {
+                    this.setStatus('Pieces cannot stand on mountains or water');
+                    return;
+                }
+                this.removePieceAt(row, col);
+                this.scenario.pieces.push({
+                    type: PIECE_TYPES.CAMP,
+                    ownerId: BARBARIAN_ID,
+                    row: row,
+                    col: col,
+                    hp: this.pieceHp || null
+                });
+                this.scenario.tileOwnership[row][col] = null;
+                this.scenario.barbarians = true;
+                break;
+
+            default:
+                // Terrain brushes; nothing may stand on impassable terrain
+                this.scenario.terrain[row][col] = this.brush;
+                if (!TERRAIN_RULES[this.brush].passable) {
+                    this.removePieceAt(row, col);
+                }
+                this.drawBoard();
+                break;
+        }
+
+        this.drawOwnership();
+        this.drawPieces();
+    }
+
+    // ========================================
+    // PANEL
+    // ========================================
+    createPanel() {
+        const config = layoutConfig;
+        const panelX = config.mobile ? 10 : BOARD_OFFSET * 2 + this.scenario.cols * TILE_SIZE;
+        const panelWidth = config.mobile ? config.panelWidth - 20 : UI_PANEL_WIDTH - 20;
+        this.panel = { x: panelX, width: panelWidth, y: config.mobile ? config.panelY + 10 : 30 };
+
+        const title = this.add.text(panelX + 10, this.panel.y, 'MAP EDITOR', {
+            fontSize: '18px',
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        });
+        this.panel.y += 30;
+        const panelTop = title.y - 10;
+
+        this.addButtonRow([
+            { text: `Name: ${this.scenario.name}`, callback: () => this.renameScenario() }
+        ]);
+
+        // Players, with Neutral as the owner of neutral cities
+        this.addHeading('Players');
+        const chips = this.scenario.players.map((player, index) => ({
+            text: `P${index + 1}`,
+            color: PLAYER_COLORS[player.colorIndex].css,
+            selected: this.selectedPlayer === index,
+            callback: () => {
+                this.selectedPlayer = index;
+                this.refresh();
+            }
+        }));
+        chips.push({
+            text: 'Neutral',
+            color: NEUTRAL_COLOR.css,
+            selected: this.selectedPlayer === null,
+            callback: () => {
+                this.selectedPlayer = null;
+                this.refresh();
+            }
+        });
+        this.addButtonRow(chips, 5);
+        this.addButtonRow([
+            { text: '+ Player', callback: () => this.addPlayer() },
+            { text: '- Player', callback: () => this.removePlayer() }
+        ]);
+
+        if (this.selectedPlayer !== null) {
+            const player = this.scenario.players[this.selectedPlayer];
+            this.addHeading(`Player ${this.selectedPlayer + 1}`);
+            this.addButtonRow([
+                { text: player.isAI ? `AI: ${player.aiDifficulty}` : 'Human', callback: () => this.cycleControl() },
+                { text: 'Tech -', callback: () => this.changeTech(-1) },
+                { text: `Tech: ${player.techScore}`, callback: () => {} },
+                { text: 'Tech +', callback: () => this.changeTech(1) }
+            ]);
+            this.addButtonRow(this.scenario.players
+                .map((other, index) => index)
+                .filter(index => index !== this.selectedPlayer)
+                .map(index => ({
+                    text: `P${index + 1}: ${this.isAtWar(this.selectedPlayer, index) ? 'War' : 'Peace'}`,
+                    color: PLAYER_COLORS[this.scenario.players[index].colorIndex].css,
+                    callback: () => this.toggleWar(this.selectedPlayer, index)
+                })), 4);
+        }
+
+        // Brushes
+        this.addHeading('Brush');
+        const brushes = [
+            { key: 'territory', text: 'Own Tile' },
+            { key: 'clear', text: 'Clear Tile' },
+            { key: 'erase', text: 'Erase Piece' },
+            { key: PIECE_TYPES.CITY, text: 'City' },
+            ...Object.keys(UNIT_TYPES).map(type => ({ key: type, text: UNIT_TYPES[type].name })),
+            { key: PIECE_TYPES.CAMP, text: 'Barb. Camp' },
+            ...Object.values(TERRAIN_TYPES).map(type => ({ key: type, text: TERRAIN_RULES[type].name }))
+        ];
+        this.addButtonRow(brushes.map(brush => ({
+            text: brush.text,
+            selected: this.brush === brush.key,
+            callback: () => {
+                this.brush = brush.key;
+                this.refresh();
+            }
+        })), 3);
+        this.addButtonRow([
+            { text: 'HP -', callback: () => this.changePieceHp(-1) },
+            { text: this.pieceHp ? `New pieces: ${this.pieceHp} hp` : 'New pieces: normal hp', callback: () => {} },
+            { text: 'HP +', callback: () => this.changePieceHp(1) }
+        ]);
+
+        // Game settings
+        this.addHeading('Game');
+        this.addButtonRow([
+            { text: `First: P${this.scenario.currentPlayer + 1}`, callback: () => this.cycleFirstPlayer() },
+            { text: `Board: ${this.scenario.rows}x${this.scenario.cols}`, callback: () => this.showBoardSizeDialog() },
+            { text: `Barbarians: ${this.scenario.barbarians ? 'On' : 'Off'}`, callback: () => this.toggleBarbarians() }
+        ]);
+
+        this.statusText = this.add.text(panelX + 10, this.panel.y, this.statusMessage, {
+            fontSize: '12px',
+            color: '#ff8888',
+            wordWrap: { width: panelWidth - 20 }
+        });
+        this.panel.y += 36;
+
+        this.addButtonRow([
+            { text: 'Save', callback: () => this.saveScenario() },
+            { text: 'Load', callback: () => this.loadScenario() },
+            { text: 'Play', callback: () => this.playScenario() },
+            { text: 'Back', callback: () => this.scene.start('MenuScene') }
+        ]);
+
+        // Long player lists can run past the canvas on small screens
+        const contentBottom = this.panel.y + 10;
+        if (contentBottom > config.gameHeight) {
+            this.scale.resize(config.gameWidth, contentBottom);
+        }
+
+        const panelBg = this.add.rectangle(
+            panelX + panelWidth / 2,
+            (panelTop + contentBottom) / 2,
+            panelWidth,
+            contentBottom - panelTop,
+            COLORS.uiBackground
+        );
+        panelBg.setStrokeStyle(2, COLORS.border);
+        panelBg.setDepth(-1);
+    }
+
+    addHeading(text) {
+        this.add.text(this.panel.x + 10, this.panel.y, text, {
+            fontSize: '14px',
+            color: COLORS.textSecondary
+        });
+        this.panel.y += 22;
+    }
+
+    /**
+     * Lay buttons out left to right across the panel, wrapping after perRow
+     * @param {Array<Object>} entries - { text, callback, color?, selected? }
+     */
+    addButtonRow(entries, perRow = entries.length) {
+        const gap = 6;
+        const innerWidth = this.panel.width - 20;
+        const width = Math.floor((innerWidth - gap * (perRow - 1)) / perRow);
+
+        entries.forEach((entry, i) => {
+            const column = i % perRow;
+            if (i > 0 && column === 0) {
+                this.panel.y += 30;
+            }
+            const x = this.panel.x + 10 + column * (width + gap) + width / 2;
+            const btn = this.createSmallButton(x, this.panel.y + 12, entry.text, entry.callback, width);
+            if (entry.color) {
+                btn.label.setColor(entry.color);
+            }
+            if (entry.selected) {
+                btn.selected = true;
+                btn.bg.setFillStyle(0x6a6a9a);
+                btn.bg.setStrokeStyle(2, 0xffffff);
+            }
+        });
+        this.panel.y += 32;
+    }
+
+    createSmallButton(x, y, text, callback, width = 110) {
+        const container = this.add.container(x, y);
+
+        const bg = this.add.rectangle(0, 0, width, 24, 0x3a3a5a);
+        bg.setStrokeStyle(1, 0x5a5a7a);
+
+        const fontSize = width < 80 ? '10px' : '12px';
+        const label = this.add.text(0, 0, text, {
+            fontSize: fontSize,
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+
+        container.add([bg, label]);
+        container.setSize(width, 24);
+        container.setInteractive({ useHandCursor: true });
+
+        container.selected = false;
+        container.on('pointerover', () => {
+            if (!container.selected) bg.setFillStyle(0x4a4a6a);
+        });
+        container.on('pointerout', () => {
+            if (!container.selected) bg.setFillStyle(0x3a3a5a);
+        });
+        container.on('pointerdown', callback);
+
+        container.bg = bg;
+        container.label = label;
+
+        return container;
+    }
+
+    setStatus(message) {
+        this.statusMessage = message;
+        this.statusText.setText(message);
+    }
+
+    // ========================================
+    // SETTINGS
+    // ========================================
+    renameScenario() {
+        const input = prompt('Scenario name:', this.scenario.name);
+        if (input === null || input.trim() === '') return;
+        this.scenario.name = input.trim();
+        this.refresh();
+    }
+
+    addPlayer() {
+        const { rows, cols, players } = this.scenario;
+        const maxPlayers = GameEngine.getMaxPlayers(rows, cols);
+        if (players.length >= maxPlayers) {
+            this.setStatus(`A ${rows}x${cols} board seats at most ${maxPlayers} players`);
+            return;
+        }
+
+        const usedColors = new Set(players.map(p => p.colorIndex));
+        players.push({
+            colorIndex: PLAYER_COLORS.findIndex((c, i) => !usedColors.has(i)),
+            isAI: true,
+            aiDifficulty: AI_DIFFICULTY.MEDIUM,
+            techScore: 0
+        });
+        this.selectedPlayer = players.length - 1;
+        this.refresh();
+    }
+
+    /**
+     * Remove the last player along with their pieces, tiles and wars
+     */
+    removePlayer() {
+        const scenario = this.scenario;
+        if (scenario.players.length <= MIN_PLAYERS) {
+            this.setStatus(`Scenarios need at least ${MIN_PLAYERS} players`);
+            return;
+        }
+
+        const removed = scenario.players.length - 1;
+        scenario.players.pop();
+        scenario.pieces = scenario.pieces.filter(p => p.ownerId !== removed);
+        scenario.tileOwnership = scenario.tileOwnership.map(row => row.map(owner => owner === removed ? null : owner));
+        scenario.wars = scenario.wars.filter(pair => !pair.includes(removed));
+        if (scenario.currentPlayer === removed) scenario.currentPlayer = 0;
+        if (this.selectedPlayer === removed) this.selectedPlayer = 0;
+        this.refresh();
+    }
+
+    /**
+     * Human -> AI easy -> medium -> hard -> Human
+     */
+    cycleControl() {
+        const player = this.scenario.players[this.selectedPlayer];
+        const difficulties = Object.values(AI_DIFFICULTY);
+
+        if (!player.isAI) {
+            player.isAI = true;
+            player.aiDifficulty = difficulties[0];
+        } else {
+            const next = difficulties.indexOf(player.aiDifficulty) + 1;
+            if (next >= difficulties.length) {
+                player.isAI = false;
+                player.aiDifficulty = AI_DIFFICULTY.MEDIUM;
+            } else {
+                player.aiDifficulty = difficulties[next];
+            }
+        }
+        this.refresh();
+    }
+
+    changeTech(delta) {
+        const player = this.scenario.players[this.selectedPlayer];
+        player.techScore = Math.min(Scenario.MAX_TECH, Math.max(0, player.techScore + delta));
+        this.refresh();
+    }
+
+    changePieceHp(delta) {
+        this.pieceHp = Math.min(Scenario.MAX_HP, Math.max(0, this.pieceHp + delta));
+        this.refresh();
+    }
+
+    isAtWar(a, b) {
+        return this.scenario.wars.some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+    }
+
+    toggleWar(a, b) {
+        if (this.isAtWar(a, b)) {
+            this.scenario.wars = this.scenario.wars.filter(([x, y]) => !((x === a && y === b) || (x === b && y === a)));
+        } else {
+            this.scenario.wars.push([a, b]);
+        }
+        this.refresh();
+    }
+
+    /**
+     * Turning barbarians off also removes their camps
+     */
+    toggleBarbarians() {
+        this.scenario.barbarians = !this.scenario.barbarians;
+        if (!this.scenario.barbarians) {
+            this.scenario.pieces = this.scenario.pieces.filter(p => p.ownerId !== BARBARIAN_ID);
+        }
+        this.refresh();
+    }
+
+    cycleFirstPlayer() {
+        this.scenario.currentPlayer = (this.scenario.currentPlayer + 1) % this.scenario.players.length;
+        this.refresh();
+    }
+
+    /**
+     * Ask for a new board size as "rows x cols". Tiles and pieces inside the
+     * new size are kept.
+     */
+    showBoardSizeDialog() {
+        const current = `${this.scenario.rows}x${this.scenario.cols}`;
+        const input = prompt(
+            `Enter a board size as rows x columns (${MIN_BOARD_SIZE}-${MAX_BOARD_SIZE}), e.g. 12x16:`,
+            current
+        );
+        if (input === null) return;
+
+        const match = input.trim().match(/^(\d+)\s*(?:[x\u00d7*, ]\s*(\d+))?$/i);
+        if (!match) {
+            alert('Board size must look like 10x10 or 12x16.');
+            return;
+        }
+
+        const rows = GameEngine.clampBoardSize(parseInt(match[1], 10));
+        const cols = GameEngine.clampBoardSize(match[2] !== undefined ? parseInt(match[2], 10) : rows);
+        if (this.scenario.players.length > GameEngine.getMaxPlayers(rows, cols)) {
+            this.setStatus(`A ${rows}x${cols} board seats at most ${GameEngine.getMaxPlayers(rows, cols)} players`);
+            return;
+        }
+
+        const scenario = this.scenario;
+        const resize = (grid, fill) => Array(rows).fill(null).map((_, row) =>
+            Array(cols).fill(null).map((_, col) =>
+                row < scenario.rows && col < scenario.cols ? grid[row][col] : fill));
+
+        scenario.terrain = resize(scenario.terrain, TERRAIN_TYPES.PLAINS);
+        scenario.tileOwnership = resize(scenario.tileOwnership, null);
+        scenario.pieces = scenario.pieces.filter(p => p.row < rows && p.col < cols);
+        scenario.rows = rows;
+        scenario.cols = cols;
+        this.refresh();
+    }
+
+    // ========================================
+    // FILES
+    // ========================================
+    saveScenario() {
+        const problem = Scenario.validate(this.scenario);
+        if (problem) {
+            this.setStatus(`Cannot save: ${problem}`);
+            return;
+        }
+        Scenario.download(this.scenario);
+    }
+
+    loadScenario() {
+        FileIO.pickFile('.json,application/json')
+            .then(text => {
+                if (text === null) return;
+                const scenario = Scenario.parse(text);
+                if (!scenario.terrain) {
+                    scenario.terrain = Scenario.create(scenario.rows, scenario.cols).terrain;
+                }
+                this.scenario = scenario;
+                this.selectedPlayer = 0;
+                this.refresh();
+            })
+            .catch(e => this.setStatus(e.message));
+    }
+
+    playScenario() {
+        const problem = Scenario.validate(this.scenario);
+        if (problem) {
+            this.setStatus(problem);
+            return;
+        }
+        this.scene.start('GameScene', { scenario: JSON.parse(JSON.stringify(this.scenario)) });
+    }
+}
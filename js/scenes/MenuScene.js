@@ -8,14 +8,31 @@ class MenuScene extends Phaser.Scene {
         this.aiPlayers = 0;
         this.selectedColorIndex = 0;
         this.selectedDifficulty = AI_DIFFICULTY.MEDIUM;
+        this.selectedSeed = null; // null = random seed
+        this.selectedBoardSize = { rows: BOARD_SIZE, cols: BOARD_SIZE };
+        this.selectedMapPreset = DEFAULT_MAP_PRESET;
+        this.neutralCities = false;
+        this.barbarians = false;
+        this.fogOfWar = false;
+        this.victorySettings = GameEngine.normalizeVictory(VICTORY_DEFAULTS);
+        this.ruleset = GameEngine.normalizeRuleset(DEFAULT_RULESET);
         this.showingMainMenu = true;
         this.mainMenuElements = [];
         this.newGameElements = [];
         this.loadGameElements = [];
+        this.onlineElements = [];
+        this.scenarioElements = [];
+        this.victoryElements = [];
+        this.rulesElements = [];
+        this.onlineMode = false; // New Game options host an online room instead of a local game
+        this.serverUrl = NetworkClient.defaultUrl();
+        this.network = null;
     }
 
     create() {
         this.cameras.main.setBackgroundColor(COLORS.background);
+        // Games resize the canvas for their board; the menu uses the default size
+        Layout.resizeForBoard(this);
         this.showMainMenu();
     }
 
@@ -26,6 +43,11 @@ class MenuScene extends Phaser.Scene {
         this.newGameElements = [];
         this.clearElements(this.loadGameElements);
         this.loadGameElements = [];
+        this.clearElements(this.onlineElements);
+        this.onlineElements = [];
+        this.clearElements(this.scenarioElements);
+        this.scenarioElements = [];
+        this.onlineMode = false;
 
         const config = layoutConfig;
         const centerX = config.gameWidth / 2;
@@ -35,7 +57,7 @@ class MenuScene extends Phaser.Scene {
         const subtitleSize = mobile ? '14px' : '20px';
         const spacing = mobile ? 0.7 : 1;
 
-        let y = mobile ? 60 : 100;
+        let y = mobile ? 50 : 80;
 
         // Title
         const title = this.add.text(centerX, y, 'CIVCHESS', {
@@ -66,7 +88,7 @@ class MenuScene extends Phaser.Scene {
 
         // Continue Game button (check if there's a continuable game)
         const savedGames = GameHistory.listSavedGames();
-        const continuableGame = savedGames.find(g => g.winner === null);
+        const continuableGame = savedGames.find(g => g.winner === null && !g.autosaveOf);
 
         const continueBtn = this.createButton(centerX, y, 'Continue Game', () => {
             this.continueGame(continuableGame.gameId);
@@ -97,7 +119,23 @@ class MenuScene extends Phaser.Scene {
         }
         this.mainMenuElements.push(loadGameBtn);
 
-        y += 100 * spacing;
+        y += 70 * spacing;
+
+        // Online Game button
+        const onlineBtn = this.createButton(centerX, y, 'Online Game', () => {
+            this.showOnlineMenu();
+        }, mobile ? 180 : 200, mobile ? 45 : 55);
+        this.mainMenuElements.push(onlineBtn);
+
+        y += 70 * spacing;
+
+        // Scenarios button
+        const scenariosBtn = this.createButton(centerX, y, 'Scenarios', () => {
+            this.showScenarioMenu();
+        }, mobile ? 180 : 200, mobile ? 45 : 55);
+        this.mainMenuElements.push(scenariosBtn);
+
+        y += 70 * spacing;
 
         // Instructions
         const instructionSize = mobile ? '11px' : '14px';
@@ -128,6 +166,8 @@ class MenuScene extends Phaser.Scene {
         this.showingMainMenu = false;
         this.clearElements(this.mainMenuElements);
         this.mainMenuElements = [];
+        this.clearElements(this.onlineElements);
+        this.onlineElements = [];
 
         const config = layoutConfig;
         const centerX = config.gameWidth / 2;
@@ -151,14 +191,29 @@ class MenuScene extends Phaser.Scene {
 
         // Back button
         const backBtn = this.createButton(mobile ? 50 : 80, y - 30, '\u2190 Back', () => {
-            this.showMainMenu();
+            if (this.onlineMode) {
+                this.clearElements(this.newGameElements);
+                this.newGameElements = [];
+                this.showOnlineMenu();
+            } else {
+                this.showMainMenu();
+            }
         }, mobile ? 80 : 100, mobile ? 30 : 35);
         this.newGameElements.push(backBtn);
 
+        // House rules, opposite Back
+        const rulesBtn = this.createButton(config.gameWidth - (mobile ? 50 : 110), y - 30,
+            mobile ? 'Rules' : `Rules: ${this.ruleset.name}`, () => {
+                this.showRulesOptions();
+            }, mobile ? 80 : 190, mobile ? 30 : 35);
+        rulesBtn.label.setFontSize(mobile ? '14px' : '16px');
+        this.newGameElements.push(rulesBtn);
+
         y += 30 * spacing;
 
         // Human player count selection
-        const humanLabel = this.add.text(centerX, y, 'Human Players (Hotseat):', {
+        const humanLabelText = this.onlineMode ? 'Human Players (Online):' : 'Human Players (Hotseat):';
+        const humanLabel = this.add.text(centerX, y, humanLabelText, {
             fontSize: labelSize,
             color: COLORS.textPrimary
         }).setOrigin(0.5);
@@ -166,14 +221,16 @@ class MenuScene extends Phaser.Scene {
 
         y += 35 * spacing;
 
-        // Human player count buttons (0-4)
+        // Human player count buttons (0 to the largest board's limit)
         this.humanButtons = [];
-        const btnSpacing = mobile ? 50 : 60;
-        for (let i = 0; i <= 4; i++) {
-            const btnX = centerX + (i - 2) * btnSpacing;
+        const btnSpacing = mobile ? 40 : 56;
+        const btnWidth = mobile ? 34 : 46;
+        const btnCenter = MAX_PLAYERS_LARGE_BOARD / 2;
+        for (let i = 0; i <= MAX_PLAYERS_LARGE_BOARD; i++) {
+            const btnX = centerX + (i - btnCenter) * btnSpacing;
             const btn = this.createButton(btnX, y, `${i}`, () => {
                 this.setHumanPlayers(i);
-            }, mobile ? 40 : 50, mobile ? 32 : 38);
+            }, btnWidth, mobile ? 32 : 38);
             this.humanButtons.push({ btn, value: i });
             this.newGameElements.push(btn);
         }
@@ -189,13 +246,13 @@ class MenuScene extends Phaser.Scene {
 
         y += 35 * spacing;
 
-        // AI player count buttons (0-4)
+        // AI player count buttons
         this.aiButtons = [];
-        for (let i = 0; i <= 4; i++) {
-            const btnX = centerX + (i - 2) * btnSpacing;
+        for (let i = 0; i <= MAX_PLAYERS_LARGE_BOARD; i++) {
+            const btnX = centerX + (i - btnCenter) * btnSpacing;
             const btn = this.createButton(btnX, y, `${i}`, () => {
                 this.setAIPlayers(i);
-            }, mobile ? 40 : 50, mobile ? 32 : 38);
+            }, btnWidth, mobile ? 32 : 38);
             this.aiButtons.push({ btn, value: i });
             this.newGameElements.push(btn);
         }
@@ -268,11 +325,77 @@ class MenuScene extends Phaser.Scene {
         });
         this.updateColorSwatches();
 
-        y += 60 * spacing;
+        y += 50 * spacing;
+
+        // Board size and seed selection (blank seed = random)
+        const optionWidth = mobile ? 150 : 220;
+        const optionOffset = optionWidth / 2 + (mobile ? 6 : 10);
+        this.boardSizeButton = this.createButton(centerX - optionOffset, y, '', () => {
+            this.showBoardSizeDialog();
+        }, optionWidth, mobile ? 30 : 34);
+        this.newGameElements.push(this.boardSizeButton);
+        this.updateBoardSizeButton();
+
+        this.seedButton = this.createButton(centerX + optionOffset, y, '', () => {
+            this.showSeedDialog();
+        }, optionWidth, mobile ? 30 : 34);
+        this.newGameElements.push(this.seedButton);
+        this.updateSeedButton();
+
+        y += 45 * spacing;
+
+        // Map preset (click to cycle) and neutral cities toggle
+        this.mapPresetButton = this.createButton(centerX - optionOffset, y, '', () => {
+            this.cycleMapPreset();
+        }, optionWidth, mobile ? 30 : 34);
+        this.newGameElements.push(this.mapPresetButton);
+
+        this.neutralCitiesButton = this.createButton(centerX + optionOffset, y, '', () => {
+            this.neutralCities = !this.neutralCities;
+            this.updateMapButtons();
+        }, optionWidth, mobile ? 30 : 34);
+        this.newGameElements.push(this.neutralCitiesButton);
+
+        y += 45 * spacing;
+
+        // Barbarians toggle and victory modes
+        this.barbariansButton = this.createButton(centerX - optionOffset, y, '', () => {
+            this.barbarians = !this.barbarians;
+            this.updateMapButtons();
+        }, optionWidth, mobile ? 30 : 34);
+        this.newGameElements.push(this.barbariansButton);
+        this.updateMapButtons();
+
+        const modeCount = this.victorySettings.modes.length;
+        const victoryLabel = modeCount > 1 ? `Victory: ${modeCount} modes` : 'Victory: Domination';
+        const victoryButton = this.createButton(centerX + optionOffset, y, victoryLabel, () => {
+            this.showVictoryOptions();
+        }, optionWidth, mobile ? 30 : 34);
+        victoryButton.label.setFontSize(optionWidth < 200 ? '14px' : '16px');
+        this.newGameElements.push(victoryButton);
+
+        y += 55 * spacing;
 
-        // Play button
-        const playBtn = this.createButton(centerX, y, 'PLAY', () => {
-            this.startGame();
+        // Fog of war toggle beside Play; online rooms share the whole board
+        let playX = centerX;
+        this.fogOfWarButton = null;
+        if (!this.onlineMode) {
+            this.fogOfWarButton = this.createButton(centerX - optionOffset, y, '', () => {
+                this.fogOfWar = !this.fogOfWar;
+                this.updateMapButtons();
+            }, optionWidth, mobile ? 30 : 34);
+            this.newGameElements.push(this.fogOfWarButton);
+            this.updateMapButtons();
+            playX = centerX + optionOffset;
+        }
+
+        // Play button (hosts a room in online mode)
+        const playBtn = this.createButton(playX, y, this.onlineMode ? 'HOST' : 'PLAY', () => {
+            if (this.onlineMode) {
+                this.hostOnlineGame();
+            } else {
+                this.startGame();
+            }
         }, mobile ? 120 : 150, mobile ? 40 : 50);
         this.newGameElements.push(playBtn);
     }
@@ -281,42 +404,55 @@ class MenuScene extends Phaser.Scene {
      * Set number of human players and auto-adjust AI count if needed
      */
     setHumanPlayers(count) {
-        this.humanPlayers = count;
+        const maxPlayers = this.getMaxPlayers();
+        this.humanPlayers = Math.min(count, maxPlayers);
         const total = this.humanPlayers + this.aiPlayers;
 
-        if (total > 4) {
+        if (total > maxPlayers) {
             // Reduce AI players to fit
-            this.aiPlayers = 4 - this.humanPlayers;
-        } else if (total < 2) {
+            this.aiPlayers = maxPlayers - this.humanPlayers;
+        } else if (total < MIN_PLAYERS) {
             // Increase AI players to meet minimum
-            this.aiPlayers = 2 - this.humanPlayers;
+            this.aiPlayers = MIN_PLAYERS - this.humanPlayers;
         }
 
         this.updateHumanButtons();
         this.updateAIButtons();
+        this.fitMapPreset();
     }
 
     /**
      * Set number of AI players and auto-adjust human count if needed
      */
     setAIPlayers(count) {
-        this.aiPlayers = count;
+        const maxPlayers = this.getMaxPlayers();
+        this.aiPlayers = Math.min(count, maxPlayers);
         const total = this.humanPlayers + this.aiPlayers;
 
-        if (total > 4) {
+        if (total > maxPlayers) {
             // Reduce human players to fit
-            this.humanPlayers = 4 - this.aiPlayers;
-        } else if (total < 2) {
+            this.humanPlayers = maxPlayers - this.aiPlayers;
+        } else if (total < MIN_PLAYERS) {
             // Increase human players to meet minimum
-            this.humanPlayers = 2 - this.aiPlayers;
+            this.humanPlayers = MIN_PLAYERS - this.aiPlayers;
         }
 
         this.updateHumanButtons();
         this.updateAIButtons();
+        this.fitMapPreset();
+    }
+
+    /**
+     * Most players the selected board size can seat
+     */
+    getMaxPlayers() {
+        return GameEngine.getMaxPlayers(this.selectedBoardSize.rows, this.selectedBoardSize.cols);
     }
 
     updateHumanButtons() {
+        const maxPlayers = this.getMaxPlayers();
         this.humanButtons.forEach(({ btn, value }) => {
+            btn.setAlpha(value <= maxPlayers ? 1 : 0.35);
             if (value === this.humanPlayers) {
                 btn.selected = true;
                 btn.bg.setFillStyle(0x00aa00);
@@ -328,7 +464,9 @@ class MenuScene extends Phaser.Scene {
     }
 
     updateAIButtons() {
+        const maxPlayers = this.getMaxPlayers();
         this.aiButtons.forEach(({ btn, value }) => {
+            btn.setAlpha(value <= maxPlayers ? 1 : 0.35);
             if (value === this.aiPlayers) {
                 btn.selected = true;
                 btn.bg.setFillStyle(0x00aa00);
@@ -358,6 +496,62 @@ class MenuScene extends Phaser.Scene {
         });
     }
 
+    /**
+     * Ask for a game seed (blank for random)
+     */
+    showSeedDialog() {
+        const current = this.selectedSeed !== null ? String(this.selectedSeed) : '';
+        const input = prompt('Enter a game seed (leave blank for random):', current);
+        if (input === null) return;
+
+        const trimmed = input.trim();
+        this.selectedSeed = trimmed === '' ? null : SeededRandom.normalizeSeed(trimmed);
+        this.updateSeedButton();
+    }
+
+    updateSeedButton() {
+        if (!this.seedButton) return;
+        const label = this.selectedSeed !== null ? `Seed: ${this.selectedSeed}` : 'Seed: Random';
+        this.seedButton.label.setText(label);
+        this.seedButton.label.setFontSize(this.seedButton.width < 200 ? '14px' : '16px');
+    }
+
+    /**
+     * Ask for the board size as "rows x cols" (a single number makes a square board)
+     */
+    showBoardSizeDialog() {
+        const current = `${this.selectedBoardSize.rows}x${this.selectedBoardSize.cols}`;
+        const input = prompt(
+            `Enter a board size as rows x columns (${MIN_BOARD_SIZE}-${MAX_BOARD_SIZE}), e.g. 12x16:`,
+            current
+        );
+        if (input === null) return;
+
+        const match = input.trim().match(/^(\d+)\s*(?:[x\u00d7*, ]\s*(\d+))?$/i);
+        if (!match) {
+            alert('Board size must look like 10x10 or 12x16.');
+            return;
+        }
+
+        const rows = parseInt(match[1], 10);
+        const cols = match[2] !== undefined ? parseInt(match[2], 10) : rows;
+        this.selectedBoardSize = {
+            rows: GameEngine.clampBoardSize(rows),
+            cols: GameEngine.clampBoardSize(cols)
+        };
+        this.updateBoardSizeButton();
+
+        // Smaller boards seat fewer players
+        this.setAIPlayers(this.aiPlayers);
+    }
+
+    updateBoardSizeButton() {
+        if (!this.boardSizeButton) return;
+        const { rows, cols } = this.selectedBoardSize;
+        this.boardSizeButton.label.setText(`Board: ${rows}x${cols}`);
+        this.boardSizeButton.label.setFontSize(this.boardSizeButton.width < 200 ? '14px' : '16px');
+    }
+
     showLoadGameMenu() {
         this.showingMainMenu = false;
         this.clearElements(this.mainMenuElements);
@@ -389,6 +583,20 @@ class MenuScene extends Phaser.Scene {
         }, mobile ? 80 : 100, mobile ? 30 : 35);
         this.loadGameElements.push(backBtn);
 
+        // Import button, across from Back
+        const importBtn = this.createButton(config.gameWidth - (mobile ? 50 : 80), y - 30, 'Import', () => {
+            this.importGame();
+        }, mobile ? 80 : 100, mobile ? 30 : 35);
+        this.loadGameElements.push(importBtn);
+
+        // Storage used by saves, between Back and Import
+        const usage = GameHistory.getStorageUsage();
+        const usageText = this.add.text(centerX, y - 30, `Saves: ${this.formatSize(usage.saves)} of ~${this.formatSize(usage.quota)}`, {
+            fontSize: mobile ? '11px' : '14px',
+            color: usage.total > usage.quota * 0.8 ? '#ff8888' : COLORS.textSecondary
+        }).setOrigin(0.5);
+        this.loadGameElements.push(usageText);
+
         y += 30 * spacing;
 
         // Get saved games (already sorted by most recent first in GameHistory)
@@ -400,6 +608,7 @@ class MenuScene extends Phaser.Scene {
                 color: COLORS.textSecondary
             }).setOrigin(0.5);
             this.loadGameElements.push(noGames);
+            this.createLoadStatusText(centerX, y + 90);
             return;
         }
 
@@ -439,10 +648,24 @@ class MenuScene extends Phaser.Scene {
             }).setOrigin(0, 0.5);
             this.scrollContainer.add(nameText);
 
+            // Where the save came from, after its name
+            const origin = this.describeSaveOrigin(game);
+            if (origin) {
+                const originText = this.add.text(nameX + nameText.width + 10, rowY - 8, origin, {
+                    fontSize: mobile ? '10px' : '12px',
+                    color: game.autosaveOf ? '#88aaff' : '#cc99ff'
+                }).setOrigin(0, 0.5);
+                this.scrollContainer.add(originText);
+            }
+
             // Game info (players, status, datetime)
             const dateStr = game.startTime ? this.formatDateTime(new Date(game.startTime)) : 'Unknown';
-            const status = game.winner !== null ? 'Finished' : 'In Progress';
-            const infoText = this.add.text(nameX, rowY + 10, `${game.playerCount} players | ${status} | ${dateStr}`, {
+            const status = game.winner === null ? 'In Progress'
+                : game.victoryType ? `${VICTORY_NAMES[game.victoryType]} win` : 'Finished';
+            const seedStr = game.seed !== null ? ` | Seed ${game.seed}` : '';
+            const sizeStr = game.rows && game.cols ? ` | ${game.rows}x${game.cols}` : '';
+            const storedStr = game.size ? ` | ${this.formatSize(game.size)}` : '';
+            const infoText = this.add.text(nameX, rowY + 10, `${game.playerCount} players${sizeStr} | ${status} | ${dateStr}${seedStr}${storedStr}`, {
                 fontSize: mobile ? '10px' : '12px',
                 color: COLORS.textSecondary
             }).setOrigin(0, 0.5);
@@ -467,10 +690,34 @@ class MenuScene extends Phaser.Scene {
             }, btnWidth, btnHeight);
             this.scrollContainer.add(renameBtn);
 
+            // Replay button (neon blue)
+            const replayX = renameX - btnSpacing;
+            const replayBtn = this.createColoredButton(replayX, rowY, 'Replay', 0x00aaff, () => {
+                this.replayGame(game.gameId);
+            }, btnWidth, btnHeight);
+            this.scrollContainer.add(replayBtn);
+
+            // Export button (neon purple)
+            const exportX = replayX - btnSpacing;
+            const exportBtn = this.createColoredButton(exportX, rowY, 'Export', 0xcc66ff, () => {
+                this.exportGame(game.gameId);
+            }, btnWidth, btnHeight);
+            this.scrollContainer.add(exportBtn);
+
+            // Stats button (neon yellow) - finished games only
+            let leftmostX = exportX;
+            if (game.winner !== null) {
+                leftmostX = exportX - btnSpacing;
+                const statsBtn = this.createColoredButton(leftmostX, rowY, 'Stats', 0xffcc00, () => {
+                    this.showStats(game.gameId);
+                }, btnWidth, btnHeight);
+                this.scrollContainer.add(statsBtn);
+            }
+
             // Click on row to load game (but not on buttons)
             rowBg.on('pointerdown', (pointer) => {
                 // Check if click is not on the buttons area
-                const btnAreaStart = renameX - btnWidth / 2 - 5;
+                const btnAreaStart = leftmostX - btnWidth / 2 - 5;
                 if (pointer.x < btnAreaStart) {
                     this.loadGame(game.gameId);
                 }
@@ -499,6 +746,26 @@ class MenuScene extends Phaser.Scene {
             // Setup mouse wheel scrolling
             this.setupScrolling();
         }
+
+        this.createLoadStatusText(centerX, listStartY + Math.min(totalHeight, visibleHeight) - rowHeight / 2 + 20);
+    }
+
+    /**
+     * Line under the save list for import and export results
+     */
+    createLoadStatusText(x, y) {
+        this.loadStatusText = this.add.text(x, y, '', {
+            fontSize: layoutConfig.mobile ? '12px' : '14px',
+            color: COLORS.textSecondary,
+            align: 'center',
+            wordWrap: { width: layoutConfig.gameWidth - 40 }
+        }).setOrigin(0.5, 0);
+        this.loadGameElements.push(this.loadStatusText);
+    }
+
+    setLoadStatus(message, isError = false) {
+        this.loadStatusText.setText(message);
+        this.loadStatusText.setColor(isError ? '#ff8888' : COLORS.textSecondary);
     }
 
     /**
@@ -516,6 +783,16 @@ class MenuScene extends Phaser.Scene {
         return date.toLocaleString(undefined, options);
     }
 
+    /**
+     * Format a stored size in characters, e.g. "340 KB" or "1.2 MB"
+     */
+    formatSize(chars) {
+        if (chars >= 1024 * 1024) {
+            return `${(chars / (1024 * 1024)).toFixed(1)} MB`;
+        }
+        return `${Math.max(1, Math.round(chars / 1024))} KB`;
+    }
+
     /**
      * Create a scroll indicator bar
      */
@@ -650,17 +927,68 @@ class MenuScene extends Phaser.Scene {
         return container;
     }
 
+    /**
+     * "autosave of X, round N" or "fork of X at turn N", or null for an ordinary save
+     */
+    describeSaveOrigin(game) {
+        if (game.autosaveOf) {
+            return `autosave of ${game.autosaveOf}, round ${game.autosaveRound}`;
+        }
+        if (game.forkOf) {
+            return `fork of ${game.forkOf.gameId} at turn ${game.forkOf.turnNumber}`;
+        }
+        return null;
+    }
+
     loadGame(gameId) {
         // Update timestamp to make it most recent
         GameHistory.updateTimestamp(gameId);
 
-        const savedGame = GameHistory.loadFromLocalStorage(gameId);
+        let savedGame = GameHistory.loadFromLocalStorage(gameId);
         if (savedGame) {
+            if (savedGame.metadata.autosaveOf) {
+                savedGame = this.forkAutosave(savedGame);
+            }
             this.cleanupScrolling();
             this.scene.start('GameScene', { savedGame: savedGame });
         }
     }
 
+    /**
+     * An autosave slot is played as a new fork, so the slot itself is kept
+     * and the rest of the game does not overwrite it
+     */
+    forkAutosave(savedGame) {
+        const { autosaveOf, autosaveRound } = savedGame.metadata;
+        const lastSnapshot = savedGame.snapshots[savedGame.snapshots.length - 1];
+        return {
+            ...savedGame,
+            gameId: GameHistory.uniqueGameId(`${autosaveOf} (round ${autosaveRound})`),
+            metadata: {
+                ...savedGame.metadata,
+                autosaveOf: null,
+                autosaveRound: null,
+                forkOf: { gameId: autosaveOf, turnNumber: lastSnapshot ? lastSnapshot.turnNumber : 0 }
+            }
+        };
+    }
+
+    replayGame(gameId) {
+        const savedGame = GameHistory.loadFromLocalStorage(gameId);
+        if (savedGame) {
+            this.cleanupScrolling();
+            this.scene.start('ReplayScene', { savedGame: savedGame });
+        }
+    }
+
+    showStats(gameId) {
+        const savedGame = GameHistory.loadFromLocalStorage(gameId);
+        if (savedGame) {
+            this.cleanupScrolling();
+            this.scene.start('StatsScene', { savedGame: savedGame });
+        }
+    }
+
     deleteGame(gameId) {
         GameHistory.deleteSavedGame(gameId);
         // Refresh the load game menu
@@ -670,6 +998,43 @@ class MenuScene extends Phaser.Scene {
         this.showLoadGameMenu();
     }
 
+    exportGame(gameId) {
+        const savedGame = GameHistory.loadFromLocalStorage(gameId);
+        if (savedGame) {
+            SaveFile.download({ ...savedGame, gameId: gameId });
+            this.setLoadStatus(`Exported ${gameId}`);
+        } else {
+            this.setLoadStatus(`Could not read ${gameId}`, true);
+        }
+    }
+
+    /**
+     * Import a save file, or a notation file, which is replayed into a save
+     */
+    importGame() {
+        FileIO.pickFile('.json,.txt,application/json,text/plain')
+            .then(text => {
+                if (text === null) return;
+                const savedGame = text.trimStart().startsWith('{')
+                    ? SaveFile.parse(text)
+                    : Notation.toSavedGame(text);
+                const gameId = GameHistory.importSavedGame(savedGame);
+                if (!gameId) {
+                    throw new Error('Could not store the save - browser storage may be full');
+                }
+
+                // Refresh the load game menu
+                this.cleanupScrolling();
+                this.clearElements(this.loadGameElements);
+                this.loadGameElements = [];
+                this.showLoadGameMenu();
+                this.setLoadStatus(gameId === savedGame.gameId.trim()
+                    ? `Imported ${gameId}`
+                    : `Imported as ${gameId} (${savedGame.gameId.trim()} already exists)`);
+            })
+            .catch(e => this.setLoadStatus(e.message, true));
+    }
+
     showRenameDialog(gameId) {
         const newName = prompt('Enter new name for the save:', gameId);
         if (newName && newName.trim() && newName !== gameId) {
@@ -743,8 +1108,288 @@ class MenuScene extends Phaser.Scene {
         });
     }
 
+    cycleMapPreset() {
+        const presets = Object.keys(MAP_PRESETS)
+            .filter(preset => MapGenerator.isPresetAvailable(preset, this.humanPlayers + this.aiPlayers));
+        const index = presets.indexOf(this.selectedMapPreset);
+        this.selectedMapPreset = presets[(index + 1) % presets.length];
+        this.updateMapButtons();
+    }
+
+    /**
+     * Go back to the default map if the chosen one cannot seat the selected players
+     */
+    fitMapPreset() {
+        if (!MapGenerator.isPresetAvailable(this.selectedMapPreset, this.humanPlayers + this.aiPlayers)) {
+            this.selectedMapPreset = DEFAULT_MAP_PRESET;
+        }
+        this.updateMapButtons();
+    }
+
+    updateMapButtons() {
+        if (!this.mapPresetButton) return;
+        const fontSize = this.mapPresetButton.width < 200 ? '14px' : '16px';
+        this.mapPresetButton.label.setText(`Map: ${MAP_PRESETS[this.selectedMapPreset].name}`);
+        this.mapPresetButton.label.setFontSize(fontSize);
+        this.neutralCitiesButton.label.setText(`Neutral Cities: ${this.neutralCities ? 'On' : 'Off'}`);
+        this.neutralCitiesButton.label.setFontSize(fontSize);
+        this.barbariansButton.label.setText(`Barbarians: ${this.barbarians ? 'On' : 'Off'}`);
+        this.barbariansButton.label.setFontSize(fontSize);
+        if (this.fogOfWarButton) {
+            this.fogOfWarButton.label.setText(`Fog of War: ${this.fogOfWar ? 'On' : 'Off'}`);
+            this.fogOfWarButton.label.setFontSize(fontSize);
+        }
+    }
+
+    /**
+     * Victory modes for the next game. Domination always applies; the other
+     * modes toggle on and off, with their thresholds set alongside.
+     */
+    showVictoryOptions() {
+        this.clearElements(this.newGameElements);
+        this.newGameElements = [];
+        this.clearElements(this.victoryElements);
+        this.victoryElements = [];
+
+        const config = layoutConfig;
+        const centerX = config.gameWidth / 2;
+        const mobile = config.mobile;
+        const spacing = mobile ? 0.7 : 1;
+        const toggleWidth = mobile ? 150 : 220;
+        const toggleX = centerX - (mobile ? 95 : 130);
+        const stepperX = centerX + (mobile ? 85 : 130);
+
+        let y = mobile ? 40 : 80;
+
+        const title = this.add.text(centerX, y, 'VICTORY', {
+            fontSize: mobile ? '32px' : '48px',
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+        this.victoryElements.push(title);
+
+        y += 60 * spacing;
+
+        const doneBtn = this.createButton(mobile ? 50 : 80, y - 30, '\u2190 Done', () => {
+            this.clearElements(this.victoryElements);
+            this.victoryElements = [];
+            this.showNewGameOptions();
+        }, mobile ? 80 : 100, mobile ? 30 : 35);
+        this.victoryElements.push(doneBtn);
+
+        y += 30 * spacing;
+
+        const note = this.add.text(centerX, y, 'Domination is always on: the last player holding cities wins.', {
+            fontSize: mobile ? '12px' : '14px',
+            color: COLORS.textSecondary,
+            align: 'center',
+            wordWrap: { width: config.gameWidth - 40 }
+        }).setOrigin(0.5);
+        this.victoryElements.push(note);
+
+        y += 50 * spacing;
+
+        const settings = this.victorySettings;
+        const rows = [
+            { mode: VICTORY_TYPES.TERRITORIAL, steppers: [
+                { key: 'territorialShare', format: value => `${value}% of land` },
+                { key: 'territorialTurns', format: value => `for ${value} turns` }
+            ] },
+            { mode: VICTORY_TYPES.SCIENCE, steppers: [{ key: 'scienceTech', format: value => `Tech ${value}` }] },
+            { mode: VICTORY_TYPES.SCORE, steppers: [{ key: 'turnLimit', format: value => `After ${value} rounds` }] },
+            { mode: VICTORY_TYPES.CAPITAL, steppers: [] }
+        ];
+
+        rows.forEach(({ mode, steppers }) => {
+            const enabled = settings.modes.includes(mode);
+            const toggle = this.createButton(toggleX, y, `${VICTORY_NAMES[mode]}: ${enabled ? 'On' : 'Off'}`, () => {
+                this.toggleVictoryMode(mode);
+            }, toggleWidth, mobile ? 30 : 34);
+            toggle.label.setFontSize(mobile ? '14px' : '16px');
+            if (enabled) {
+                toggle.selected = true;
+                toggle.bg.setFillStyle(0x00aa00);
+            }
+            this.victoryElements.push(toggle);
+
+            steppers.forEach((stepper, i) => {
+                this.addVictoryStepper(stepperX, y + i * 40 * spacing, stepper.key, stepper.format, enabled);
+            });
+            y += Math.max(1, steppers.length) * 40 * spacing + 15 * spacing;
+        });
+    }
+
+    /**
+     * "- value +" control for one victory threshold
+     */
+    addVictoryStepper(x, y, key, format, enabled) {
+        const mobile = layoutConfig.mobile;
+        const offset = mobile ? 70 : 95;
+        const limit = VICTORY_LIMITS[key];
+
+        const label = this.add.text(x, y, format(this.victorySettings[key]), {
+            fontSize: mobile ? '13px' : '16px',
+            color: enabled ? COLORS.textPrimary : COLORS.textSecondary
+        }).setOrigin(0.5);
+        this.victoryElements.push(label);
+
+        [-1, 1].forEach(direction => {
+            const btn = this.createButton(x + direction * offset, y, direction < 0 ? '-' : '+', () => {
+                const value = this.victorySettings[key] + direction * limit.step;
+                this.victorySettings[key] = Math.min(limit.max, Math.max(limit.min, value));
+                this.showVictoryOptions();
+            }, mobile ? 28 : 34, mobile ? 26 : 30);
+            this.victoryElements.push(btn);
+        });
+    }
+
+    toggleVictoryMode(mode) {
+        const modes = this.victorySettings.modes;
+        this.victorySettings.modes = modes.includes(mode)
+            ? modes.filter(m => m !== mode)
+            : Object.values(VICTORY_TYPES).filter(m => m === mode || modes.includes(m));
+        this.showVictoryOptions();
+    }
+
+    /**
+     * House rules for the next game: pick a preset, then adjust any value,
+     * which makes the ruleset custom
+     */
+    showRulesOptions() {
+        this.clearElements(this.newGameElements);
+        this.newGameElements = [];
+        this.clearElements(this.rulesElements);
+        this.rulesElements = [];
+
+        const config = layoutConfig;
+        const centerX = config.gameWidth / 2;
+        const mobile = config.mobile;
+        const spacing = mobile ? 0.7 : 1;
+
+        let y = mobile ? 40 : 80;
+
+        const title = this.add.text(centerX, y, 'RULES', {
+            fontSize: mobile ? '32px' : '48px',
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+        this.rulesElements.push(title);
+
+        y += 60 * spacing;
+
+        const doneBtn = this.createButton(mobile ? 50 : 80, y - 30, '\u2190 Done', () => {
+            this.clearElements(this.rulesElements);
+            this.rulesElements = [];
+            this.showNewGameOptions();
+        }, mobile ? 80 : 100, mobile ? 30 : 35);
+        this.rulesElements.push(doneBtn);
+
+        y += 30 * spacing;
+
+        const note = this.add.text(centerX, y, `Playing by: ${this.ruleset.name}. The rules are saved with the game.`, {
+            fontSize: mobile ? '12px' : '14px',
+            color: COLORS.textSecondary,
+            align: 'center',
+            wordWrap: { width: config.gameWidth - 40 }
+        }).setOrigin(0.5);
+        this.rulesElements.push(note);
+
+        y += 45 * spacing;
+
+        // Preset buttons
+        const presetKeys = Object.keys(RULESET_PRESETS);
+        const presetWidth = mobile ? 120 : 180;
+        presetKeys.forEach((key, i) => {
+            const btnX = centerX + (i - (presetKeys.length - 1) / 2) * (presetWidth + 10);
+            const btn = this.createButton(btnX, y, RULESET_PRESETS[key].name, () => {
+                this.ruleset = GameEngine.normalizeRuleset(key);
+                this.showRulesOptions();
+            }, presetWidth, mobile ? 30 : 34);
+            btn.label.setFontSize(mobile ? '14px' : '16px');
+            if (!this.ruleset.custom && this.ruleset.preset === key) {
+                btn.selected = true;
+                btn.bg.setFillStyle(0x00aa00);
+            }
+            this.rulesElements.push(btn);
+        });
+
+        y += 50 * spacing;
+
+        // General rules on the left, production costs on the right (one column on mobile)
+        const ruleset = this.ruleset;
+        const general = [
+            { key: 'cityHp', format: value => `City hp ${value}` },
+            { key: 'captureHpDivisor', format: value => `Captured: 1/${value} hp` },
+            { key: 'conversionDivisor', format: value => `Conquest keeps 1/${value}` },
+            { key: 'conversionMin', format: value => `Keeps at least ${value}` },
+            { key: 'settlerMoves', format: value => `Settlers move ${value}` },
+            { key: 'citySpacing', format: value => `City spacing ${value}` }
+        ];
+        const rowHeight = 40 * spacing;
+        const leftX = mobile ? centerX : centerX - 230;
+        const rightX = mobile ? centerX : centerX + 230;
+
+        general.forEach(({ key, format }, i) => {
+            this.addRulesStepper(leftX, y + i * rowHeight, format(ruleset[key]), ruleset[key],
+                RULESET_LIMITS[key], value => { ruleset[key] = value; });
+        });
+
+        const costY = mobile ? y + general.length * rowHeight : y;
+        Object.keys(PRODUCTION_TYPES).forEach((type, i) => {
+            const cost = ruleset.productionCost[type];
+            const name = PRODUCTION_TYPES[type].name.replace(/^Make /, '');
+            this.addRulesStepper(rightX, costY + i * rowHeight, `${name}: ${cost} points`, cost,
+                RULESET_LIMITS.productionCost, value => { ruleset.productionCost[type] = value; });
+        });
+    }
+
+    /**
+     * "- value +" control for one house rule; apply stores the new value
+     */
+    addRulesStepper(x, y, text, value, limit, apply) {
+        const mobile = layoutConfig.mobile;
+        const offset = mobile ? 80 : 105;
+
+        const label = this.add.text(x, y, text, {
+            fontSize: mobile ? '13px' : '16px',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+        this.rulesElements.push(label);
+
+        [-1, 1].forEach(direction => {
+            const btn = this.createButton(x + direction * offset, y, direction < 0 ? '-' : '+', () => {
+                apply(Math.min(limit.max, Math.max(limit.min, value + direction * limit.step)));
+                this.ruleset = GameEngine.normalizeRuleset(this.ruleset);
+                this.showRulesOptions();
+            }, mobile ? 28 : 34, mobile ? 26 : 30);
+            this.rulesElements.push(btn);
+        });
+    }
+
     startGame() {
-        const totalPlayers = this.humanPlayers + this.aiPlayers;
+        const playerConfigs = this.buildPlayerConfigs();
+
+        const gameOptions = {
+            rows: this.selectedBoardSize.rows,
+            cols: this.selectedBoardSize.cols,
+            mapPreset: this.selectedMapPreset,
+            neutralCities: this.neutralCities,
+            barbarians: this.barbarians,
+            fogOfWar: this.fogOfWar,
+            victory: this.victorySettings,
+            ruleset: this.ruleset
+        };
+        if (this.selectedSeed !== null) {
+            gameOptions.seed = this.selectedSeed;
+        }
+
+        this.scene.start('GameScene', { playerConfigs, gameOptions });
+    }
+
+    /**
+     * Player configs from the New Game options: humans first, then AI
+     */
+    buildPlayerConfigs() {
         const playerConfigs = [];
         const usedColors = new Set();
 
@@ -784,6 +1429,304 @@ class MenuScene extends Phaser.Scene {
             });
         }
 
-        this.scene.start('GameScene', { playerConfigs });
+        return playerConfigs;
+    }
+
+    // ========================================
+    // ONLINE GAMES
+    // ========================================
+    showOnlineMenu() {
+        this.showingMainMenu = false;
+        this.clearElements(this.mainMenuElements);
+        this.mainMenuElements = [];
+        this.clearElements(this.onlineElements);
+        this.onlineElements = [];
+        this.onlineMode = false;
+
+        const config = layoutConfig;
+        const centerX = config.gameWidth / 2;
+        const mobile = config.mobile;
+
+        const titleSize = mobile ? '32px' : '48px';
+        const spacing = mobile ? 0.7 : 1;
+        const btnWidth = mobile ? 180 : 220;
+        const btnHeight = mobile ? 45 : 55;
+
+        let y = mobile ? 40 : 80;
+
+        const title = this.add.text(centerX, y, 'ONLINE GAME', {
+            fontSize: titleSize,
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+        this.onlineElements.push(title);
+
+        y += 60 * spacing;
+
+        const backBtn = this.createButton(mobile ? 50 : 80, y - 30, '\u2190 Back', () => {
+            this.showMainMenu();
+        }, mobile ? 80 : 100, mobile ? 30 : 35);
+        this.onlineElements.push(backBtn);
+
+        y += 50 * spacing;
+
+        // Server address (the page's host by default)
+        this.serverButton = this.createButton(centerX, y, '', () => {
+            const input = prompt('Server address:', this.serverUrl);
+            if (input === null || input.trim() === '') return;
+            this.serverUrl = input.trim();
+            this.updateServerButton();
+        }, mobile ? 260 : 360, mobile ? 30 : 34);
+        this.onlineElements.push(this.serverButton);
+        this.updateServerButton();
+
+        y += 70 * spacing;
+
+        const hostBtn = this.createButton(centerX, y, 'Host Game', () => {
+            this.clearElements(this.onlineElements);
+            this.onlineElements = [];
+            this.onlineMode = true;
+            this.showNewGameOptions();
+        }, btnWidth, btnHeight);
+        this.onlineElements.push(hostBtn);
+
+        y += 70 * spacing;
+
+        const joinBtn = this.createButton(centerX, y, 'Join Game', () => {
+            const code = prompt('Room code:');
+            if (code === null || code.trim() === '') return;
+            this.connectOnline(client => client.joinRoom(code.trim().toUpperCase()));
+        }, btnWidth, btnHeight);
+        this.onlineElements.push(joinBtn);
+
+        y += 70 * spacing;
+
+        // Rejoin a match this tab was playing before a reload
+        const session = NetworkClient.loadSession();
+        if (session) {
+            const rejoinBtn = this.createButton(centerX, y, `Rejoin ${session.code}`, () => {
+                this.serverUrl = session.url;
+                this.connectOnline(client => client.rejoinRoom(session.code, session.token));
+            }, btnWidth, btnHeight);
+            this.onlineElements.push(rejoinBtn);
+            y += 70 * spacing;
+        }
+
+        this.onlineStatusText = this.add.text(centerX, y, 'Start the server with: node server/server.js', {
+            fontSize: mobile ? '12px' : '14px',
+            color: COLORS.textSecondary,
+            align: 'center',
+            wordWrap: { width: config.gameWidth - 40 }
+        }).setOrigin(0.5, 0);
+        this.onlineElements.push(this.onlineStatusText);
+    }
+
+    updateServerButton() {
+        if (!this.serverButton) return;
+        this.serverButton.label.setText(`Server: ${this.serverUrl}`);
+        this.serverButton.label.setFontSize(layoutConfig.mobile ? '14px' : '16px');
+    }
+
+    setOnlineStatus(message) {
+        if (this.onlineStatusText && this.onlineStatusText.active) {
+            this.onlineStatusText.setText(message);
+        }
+    }
+
+    /**
+     * Open a connection to the server, then run the given request
+     * (create, join or rejoin). The lobby takes over once seated.
+     */
+    connectOnline(request) {
+        if (this.network) {
+            this.network.leave();
+        }
+
+        const client = new NetworkClient(this.serverUrl);
+        this.network = client;
+        this.setOnlineStatus('Connecting...');
+
+        client.on('joined', () => this.showLobby(client));
+        client.on('error', (message) => this.setOnlineStatus(message.message));
+
+        client.connect()
+            .then(() => request(client))
+            .catch((err) => {
+                this.network = null;
+                this.setOnlineStatus(err.message);
+            });
+    }
+
+    hostOnlineGame() {
+        const seats = this.buildPlayerConfigs().map(config => ({
+            isAI: config.isAI,
+            aiDifficulty: config.aiDifficulty,
+            colorIndex: PLAYER_COLORS.indexOf(config.color)
+        }));
+
+        if (!seats.some(seat => !seat.isAI)) {
+            alert('Online games need at least one human player.');
+            return;
+        }
+
+        this.clearElements(this.newGameElements);
+        this.newGameElements = [];
+        this.showOnlineMenu();
+        this.connectOnline(client => client.createRoom(seats, this.selectedSeed, this.selectedBoardSize, {
+            preset: this.selectedMapPreset,
+            neutralCities: this.neutralCities,
+            barbarians: this.barbarians
+        }, this.victorySettings, this.ruleset));
+    }
+
+    /**
+     * Waiting room: shows the room code and seats until every human seat is
+     * filled, then starts the game scene on the shared connection
+     */
+    showLobby(client) {
+        this.clearElements(this.onlineElements);
+        this.onlineElements = [];
+
+        const config = layoutConfig;
+        const centerX = config.gameWidth / 2;
+        const mobile = config.mobile;
+        let y = mobile ? 40 : 80;
+
+        const title = this.add.text(centerX, y, 'ROOM CODE', {
+            fontSize: mobile ? '20px' : '24px',
+            color: COLORS.textSecondary
+        }).setOrigin(0.5);
+        this.onlineElements.push(title);
+
+        y += mobile ? 40 : 55;
+
+        const codeText = this.add.text(centerX, y, client.code, {
+            fontSize: mobile ? '40px' : '56px',
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+        this.onlineElements.push(codeText);
+
+        y += mobile ? 50 : 70;
+
+        const seatText = this.add.text(centerX, y, '', {
+            fontSize: mobile ? '14px' : '18px',
+            color: COLORS.textPrimary,
+            align: 'center',
+            lineSpacing: 8
+        }).setOrigin(0.5, 0);
+        this.onlineElements.push(seatText);
+
+        // Leave room below the seat list for a full room
+        const seatListHeight = MAX_PLAYERS_LARGE_BOARD * (mobile ? 25 : 29);
+
+        this.onlineStatusText = this.add.text(centerX, y + seatListHeight + 10, 'Waiting for players to join...', {
+            fontSize: mobile ? '12px' : '14px',
+            color: COLORS.textSecondary
+        }).setOrigin(0.5);
+        this.onlineElements.push(this.onlineStatusText);
+
+        const leaveBtn = this.createButton(centerX, y + seatListHeight + (mobile ? 60 : 70), 'Leave', () => {
+            client.leave();
+            this.network = null;
+            this.showOnlineMenu();
+        }, mobile ? 120 : 150, mobile ? 40 : 50);
+        this.onlineElements.push(leaveBtn);
+
+        const updateSeats = (room) => {
+            if (!room || !seatText.active) return;
+            seatText.setText(room.seats.map(seat => {
+                let label;
+                if (seat.isAI) label = 'AI';
+                else if (seat.playerId === client.playerId) label = 'You';
+                else if (!seat.taken) label = 'Waiting...';
+                else label = seat.connected ? 'Joined' : 'Disconnected';
+                return `Player ${seat.playerId + 1}: ${label}`;
+            }).join('\n'));
+        };
+
+        client.on('room', updateSeats);
+        client.on('state', (message) => {
+            updateSeats(message.room);
+            if (client.isPlaying()) {
+                this.clearElements(this.onlineElements);
+                this.onlineElements = [];
+                this.scene.start('GameScene', { network: client });
+            }
+        });
+        updateSeats(client.room);
+    }
+
+    // ========================================
+    // SCENARIOS
+    // ========================================
+    showScenarioMenu() {
+        this.showingMainMenu = false;
+        this.clearElements(this.mainMenuElements);
+        this.mainMenuElements = [];
+
+        const config = layoutConfig;
+        const centerX = config.gameWidth / 2;
+        const mobile = config.mobile;
+
+        const titleSize = mobile ? '32px' : '48px';
+        const spacing = mobile ? 0.7 : 1;
+        const btnWidth = mobile ? 180 : 220;
+        const btnHeight = mobile ? 45 : 55;
+
+        let y = mobile ? 40 : 80;
+
+        const title = this.add.text(centerX, y, 'SCENARIOS', {
+            fontSize: titleSize,
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+        this.scenarioElements.push(title);
+
+        y += 60 * spacing;
+
+        const backBtn = this.createButton(mobile ? 50 : 80, y - 30, '\u2190 Back', () => {
+            this.showMainMenu();
+        }, mobile ? 80 : 100, mobile ? 30 : 35);
+        this.scenarioElements.push(backBtn);
+
+        y += 70 * spacing;
+
+        const editorBtn = this.createButton(centerX, y, 'Map Editor', () => {
+            this.scene.start('MapEditorScene');
+        }, btnWidth, btnHeight);
+        this.scenarioElements.push(editorBtn);
+
+        y += 70 * spacing;
+
+        const playBtn = this.createButton(centerX, y, 'Play Scenario File', () => {
+            this.playScenarioFile();
+        }, btnWidth, btnHeight);
+        this.scenarioElements.push(playBtn);
+
+        y += 60 * spacing;
+
+        this.scenarioStatusText = this.add.text(centerX, y, 'Build scenarios in the Map Editor and save them as .json files', {
+            fontSize: mobile ? '12px' : '14px',
+            color: COLORS.textSecondary,
+            align: 'center',
+            wordWrap: { width: config.gameWidth - 40 }
+        }).setOrigin(0.5, 0);
+        this.scenarioElements.push(this.scenarioStatusText);
+    }
+
+    playScenarioFile() {
+        FileIO.pickFile('.json,application/json')
+            .then(text => {
+                if (text === null) return;
+                const scenario = Scenario.parse(text);
+                this.clearElements(this.scenarioElements);
+                this.scenarioElements = [];
+                this.scene.start('GameScene', { scenario: scenario });
+            })
+            .catch(e => {
+                this.scenarioStatusText.setText(e.message);
+                this.scenarioStatusText.setColor('#ff8888');
+            });
     }
 }
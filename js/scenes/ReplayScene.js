@@ -0,0 +1,588 @@
+// ============================================
+// REPLAY SCENE
+// ============================================
+/**
+ * ReplayScene - Read-only playback of a saved game's history snapshots
+ * Snapshots are rendered straight from the save; no engine is involved,
+ * so nothing in the replay can change the game.
+ */
+class ReplayScene extends Phaser.Scene {
+    // Playback speed multipliers
+    static SPEEDS = [0.5, 1, 2, 4, 8];
+
+    // Milliseconds between snapshots at 1x speed
+    static BASE_STEP_DELAY = 600;
+
+    // Snapshot action types marked on the timeline
+    static TIMELINE_EVENTS = {
+        CITY_CAPTURED: { color: 0xff4444, label: 'City captured' },
+        WAR_DECLARED: { color: 0xff8800, label: 'War declared' },
+        PEACE_MADE: { color: 0x44ff88, label: 'Peace made' },
+        CITY_BUILT: { color: 0x00ffff, label: 'City built' },
+        PLAYER_ELIMINATED: { color: 0xff00ff, label: 'Player eliminated' },
+        VICTORY: { color: 0xffff00, label: 'Victory' }
+    };
+
+    constructor() {
+        super({ key: 'ReplayScene' });
+    }
+
+    init(data) {
+        this.savedGame = data.savedGame;
+        this.snapshots = data.savedGame.snapshots || [];
+        this.players = data.savedGame.metadata?.players || [];
+        const boardSize = ReplayScene.getBoardSize(data.savedGame);
+        this.rows = boardSize.rows;
+        this.cols = boardSize.cols;
+        // Saves from before terrain existed are all plains
+        this.terrain = data.savedGame.metadata?.terrain ||
+            Array(this.rows).fill(null).map(() => Array(this.cols).fill(TERRAIN_TYPES.PLAINS));
+        this.ruleset = GameEngine.normalizeRuleset(data.savedGame.metadata?.ruleset);
+        this.currentIndex = 0;
+        this.isPlaying = false;
+        this.speedIndex = 1;
+        this.playTimer = null;
+        this.pieceSprites = [];
+    }
+
+    /**
+     * Board dimensions of a saved game. Saves from before board sizes were
+     * configurable are measured from their ownership grid.
+     */
+    static getBoardSize(savedGame) {
+        const metadata = savedGame.metadata || {};
+        if (metadata.rows && metadata.cols) {
+            return { rows: metadata.rows, cols: metadata.cols };
+        }
+        const grid = savedGame.snapshots?.[0]?.tileOwnership;
+        if (grid && grid.length > 0) {
+            return { rows: grid.length, cols: grid[0].length };
+        }
+        return { rows: BOARD_SIZE, cols: BOARD_SIZE };
+    }
+
+    create() {
+        this.cameras.main.setBackgroundColor(COLORS.background);
+        Layout.resizeForBoard(this, this.rows, this.cols);
+
+        // Graphics layers
+        this.tileGraphics = this.add.graphics();
+        this.ownershipGraphics = this.add.graphics();
+
+        this.drawBoard();
+        BoardRenderer.addCoordinates(this, this.rows, this.cols);
+
+        // Board border
+        const borderGraphics = this.add.graphics();
+        borderGraphics.lineStyle(3, COLORS.border);
+        borderGraphics.strokeRect(
+            BOARD_OFFSET - 2,
+            BOARD_OFFSET - 2,
+            this.cols * TILE_SIZE + 4,
+            this.rows * TILE_SIZE + 4
+        );
+
+        if (layoutConfig.mobile) {
+            this.createMobileControlPanel();
+        } else {
+            this.createDesktopControlPanel();
+        }
+
+        this.setupKeyboard();
+        this.showSnapshot(0);
+
+        this.events.once('shutdown', () => this.stopPlayback());
+    }
+
+    // ========================================
+    // BOARD RENDERING
+    // ========================================
+    drawBoard() {
+        BoardRenderer.drawTerrain(this.tileGraphics, this.terrain);
+    }
+
+    drawOwnership(tileOwnership) {
+        BoardRenderer.drawOwnership(this.ownershipGraphics, tileOwnership, owner => this.getPlayerColor(owner));
+    }
+
+    drawPieces(pieces) {
+        this.pieceSprites.forEach(sprite => sprite.destroy());
+        this.pieceSprites = pieces.map(piece => this.createPieceSprite(piece));
+    }
+
+    createPieceSprite(piece) {
+        const container = BoardRenderer.createPieceSprite(this, piece, this.getPlayerColor(piece.ownerId));
+
+        // Production progress for cities. Snapshots from before the city
+        // economy counted turns of a new city's points.
+        if (piece.type === PIECE_TYPES.CITY && piece.production && PRODUCTION_TYPES[piece.production]) {
+            const progress = piece.population === undefined
+                ? piece.productionProgress * CITY_ECONOMY.startPopulation
+                : piece.productionProgress;
+            BoardRenderer.addPieceLabel(this, container,
+                `${progress}/${this.ruleset.productionCost[piece.production]}`,
+                piece.productionPaused ? '#ff0000aa' : '#333333aa');
+        }
+
+        // Population for player cities
+        if (piece.type === PIECE_TYPES.CITY && piece.ownerId !== null && piece.population) {
+            BoardRenderer.addPopulationLabel(this, container, `${piece.population}`);
+        }
+
+        return container;
+    }
+
+    getPlayerColor(playerId) {
+        return BoardRenderer.getOwnerColor(playerId, this.players.map(player => player && player.color));
+    }
+
+    getPlayerName(playerId) {
+        if (playerId === BARBARIAN_ID) return 'Barbarians';
+        const player = this.players[playerId];
+        return player ? player.name : `Player ${playerId + 1}`;
+    }
+
+    // ========================================
+    // CONTROL PANEL
+    // ========================================
+    createDesktopControlPanel() {
+        const panelX = BOARD_OFFSET * 2 + this.cols * TILE_SIZE;
+        const panelWidth = UI_PANEL_WIDTH - 20;
+        const gameHeight = layoutConfig.gameHeight;
+
+        const panelBg = this.add.rectangle(
+            panelX + panelWidth / 2,
+            gameHeight / 2,
+            panelWidth,
+            gameHeight - 40,
+            COLORS.uiBackground
+        );
+        panelBg.setStrokeStyle(2, COLORS.border);
+
+        let y = 30;
+
+        this.add.text(panelX + 10, y, 'REPLAY', {
+            fontSize: '18px',
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        });
+        this.add.text(panelX + panelWidth - 10, y + 3, this.savedGame.gameId, {
+            fontSize: '12px',
+            color: COLORS.textSecondary
+        }).setOrigin(1, 0);
+
+        y += 30;
+
+        this.positionText = this.add.text(panelX + 10, y, '', {
+            fontSize: '14px',
+            color: COLORS.textPrimary
+        });
+
+        y += 22;
+
+        this.turnText = this.add.text(panelX + 10, y, '', {
+            fontSize: '14px',
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        });
+
+        y += 28;
+
+        this.eventText = this.add.text(panelX + 10, y, '', {
+            fontSize: '12px',
+            color: COLORS.textSecondary,
+            wordWrap: { width: panelWidth - 20 }
+        });
+
+        y += 50;
+
+        this.playerSummaryText = this.add.text(panelX + 10, y, '', {
+            fontSize: '12px',
+            color: COLORS.textPrimary,
+            lineSpacing: 4
+        });
+
+        y += 110;
+
+        this.createPlaybackButtons(panelX + panelWidth / 2, y, 60);
+
+        y += 40;
+
+        this.speedBtn = this.createSmallButton(panelX + 10 + 55, y, '', () => this.cycleSpeed(), 110);
+        this.createSmallButton(panelX + panelWidth - 10 - 55, y, 'Jump to Turn', () => this.promptJumpToTurn(), 110);
+
+        y += 40;
+
+        this.createTimeline(panelX + 10, y, panelWidth - 20);
+
+        y += 30;
+
+        this.createTimelineLegend(panelX + 10, y, 2);
+
+        this.createButton(
+            panelX + panelWidth / 2,
+            gameHeight - 50,
+            'Back to Menu',
+            () => this.scene.start('MenuScene'),
+            140,
+            36
+        );
+
+        this.updateSpeedButton();
+    }
+
+    createMobileControlPanel() {
+        const boardHeight = this.rows * TILE_SIZE + BOARD_OFFSET * 2;
+        const panelY = boardHeight;
+        const panelWidth = this.cols * TILE_SIZE + BOARD_OFFSET * 2;
+        const panelHeight = layoutConfig.panelHeight;
+
+        const panelBg = this.add.rectangle(
+            panelWidth / 2,
+            panelY + panelHeight / 2,
+            panelWidth,
+            panelHeight,
+            COLORS.uiBackground
+        );
+        panelBg.setStrokeStyle(2, COLORS.border);
+
+        const leftColX = 15;
+        const rightColX = panelWidth / 2 + 10;
+        const colWidth = panelWidth / 2 - 25;
+        let leftY = panelY + 12;
+        let rightY = panelY + 12;
+
+        // Left column - position and event info
+        this.positionText = this.add.text(leftColX, leftY, '', {
+            fontSize: '12px',
+            color: COLORS.textPrimary
+        });
+        leftY += 18;
+
+        this.turnText = this.add.text(leftColX, leftY, '', {
+            fontSize: '12px',
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        });
+        leftY += 20;
+
+        this.eventText = this.add.text(leftColX, leftY, '', {
+            fontSize: '10px',
+            color: COLORS.textSecondary,
+            wordWrap: { width: colWidth }
+        });
+        leftY += 40;
+
+        this.playerSummaryText = this.add.text(leftColX, leftY, '', {
+            fontSize: '10px',
+            color: COLORS.textPrimary
+        });
+
+        // Right column - controls
+        this.createPlaybackButtons(rightColX + colWidth / 2, rightY + 12, 48);
+        rightY += 40;
+
+        this.speedBtn = this.createSmallButton(rightColX + 40, rightY, '', () => this.cycleSpeed(), 75);
+        this.createSmallButton(rightColX + 125, rightY, 'Jump', () => this.promptJumpToTurn(), 75);
+        rightY += 32;
+
+        this.createButton(rightColX + 80, rightY + 4, 'Menu', () => this.scene.start('MenuScene'), 90, 28);
+
+        // Timeline across the bottom of the panel
+        this.createTimeline(leftColX, panelY + panelHeight - 28, panelWidth - 30);
+
+        this.updateSpeedButton();
+    }
+
+    createPlaybackButtons(centerX, y, spacing) {
+        this.createSmallButton(centerX - spacing * 1.5, y, '⏮', () => this.jumpTo(0), 40);
+        this.createSmallButton(centerX - spacing * 0.5, y, '◀', () => this.step(-1), 40);
+        this.playBtn = this.createSmallButton(centerX + spacing * 0.5, y, '▶', () => this.togglePlay(), 40);
+        this.createSmallButton(centerX + spacing * 1.5, y, '▶▶', () => this.step(1), 40);
+    }
+
+    /**
+     * Timeline bar with a marker for every notable event. Click to seek.
+     */
+    createTimeline(x, y, width) {
+        const height = 14;
+        this.timelineX = x;
+        this.timelineWidth = width;
+
+        const track = this.add.rectangle(x + width / 2, y, width, height, 0x2a2a3a);
+        track.setStrokeStyle(1, 0x5a5a7a);
+        track.setInteractive({ useHandCursor: true });
+        track.on('pointerdown', (pointer) => {
+            const fraction = Phaser.Math.Clamp((pointer.x - x) / width, 0, 1);
+            this.stopPlayback();
+            this.jumpTo(Math.round(fraction * (this.snapshots.length - 1)));
+        });
+
+        const markers = this.add.graphics();
+        this.snapshots.forEach((snapshot, index) => {
+            const event = ReplayScene.TIMELINE_EVENTS[snapshot.actionType];
+            if (!event) return;
+            const markerX = this.getTimelineX(index);
+            markers.fillStyle(event.color, 1);
+            markers.fillRect(markerX - 1, y - height / 2, 2, height);
+        });
+
+        this.timelineThumb = this.add.rectangle(x, y, 4, height + 8, 0xffffff);
+    }
+
+    createTimelineLegend(x, y, columns) {
+        const columnWidth = (UI_PANEL_WIDTH - 40) / columns;
+        Object.values(ReplayScene.TIMELINE_EVENTS).forEach((event, i) => {
+            const lx = x + (i % columns) * columnWidth;
+            const ly = y + Math.floor(i / columns) * 18;
+            this.add.rectangle(lx + 4, ly + 6, 8, 8, event.color);
+            this.add.text(lx + 14, ly, event.label, {
+                fontSize: '11px',
+                color: COLORS.textSecondary
+            });
+        });
+    }
+
+    getTimelineX(index) {
+        const lastIndex = Math.max(this.snapshots.length - 1, 1);
+        return this.timelineX + (index / lastIndex) * this.timelineWidth;
+    }
+
+    createButton(x, y, text, callback, width = 100, height = 40) {
+        const container = this.add.container(x, y);
+
+        const bg = this.add.rectangle(0, 0, width, height, 0x4a4a6a);
+        bg.setStrokeStyle(2, 0x6a6a8a);
+
+        const label = this.add.text(0, 0, text, {
+            fontSize: '16px',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+
+        container.add([bg, label]);
+        container.setSize(width, height);
+        container.setInteractive({ useHandCursor: true });
+
+        container.on('pointerover', () => bg.setFillStyle(0x5a5a7a));
+        container.on('pointerout', () => bg.setFillStyle(0x4a4a6a));
+        container.on('pointerdown', callback);
+
+        container.bg = bg;
+        container.label = label;
+
+        return container;
+    }
+
+    createSmallButton(x, y, text, callback, width = 110) {
+        const container = this.add.container(x, y);
+
+        const bg = this.add.rectangle(0, 0, width, 24, 0x3a3a5a);
+        bg.setStrokeStyle(1, 0x5a5a7a);
+
+        const label = this.add.text(0, 0, text, {
+            fontSize: width < 80 ? '10px' : '12px',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+
+        container.add([bg, label]);
+        container.setSize(width, 24);
+        container.setInteractive({ useHandCursor: true });
+
+        container.on('pointerover', () => bg.setFillStyle(0x4a4a6a));
+        container.on('pointerout', () => bg.setFillStyle(0x3a3a5a));
+        container.on('pointerdown', callback);
+
+        container.bg = bg;
+        container.label = label;
+
+        return container;
+    }
+
+    setupKeyboard() {
+        if (!this.input.keyboard) return;
+
+        this.input.keyboard.on('keydown-SPACE', () => this.togglePlay());
+        this.input.keyboard.on('keydown-RIGHT', () => this.step(1));
+        this.input.keyboard.on('keydown-LEFT', () => this.step(-1));
+        this.input.keyboard.on('keydown-HOME', () => this.jumpTo(0));
+        this.input.keyboard.on('keydown-END', () => this.jumpTo(this.snapshots.length - 1));
+    }
+
+    // ========================================
+    // PLAYBACK
+    // ========================================
+    showSnapshot(index) {
+        if (this.snapshots.length === 0) {
+            this.positionText.setText('No snapshots recorded');
+            return;
+        }
+
+        this.currentIndex = Phaser.Math.Clamp(index, 0, this.snapshots.length - 1);
+        const snapshot = this.snapshots[this.currentIndex];
+
+        this.drawOwnership(snapshot.tileOwnership || []);
+        this.drawPieces(snapshot.pieces || []);
+
+        this.positionText.setText(`Step ${this.currentIndex + 1} / ${this.snapshots.length}`);
+
+        const player = this.players[snapshot.currentPlayerIndex];
+        this.turnText.setText(`Turn ${snapshot.turnNumber}: ${this.getPlayerName(snapshot.currentPlayerIndex)}`);
+        this.turnText.setColor(player && player.color ? player.color.css : COLORS.textPrimary);
+
+        this.eventText.setText(this.describeSnapshot(snapshot));
+        this.playerSummaryText.setText(this.summarizePlayers(snapshot));
+
+        if (this.timelineThumb) {
+            this.timelineThumb.x = this.getTimelineX(this.currentIndex);
+        }
+    }
+
+    /**
+     * Human readable description of the action that produced a snapshot
+     */
+    describeSnapshot(snapshot) {
+        const d = snapshot.actionDetails || {};
+        switch (snapshot.actionType) {
+            case 'GAME_START':
+                return `Game started with ${d.players} players`;
+            case 'MOVE':
+                if (d.combat) {
+                    return `${d.piece} attacked (${d.to.row + 1}, ${d.to.col + 1}) for ${d.combat.damageDealt} damage`;
+                }
+                return `${d.piece} moved to (${d.to.row + 1}, ${d.to.col + 1})`;
+            case 'ATTACK':
+                return `${d.piece} attacked (${d.target.row + 1}, ${d.target.col + 1}) for ${d.combat.damageDealt} damage`;
+            case 'CITY_CAPTURED':
+                return `${this.getPlayerName(d.newOwner)} captured a city from ${this.getPlayerName(d.previousOwner)}`;
+            case 'CITY_BUILT':
+                return `${this.getPlayerName(d.owner)} founded a city at (${d.location.row + 1}, ${d.location.col + 1})`;
+            case 'PRODUCTION_SET':
+                return `${this.getPlayerName(d.owner)} set a city to ${PRODUCTION_TYPES[d.production]?.name || d.production}`;
+            case 'REPEAT_SET':
+                return `${this.getPlayerName(d.owner)} turned repeat production ${d.enabled ? 'on' : 'off'}`;
+            case 'WAR_DECLARED':
+                return `${this.getPlayerName(d.attacker)} declared war on ${this.getPlayerName(d.defender)}`;
+            case 'PEACE_PROPOSED':
+                return `${this.getPlayerName(d.proposer)} proposed peace to ${this.getPlayerName(d.target)}`;
+            case 'PEACE_MADE':
+                return `${this.getPlayerName(d.player1)} and ${this.getPlayerName(d.player2)} made peace`;
+            case 'RESEARCH_SET':
+                return `${this.getPlayerName(d.player)} began researching ${TECHS[d.tech]?.name || d.tech}`;
+            case 'TECH_COMPLETE':
+                return d.tech
+                    ? `${this.getPlayerName(d.player)} learned ${TECHS[d.tech]?.name || d.tech}`
+                    : `${this.getPlayerName(d.player)} reached tech ${d.newScore}`;
+            case 'UNIT_SPAWNED':
+                return `${this.getPlayerName(d.owner)} trained a ${d.type}`;
+            case 'TERRITORY_EXPANDED':
+                return `${this.getPlayerName(d.player)} claimed (${d.tile.row + 1}, ${d.tile.col + 1})`;
+            case 'CITY_RAZED':
+                return `Barbarians burned a city of ${this.getPlayerName(d.previousOwner)}`;
+            case 'CAMP_DESTROYED':
+                return `${this.getPlayerName(d.player)} destroyed a barbarian camp`;
+            case 'PLAYER_ELIMINATED':
+                return `${this.getPlayerName(d.player)} was eliminated by ${this.getPlayerName(d.conquerer)}`;
+            case 'TURN_END':
+                return `Turn passed to ${this.getPlayerName(d.nextPlayer)}`;
+            case 'VICTORY':
+                return d.victoryType
+                    ? `${this.getPlayerName(d.winner)} wins (${VICTORY_NAMES[d.victoryType]})!`
+                    : `${this.getPlayerName(d.winner)} wins!`;
+            default:
+                return snapshot.actionType || '';
+        }
+    }
+
+    summarizePlayers(snapshot) {
+        const pieces = snapshot.pieces || [];
+        return this.players.map(player => {
+            const cities = pieces.filter(p => p.ownerId === player.id && p.type === PIECE_TYPES.CITY).length;
+            const army = pieces.filter(p => p.ownerId === player.id && GameEngine.isMilitary(p.type)).length;
+            const tech = (snapshot.techLevels || []).find(t => t.playerId === player.id);
+            return `${player.name}: ${cities} cities, ${army} units, tech ${tech ? tech.techScore : 0}`;
+        }).join('\n');
+    }
+
+    step(direction) {
+        this.showSnapshot(this.currentIndex + direction);
+        if (this.currentIndex >= this.snapshots.length - 1) {
+            this.stopPlayback();
+        }
+    }
+
+    jumpTo(index) {
+        this.showSnapshot(index);
+    }
+
+    promptJumpToTurn() {
+        this.stopPlayback();
+        const lastTurn = this.snapshots.length > 0 ? this.snapshots[this.snapshots.length - 1].turnNumber : 0;
+        const input = prompt(`Jump to turn (0 - ${lastTurn}):`, String(this.snapshots[this.currentIndex]?.turnNumber || 0));
+        if (input === null) return;
+
+        const turn = parseInt(input, 10);
+        if (isNaN(turn)) return;
+
+        const index = this.snapshots.findIndex(s => s.turnNumber >= turn);
+        this.jumpTo(index === -1 ? this.snapshots.length - 1 : index);
+    }
+
+    togglePlay() {
+        if (this.isPlaying) {
+            this.stopPlayback();
+        } else {
+            this.startPlayback();
+        }
+    }
+
+    startPlayback() {
+        if (this.snapshots.length === 0) return;
+
+        // Restart from the beginning when at the end
+        if (this.currentIndex >= this.snapshots.length - 1) {
+            this.showSnapshot(0);
+        }
+
+        this.isPlaying = true;
+        this.playBtn.label.setText('⏸');
+        this.scheduleNextStep();
+    }
+
+    stopPlayback() {
+        this.isPlaying = false;
+        if (this.playTimer) {
+            this.playTimer.remove(false);
+            this.playTimer = null;
+        }
+        if (this.playBtn) {
+            this.playBtn.label.setText('▶');
+        }
+    }
+
+    scheduleNextStep() {
+        const delay = ReplayScene.BASE_STEP_DELAY / ReplayScene.SPEEDS[this.speedIndex];
+        this.playTimer = this.time.delayedCall(delay, () => {
+            this.playTimer = null;
+            if (!this.isPlaying) return;
+            this.step(1);
+            if (this.isPlaying) {
+                this.scheduleNextStep();
+            }
+        });
+    }
+
+    cycleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % ReplayScene.SPEEDS.length;
+        this.updateSpeedButton();
+
+        // Apply the new speed immediately
+        if (this.isPlaying && this.playTimer) {
+            this.playTimer.remove(false);
+            this.scheduleNextStep();
+        }
+    }
+
+    updateSpeedButton() {
+        this.speedBtn.label.setText(`Speed: ${ReplayScene.SPEEDS[this.speedIndex]}x`);
+    }
+}
@@ -0,0 +1,358 @@
+// ============================================
+// STATS SCENE
+// ============================================
+/**
+ * StatsScene - End-of-game summary for a saved game: per-player graphs over
+ * the turns, a war timeline and combat and city totals. Everything is
+ * computed from the save's history snapshots by GameStats.
+ */
+class StatsScene extends Phaser.Scene {
+    static GRAPH_LEFT = 50;
+    static WAR_ROW_HEIGHT = 20;
+    static MAX_WAR_ROWS = 8;
+
+    // Table columns: GameStats totals key and heading
+    static TABLE_COLUMNS = [
+        { key: 'unitsKilled', label: 'Kills' },
+        { key: 'unitsLost', label: 'Losses' },
+        { key: 'citiesFounded', label: 'Founded' },
+        { key: 'citiesCaptured', label: 'Captured' },
+        { key: 'citiesLost', label: 'Cities lost' }
+    ];
+
+    constructor() {
+        super({ key: 'StatsScene' });
+    }
+
+    /**
+     * @param {Object} data
+     * @param {Object} data.savedGame - { gameId, metadata, snapshots }
+     * @param {Object} [data.stats] - Already computed GameStats, kept when switching graphs
+     * @param {string} [data.metric] - GameStats.METRICS key to graph
+     */
+    init(data) {
+        this.savedGame = data.savedGame;
+        this.stats = data.stats || GameStats.compute(data.savedGame);
+        this.metric = data.metric || 'strength';
+    }
+
+    create() {
+        this.cameras.main.setBackgroundColor(COLORS.background);
+        const metadata = this.savedGame.metadata || {};
+        Layout.resizeForBoard(this, metadata.rows, metadata.cols, this.stats.players.length);
+
+        const width = layoutConfig.gameWidth;
+        const compact = layoutConfig.mobile;
+        let y = 24;
+
+        this.add.text(width / 2, y, 'GAME SUMMARY', {
+            fontSize: compact ? '20px' : '26px',
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+        y += 30;
+
+        this.add.text(width / 2, y, this.describeResult(), {
+            fontSize: compact ? '12px' : '14px',
+            color: COLORS.textSecondary,
+            align: 'center',
+            wordWrap: { width: width - 40 }
+        }).setOrigin(0.5, 0);
+        y += 44;
+
+        y = this.createMetricTabs(y, width);
+        y = this.drawGraph(y + 10, width, compact ? 160 : 240);
+        y = this.createLegend(y + 8, width);
+        y = this.drawWarTimeline(y + 20, width);
+        y = this.createTable(y + 20, width, compact);
+
+        // Scenario games start from a drawn position rather than a seed, so have no notation
+        if (metadata.scenario || metadata.seed === null || metadata.seed === undefined) {
+            this.createButton(width / 2, y + 40, 'Back to Menu', () => this.scene.start('MenuScene'), 140, 36);
+        } else {
+            this.createButton(width / 2 - 75, y + 40, 'Back to Menu', () => this.scene.start('MenuScene'), 140, 36);
+            this.createButton(width / 2 + 75, y + 40, 'Notation', () => Notation.download(this.savedGame), 140, 36);
+        }
+
+        // Grow the canvas when the summary runs past the board-sized layout
+        if (y + 80 > layoutConfig.gameHeight) {
+            this.scale.resize(width, y + 80);
+        }
+    }
+
+    describeResult() {
+        const stats = this.stats;
+        if (stats.winner === null) {
+            return `Unfinished - ${stats.players.length} players, stopped on turn ${stats.finalTurn}`;
+        }
+
+        const typeName = VICTORY_NAMES[stats.victoryType] || VICTORY_NAMES[VICTORY_TYPES.DOMINATION];
+        let text = `${this.getPlayerName(stats.winner)} won a ${typeName} victory on turn ${stats.finalTurn}`;
+        if (stats.decisiveTurn !== null) {
+            text += `\nDecisive turn: ${stats.decisiveTurn} (took the strength lead for good)`;
+        }
+        return text;
+    }
+
+    // ========================================
+    // GRAPH
+    // ========================================
+    createMetricTabs(y, width) {
+        const metrics = Object.keys(GameStats.METRICS);
+        const tabWidth = Math.min(100, (width - 40) / metrics.length - 6);
+        const startX = width / 2 - ((metrics.length - 1) * (tabWidth + 6)) / 2;
+
+        metrics.forEach((metric, i) => {
+            const tab = this.createSmallButton(startX + i * (tabWidth + 6), y, GameStats.METRICS[metric].name, () => {
+                if (metric !== this.metric) {
+                    this.scene.restart({ savedGame: this.savedGame, stats: this.stats, metric: metric });
+                }
+            }, tabWidth);
+            if (metric === this.metric) {
+                tab.bg.setStrokeStyle(2, 0xffcc00);
+            }
+        });
+
+        return y + 16;
+    }
+
+    /**
+     * One line per player for the selected metric, turns along the x axis
+     * @returns {number} y below the graph
+     */
+    drawGraph(top, width, height) {
+        const stats = this.stats;
+        const left = StatsScene.GRAPH_LEFT;
+        const right = width - 20;
+        const bottom = top + height;
+        const series = stats.series[this.metric];
+        const maxValue = Math.max(1, ...series.map(values => Math.max(0, ...values)));
+
+        this.graphLeft = left;
+        this.graphRight = right;
+
+        const g = this.add.graphics();
+        g.fillStyle(COLORS.uiBackground, 1);
+        g.fillRect(left, top, right - left, height);
+
+        // Horizontal grid with value labels
+        [0, 0.5, 1].forEach(fraction => {
+            const gy = bottom - fraction * height;
+            g.lineStyle(1, 0x3a3a5a, 1);
+            g.lineBetween(left, gy, right, gy);
+            this.add.text(left - 6, gy, String(Math.round(maxValue * fraction)), {
+                fontSize: '11px',
+                color: COLORS.textSecondary
+            }).setOrigin(1, 0.5);
+        });
+
+        // Turn labels under the axis
+        const firstTurn = stats.turns[0] ?? 0;
+        [firstTurn, Math.round((firstTurn + stats.finalTurn) / 2), stats.finalTurn].forEach(turn => {
+            this.add.text(this.getTurnX(turn), bottom + 4, `T${turn}`, {
+                fontSize: '11px',
+                color: COLORS.textSecondary
+            }).setOrigin(0.5, 0);
+        });
+
+        if (stats.decisiveTurn !== null) {
+            const dx = this.getTurnX(stats.decisiveTurn);
+            g.lineStyle(1, 0xffcc00, 0.8);
+            for (let dy = top; dy < bottom; dy += 8) {
+                g.lineBetween(dx, dy, dx, Math.min(dy + 4, bottom));
+            }
+        }
+
+        series.forEach((values, i) => {
+            const color = this.getPlayerColor(stats.players[i].id);
+            g.lineStyle(2, color.hex, 1);
+            g.strokePoints(values.map((value, s) => ({
+                x: this.getTurnX(stats.turns[s]),
+                y: bottom - (value / maxValue) * height
+            })));
+        });
+
+        g.lineStyle(1, COLORS.border, 1);
+        g.strokeRect(left, top, right - left, height);
+
+        return bottom + 20;
+    }
+
+    createLegend(y, width) {
+        const columns = Math.max(1, Math.floor((width - 40) / 130));
+        this.stats.players.forEach((player, i) => {
+            const x = 20 + (i % columns) * 130;
+            const ly = y + Math.floor(i / columns) * 18;
+            this.add.rectangle(x + 6, ly + 7, 12, 4, this.getPlayerColor(player.id).hex);
+            this.add.text(x + 16, ly, player.name, {
+                fontSize: '12px',
+                color: COLORS.textPrimary
+            });
+        });
+        return y + Math.ceil(this.stats.players.length / columns) * 18;
+    }
+
+    getTurnX(turn) {
+        const firstTurn = this.stats.turns[0] ?? 0;
+        const span = Math.max(this.stats.finalTurn - firstTurn, 1);
+        return this.graphLeft + ((turn - firstTurn) / span) * (this.graphRight - this.graphLeft);
+    }
+
+    // ========================================
+    // WARS AND TOTALS
+    // ========================================
+    /**
+     * A bar for every war, on the same turn scale as the graph
+     * @returns {number} y below the timeline
+     */
+    drawWarTimeline(y, width) {
+        const wars = this.stats.wars;
+        this.add.text(20, y, 'WARS', {
+            fontSize: '14px',
+            fontStyle: 'bold',
+            color: COLORS.textPrimary
+        });
+        y += 22;
+
+        if (wars.length === 0) {
+            this.add.text(20, y, 'The whole game was played at peace.', {
+                fontSize: '12px',
+                color: COLORS.textSecondary
+            });
+            return y + 18;
+        }
+
+        const g = this.add.graphics();
+        wars.slice(0, StatsScene.MAX_WAR_ROWS).forEach(war => {
+            const [a, b] = war.players;
+            const startX = this.getTurnX(war.start);
+            const endX = this.getTurnX(war.end ?? this.stats.finalTurn);
+            const barWidth = Math.max(endX - startX, 2);
+
+            // Split colors: declaring player on top, defender below
+            g.fillStyle(this.getPlayerColor(a).hex, 0.8);
+            g.fillRect(startX, y, barWidth, 5);
+            g.fillStyle(this.getPlayerColor(b).hex, 0.8);
+            g.fillRect(startX, y + 5, barWidth, 5);
+
+            const ending = war.end === null ? 'to the end' : `until T${war.end}`;
+            const label = `${this.getPlayerName(a)} vs ${this.getPlayerName(b)}, T${war.start} ${ending}`;
+            const labelOnLeft = endX > width / 2;
+            this.add.text(labelOnLeft ? startX - 6 : endX + 6, y + 5, label, {
+                fontSize: '11px',
+                color: COLORS.textSecondary
+            }).setOrigin(labelOnLeft ? 1 : 0, 0.5);
+
+            y += StatsScene.WAR_ROW_HEIGHT;
+        });
+
+        if (wars.length > StatsScene.MAX_WAR_ROWS) {
+            this.add.text(20, y, `+${wars.length - StatsScene.MAX_WAR_ROWS} more wars`, {
+                fontSize: '11px',
+                color: COLORS.textSecondary
+            });
+            y += 16;
+        }
+        return y;
+    }
+
+    /**
+     * Kills, losses and city changes per player
+     * @returns {number} y below the table
+     */
+    createTable(y, width, compact) {
+        const columns = StatsScene.TABLE_COLUMNS;
+        const nameWidth = compact ? 90 : 140;
+        const columnWidth = Math.min(90, (width - 40 - nameWidth) / columns.length);
+        const fontSize = compact ? '11px' : '13px';
+
+        columns.forEach((column, c) => {
+            this.add.text(20 + nameWidth + (c + 0.5) * columnWidth, y, column.label, {
+                fontSize: fontSize,
+                fontStyle: 'bold',
+                color: COLORS.textSecondary
+            }).setOrigin(0.5, 0);
+        });
+        y += 22;
+
+        this.stats.players.forEach((player, i) => {
+            const totals = this.stats.totals[i];
+            this.add.text(20, y, player.name, {
+                fontSize: fontSize,
+                color: this.getPlayerColor(player.id).css
+            });
+            columns.forEach((column, c) => {
+                this.add.text(20 + nameWidth + (c + 0.5) * columnWidth, y, String(totals[column.key]), {
+                    fontSize: fontSize,
+                    color: COLORS.textPrimary
+                }).setOrigin(0.5, 0);
+            });
+            y += 20;
+        });
+
+        return y;
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+    getPlayerColor(playerId) {
+        const player = this.stats.players.find(p => p.id === playerId);
+        return player && player.color ? player.color : { hex: 0x888888, css: '#888888' };
+    }
+
+    getPlayerName(playerId) {
+        const player = this.stats.players.find(p => p.id === playerId);
+        return player ? player.name : `Player ${playerId + 1}`;
+    }
+
+    createButton(x, y, text, callback, width = 100, height = 40) {
+        const container = this.add.container(x, y);
+
+        const bg = this.add.rectangle(0, 0, width, height, 0x4a4a6a);
+        bg.setStrokeStyle(2, 0x6a6a8a);
+
+        const label = this.add.text(0, 0, text, {
+            fontSize: '16px',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+
+        container.add([bg, label]);
+        container.setSize(width, height);
+        container.setInteractive({ useHandCursor: true });
+
+        container.on('pointerover', () => bg.setFillStyle(0x5a5a7a));
+        container.on('pointerout', () => bg.setFillStyle(0x4a4a6a));
+        container.on('pointerdown', callback);
+
+        container.bg = bg;
+        container.label = label;
+
+        return container;
+    }
+
+    createSmallButton(x, y, text, callback, width = 110) {
+        const container = this.add.container(x, y);
+
+        const bg = this.add.rectangle(0, 0, width, 24, 0x3a3a5a);
+        bg.setStrokeStyle(1, 0x5a5a7a);
+
+        const label = this.add.text(0, 0, text, {
+            fontSize: width < 80 ? '10px' : '12px',
+            color: COLORS.textPrimary
+        }).setOrigin(0.5);
+
+        container.add([bg, label]);
+        container.setSize(width, 24);
+        container.setInteractive({ useHandCursor: true });
+
+        container.on('pointerover', () => bg.setFillStyle(0x4a4a6a));
+        container.on('pointerout', () => bg.setFillStyle(0x3a3a5a));
+        container.on('pointerdown', callback);
+
+        container.bg = bg;
+        container.label = label;
+
+        return container;
+    }
+}
@@ -0,0 +1,311 @@
+// ============================================
+// GAME ROOM
+// ============================================
+// One online match. The room owns the authoritative GameEngine; clients only
+// send actions and render the state the room broadcasts back.
+const crypto = require('crypto');
+const {
+    GameEngine,
+    MemoryStorage,
+    AIManager,
+    AI_DIFFICULTY,
+    PLAYER_COLORS,
+    ACTION_TYPES,
+    BOARD_SIZE,
+    MIN_PLAYERS
+} = require('../js/headless.js');
+
+const ROOM_STATUS = {
+    LOBBY: 'lobby',     // waiting for human seats to fill
+    PLAYING: 'playing',
+    FINISHED: 'finished',
+    ERROR: 'error'      // an AI turn failed and the match cannot go on
+};
+
+class GameRoom {
+    // Pause between AI turns so clients can follow along
+    static AI_TURN_DELAY = 800;
+
+    /**
+     * @param {string} code - Room code players use to join
+     * @param {Array<Object>} seatConfigs - { isAI, aiDifficulty, colorIndex } per seat
+     * @param {Object} [options]
+     * @param {number|string} [options.seed]
+     * @param {number} [options.rows] - Board rows (clamped by the engine)
+     * @param {number} [options.cols] - Board columns (clamped by the engine)
+     * @param {string} [options.mapPreset] - MAP_PRESETS key (unknown keys use the default)
+     * @param {boolean} [options.neutralCities] - Place neutral cities between the capitals
+     * @param {boolean} [options.barbarians] - Add barbarian camps and raiders
+     * @param {Object} [options.victory] - Victory modes and thresholds (normalized by the engine)
+     * @param {string|Object} [options.ruleset] - Ruleset preset key or custom ruleset (normalized by the engine)
+     */
+    constructor(code, seatConfigs, options = {}) {
+        this.code = code;
+        this.status = ROOM_STATUS.LOBBY;
+        this.lastActivity = Date.now();
+        this.aiTimer = null;
+
+        const rows = GameEngine.clampBoardSize(options.rows ?? BOARD_SIZE);
+        const cols = GameEngine.clampBoardSize(options.cols ?? BOARD_SIZE);
+        const playerConfigs = GameRoom.buildPlayerConfigs(seatConfigs, GameEngine.getMaxPlayers(rows, cols));
+
+        this.engine = new GameEngine({
+            storage: new MemoryStorage(),
+            autoSave: false,
+            logToConsole: false
+        });
+        this.engine.setupGame(playerConfigs, {
+            seed: options.seed,
+            rows: rows,
+            cols: cols,
+            mapPreset: options.mapPreset,
+            neutralCities: options.neutralCities === true,
+            barbarians: options.barbarians === true,
+            victory: options.victory,
+            ruleset: options.ruleset
+        });
+        this.aiManager = new AIManager(this.engine);
+        this.aiManager.registerEnginePlayers();
+
+        this.seats = playerConfigs.map((config, index) => ({
+            playerId: index,
+            isAI: config.isAI,
+            token: null,        // secret that lets a disconnected player reclaim the seat
+            connection: null
+        }));
+    }
+
+    /**
+     * Validate seat configs from a client and turn them into engine player configs
+     * @param {Array<Object>} seatConfigs
+     * @param {number} maxPlayers - Seat limit for the room's board size
+     * @returns {Array<Object>}
+     * @throws {Error} if the seat list is not playable
+     */
+    static buildPlayerConfigs(seatConfigs, maxPlayers) {
+        if (!Array.isArray(seatConfigs) ||
+            seatConfigs.length < MIN_PLAYERS ||
+            seatConfigs.length > maxPlayers) {
+            throw new Error(`Rooms on this board need ${MIN_PLAYERS}-${maxPlayers} players`);
+        }
+        if (!seatConfigs.some(seat => !seat.isAI)) {
+            throw new Error('Rooms need at least one human seat');
+        }
+
+        const usedColors = new Set();
+        const difficulties = Object.values(AI_DIFFICULTY);
+
+        return seatConfigs.map(seat => {
+            let colorIndex = seat.colorIndex;
+            if (!PLAYER_COLORS[colorIndex] || usedColors.has(colorIndex)) {
+                colorIndex = PLAYER_COLORS.findIndex((c, i) => !usedColors.has(i));
+            }
+            usedColors.add(colorIndex);
+
+            return {
+                color: PLAYER_COLORS[colorIndex],
+                isAI: !!seat.isAI,
+                aiDifficulty: difficulties.includes(seat.aiDifficulty) ? seat.aiDifficulty : AI_DIFFICULTY.MEDIUM
+            };
+        });
+    }
+
+    // ========================================
+    // SEATS
+    // ========================================
+
+    /**
+     * Give a connection the next open human seat
+     * @returns {Object|null} The seat, or null if the room is full
+     */
+    addPlayer(connection) {
+        const seat = this.seats.find(s => !s.isAI && !s.token);
+        if (!seat) return null;
+
+        seat.token = crypto.randomBytes(16).toString('hex');
+        seat.connection = connection;
+        this.touch();
+
+        if (this.seats.every(s => s.isAI || s.token)) {
+            this.status = ROOM_STATUS.PLAYING;
+            this.scheduleAITurn();
+        }
+
+        return seat;
+    }
+
+    /**
+     * Reattach a reconnecting player to their seat
+     * @returns {Object|null} The seat, or null if the token is unknown
+     */
+    reconnect(connection, token) {
+        const seat = this.seats.find(s => s.token && s.token === token);
+        if (!seat) return null;
+
+        if (seat.connection && seat.connection !== connection) {
+            seat.connection.close(1000, 'Replaced by a new connection');
+        }
+        seat.connection = connection;
+        this.touch();
+        return seat;
+    }
+
+    removeConnection(connection) {
+        const seat = this.getSeatFor(connection);
+        if (seat) {
+            seat.connection = null;
+            this.touch();
+        }
+    }
+
+    getSeatFor(connection) {
+        return this.seats.find(s => s.connection === connection) || null;
+    }
+
+    hasConnections() {
+        return this.seats.some(s => s.connection);
+    }
+
+    touch() {
+        this.lastActivity = Date.now();
+    }
+
+    // ========================================
+    // ACTIONS
+    // ========================================
+
+    /**
+     * Apply an action from a seated player
+     * @returns {Object} The engine's dispatch result
+     */
+    handleAction(seat, action) {
+        this.touch();
+
+        if (this.status === ROOM_STATUS.ERROR) {
+            return { success: false, reason: 'Game stopped after a server error' };
+        }
+        if (this.status !== ROOM_STATUS.PLAYING) {
+            return { success: false, reason: 'Game has not started' };
+        }
+        if (!action || typeof action !== 'object') {
+            return { success: false, reason: 'Invalid action' };
+        }
+
+        // The seat decides who is acting, never the message
+        const result = this.engine.dispatch({ ...action, playerId: seat.playerId });
+        if (result.success) {
+            this.afterStateChange(action);
+        }
+        return result;
+    }
+
+    /**
+     * Play AI seats server-side, one turn at a time
+     */
+    scheduleAITurn() {
+        if (this.aiTimer || this.status !== ROOM_STATUS.PLAYING) return;
+
+        const playerId = this.engine.currentPlayerIndex;
+        if (!this.aiManager.isAIPlayer(playerId)) return;
+
+        this.aiTimer = setTimeout(() => {
+            this.aiTimer = null;
+            if (this.status !== ROOM_STATUS.PLAYING) return;
+
+            // Nothing outside this room can catch an error thrown from a timer,
+            // so it would end the server process and every other room with it
+            try {
+                this.aiManager.executeAITurn(playerId);
+                if (!this.engine.gameOver) {
+                    this.engine.dispatch({ type: ACTION_TYPES.END_TURN, playerId: playerId });
+                }
+                this.afterStateChange({ type: ACTION_TYPES.END_TURN, playerId: playerId });
+            } catch (e) {
+                this.failAITurn(playerId, e);
+            }
+        }, GameRoom.AI_TURN_DELAY);
+    }
+
+    /**
+     * Stop a match whose AI turn threw and tell the players why
+     */
+    failAITurn(playerId, error) {
+        console.error(`[server] AI turn for player ${playerId + 1} failed in room ${this.code}:`, error);
+        this.status = ROOM_STATUS.ERROR;
+        this.broadcastRoom();
+        this.broadcast({ type: 'error', message: 'The game stopped: an AI turn failed on the server' });
+    }
+
+    afterStateChange(lastAction) {
+        if (this.engine.gameOver) {
+            this.status = ROOM_STATUS.FINISHED;
+        }
+        this.broadcastState(lastAction);
+        this.scheduleAITurn();
+    }
+
+    // ========================================
+    // MESSAGES
+    // ========================================
+    describe() {
+        return {
+            code: this.code,
+            status: this.status,
+            seats: this.seats.map(s => ({
+                playerId: s.playerId,
+                isAI: s.isAI,
+                taken: s.isAI || !!s.token,
+                connected: s.isAI || !!s.connection
+            }))
+        };
+    }
+
+    /**
+     * Game state for clients. AI memory stays on the server.
+     */
+    getPublicState() {
+        const state = this.engine.serializeState();
+        delete state.ai;
+        return state;
+    }
+
+    stateMessage(lastAction = null) {
+        return {
+            type: 'state',
+            room: this.describe(),
+            state: this.getPublicState(),
+            undo: { canUndo: this.engine.canUndo(), canRedo: this.engine.canRedo() },
+            lastAction: lastAction
+        };
+    }
+
+    broadcast(message) {
+        this.seats.forEach(seat => {
+            if (seat.connection) {
+                seat.connection.sendJSON(message);
+            }
+        });
+    }
+
+    broadcastState(lastAction = null) {
+        this.broadcast(this.stateMessage(lastAction));
+    }
+
+    broadcastRoom() {
+        this.broadcast({ type: 'room', room: this.describe() });
+    }
+
+    dispose() {
+        if (this.aiTimer) {
+            clearTimeout(this.aiTimer);
+            this.aiTimer = null;
+        }
+        this.seats.forEach(seat => {
+            if (seat.connection) {
+                seat.connection.close(1001, 'Room closed');
+            }
+        });
+    }
+}
+
+module.exports = { GameRoom, ROOM_STATUS };
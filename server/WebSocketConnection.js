@@ -0,0 +1,268 @@
+// ============================================
+// WEBSOCKET CONNECTION
+// ============================================
+// Minimal RFC 6455 server-side WebSocket built on Node's http upgrade event,
+// so the multiplayer server runs without any npm packages. Supports text
+// messages, fragmentation, ping/pong and close; binary frames are rejected.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+const CLOSE_CODES = {
+    NORMAL: 1000,
+    GOING_AWAY: 1001,
+    PROTOCOL_ERROR: 1002,
+    UNSUPPORTED_DATA: 1003,
+    MESSAGE_TOO_BIG: 1009
+};
+
+class WebSocketConnection extends EventEmitter {
+    // Largest message a client may send (game actions are tiny)
+    static MAX_MESSAGE_SIZE = 64 * 1024;
+
+    // Connections that miss a heartbeat are considered dead
+    static HEARTBEAT_INTERVAL = 30000;
+
+    /**
+     * Complete the HTTP upgrade handshake.
+     * @param {http.IncomingMessage} req
+     * @param {net.Socket} socket
+     * @returns {WebSocketConnection|null} null if the request was not a valid upgrade
+     */
+    static accept(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        const upgrade = (req.headers.upgrade || '').toLowerCase();
+
+        if (upgrade !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+            socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            return null;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        return new WebSocketConnection(socket);
+    }
+
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentSize = 0;
+        this.closed = false;
+        this.isAlive = true;
+
+        socket.setNoDelay(true);
+        socket.on('data', (data) => this.onData(data));
+        // Upgraded sockets allow half-open connections, so finish closing ourselves
+        socket.on('end', () => this.terminate());
+        socket.on('close', () => this.onSocketClose());
+        socket.on('error', () => this.onSocketClose());
+
+        this.heartbeat = setInterval(() => {
+            if (!this.isAlive) {
+                this.terminate();
+                return;
+            }
+            this.isAlive = false;
+            this.sendFrame(OPCODES.PING, Buffer.alloc(0));
+        }, WebSocketConnection.HEARTBEAT_INTERVAL);
+    }
+
+    // ========================================
+    // SENDING
+    // ========================================
+    send(text) {
+        this.sendFrame(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    sendJSON(message) {
+        this.send(JSON.stringify(message));
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode; // FIN + opcode, server frames are never masked
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    close(code = CLOSE_CODES.NORMAL, reason = '') {
+        if (this.closed) return;
+
+        const reasonBytes = Buffer.from(reason, 'utf8');
+        const payload = Buffer.alloc(2 + reasonBytes.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBytes.copy(payload, 2);
+
+        this.sendFrame(OPCODES.CLOSE, payload);
+        this.closed = true;
+        this.socket.end();
+        this.cleanup();
+    }
+
+    terminate() {
+        this.closed = true;
+        this.socket.destroy();
+        this.cleanup();
+    }
+
+    // ========================================
+    // RECEIVING
+    // ========================================
+    onData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while (!this.closed && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Parse one complete frame from the buffer.
+     * @returns {Object|null} null when more data is needed
+     */
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < offset + 2) return null;
+            length = buffer.readUInt16BE(offset);
+            offset += 2;
+        } else if (length === 127) {
+            if (buffer.length < offset + 8) return null;
+            const bigLength = buffer.readBigUInt64BE(offset);
+            length = bigLength > BigInt(WebSocketConnection.MAX_MESSAGE_SIZE)
+                ? Infinity
+                : Number(bigLength);
+            offset += 8;
+        }
+
+        if (length > WebSocketConnection.MAX_MESSAGE_SIZE) {
+            this.close(CLOSE_CODES.MESSAGE_TOO_BIG, 'Message too big');
+            return null;
+        }
+
+        // Clients must mask every frame
+        if (!masked) {
+            this.close(CLOSE_CODES.PROTOCOL_ERROR, 'Unmasked frame');
+            return null;
+        }
+
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        offset += 4;
+
+        const payload = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            payload[i] = buffer[offset + i] ^ mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.CONTINUATION:
+                this.handleDataFrame(frame);
+                break;
+            case OPCODES.BINARY:
+                this.close(CLOSE_CODES.UNSUPPORTED_DATA, 'Text messages only');
+                break;
+            case OPCODES.PING:
+                this.sendFrame(OPCODES.PONG, frame.payload);
+                break;
+            case OPCODES.PONG:
+                this.isAlive = true;
+                break;
+            case OPCODES.CLOSE:
+                this.close(CLOSE_CODES.NORMAL);
+                break;
+            default:
+                this.close(CLOSE_CODES.PROTOCOL_ERROR, 'Unknown opcode');
+        }
+    }
+
+    handleDataFrame(frame) {
+        if (frame.opcode === OPCODES.TEXT && this.fragments.length > 0) {
+            this.close(CLOSE_CODES.PROTOCOL_ERROR, 'Expected continuation frame');
+            return;
+        }
+        if (frame.opcode === OPCODES.CONTINUATION && this.fragments.length === 0) {
+            this.close(CLOSE_CODES.PROTOCOL_ERROR, 'Unexpected continuation frame');
+            return;
+        }
+
+        this.fragments.push(frame.payload);
+        this.fragmentSize += frame.payload.length;
+        if (this.fragmentSize > WebSocketConnection.MAX_MESSAGE_SIZE) {
+            this.close(CLOSE_CODES.MESSAGE_TOO_BIG, 'Message too big');
+            return;
+        }
+
+        if (frame.fin) {
+            const message = Buffer.concat(this.fragments).toString('utf8');
+            this.fragments = [];
+            this.fragmentSize = 0;
+            this.emit('message', message);
+        }
+    }
+
+    onSocketClose() {
+        this.closed = true;
+        this.cleanup();
+    }
+
+    cleanup() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+            this.emit('close');
+        }
+    }
+}
+
+module.exports = { WebSocketConnection, CLOSE_CODES };
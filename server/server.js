@@ -0,0 +1,271 @@
+// ============================================
+// MULTIPLAYER SERVER
+// ============================================
+// Serves the game files and relays online matches over WebSockets. Everything
+// runs locally (localhost or LAN) with plain Node - no npm packages.
+//
+//   node server/server.js [port]      (default 8080, or $PORT)
+//
+// Then open http://<host>:<port>/ on each machine and pick "Online Game".
+//
+// Protocol (JSON text messages):
+//   client -> server
+//     { type: 'create', seats: [{ isAI, aiDifficulty, colorIndex }], seed?, rows?, cols?,
+//       mapPreset?, neutralCities?, barbarians?, victory?, ruleset? }
+//     { type: 'join', code }
+//     { type: 'rejoin', code, token }
+//     { type: 'action', action }          action object for GameEngine.dispatch
+//     { type: 'leave' }
+//   server -> client
+//     { type: 'joined', code, playerId, token }
+//     { type: 'room', room }              seat/lobby changes
+//     { type: 'state', room, state, undo, lastAction }
+//     { type: 'denied', reason, action }
+//     { type: 'error', message }
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { WebSocketConnection } = require('./WebSocketConnection.js');
+const { GameRoom } = require('./GameRoom.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Only the client files are served
+const PUBLIC_FILES = ['index.html', 'styles.css'];
+const PUBLIC_DIRS = ['js'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Room codes skip letters that are easy to misread (I, O)
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ROOM_CODE_LENGTH = 5;
+
+// Rooms with nobody connected are closed after this long
+const ROOM_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+const rooms = new Map();
+
+// ========================================
+// STATIC FILES
+// ========================================
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const relative = path.normalize(urlPath === '/' ? 'index.html' : urlPath.slice(1));
+    const topLevel = relative.split(path.sep)[0];
+
+    const allowed = PUBLIC_FILES.includes(relative) ||
+        (PUBLIC_DIRS.includes(topLevel) && !relative.includes('..'));
+    if (!allowed) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    fs.readFile(path.join(ROOT_DIR, relative), (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(relative)] || 'application/octet-stream'
+        });
+        res.end(data);
+    });
+}
+
+// ========================================
+// ROOMS
+// ========================================
+function generateRoomCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+            code += ROOM_CODE_LETTERS[crypto.randomInt(ROOM_CODE_LETTERS.length)];
+        }
+    } while (rooms.has(code));
+    return code;
+}
+
+function findRoom(code) {
+    return rooms.get(String(code || '').trim().toUpperCase()) || null;
+}
+
+function closeIdleRooms() {
+    const now = Date.now();
+    rooms.forEach((room, code) => {
+        if (!room.hasConnections() && now - room.lastActivity > ROOM_IDLE_TIMEOUT) {
+            room.dispose();
+            rooms.delete(code);
+            console.log(`[server] Closed idle room ${code}`);
+        }
+    });
+}
+
+// ========================================
+// CONNECTIONS
+// ========================================
+function handleConnection(connection) {
+    let room = null;
+
+    const seatIn = (joinedRoom, seat) => {
+        room = joinedRoom;
+        connection.sendJSON({
+            type: 'joined',
+            code: room.code,
+            playerId: seat.playerId,
+            token: seat.token
+        });
+        room.broadcastState();
+    };
+
+    const leaveRoom = () => {
+        if (!room) return;
+        room.removeConnection(connection);
+        room.broadcastRoom();
+        room = null;
+    };
+
+    connection.on('message', (text) => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            connection.sendJSON({ type: 'error', message: 'Invalid JSON' });
+            return;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            connection.sendJSON({ type: 'error', message: 'Messages must be JSON objects' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'create': {
+                leaveRoom();
+                let newRoom;
+                try {
+                    newRoom = new GameRoom(generateRoomCode(), message.seats, {
+                        seed: message.seed,
+                        rows: message.rows,
+                        cols: message.cols,
+                        mapPreset: message.mapPreset,
+                        neutralCities: message.neutralCities,
+                        barbarians: message.barbarians,
+                        victory: message.victory,
+                        ruleset: message.ruleset
+                    });
+                } catch (e) {
+                    connection.sendJSON({ type: 'error', message: e.message });
+                    return;
+                }
+                rooms.set(newRoom.code, newRoom);
+                console.log(`[server] Created room ${newRoom.code}`);
+                seatIn(newRoom, newRoom.addPlayer(connection));
+                break;
+            }
+
+            case 'join': {
+                const target = findRoom(message.code);
+                if (!target) {
+                    connection.sendJSON({ type: 'error', message: 'Room not found' });
+                    return;
+                }
+                leaveRoom();
+                const seat = target.addPlayer(connection);
+                if (!seat) {
+                    connection.sendJSON({ type: 'error', message: 'Room is full' });
+                    return;
+                }
+                seatIn(target, seat);
+                break;
+            }
+
+            case 'rejoin': {
+                const target = findRoom(message.code);
+                const seat = target ? target.reconnect(connection, message.token) : null;
+                if (!seat) {
+                    connection.sendJSON({ type: 'error', message: 'Could not rejoin room' });
+                    return;
+                }
+                seatIn(target, seat);
+                break;
+            }
+
+            case 'action': {
+                const seat = room ? room.getSeatFor(connection) : null;
+                if (!seat) {
+                    connection.sendJSON({ type: 'error', message: 'Not seated in a room' });
+                    return;
+                }
+                // A malformed action must not take down every room on the server
+                let result;
+                try {
+                    result = room.handleAction(seat, message.action);
+                } catch (e) {
+                    console.error(`[server] Action failed in room ${room.code}:`, e);
+                    connection.sendJSON({ type: 'error', message: 'Action could not be processed' });
+                    return;
+                }
+                if (!result.success) {
+                    connection.sendJSON({ type: 'denied', reason: result.reason, action: message.action });
+                }
+                break;
+            }
+
+            case 'leave':
+                leaveRoom();
+                break;
+
+            default:
+                connection.sendJSON({ type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    });
+
+    connection.on('close', leaveRoom);
+}
+
+// ========================================
+// STARTUP
+// ========================================
+function startServer(port) {
+    const server = http.createServer(serveStatic);
+
+    server.on('upgrade', (req, socket) => {
+        const connection = WebSocketConnection.accept(req, socket);
+        if (connection) {
+            handleConnection(connection);
+        }
+    });
+
+    const idleTimer = setInterval(closeIdleRooms, 60 * 1000);
+    server.on('close', () => clearInterval(idleTimer));
+
+    server.listen(port, () => {
+        console.log(`[server] CivChess running at http://localhost:${port}/`);
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT || '8080', 10);
+    startServer(port);
+}
+
+module.exports = { startServer };
@@ -0,0 +1,42 @@
+// ============================================
+// ACTION VALIDATION
+// ============================================
+// dispatch() is the entry point for network clients, so malformed actions
+// are denied before they reach the engine's methods.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, PLAYER_COLORS, PIECE_TYPES, ACTION_TYPES } = require('../js/headless.js');
+
+function newGame() {
+    const { engine } = createHeadlessGame([
+        { color: PLAYER_COLORS[0] },
+        { color: PLAYER_COLORS[1] }
+    ], { seed: 12345 });
+    return engine;
+}
+
+test('moves to fractional or string coordinates are denied', () => {
+    const engine = newGame();
+    const warrior = engine.pieces.find(p => p.ownerId === 0 && p.type === PIECE_TYPES.WARRIOR);
+
+    [{ row: warrior.row - 0.5, col: warrior.col }, { row: String(warrior.row - 1), col: warrior.col }].forEach(to => {
+        const result = engine.dispatch({ type: ACTION_TYPES.MOVE, pieceId: warrior.id, to: to });
+        assert.strictEqual(result.reason, 'Invalid destination');
+    });
+});
+
+test('repeat production only accepts on or off', () => {
+    const engine = newGame();
+    const city = engine.pieces.find(p => p.ownerId === 0 && p.type === PIECE_TYPES.CITY);
+
+    ['yes', 1, { on: true }, undefined].forEach(enabled => {
+        const result = engine.dispatch({ type: ACTION_TYPES.SET_REPEAT, pieceId: city.id, enabled: enabled });
+        assert.strictEqual(result.reason, 'Repeat must be on or off');
+    });
+    assert.strictEqual(city.repeatProduction, true);
+
+    assert.strictEqual(engine.dispatch({ type: ACTION_TYPES.SET_REPEAT, pieceId: city.id, enabled: false }).success, true);
+    assert.strictEqual(city.repeatProduction, false);
+});
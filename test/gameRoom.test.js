@@ -0,0 +1,38 @@
+// ============================================
+// GAME ROOM
+// ============================================
+// Server-side AI turns run from a timer, where nothing else can catch an
+// error: a failing turn must stop its own room, not the server.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameRoom, ROOM_STATUS } = require('../server/GameRoom.js');
+
+function fakeConnection() {
+    return { messages: [], sendJSON(message) { this.messages.push(message); }, close() {} };
+}
+
+test('an AI turn that throws stops the room and tells its players', async () => {
+    const room = new GameRoom('TEST', [{ isAI: true }, { isAI: false }], { seed: 12345 });
+    room.aiManager.executeAITurn = () => { throw new Error('AI failure'); };
+
+    const logged = console.error;
+    console.error = () => {};
+    const delay = GameRoom.AI_TURN_DELAY;
+    GameRoom.AI_TURN_DELAY = 0;
+    try {
+        const connection = fakeConnection();
+        room.addPlayer(connection);
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        assert.strictEqual(room.status, ROOM_STATUS.ERROR);
+        assert.ok(connection.messages.some(m => m.type === 'room' && m.room.status === ROOM_STATUS.ERROR));
+        assert.ok(connection.messages.some(m => m.type === 'error'));
+        assert.strictEqual(room.handleAction(room.seats[1], { type: 'END_TURN' }).success, false);
+    } finally {
+        GameRoom.AI_TURN_DELAY = delay;
+        console.error = logged;
+        room.dispose();
+    }
+});
@@ -0,0 +1,65 @@
+// ============================================
+// MAP GENERATOR
+// ============================================
+// Mirror-Symmetric maps must be symmetric for every player count the new game
+// menu offers them for, and are not offered for the others.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    MapGenerator, SeededRandom, GameEngine, MIN_PLAYERS, MAP_PRESETS, DEFAULT_MAP_PRESET
+} = require('../js/headless.js');
+
+// Board sizes below and above the large-board player limit, square and not
+const BOARD_SIZES = [[10, 10], [12, 16], [14, 14]];
+
+function assertSymmetric(generator, map, symmetry, label) {
+    const key = tile => `${tile.row},${tile.col}`;
+    const assertClosed = (tiles, what) => {
+        const keys = new Set(tiles.map(key));
+        tiles.forEach(tile => generator.getImages(tile.row, tile.col, symmetry).forEach(image => {
+            assert.ok(keys.has(key(image)), `${label}: ${what} at ${key(tile)} has no image at ${key(image)}`);
+        }));
+    };
+
+    for (let r = 0; r < generator.rows; r++) {
+        for (let c = 0; c < generator.cols; c++) {
+            generator.getImages(r, c, symmetry).forEach(image => {
+                assert.strictEqual(map.terrain[image.row][image.col], map.terrain[r][c],
+                    `${label}: terrain at ${r},${c} differs from its image at ${key(image)}`);
+            });
+        }
+    }
+    assertClosed(map.capitals, 'capital');
+    assertClosed(map.neutralCities, 'neutral city');
+    assertClosed(map.barbarianCamps, 'barbarian camp');
+}
+
+test('mirror maps are symmetric for every player count they are offered for', () => {
+    BOARD_SIZES.forEach(([rows, cols]) => {
+        for (let players = MIN_PLAYERS; players <= GameEngine.getMaxPlayers(rows, cols); players++) {
+            if (!MapGenerator.isPresetAvailable('mirror', players)) continue;
+
+            [1, 2].forEach(seed => {
+                const generator = new MapGenerator(rows, cols, new SeededRandom(seed));
+                const map = generator.generate(players, { preset: 'mirror', neutralCities: true, barbarians: true });
+                const label = `${rows}x${cols}, ${players} players, seed ${seed}`;
+
+                assert.strictEqual(map.preset, 'mirror', label);
+                assert.strictEqual(map.capitals.length, players, label);
+                assertSymmetric(generator, map, generator.getSymmetryFor(players), label);
+            });
+        }
+    });
+});
+
+test('mirror maps are only offered for an even number of players', () => {
+    assert.ok(MAP_PRESETS.mirror);
+    for (let players = MIN_PLAYERS; players <= GameEngine.getMaxPlayers(20, 20); players++) {
+        assert.strictEqual(MapGenerator.isPresetAvailable('mirror', players), players % 2 === 0);
+    }
+
+    const map = new MapGenerator(10, 10, new SeededRandom(1)).generate(3, { preset: 'mirror' });
+    assert.strictEqual(map.preset, DEFAULT_MAP_PRESET);
+});
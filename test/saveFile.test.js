@@ -0,0 +1,105 @@
+// ============================================
+// SAVE FILE VALIDATION
+// ============================================
+// Imported save files are checked against their board size before they are
+// restored, so a damaged file is rejected with a message instead of failing
+// partway through the restore.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, PLAYER_COLORS, SaveFile, GameEngine } = require('../js/headless.js');
+
+function exportedGame() {
+    const { engine } = createHeadlessGame([
+        { color: PLAYER_COLORS[0] },
+        { color: PLAYER_COLORS[1] }
+    ], { seed: 12345 });
+    engine.history.updateState(engine);
+    return JSON.parse(SaveFile.stringify(engine.history.getSaveData()));
+}
+
+function parse(file) {
+    return SaveFile.parse(JSON.stringify(file));
+}
+
+test('an exported game imports and restores', () => {
+    const savedGame = parse(exportedGame());
+    const engine = new GameEngine();
+    assert.strictEqual(engine.restoreFromSavedGame(savedGame), true);
+    assert.strictEqual(engine.players.length, 2);
+});
+
+test('a state without players or pieces is rejected', () => {
+    const file = exportedGame();
+    file.game.state = {};
+    assert.throws(() => parse(file), /no player list/);
+});
+
+test('a state whose pieces are not a list is rejected', () => {
+    const file = exportedGame();
+    file.game.state.pieces = {};
+    assert.throws(() => parse(file), /no piece list/);
+});
+
+test('a piece outside the board is rejected', () => {
+    const file = exportedGame();
+    file.game.state.pieces[0].row = file.game.metadata.rows;
+    assert.throws(() => parse(file), /piece off the board/);
+});
+
+test('an ownership grid of the wrong size is rejected', () => {
+    const file = exportedGame();
+    file.game.state.tileOwnership.pop();
+    assert.throws(() => parse(file), /does not match/);
+});
+
+test('saves without a state are checked through their latest snapshot', () => {
+    const file = exportedGame();
+    file.game.state = null;
+    parse(file);
+
+    const latest = file.game.snapshots[file.game.snapshots.length - 1];
+    latest.tileOwnership = latest.tileOwnership.map(row => row.slice(1));
+    assert.throws(() => parse(file), /Latest history entry has an ownership grid/);
+});
+
+test('a state without its random sequence restarts it from the seed', () => {
+    const file = exportedGame();
+    delete file.game.state.rng;
+
+    const engine = new GameEngine();
+    assert.strictEqual(engine.restoreFromSavedGame(parse(file)), true);
+    assert.strictEqual(engine.rng.seed, 12345);
+});
+
+test('a state without its random sequence or a seed is rejected', () => {
+    const file = exportedGame();
+    delete file.game.state.rng;
+    file.game.metadata.seed = null;
+    assert.throws(() => parse(file), /Saved game state has no random number state/);
+});
+
+test('a state with a missing turn or damaged terrain is rejected', () => {
+    let file = exportedGame();
+    delete file.game.state.currentPlayerIndex;
+    assert.throws(() => parse(file), /no current player/);
+
+    file = exportedGame();
+    file.game.state.turnNumber = '3';
+    assert.throws(() => parse(file), /no turn number/);
+
+    file = exportedGame();
+    file.game.state.terrain[0][0] = 'lava';
+    assert.throws(() => parse(file), /damaged terrain/);
+});
+
+test('pieces and tiles owned by unknown players are rejected', () => {
+    let file = exportedGame();
+    file.game.state.pieces[0].ownerId = 5;
+    assert.throws(() => parse(file), /piece owned by an unknown player/);
+
+    file = exportedGame();
+    file.game.state.tileOwnership[0][0] = 'p1';
+    assert.throws(() => parse(file), /tile owned by an unknown player/);
+});
@@ -0,0 +1,103 @@
+// ============================================
+// TURN AND PIECE OWNERSHIP
+// ============================================
+// The engine alone decides who may act: actions for another player's pieces
+// or out of turn are denied and logged, whether they come through dispatch()
+// or straight into the engine's methods.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    createHeadlessGame, PLAYER_COLORS, PIECE_TYPES, ACTION_TYPES
+} = require('../js/headless.js');
+
+function newGame() {
+    const { engine } = createHeadlessGame([
+        { color: PLAYER_COLORS[0] },
+        { color: PLAYER_COLORS[1] }
+    ], { seed: 12345 });
+    assert.strictEqual(engine.currentPlayerIndex, 0);
+    return engine;
+}
+
+function findPiece(engine, type, ownerId) {
+    return engine.pieces.find(p => p.type === type && p.ownerId === ownerId);
+}
+
+function loggedDenial(engine, action) {
+    return engine.actionLog.some(entry => entry.action === action);
+}
+
+test('a move by the wrong player is denied', () => {
+    const engine = newGame();
+    const warrior = findPiece(engine, PIECE_TYPES.WARRIOR, 1);
+    const from = { row: warrior.row, col: warrior.col };
+    const to = engine.getValidMoves(warrior)[0] || { row: warrior.row, col: warrior.col + 1 };
+
+    const result = engine.dispatch({ type: ACTION_TYPES.MOVE, pieceId: warrior.id, to: to });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.reason, 'Not your piece');
+    assert.ok(loggedDenial(engine, 'ACTION_DENIED'));
+
+    const direct = engine.movePiece(warrior, to.row, to.col);
+    assert.strictEqual(direct.success, false);
+    assert.ok(loggedDenial(engine, 'MOVE_DENIED'));
+    assert.deepStrictEqual({ row: warrior.row, col: warrior.col }, from);
+});
+
+test('diplomacy on the wrong turn is denied', () => {
+    const engine = newGame();
+
+    const result = engine.dispatch({ type: ACTION_TYPES.DECLARE_WAR, playerId: 1, targetId: 0 });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.reason, 'Not your turn');
+    assert.ok(loggedDenial(engine, 'ACTION_DENIED'));
+
+    assert.strictEqual(engine.declareWar(1, 0), false);
+    assert.ok(loggedDenial(engine, 'WAR_DENIED'));
+    assert.strictEqual(engine.proposePeace(1, 0), false);
+    assert.strictEqual(engine.acceptPeace(1, 0), false);
+    assert.strictEqual(engine.actionLog.filter(entry => entry.action === 'PEACE_DENIED').length, 2);
+    assert.strictEqual(engine.players[0].relations[1], 'peace');
+    assert.strictEqual(engine.players[1].relations[0], 'peace');
+});
+
+test('founding a city with a foreign settler is denied', () => {
+    const engine = newGame();
+    const city = findPiece(engine, PIECE_TYPES.CITY, 1);
+    const tile = engine.findAdjacentEmptyTile(city.row, city.col);
+    const settler = engine.createPiece(PIECE_TYPES.SETTLER, 1, tile.row, tile.col);
+    engine.pieces.push(settler);
+    engine.board[tile.row][tile.col] = settler;
+
+    const result = engine.dispatch({ type: ACTION_TYPES.BUILD_CITY, pieceId: settler.id });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.reason, 'Not your piece');
+    assert.ok(loggedDenial(engine, 'ACTION_DENIED'));
+
+    const direct = engine.settlerBuildCity(settler);
+    assert.strictEqual(direct.success, false);
+    assert.strictEqual(direct.reason, 'Not your settler');
+    assert.ok(loggedDenial(engine, 'BUILD_CITY_DENIED'));
+    assert.ok(engine.pieces.includes(settler));
+});
+
+test('setting production in a foreign city is denied', () => {
+    const engine = newGame();
+    const city = findPiece(engine, PIECE_TYPES.CITY, 1);
+
+    const result = engine.dispatch({ type: ACTION_TYPES.SET_PRODUCTION, pieceId: city.id, production: 'WARRIOR' });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.reason, 'Not your piece');
+    assert.ok(loggedDenial(engine, 'ACTION_DENIED'));
+
+    assert.strictEqual(engine.setProduction(city, 'WARRIOR'), false);
+    assert.ok(loggedDenial(engine, 'PRODUCTION_DENIED'));
+    assert.strictEqual(city.production, null);
+
+    const repeat = city.repeatProduction;
+    assert.strictEqual(engine.setRepeatProduction(city, !repeat), false);
+    assert.ok(loggedDenial(engine, 'REPEAT_DENIED'));
+    assert.strictEqual(city.repeatProduction, repeat);
+});
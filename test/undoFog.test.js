@@ -0,0 +1,67 @@
+// ============================================
+// UNDO UNDER FOG OF WAR
+// ============================================
+// Undo must not let a player scout and take the move back while keeping what
+// they saw: actions that bring tiles into sight clear the undo history.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    createHeadlessGame, PLAYER_COLORS, PIECE_TYPES, ACTION_TYPES, UNIT_TYPES
+} = require('../js/headless.js');
+
+function newGame(fogOfWar) {
+    const { engine } = createHeadlessGame([
+        { color: PLAYER_COLORS[0] },
+        { color: PLAYER_COLORS[1] }
+    ], { seed: 12345, fogOfWar: fogOfWar });
+    return engine;
+}
+
+// A warrior move for player 0 that brings new tiles into sight
+function findScoutingMove(engine) {
+    const sight = engine.fogVisible[0];
+    for (const piece of engine.pieces) {
+        if (piece.ownerId !== 0 || piece.type !== PIECE_TYPES.WARRIOR) continue;
+        const range = UNIT_TYPES[piece.type].sight;
+        for (const to of engine.getValidMoves(piece)) {
+            if (engine.board[to.row][to.col]) continue;
+            for (let r = to.row - range; r <= to.row + range; r++) {
+                for (let c = to.col - range; c <= to.col + range; c++) {
+                    if (engine.isValidTile(r, c) && !sight[r][c]) {
+                        return { type: ACTION_TYPES.MOVE, pieceId: piece.id, to: { row: to.row, col: to.col } };
+                    }
+                }
+            }
+        }
+    }
+    return null;
+}
+
+test('a move that reveals tiles under fog of war clears the undo history', () => {
+    const engine = newGame(true);
+    const move = findScoutingMove(engine);
+    assert.ok(move, 'expected a scouting move');
+
+    assert.strictEqual(engine.dispatch(move).success, true);
+    assert.strictEqual(engine.canUndo(), false);
+});
+
+test('actions that reveal nothing under fog of war can still be undone', () => {
+    const engine = newGame(true);
+    const city = engine.pieces.find(p => p.ownerId === 0 && p.type === PIECE_TYPES.CITY);
+
+    const result = engine.dispatch({ type: ACTION_TYPES.SET_PRODUCTION, pieceId: city.id, production: 'WARRIOR' });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(engine.canUndo(), true);
+});
+
+test('moves can be undone without fog of war', () => {
+    const engine = newGame(false);
+    const piece = engine.pieces.find(p => p.ownerId === 0 && p.type === PIECE_TYPES.WARRIOR);
+    const to = engine.getValidMoves(piece).find(t => !engine.board[t.row][t.col]);
+
+    assert.strictEqual(engine.dispatch({ type: ACTION_TYPES.MOVE, pieceId: piece.id, to: to }).success, true);
+    assert.strictEqual(engine.canUndo(), true);
+});